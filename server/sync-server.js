@@ -0,0 +1,85 @@
+/* sync-server.js - Minimal reference server for static/js/sync.js
+   Usage: node server/sync-server.js [port] [dataFile]
+   Env:   NEUROFORGE_SYNC_TOKEN  require "Authorization: Bearer <token>" if set
+
+   GET /state -> 200 { rev, state } | 404 when nothing stored yet
+   PUT /state -> 200 { rev } | 412 when If-Match doesn't match the stored rev
+   No dependencies; state is kept in a single JSON file.
+*/
+
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+
+const PORT = Number(process.argv[2]) || 8787;
+const DATA_FILE = process.argv[3] || path.join(__dirname, "sync-data.json");
+const TOKEN = process.env.NEUROFORGE_SYNC_TOKEN || "";
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+function load() {
+  try {
+    return JSON.parse(fs.readFileSync(DATA_FILE, "utf8"));
+  } catch (err) {
+    return { rev: 0, state: null };
+  }
+}
+
+function save(doc) {
+  const tmp = DATA_FILE + ".tmp";
+  fs.writeFileSync(tmp, JSON.stringify(doc));
+  fs.renameSync(tmp, DATA_FILE);
+}
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type, Authorization, If-Match",
+    "Access-Control-Allow-Methods": "GET, PUT, OPTIONS"
+  });
+  res.end(body === undefined ? "" : JSON.stringify(body));
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method === "OPTIONS") return send(res, 204);
+  if (req.url.split("?")[0] !== "/state") return send(res, 404, { error: "Not found" });
+  if (TOKEN && req.headers.authorization !== `Bearer ${TOKEN}`) return send(res, 401, { error: "Unauthorized" });
+
+  if (req.method === "GET") {
+    const doc = load();
+    return doc.state ? send(res, 200, doc) : send(res, 404, { error: "No state yet" });
+  }
+
+  if (req.method === "PUT") {
+    let body = "";
+    req.on("data", chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) req.destroy();
+    });
+    req.on("end", () => {
+      let parsed;
+      try {
+        parsed = JSON.parse(body);
+      } catch (err) {
+        return send(res, 400, { error: "Invalid JSON" });
+      }
+      if (!parsed || typeof parsed.state !== "object") return send(res, 400, { error: "Missing state" });
+
+      const doc = load();
+      const ifMatch = req.headers["if-match"];
+      // Clients must prove they saw the latest revision before overwriting it
+      if (doc.state && String(ifMatch) !== String(doc.rev)) return send(res, 412, { error: "Revision mismatch", rev: doc.rev });
+
+      const next = { rev: doc.rev + 1, state: parsed.state };
+      save(next);
+      send(res, 200, { rev: next.rev });
+    });
+    return;
+  }
+
+  send(res, 405, { error: "Method not allowed" });
+});
+
+server.listen(PORT, () => {
+  console.log(`Neuroforge sync server on http://localhost:${PORT}/state (data: ${DATA_FILE})`);
+});
@@ -1,57 +1,380 @@
-/* app.js - Refactored Neuroforge core
-   - Safe storage
+/* app.js - Neuroforge page layer
+   - Scoring, levels, streaks, decay and achievements come from the headless
+     core (static/js/core, an ES module exposed as window.NeuroforgeCore)
+   - Safe storage (pluggable adapters: IndexedDB, localStorage, in-memory)
+   - Named local profiles, each with its own namespaced keys
    - Local-date handling (no UTC off-by-one)
-   - Unified XP/level logic
-   - Achievements, time achievements
-   - Toast queue (accessible)
+   - Settings store: tunable CONFIG values, rank bands, level curve, lore titles
+   - Event log as the source of truth (XP, streak, achievements are recomputable)
+   - Streak policy: freezes, rest days, grace window, pluggable decay curves
+   - Daily check-ins (mood / energy / focus), correlated with analyses
+   - Trend insights (core/insights.js) on the profile and dashboard
+   - Habits & goals per dimension with recurrence and adherence
+   - Focus sessions (logged by the focus.js timer)
+   - Profile timeline: filters, paging, side-by-side compare, notes and deletion
+   - Journal: tagged Markdown notes per analysis or day, rendered without innerHTML
+   - Achievement engine (declarative definitions, tiers, progress)
+   - Toast queue (accessible): dismissible, pauses on hover / focus, session history
+   - Appearance panel for static/js/prefs.js (theme, text size, motion, toasts)
+   - One progress-bar helper keeps every bar's width and ARIA state in step
    - Event-driven UI updates
    - Export / import / reset
+   - Plan engine (analysis summary + 7-day plan)
+   - Every visible string comes from the i18n catalog (static/js/i18n.js);
+     history stores ids and keys, so it reads in the viewer's language
+   - Views (home, onboarding, result, dashboard, profile, settings) are
+     registered with the hash router (static/js/router.js); reports deep-link
+     as #/result/<id>, so a link keeps its analysis when others are deleted
 */
 
 const Neuroforge = (function () {
   // ====== CONFIG & KEYS ======
-  const KEYS = {
-    HISTORY: "neuroforge_history",
-    ACHIEVEMENTS: "neuroforge_achievements",
-    XP: "neuroforge_xp",
-    STREAK: "neuroforge_streak",
-    LAST_ACTIVE: "neuroforge_last_active",
-    LAST_INDEX: "neuroforge_last_index"
-  };
-
+  // Scoring, streaks, decay and achievements live in the headless core
+  // (static/js/core, loaded as NeuroforgeCore); this file is the page layer.
+  const Core = NeuroforgeCore;
+  const KEYS = Core.KEYS;
+  const i18n = NeuroforgeI18n;
+  const Router = NeuroforgeRouter;
+
+  // ====== QUESTIONNAIRE DEFINITION ======
+  // Defined in core/scoring.js; MAX_SCORE and RANK_THRESHOLDS derive from it.
+  const QUESTIONNAIRE = Core.QUESTIONNAIRE;
+
+  // Values marked "tunable" are defaults; the settings store overrides them
+  // at runtime (see SETTINGS below). Core values start from DEFAULT_CONFIG.
   const CONFIG = {
-    MAX_SCORE: 20,
-    INACTIVITY_PENALTY_PER_DAY: 5,
-    ONBOARDING_BASE_XP: 50,
-    TOAST_DISPLAY_MS: 2500,
+    ...Core.DEFAULT_CONFIG,
+    PLAN_TASK_XP: 15,
+    PLAN_COMPLETION_BONUS_XP: 50,
+    CHECKIN_XP: 10,
+    CHECKIN_NOTE_MAX: 280,
+    ENTRY_NOTE_MAX: 280,
+    TIMELINE_PAGE_SIZE: 20,
+    JOURNAL_TEXT_MAX: 5000,
+    JOURNAL_TAG_MAX: 24,
+    JOURNAL_TAGS_MAX: 8,
+    HABIT_XP: 10,
+    GOAL_COMPLETION_BONUS_XP: 40,
+    HABIT_TITLE_MAX: 80,
+    HABIT_ADHERENCE_DAYS: 28,
+    FOCUS_XP_PER_MINUTE: 1,
+    FOCUS_MAX_XP: 90,
+    FOCUS_MIN_MINUTES: 5,
+    FOCUS_TAG_MAX: 40,
+    TOAST_DISPLAY_MS: 2500, // tunable
     TOAST_TRANSITION_MS: 600,
-    DEFAULT_XP: 0,
-    DEFAULT_STREAK: 0
+    TOAST_HISTORY_MAX: 50
   };
 
-  const RANK_THRESHOLDS = [
-    { name: "Dreamer", min: 0, max: 9 },
-    { name: "Explorer", min: 10, max: 12 },
-    { name: "Builder", min: 13, max: 16 },
-    { name: "Architect", min: 17, max: 20 }
-  ];
+  const RANK_THRESHOLDS = Core.DEFAULT_RANK_THRESHOLDS.map(r => ({ ...r }));
+
+  // ====== STORAGE ADAPTERS ======
+  // Every adapter exposes the same synchronous string API so the KEYS
+  // wrappers don't care where data lives:
+  //   { name, load(): Promise, getItem(key), setItem(key, value),
+  //     removeItem(key), keys(): string[], flush(): Promise }
+  // Async backends (IndexedDB) hydrate an in-memory cache in load() and
+  // write through in the background; flush() resolves once writes land.
+  const KEY_PREFIX = "neuroforge_";
+
+  function createMemoryAdapter(initial = {}) {
+    const data = new Map(Object.entries(initial).map(([k, v]) => [k, String(v)]));
+    return {
+      name: "memory",
+      load: () => Promise.resolve(),
+      getItem: (key) => (data.has(key) ? data.get(key) : null),
+      setItem: (key, value) => { data.set(key, String(value)); },
+      removeItem: (key) => { data.delete(key); },
+      keys: () => [...data.keys()],
+      flush: () => Promise.resolve()
+    };
+  }
+
+  function createLocalStorageAdapter() {
+    return {
+      name: "localStorage",
+      load: () => Promise.resolve(),
+      getItem: (key) => localStorage.getItem(key),
+      setItem: (key, value) => localStorage.setItem(key, value),
+      removeItem: (key) => localStorage.removeItem(key),
+      keys: () => {
+        const out = [];
+        for (let i = 0; i < localStorage.length; i++) {
+          const k = localStorage.key(i);
+          if (k && k.startsWith(KEY_PREFIX)) out.push(k);
+        }
+        return out;
+      },
+      flush: () => Promise.resolve()
+    };
+  }
+
+  function createIndexedDBAdapter({ dbName = "neuroforge", storeName = "kv" } = {}) {
+    const MIGRATED_FLAG = `${KEY_PREFIX}migrated_from_localstorage`;
+    const cache = new Map();
+    let db = null;
+    let pending = Promise.resolve();
+
+    const request = (req) => new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+
+    const open = () => new Promise((resolve, reject) => {
+      const req = indexedDB.open(dbName, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(storeName);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+
+    // Queue writes so they reach the DB in call order
+    const write = (fn) => {
+      pending = pending.then(() => new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, "readwrite");
+        fn(tx.objectStore(storeName));
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+      })).catch(err => console.error("IndexedDB write failed:", err));
+      return pending;
+    };
+
+    // First run: copy existing localStorage data in; localStorage is left
+    // untouched as a fallback copy.
+    function migrateFromLocalStorage() {
+      if (cache.has(MIGRATED_FLAG)) return;
+      let legacy = [];
+      try {
+        legacy = createLocalStorageAdapter().keys().map(k => [k, localStorage.getItem(k)]);
+      } catch (err) {
+        console.warn("localStorage unavailable, skipping migration", err);
+      }
+      legacy.forEach(([k, v]) => { if (!cache.has(k) && v != null) adapter.setItem(k, v); });
+      adapter.setItem(MIGRATED_FLAG, new Date().toISOString());
+    }
+
+    const adapter = {
+      name: "indexedDB",
+      async load() {
+        db = await open();
+        const store = db.transaction(storeName, "readonly").objectStore(storeName);
+        const [keys, values] = await Promise.all([request(store.getAllKeys()), request(store.getAll())]);
+        keys.forEach((k, i) => cache.set(k, values[i]));
+        migrateFromLocalStorage();
+      },
+      getItem: (key) => (cache.has(key) ? cache.get(key) : null),
+      setItem: (key, value) => {
+        cache.set(key, String(value));
+        write(store => store.put(String(value), key));
+      },
+      removeItem: (key) => {
+        cache.delete(key);
+        write(store => store.delete(key));
+      },
+      keys: () => [...cache.keys()].filter(k => k !== MIGRATED_FLAG),
+      flush: () => pending
+    };
+    return adapter;
+  }
+
+  function createDefaultAdapter() {
+    if (typeof indexedDB !== "undefined") return createIndexedDBAdapter();
+    if (typeof localStorage !== "undefined") return createLocalStorageAdapter();
+    return createMemoryAdapter();
+  }
+
+  // ====== PROFILES ======
+  // Every profile sees its own copy of each key: `storage` is a view of the
+  // backend that prefixes keys with "neuroforge_profile:<id>:". Only the
+  // profile registry itself is stored without a prefix.
+  const PROFILES_KEY = `${KEY_PREFIX}profiles`;
+  const PROFILE_KEY_PREFIX = `${KEY_PREFIX}profile:`;
+  const DEFAULT_PROFILE_ID = "default";
+  const PROFILE_NAME_MAX = 40;
+
+  const profilePrefix = (id) => `${PROFILE_KEY_PREFIX}${id}:`;
+
+  function createProfileAdapter(base, profileId) {
+    const prefix = profilePrefix(profileId);
+    return {
+      name: base.name,
+      profileId,
+      load: () => base.load(),
+      getItem: (key) => base.getItem(prefix + key),
+      setItem: (key, value) => base.setItem(prefix + key, value),
+      removeItem: (key) => base.removeItem(prefix + key),
+      keys: () => base.keys().filter(k => k.startsWith(prefix)).map(k => k.slice(prefix.length)),
+      flush: () => base.flush()
+    };
+  }
+
+  let backend = createDefaultAdapter();
+  let storage = createProfileAdapter(backend, DEFAULT_PROFILE_ID);
+
+  function readProfileRegistry() {
+    try {
+      const reg = JSON.parse(backend.getItem(PROFILES_KEY) || "null");
+      return reg && Array.isArray(reg.profiles) && reg.profiles.length ? reg : null;
+    } catch (err) {
+      console.warn("Corrupt profile registry", err);
+      return null;
+    }
+  }
+
+  function writeProfileRegistry(reg) {
+    backend.setItem(PROFILES_KEY, JSON.stringify(reg));
+  }
+
+  // First run with profiles: data written before profiles existed (any
+  // un-namespaced key) moves into the default profile.
+  function ensureProfiles() {
+    let reg = readProfileRegistry();
+    if (!reg) {
+      const scoped = createProfileAdapter(backend, DEFAULT_PROFILE_ID);
+      backend.keys()
+        .filter(k => k !== PROFILES_KEY && !k.startsWith(PROFILE_KEY_PREFIX))
+        .forEach(k => {
+          const value = backend.getItem(k);
+          if (value != null) scoped.setItem(k, value);
+          backend.removeItem(k);
+        });
+      reg = {
+        active: DEFAULT_PROFILE_ID,
+        profiles: [{ id: DEFAULT_PROFILE_ID, name: "Default", createdAt: new Date().toISOString() }]
+      };
+      writeProfileRegistry(reg);
+    }
+    if (!reg.profiles.some(p => p.id === reg.active)) reg.active = reg.profiles[0].id;
+    storage = createProfileAdapter(backend, reg.active);
+  }
+
+  function setStorageAdapter(adapter) {
+    backend = adapter;
+    return backend.load().then(() => {
+      ensureProfiles();
+      applySettings(loadSettings());
+    });
+  }
+
+  // The active profile's view; extensions store their keys through it too
+  function getStorageAdapter() {
+    return storage;
+  }
+
+  // Falls back to localStorage if the preferred backend can't open
+  // (e.g. IndexedDB blocked in private browsing).
+  function initStorage() {
+    return backend.load().catch(err => {
+      console.warn(`Storage backend "${backend.name}" failed, falling back to localStorage`, err);
+      backend = createLocalStorageAdapter();
+      return backend.load();
+    }).then(ensureProfiles);
+  }
+
+  const getProfiles = () => (readProfileRegistry() || { profiles: [] }).profiles.map(p => ({ ...p }));
+
+  function getActiveProfile() {
+    const profile = getProfiles().find(p => p.id === storage.profileId);
+    return profile || { id: storage.profileId, name: "Default", createdAt: null };
+  }
+
+  function cleanProfileName(name) {
+    const clean = String(name || "").trim().slice(0, PROFILE_NAME_MAX);
+    if (!clean) throw new Error(i18n.t("errors.profileName"));
+    return clean;
+  }
+
+  function createProfile(name, id = `p_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`) {
+    const reg = readProfileRegistry();
+    if (reg.profiles.some(p => p.id === id)) throw new Error(i18n.t("errors.profileExists", { id }));
+    const profile = { id, name: cleanProfileName(name), createdAt: new Date().toISOString() };
+    reg.profiles.push(profile);
+    writeProfileRegistry(reg);
+    return { ...profile };
+  }
+
+  function renameProfile(id, name) {
+    const reg = readProfileRegistry();
+    const profile = reg.profiles.find(p => p.id === id);
+    if (!profile) throw new Error(i18n.t("errors.unknownProfile"));
+    profile.name = cleanProfileName(name);
+    writeProfileRegistry(reg);
+    return { ...profile };
+  }
+
+  function duplicateProfile(id, name) {
+    const source = getProfiles().find(p => p.id === id);
+    if (!source) throw new Error(i18n.t("errors.unknownProfile"));
+    const copy = createProfile(name || i18n.t("profiles.copyName", { name: source.name }));
+    const from = createProfileAdapter(backend, source.id);
+    const to = createProfileAdapter(backend, copy.id);
+    from.keys().forEach(k => to.setItem(k, from.getItem(k)));
+    return copy;
+  }
+
+  function deleteProfile(id) {
+    const reg = readProfileRegistry();
+    if (!reg.profiles.some(p => p.id === id)) throw new Error(i18n.t("errors.unknownProfile"));
+    if (reg.profiles.length === 1) throw new Error(i18n.t("errors.lastProfile"));
+    const scoped = createProfileAdapter(backend, id);
+    scoped.keys().forEach(k => scoped.removeItem(k));
+    reg.profiles = reg.profiles.filter(p => p.id !== id);
+    if (reg.active === id) reg.active = reg.profiles[0].id;
+    writeProfileRegistry(reg);
+    if (storage.profileId === id) switchProfile(reg.active);
+  }
+
+  // Pages keep per-profile state in memory (timers, sync), so the UI reloads
+  // after switching; the API itself only swaps the storage view.
+  function switchProfile(id) {
+    const reg = readProfileRegistry();
+    if (!reg.profiles.some(p => p.id === id)) throw new Error(i18n.t("errors.unknownProfile"));
+    reg.active = id;
+    writeProfileRegistry(reg);
+    storage = createProfileAdapter(backend, id);
+    applySettings(loadSettings());
+    document.dispatchEvent(new CustomEvent("neuroforge:state-changed"));
+    return getActiveProfile();
+  }
+
+  // Runs fn against another profile's data without switching to it
+  function withProfileStorage(id, fn) {
+    const previous = storage;
+    storage = createProfileAdapter(backend, id);
+    applySettings(loadSettings());
+    try {
+      return fn();
+    } finally {
+      storage = previous;
+      applySettings(loadSettings());
+    }
+  }
 
   // ====== SAFE STORAGE HELPERS ======
   function safeGetRaw(key) {
     try {
-      return localStorage.getItem(key);
+      return storage.getItem(key);
     } catch (err) {
-      console.error("localStorage.getItem failed:", key, err);
+      console.error(`${storage.name}.getItem failed:`, key, err);
       return null;
     }
   }
 
   function safeSetRaw(key, value) {
     try {
-      localStorage.setItem(key, value);
+      storage.setItem(key, value);
+      return true;
+    } catch (err) {
+      console.error(`${storage.name}.setItem failed:`, key, err);
+      return false;
+    }
+  }
+
+  function safeRemove(key) {
+    try {
+      storage.removeItem(key);
       return true;
     } catch (err) {
-      console.error("localStorage.setItem failed:", key, err);
+      console.error(`${storage.name}.removeItem failed:`, key, err);
       return false;
     }
   }
@@ -62,7 +385,7 @@ const Neuroforge = (function () {
     try {
       return JSON.parse(raw);
     } catch (err) {
-      console.warn("Corrupt JSON in localStorage key:", key, err);
+      console.warn("Corrupt JSON in storage key:", key, err);
       // attempt to reset the key with fallback to avoid repeated errors
       safeSetJSON(key, fallback);
       return fallback;
@@ -74,553 +397,3641 @@ const Neuroforge = (function () {
   }
 
   // ====== DATE HELPERS (local calendar days) ======
-  function toLocalISODate(date = new Date()) {
-    const y = date.getFullYear();
-    const m = String(date.getMonth() + 1).padStart(2, "0");
-    const d = String(date.getDate()).padStart(2, "0");
-    return `${y}-${m}-${d}`;
-  }
-
-  function parseLocalISODate(iso) {
-    if (!iso || typeof iso !== "string") return null;
-    const parts = iso.split("-");
-    if (parts.length !== 3) return null;
-    const [y, m, d] = parts.map(Number);
-    if (!Number.isFinite(y) || !Number.isFinite(m) || !Number.isFinite(d)) return null;
-    return new Date(y, m - 1, d); // local midnight
-  }
-
-  function diffInDaysLocal(aISO, bISO) {
-    const a = parseLocalISODate(aISO);
-    const b = parseLocalISODate(bISO);
-    if (!a || !b) return NaN;
-    const msPerDay = 24 * 60 * 60 * 1000;
-    // Use round to avoid DST / minor ms diffs
-    return Math.round((b - a) / msPerDay);
-  }
+  const { parseLocalISODate, isValidISODate, diffInDaysLocal, daysBetween } = Core;
+  const toLocalISODate = (date = engine.now()) => Core.toLocalISODate(date);
 
   // ====== STORAGE WRAPPERS (public-like APIs) ======
   const getHistory = () => safeGetJSON(KEYS.HISTORY, []);
   const saveHistory = (history) => safeSetJSON(KEYS.HISTORY, history);
 
-  const getAchievements = () => safeGetJSON(KEYS.ACHIEVEMENTS, []);
-  const saveAchievements = (a) => safeSetJSON(KEYS.ACHIEVEMENTS, a);
-
-  const getXP = () => {
-    const v = safeGetRaw(KEYS.XP);
-    if (v == null) return CONFIG.DEFAULT_XP;
-    const n = Number(v);
-    return Number.isFinite(n) ? n : CONFIG.DEFAULT_XP;
+  // XP, streak, last-active day, achievements and the XP log are projections
+  // of the event log and are read through the engine (see ENGINE below).
+
+  // ====== SETTINGS ======
+  // One persisted store for everything a team may tune. applySettings() copies
+  // it into CONFIG, RANK_THRESHOLDS, LEVEL_CURVE and LORE_TITLES, which are the
+  // only places scoring code reads these values from.
+  // Mutable copies of the core defaults, shared with the engine
+  const LEVEL_CURVE = { ...Core.DEFAULT_LEVEL_CURVE };
+  const LORE_TITLES = Core.DEFAULT_LORE_TITLES.map(t => ({ ...t }));
+
+  // Labels are catalog keys (settings.fields.<key>)
+  const SETTING_FIELDS = {
+    toastDisplayMs: { label: "toastDisplayMs", min: 1000, max: 15000 },
+    inactivityPenaltyPerDay: { label: "inactivityPenaltyPerDay", min: 0, max: 500 },
+    onboardingBaseXP: { label: "onboardingBaseXP", min: 0, max: 1000 }
   };
-  const setXP = (v) => safeSetRaw(KEYS.XP, String(Math.max(0, Math.floor(v))));
-
-  const getStreak = () => {
-    const v = safeGetRaw(KEYS.STREAK);
-    if (v == null) return CONFIG.DEFAULT_STREAK;
-    const n = Number(v);
-    return Number.isFinite(n) ? n : CONFIG.DEFAULT_STREAK;
+  const LEVEL_CURVE_FIELDS = {
+    base: { label: "base", min: 10, max: 10000 },
+    exponent: { label: "exponent", min: 1, max: 3, decimal: true },
+    perLevel: { label: "perLevel", min: 0, max: 1000 }
   };
-  const setStreak = (v) => safeSetRaw(KEYS.STREAK, String(Math.max(0, Math.floor(v))));
+  const SETTINGS_TEXT_MAX = 40;
+  const RANK_ID_PATTERN = /^[a-z0-9_-]+$/;
 
-  const getLastActive = () => safeGetRaw(KEYS.LAST_ACTIVE);
-  const setLastActive = (d) => safeSetRaw(KEYS.LAST_ACTIVE, d);
+  const cloneSettings = (s) => JSON.parse(JSON.stringify(s));
 
-  const getLastIndex = () => {
-    const v = safeGetRaw(KEYS.LAST_INDEX);
-    if (v == null) return null;
-    const n = Number(v);
-    return Number.isFinite(n) ? n : null;
-  };
-  const setLastIndex = (v) => safeSetRaw(KEYS.LAST_INDEX, String(v));
+  const DEFAULT_SETTINGS = cloneSettings({
+    toastDisplayMs: CONFIG.TOAST_DISPLAY_MS,
+    inactivityPenaltyPerDay: CONFIG.INACTIVITY_PENALTY_PER_DAY,
+    onboardingBaseXP: CONFIG.ONBOARDING_BASE_XP,
+    levelCurve: LEVEL_CURVE,
+    ranks: RANK_THRESHOLDS,
+    loreTitles: LORE_TITLES
+  });
+
+  let currentSettings = cloneSettings(DEFAULT_SETTINGS);
+
+  const settingsError = (key, params) => i18n.t(`settings.errors.${key}`, params);
+
+  function checkNumber(errors, value, field) {
+    const ok = typeof value === "number" && Number.isFinite(value) &&
+      (field.decimal || Number.isInteger(value)) && value >= field.min && value <= field.max;
+    const label = i18n.t(`settings.fields.${field.label}`);
+    if (!ok) errors.push(settingsError(field.decimal ? "number" : "wholeNumber", { label, min: field.min, max: field.max }));
+  }
+
+  function checkText(errors, value, label) {
+    if (typeof value !== "string" || !value.trim()) errors.push(settingsError("required", { label }));
+    else if (value.length > SETTINGS_TEXT_MAX) errors.push(settingsError("tooLong", { label, max: SETTINGS_TEXT_MAX }));
+  }
+
+  // Returns a list of problems; empty means the settings can be saved.
+  // Rank bands must cover 0..MAX_SCORE in order, without gaps or overlaps.
+  function validateSettings(s) {
+    if (!s || typeof s !== "object") return [settingsError("settingsObject")];
+    const errors = [];
+    Object.entries(SETTING_FIELDS).forEach(([key, field]) => checkNumber(errors, s[key], field));
+    const curve = s.levelCurve && typeof s.levelCurve === "object" ? s.levelCurve : {};
+    Object.entries(LEVEL_CURVE_FIELDS).forEach(([key, field]) => checkNumber(errors, curve[key], field));
+
+    const ranks = Array.isArray(s.ranks) ? s.ranks : [];
+    if (!ranks.length) errors.push(settingsError("rankRequired"));
+    const names = new Set();
+    const ids = new Set();
+    ranks.forEach((r, i) => {
+      const label = settingsError("band", { n: i + 1 });
+      if (!r || typeof r !== "object") {
+        errors.push(settingsError("notObject", { label }));
+        return;
+      }
+      if (typeof r.id !== "string" || !RANK_ID_PATTERN.test(r.id)) errors.push(settingsError("bandId", { label }));
+      else if (ids.has(r.id)) errors.push(settingsError("repeatsId", { label, id: r.id }));
+      ids.add(r.id);
+      checkText(errors, r.name, settingsError("bandName", { n: i + 1 }));
+      checkText(errors, r.mindType, settingsError("bandMindType", { n: i + 1 }));
+      const key = String(r.name || "").trim().toLowerCase();
+      if (key && names.has(key)) errors.push(settingsError("repeatsName", { label, name: r.name }));
+      names.add(key);
+
+      if (!Number.isInteger(r.min) || !Number.isInteger(r.max) || r.min > r.max) {
+        errors.push(settingsError("bandRange", { label }));
+        return;
+      }
+      const prev = ranks[i - 1];
+      if (i === 0 && r.min !== 0) errors.push(settingsError("bandStart", { label }));
+      if (i > 0 && prev && Number.isInteger(prev.max)) {
+        if (r.min <= prev.max) errors.push(settingsError("overlap", { label }));
+        else if (r.min > prev.max + 1) errors.push(settingsError("gap", { from: prev.max + 1, to: r.min - 1 }));
+      }
+      if (i === ranks.length - 1 && r.max !== CONFIG.MAX_SCORE) errors.push(settingsError("bandEnd", { label, max: CONFIG.MAX_SCORE }));
+    });
+
+    const titles = Array.isArray(s.loreTitles) ? s.loreTitles : [];
+    if (!titles.length) errors.push(settingsError("loreRequired"));
+    titles.forEach((t, i) => {
+      const label = settingsError("lore", { n: i + 1 });
+      if (!t || typeof t !== "object") {
+        errors.push(settingsError("notObject", { label }));
+        return;
+      }
+      checkText(errors, t.title, label);
+      if (!Number.isInteger(t.minLevel) || t.minLevel < 1) errors.push(settingsError("loreLevel", { label }));
+      else if (i === 0 && t.minLevel !== 1) errors.push(settingsError("loreStart", { label }));
+      else if (i > 0 && titles[i - 1] && !(t.minLevel > titles[i - 1].minLevel)) errors.push(settingsError("loreOrder", { label }));
+    });
+    return errors;
+  }
+
+  // Bands saved before ids existed: default names keep their default id,
+  // anything else gets one derived from its name.
+  function bandIdFor(band, taken, index) {
+    if (typeof band.id === "string" && band.id) return band.id;
+    const name = String(band.name || "").trim();
+    const known = Core.DEFAULT_RANK_THRESHOLDS.find(r => r.name.toLowerCase() === name.toLowerCase());
+    const base = known ? known.id : name.toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, "") || `band_${index + 1}`;
+    let id = base;
+    for (let n = 2; taken.has(id); n++) id = `${base}_${n}`;
+    return id;
+  }
 
-  // ====== XP & LEVEL LOGIC (single source) ======
-  function xpForLevel(level) {
-    return Math.floor(100 * Math.pow(level, 1.4) + level * 50);
+  // Keeps only known fields, so stored and imported settings have one shape
+  function normalizeSettings(raw) {
+    const src = Object.assign(cloneSettings(DEFAULT_SETTINGS), raw);
+    const takenIds = new Set();
+    return {
+      toastDisplayMs: src.toastDisplayMs,
+      inactivityPenaltyPerDay: src.inactivityPenaltyPerDay,
+      onboardingBaseXP: src.onboardingBaseXP,
+      levelCurve: Object.assign({}, DEFAULT_SETTINGS.levelCurve, src.levelCurve),
+      ranks: (Array.isArray(src.ranks) ? src.ranks : []).map((r, i) => {
+        if (!r || typeof r !== "object") return r;
+        const id = bandIdFor(r, takenIds, i);
+        takenIds.add(id);
+        return { id, name: typeof r.name === "string" ? r.name.trim() : r.name, mindType: typeof r.mindType === "string" ? r.mindType.trim() : r.mindType, min: r.min, max: r.max };
+      }),
+      loreTitles: (Array.isArray(src.loreTitles) ? src.loreTitles : []).map(t => (t && typeof t === "object"
+        ? { minLevel: t.minLevel, title: typeof t.title === "string" ? t.title.trim() : t.title }
+        : t))
+    };
   }
 
-  function computeLevelFromXP(totalXP) {
-    let remaining = Math.max(0, Math.floor(totalXP));
-    let level = 1;
-    while (remaining >= xpForLevel(level)) {
-      remaining -= xpForLevel(level);
-      level++;
+  function loadSettings() {
+    const stored = safeGetJSON(KEYS.SETTINGS, null);
+    if (!stored) {
+      // Before the settings store, the penalty was part of the streak policy
+      const legacy = (safeGetJSON(KEYS.STREAK_POLICY, {}) || {}).decay || {};
+      const defaults = cloneSettings(DEFAULT_SETTINGS);
+      if (Number.isInteger(Number(legacy.perDay)) && Number(legacy.perDay) >= 0) {
+        defaults.inactivityPenaltyPerDay = Math.min(SETTING_FIELDS.inactivityPenaltyPerDay.max, Number(legacy.perDay));
+      }
+      return defaults;
+    }
+    const settings = normalizeSettings(stored);
+    const errors = validateSettings(settings);
+    if (errors.length) {
+      console.warn("Stored settings are invalid, using defaults:", errors);
+      return cloneSettings(DEFAULT_SETTINGS);
     }
-    return { level, current: remaining, required: xpForLevel(level) };
+    return settings;
+  }
+
+  function applySettings(s) {
+    currentSettings = cloneSettings(s);
+    CONFIG.TOAST_DISPLAY_MS = s.toastDisplayMs;
+    CONFIG.INACTIVITY_PENALTY_PER_DAY = s.inactivityPenaltyPerDay;
+    CONFIG.ONBOARDING_BASE_XP = s.onboardingBaseXP;
+    Object.assign(LEVEL_CURVE, s.levelCurve);
+    RANK_THRESHOLDS.splice(0, RANK_THRESHOLDS.length, ...cloneSettings(s.ranks));
+    LORE_TITLES.splice(0, LORE_TITLES.length, ...cloneSettings(s.loreTitles));
   }
 
-  function getLevel() {
-    return computeLevelFromXP(getXP()).level;
+  const getSettings = () => cloneSettings(currentSettings);
+  const getDefaultSettings = () => cloneSettings(DEFAULT_SETTINGS);
+
+  // Accepts a partial patch; throws with every problem if the result is invalid
+  function saveSettings(patch) {
+    const next = normalizeSettings(Object.assign(getSettings(), patch));
+    const errors = validateSettings(next);
+    if (errors.length) throw new Error(errors.join("; "));
+    safeSetJSON(KEYS.SETTINGS, next);
+    applySettings(next);
+    document.dispatchEvent(new CustomEvent("neuroforge:state-changed"));
+    return getSettings();
   }
 
-  function getXPIntoLevel() {
-    return computeLevelFromXP(getXP());
+  function resetSettings() {
+    safeRemove(KEYS.SETTINGS);
+    applySettings(cloneSettings(DEFAULT_SETTINGS));
+    document.dispatchEvent(new CustomEvent("neuroforge:state-changed"));
+    return getSettings();
   }
 
+  // ====== ENGINE (headless core bound to this page) ======
+  // The engine reads and writes through the safe storage helpers, so profile
+  // switches and adapter changes reach it too. It shares CONFIG, LEVEL_CURVE,
+  // RANK_THRESHOLDS and LORE_TITLES by reference, so applySettings() does too.
+  const engine = Core.createEngine({
+    storage: { getItem: safeGetRaw, setItem: safeSetRaw, removeItem: safeRemove },
+    config: CONFIG,
+    levelCurve: LEVEL_CURVE,
+    ranks: RANK_THRESHOLDS,
+    loreTitles: LORE_TITLES
+  });
+
+  const {
+    getXP, setXP, getStreak, setStreak, getLastActive, setLastActive,
+    getAchievements, saveAchievements, getAchievementMeta, saveAchievementMeta, getXPLog,
+    getEvents, createEvent, appendEvent, deriveState, writeProjection, setStateSnapshot,
+    rebuildState, getXPLedger, getStreakLog, ensureEventLog,
+    getStreakPolicy, setStreakPolicy, grantXP, applyDailyXPDecay, updateStreak, getStreakFreezes,
+    computeLevelFromXP, getLevel, getXPIntoLevel, analysisXP,
+    findRankThreshold, getNextRank, getNextRankName, progressToNextRankPercent, getLoreTitle,
+    processAchievementEvent, unlockAchievement, revokeStaleAchievements, getAchievementProgress
+  } = engine;
+
   // ====== RANK & LORE HELPERS ======
+  // Analyses store the band id; older ones stored the English name and mind
+  // type. Both map back to a band for display.
   function calculateMindType(total) {
-    if (total >= 17) return "Focused Architect";
-    if (total >= 13) return "Strategic Builder";
-    if (total >= 10) return "Growing Explorer";
-    return "Unstable Dreamer";
+    return findRankThreshold(total).id;
   }
 
   function calculateRank(total) {
-    if (total >= 17) return "Architect";
-    if (total >= 13) return "Builder";
-    if (total >= 10) return "Explorer";
-    return "Dreamer";
+    return findRankThreshold(total).id;
   }
 
-  function getNextRankName(rank) {
-    if (rank === "Dreamer") return "Explorer";
-    if (rank === "Explorer") return "Builder";
-    if (rank === "Builder") return "Architect";
-    return "Architect";
+  function findBand(value) {
+    return RANK_THRESHOLDS.find(r => r.id === value || r.name === value || r.mindType === value) ||
+      Core.DEFAULT_RANK_THRESHOLDS.find(r => r.id === value || r.name === value || r.mindType === value) || null;
   }
 
-  function progressToNextRankPercent(total) {
-    // Find current threshold
-    const currentThreshold = RANK_THRESHOLDS.find(r => total >= r.min && total <= r.max) || RANK_THRESHOLDS[0];
-    const idx = RANK_THRESHOLDS.indexOf(currentThreshold);
-    const nextIdx = Math.min(idx + 1, RANK_THRESHOLDS.length - 1);
-    const next = RANK_THRESHOLDS[nextIdx];
-    if (currentThreshold === next) return 100;
-    const span = currentThreshold.max - currentThreshold.min;
-    const progress = span === 0 ? 1 : (total - currentThreshold.min) / span;
-    return Math.max(0, Math.min(100, Math.round(progress * 100)));
+  // A band renamed in settings shows its own text; built-in bands follow the catalog
+  function bandText(value, field) {
+    if (value == null || value === "") return "—";
+    const band = findBand(value);
+    if (!band) return String(value);
+    const current = RANK_THRESHOLDS.find(r => r.id === band.id);
+    const builtIn = Core.DEFAULT_RANK_THRESHOLDS.find(r => r.id === band.id);
+    if (current && (!builtIn || current[field] !== builtIn[field])) return current[field];
+    if (!builtIn) return band[field];
+    return i18n.t(`ranks.${builtIn.id}.${field}`, { default: builtIn[field] });
   }
 
-  function getLoreTitle(level) {
-    if (level >= 100) return "🌌 Transcendent Entity";
-    if (level >= 50) return "👑 Neural Overlord";
-    if (level >= 20) return "🏛️ Architect of Will";
-    if (level >= 10) return "🏹 Thought Warrior";
-    if (level >= 5) return "⚔️ Mind Trainee";
-    return "🧠 Wandering Mind";
+  const rankLabel = (value) => bandText(value, "name");
+  const mindTypeLabel = (value) => bandText(value, "mindType");
+
+  // Entries saved before band ids: names become ids, names no band has
+  // any more are matched by score. `bands` defaults to the current ones.
+  function rankIdFromLegacy(value, field, total, bands = RANK_THRESHOLDS) {
+    const known = bands.concat(Core.DEFAULT_RANK_THRESHOLDS);
+    if (known.some(r => r.id === value)) return value;
+    const band = known.find(r => r[field] === value);
+    if (band) return band.id;
+    const score = Number(total) || 0;
+    return (bands.find(r => score >= r.min && score <= r.max) || findRankThreshold(score)).id;
   }
 
-  // ====== ACHIEVEMENTS ======
-  const ALL_ACHIEVEMENTS = [
-    { id: "first_analysis", title: "🧠 First Awakening", check: (s) => s.historyCount >= 1 },
-    { id: "three_day_streak", title: "🔥 3 Day Streak", check: (s) => s.streak >= 3 },
-    { id: "seven_day_streak", title: "🔥 7 Day Streak", check: (s) => s.streak >= 7 },
-    { id: "thirty_day_streak", title: "👑 Consistency Master", check: (s) => s.streak >= 30 },
-    { id: "five_sessions", title: "📊 5 Analyses", check: (s) => s.historyCount >= 5 },
-    { id: "level_5", title: "🧬 Level 5", check: (s) => s.level >= 5 },
-    { id: "level_10", title: "🧬 Level 10", check: (s) => s.level >= 10 },
-    { id: "builder_rank", title: "🏗️ Builder Rank", check: (s) => ["Builder","Architect"].includes(s.rank) },
-    { id: "architect_rank", title: "🏛️ Architect Rank", check: (s) => s.rank === "Architect" },
-    // time-based achieved handled separately but define here for list
-    { id: "night_owl", title: "🌙 Night Owl" },
-    { id: "early_bird", title: "🌞 Early Bird" }
-  ];
+  // Returns true if any entry changed
+  function ensureHistoryRankIds(history, bands = RANK_THRESHOLDS) {
+    let changed = false;
+    history.forEach(entry => {
+      if (!entry || typeof entry !== "object") return;
+      ["rank", "mindType"].forEach(key => {
+        if (entry[key] == null) return;
+        const id = rankIdFromLegacy(entry[key], key === "rank" ? "name" : "mindType", entry.total, bands);
+        if (id !== entry[key]) {
+          entry[key] = id;
+          changed = true;
+        }
+      });
+    });
+    return changed;
+  }
 
-  function unlockAchievement(id) {
-    const unlocked = getAchievements();
-    if (unlocked.includes(id)) return false;
-    unlocked.push(id);
-    saveAchievements(unlocked);
-    const a = ALL_ACHIEVEMENTS.find(x => x.id === id);
-    showToast(`🏅 Achievement Unlocked: ${a ? a.title : id}`);
-    // emit event
-    document.dispatchEvent(new CustomEvent("neuroforge:achievement-unlocked", { detail: { id } }));
-    return true;
+  // Built-in lore titles are translated; custom ones are shown as written
+  function loreLabel(level) {
+    const title = getLoreTitle(level);
+    const builtIn = Core.DEFAULT_LORE_TITLES.find(t => t.title === title);
+    return builtIn ? i18n.t(`lore.${builtIn.minLevel}`, { default: title }) : title;
+  }
+
+  function achievementTitle(id, fallback) {
+    return i18n.t(`achievements.titles.${id}`, { default: fallback || id });
+  }
+
+  const dimensionLabel = (id) => i18n.t(`questionnaire.dimensions.${id}`, { default: id });
+
+  // ====== PLAN ENGINE (analysis + 7-day plan) ======
+  const DIMENSIONS = QUESTIONNAIRE.dimensions;
+
+  // Score bands per dimension (1-5 scale): low <= 2, mid = 3, high >= 4
+  function dimensionBand(score) {
+    if (score >= 4) return "high";
+    if (score >= 3) return "mid";
+    return "low";
+  }
+
+  // Analysis texts live in the catalog (analysis.<dimension>.<band>); the task
+  // library too (plan.tasks.<dimension>.<band>.<n>), with this many tasks per
+  // band so a plan that revisits a dimension never repeats the same task.
+  const PLAN_TASKS_PER_BAND = 3;
+
+  function getEntryScores(entry) {
+    return DIMENSIONS.map((d, i) => ({
+      id: d.id,
+      label: dimensionLabel(d.id),
+      icon: d.icon,
+      score: Number(entry && entry[d.id]) || 0,
+      order: i
+    }));
+  }
+
+  // Ascending by score; ties keep DIMENSIONS order so results are deterministic
+  function rankDimensions(entry) {
+    return getEntryScores(entry).sort((a, b) => (a.score - b.score) || (a.order - b.order));
+  }
+
+  // Built from the scores each time, so it reads in the current language
+  function getEntryAnalysis(entry) {
+    const ranked = rankDimensions(entry);
+    const weakest = ranked[0];
+    const strongest = ranked[ranked.length - 1];
+
+    const lines = getEntryScores(entry).map(d => i18n.t("analysis.line", {
+      icon: d.icon, label: d.label, score: d.score, max: QUESTIONNAIRE.scale.max,
+      text: i18n.t(`analysis.${d.id}.${dimensionBand(d.score)}`)
+    }));
+
+    if (weakest.score === strongest.score) {
+      lines.push(i18n.t("analysis.balanced"));
+    } else {
+      lines.push(i18n.t("analysis.strongest", { strongest: strongest.label, weakest: weakest.label }));
+      lines.push(i18n.t("analysis.bottleneck", { weakest: weakest.label }));
+    }
+    return lines;
   }
 
-  function checkAchievements(state) {
-    ALL_ACHIEVEMENTS.forEach(a => {
-      if (a.check && a.check(state)) unlockAchievement(a.id);
+  // Plan items store a task key ({ day, dimension, taskKey, taskParams? });
+  // plans saved before that carry the English text in `task`.
+  function buildPlan(entry) {
+    const ranked = rankDimensions(entry);
+    const [weakest, second, third] = ranked;
+    const strongest = ranked[ranked.length - 1];
+    // Weakest dimension gets the most practice; day 7 is a review
+    const schedule = [weakest, second, weakest, third, weakest, second];
+    const used = {};
+
+    const plan = schedule.map((d, i) => {
+      const n = used[d.id] || 0;
+      used[d.id] = n + 1;
+      return { day: i + 1, dimension: d.id, taskKey: `${d.id}.${dimensionBand(d.score)}.${n % PLAN_TASKS_PER_BAND}` };
+    });
+
+    plan.push({
+      day: 7,
+      dimension: strongest.id,
+      taskKey: "review",
+      taskParams: { weakest: weakest.id, strongest: strongest.id }
     });
+    return plan;
+  }
+
+  function formatPlanTask(item) {
+    if (!item) return "";
+    if (!item.taskKey) return String(item.task || "");
+    const params = {};
+    Object.entries(item.taskParams || {}).forEach(([k, v]) => { params[k] = dimensionLabel(v); });
+    return i18n.t(`plan.tasks.${item.taskKey}`, { ...params, default: item.task || item.taskKey });
+  }
+
+  function generateReport(entry) {
+    const ranked = rankDimensions(entry);
+    return {
+      weakest: ranked[0].id,
+      strongest: ranked[ranked.length - 1].id,
+      analysis: getEntryAnalysis(entry),
+      plan: buildPlan(entry)
+    };
+  }
+
+  // Older entries were saved without a plan: generate it once and persist,
+  // so reopening the same entry always shows the same plan. The analysis is
+  // not stored; getEntryAnalysis() rebuilds it in the current language.
+  function ensureEntryReport(history, index) {
+    const entry = history[index];
+    if (!entry || Array.isArray(entry.plan)) return entry;
+    const { weakest, strongest, plan } = generateReport(entry);
+    Object.assign(entry, { weakest, strongest, plan });
+    saveHistory(history);
+    return entry;
+  }
+
+  // Index of a report: an explicit index, else the latest
+  function resolveEntryIndex(history, index) {
+    const i = (Number.isFinite(index) && index !== null) ? index : history.length - 1;
+    return Math.max(0, Math.min(history.length - 1, i));
+  }
+
+  function getEntryReport(index) {
+    const history = getHistory();
+    if (!history.length) return null;
+    return ensureEntryReport(history, resolveEntryIndex(history, index));
   }
 
-  // ====== TIME ACHIEVEMENTS ======
-  function checkTimeAchievements() {
-    const hour = new Date().getHours();
-    // Night Owl: 00:00 - 04:59 local time
-    if (hour >= 0 && hour <= 4) unlockAchievement("night_owl");
-    // Early Bird: 05:00 - 08:59 local time
-    if (hour >= 5 && hour <= 8) unlockAchievement("early_bird");
+  // ====== PLAN TASK TRACKING ======
+  const { planProgress } = Core;
+
+  // Completed tasks stay completed, so XP can't be farmed by re-ticking
+  function completePlanTask(entryIndex, day) {
+    const history = getHistory();
+    const entry = history[entryIndex];
+    if (!entry || !Array.isArray(entry.plan)) return false;
+    const task = entry.plan.find(t => t.day === day);
+    if (!task || task.done) return false;
+
+    task.done = true;
+    task.completedAt = engine.now().toISOString();
+    entry.updatedAt = task.completedAt;
+    saveHistory(history);
+    appendEvent("plan-task-completed", { entryId: entry.id, day });
+
+    updateStreak("plan-task");
+    grantXP(CONFIG.PLAN_TASK_XP, `Plan task (day ${day})`, { entryId: entry.id, reasonKey: "planTask", reasonParams: { day } });
+
+    const progress = planProgress(entry);
+    if (progress.done === progress.total) {
+      showToast(i18n.t("toast.planCompleted"));
+      grantXP(CONFIG.PLAN_COMPLETION_BONUS_XP, "7-day plan completed", { entryId: entry.id, reasonKey: "planCompleted" });
+    }
+
+    processAchievementEvent({ type: "plan-task-completed", at: task.completedAt });
+    return true;
   }
 
+  // ====== ACHIEVEMENTS ======
+  // Definitions and the unlock pipeline live in core/achievements.js and
+  // core/engine.js; the page only announces unlocks (see ENGINE NOTICES).
+  const { ALL_ACHIEVEMENTS } = Core;
+
   // ====== TOAST QUEUE (accessible) ======
+  // One toast at a time. Its timer pauses while the pointer or keyboard focus
+  // is on it and resumes with the time that was left; the close button or
+  // Escape dismisses it, and with auto-dismiss turned off (prefs.js) it stays
+  // until then.
   let toastQueue = [];
-  let toastActive = false;
+  let activeToast = null;
 
   function showToast(message) {
+    recordToast(message);
     toastQueue.push(message);
-    if (!toastActive) processToast();
+    if (!activeToast) processToast();
   }
 
   function processToast() {
-    if (!toastQueue.length) { toastActive = false; return; }
-    toastActive = true;
+    if (!toastQueue.length) { activeToast = null; return; }
     const message = toastQueue.shift();
     const toast = document.createElement("div");
     toast.className = "toast";
     toast.setAttribute("role", "status");
     toast.setAttribute("aria-live", "polite");
-    toast.textContent = message;
+    const text = document.createElement("span");
+    text.className = "toast-message";
+    text.textContent = message;
+    const close = document.createElement("button");
+    close.type = "button";
+    close.className = "toast-close";
+    close.setAttribute("aria-label", i18n.t("toasts.dismiss"));
+    close.textContent = "×";
+    toast.append(text, close);
     document.body.appendChild(toast);
 
-    // Force layout then add visible for CSS transitions
-    requestAnimationFrame(() => toast.classList.add("visible"));
+    const autoDismiss = NeuroforgePrefs.get().toastAutoDismiss;
+    let remaining = CONFIG.TOAST_DISPLAY_MS;
+    let startedAt = 0;
+    let timer = null;
+    let hovered = false;
+    let focused = false;
+    let closed = false;
+
+    function pause() {
+      if (!timer) return;
+      clearTimeout(timer);
+      timer = null;
+      remaining -= Date.now() - startedAt;
+    }
+
+    function resume() {
+      if (closed || timer || !autoDismiss || hovered || focused) return;
+      startedAt = Date.now();
+      timer = setTimeout(dismiss, Math.max(0, remaining));
+    }
 
-    setTimeout(() => {
+    function dismiss() {
+      if (closed) return;
+      closed = true;
+      clearTimeout(timer);
+      // Focus on the close button must not fall back to <body>
+      if (toast.contains(document.activeElement)) document.getElementById("app").focus({ preventScroll: true });
       toast.classList.remove("visible");
       setTimeout(() => {
         toast.remove();
         processToast();
-      }, CONFIG.TOAST_TRANSITION_MS);
-    }, CONFIG.TOAST_DISPLAY_MS);
-  }
+      }, NeuroforgePrefs.reducedMotion() ? 0 : CONFIG.TOAST_TRANSITION_MS);
+    }
 
-  // ====== XP / STREAK HANDLERS ======
-  function grantXP(amount) {
-    setXP(getXP() + Number(amount || 0));
-    showToast(`✨ +${amount} XP gained`);
-    document.dispatchEvent(new CustomEvent("neuroforge:state-changed"));
-  }
+    close.addEventListener("click", dismiss);
+    toast.addEventListener("mouseenter", () => { hovered = true; pause(); });
+    toast.addEventListener("mouseleave", () => { hovered = false; resume(); });
+    toast.addEventListener("focusin", () => { focused = true; pause(); });
+    toast.addEventListener("focusout", (e) => {
+      if (toast.contains(e.relatedTarget)) return;
+      focused = false;
+      resume();
+    });
+    activeToast = { dismiss };
 
-  function applyDailyXPDecay() {
-    const last = getLastActive();
-    const today = toLocalISODate();
-    if (!last) return;
-    const diffDays = diffInDaysLocal(last, today);
-    if (!Number.isFinite(diffDays)) return;
-    if (diffDays >= 1) {
-      const loss = diffDays * CONFIG.INACTIVITY_PENALTY_PER_DAY;
-      setXP(Math.max(0, getXP() - loss));
-      showToast(`⚠️ Inactivity penalty: -${loss} XP`);
-    }
+    // Force layout then add visible for CSS transitions
+    requestAnimationFrame(() => toast.classList.add("visible"));
+    resume();
   }
 
-  function updateStreak() {
-    const today = toLocalISODate();
-    const last = getLastActive();
-    if (!last) {
-      setStreak(1);
-    } else {
-      const diffDays = diffInDaysLocal(last, today);
-      if (!Number.isFinite(diffDays)) {
-        setStreak(1);
-      } else if (diffDays === 1) {
-        setStreak(getStreak() + 1);
-        showToast(`🔥 Streak: ${getStreak()} days`);
-      } else if (diffDays > 1) {
-        setStreak(1);
-        applyDailyXPDecay();
-      } // diffDays === 0 => nothing
-    }
-    setLastActive(today);
-    document.dispatchEvent(new CustomEvent("neuroforge:state-changed"));
+  // ====== TOAST HISTORY ======
+  // The session's toasts, newest first, for anyone who missed one. Kept in
+  // memory only, as the text that was shown.
+  const toastHistory = [];
+  let unseenToasts = 0;
+
+  function recordToast(message) {
+    toastHistory.unshift({ message, at: new Date() });
+    toastHistory.length = Math.min(toastHistory.length, CONFIG.TOAST_HISTORY_MAX);
+    if (!isToastHistoryOpen()) unseenToasts++;
+    renderToastHistory();
   }
 
-  // ====== ONBOARDING ======
-  function handleOnboarding() {
-    const form = document.querySelector(".onboarding-form");
-    if (!form) return;
-
-    const button = form.querySelector("button");
-    const selects = form.querySelectorAll("select");
-
-    const check = () => {
-      if (!button) return;
-      button.disabled = [...selects].some(s => !s.value);
-    };
-    selects.forEach(s => s.addEventListener("change", check));
-    // run once on load to set initial state
-    check();
-
-    form.addEventListener("submit", (e) => {
-      e.preventDefault();
-
-      const focus = Number(form.focus.value) || 0;
-      const discipline = Number(form.discipline.value) || 0;
-      const execution = Number(form.execution.value) || 0;
-      const consistency = Number(form.consistency.value) || 0;
-
-      const total = focus + discipline + execution + consistency;
+  function isToastHistoryOpen() {
+    const panel = document.getElementById("toastHistory");
+    return !!panel && !panel.hidden;
+  }
 
-      const result = {
-        date: toLocalISODate(),
-        focus, discipline, execution, consistency,
-        total,
-        mindType: calculateMindType(total),
-        rank: calculateRank(total)
-      };
+  function renderToastHistory() {
+    const list = document.getElementById("toastHistoryList");
+    if (!list) return;
+    list.innerHTML = "";
+    toastHistory.forEach(item => {
+      const li = document.createElement("li");
+      const time = document.createElement("time");
+      time.dateTime = item.at.toISOString();
+      time.textContent = i18n.formatTime(item.at);
+      li.append(time, document.createTextNode(item.message));
+      list.appendChild(li);
+    });
+    document.getElementById("toastHistoryEmpty").hidden = toastHistory.length > 0;
+    document.getElementById("toastHistoryClear").hidden = !toastHistory.length;
 
-      const history = getHistory();
-      history.push(result);
-      saveHistory(history);
-      setLastIndex(history.length - 1);
-
-      updateStreak();
-      const streakBonus = getStreak() * 10;
-      const xpGain = CONFIG.ONBOARDING_BASE_XP + total * 5 + streakBonus;
-      grantXP(xpGain);
-
-      const state = {
-        historyCount: history.length,
-        streak: getStreak(),
-        xp: getXP(),
-        level: getLevel(),
-        rank: result.rank
-      };
+    const count = document.getElementById("toastHistoryCount");
+    count.hidden = !unseenToasts;
+    count.textContent = unseenToasts ? i18n.t("toasts.unseen", { count: unseenToasts }) : "";
+  }
 
-      checkAchievements(state);
-      checkTimeAchievements();
+  function setToastHistoryOpen(open, { returnFocus = false } = {}) {
+    const panel = document.getElementById("toastHistory");
+    const toggle = document.getElementById("toastHistoryToggle");
+    if (!panel || !toggle) return;
+    panel.hidden = !open;
+    toggle.setAttribute("aria-expanded", String(open));
+    if (open) {
+      unseenToasts = 0;
+      renderToastHistory();
+      panel.setAttribute("tabindex", "-1");
+      panel.focus();
+    } else if (returnFocus) {
+      toggle.focus();
+    }
+  }
 
-      if (button) {
-        button.textContent = "✅ Neural Data Saved";
-        button.disabled = true;
+  function wireToastHistory() {
+    const toggle = document.getElementById("toastHistoryToggle");
+    if (!toggle) return;
+    toggle.addEventListener("click", () => setToastHistoryOpen(!isToastHistoryOpen()));
+    document.getElementById("toastHistoryClear").addEventListener("click", () => {
+      toastHistory.length = 0;
+      renderToastHistory();
+      toggle.focus();
+    });
+    // Escape closes the panel first, then dismisses the current toast
+    document.addEventListener("keydown", (e) => {
+      if (e.key !== "Escape" || e.defaultPrevented) return;
+      if (isToastHistoryOpen()) {
+        setToastHistoryOpen(false, { returnFocus: true });
+        e.preventDefault();
+      } else if (activeToast) {
+        activeToast.dismiss();
+        e.preventDefault();
       }
-
-      // small delay then navigate to result page (if exists)
-      setTimeout(() => window.location.href = "result.html", 500);
     });
+    document.addEventListener("neuroforge:locale-changed", renderToastHistory);
+    renderToastHistory();
   }
 
-  // ====== RESULT ======
-  function loadResult() {
-    if (!document.querySelector("#result-title")) return;
-
-    const history = getHistory();
-    if (!history.length) return;
+  // ====== PROGRESS BARS ======
+  // Every bar is a .progress-bar around one .progress-fill. setProgress keeps
+  // the fill width and the bar's ARIA state in step; el is the bar or its fill.
+  function setProgress(el, percent, valueText) {
+    if (!el) return;
+    const isFill = el.classList.contains("progress-fill");
+    const bar = isFill ? el.closest(".progress-bar") || el.parentElement : el;
+    const fill = isFill ? el : bar.querySelector(".progress-fill");
+    const value = Math.max(0, Math.min(100, Math.round(Number(percent) || 0)));
+    bar.setAttribute("role", "progressbar");
+    bar.setAttribute("aria-valuemin", "0");
+    bar.setAttribute("aria-valuemax", "100");
+    bar.setAttribute("aria-valuenow", String(value));
+    bar.setAttribute("aria-valuetext", valueText || i18n.formatPercent(value));
+    if (fill) fill.style.width = `${value}%`;
+  }
 
-    const index = getLastIndex();
-    const i = (Number.isFinite(index) && index !== null) ? index : history.length - 1;
-    const r = history[Math.max(0, Math.min(history.length - 1, i))];
+  function createProgressBar(label, percent, valueText) {
+    const bar = document.createElement("div");
+    bar.className = "progress-bar";
+    if (label) bar.setAttribute("aria-label", label);
+    const fill = document.createElement("div");
+    fill.className = "progress-fill";
+    bar.appendChild(fill);
+    setProgress(bar, percent, valueText);
+    return bar;
+  }
 
-    const big = document.querySelector(".big-result");
-    if (big) big.textContent = r.mindType;
+  // ====== STREAK POLICY ======
+  // Policy, decay curves and the event log live in the core; see
+  // core/streak.js and core/events.js.
+  const { registerDecayCurve } = Core;
 
-    const rankLabel = document.querySelector("#rank-label");
-    if (rankLabel) rankLabel.textContent = "🏆 Rank: " + r.rank;
+  // ====== ENGINE NOTICES ======
+  function formatDay(iso) {
+    return i18n.formatDate(iso, { weekday: "short", month: "short", day: "numeric" });
+  }
 
-    // Rank Progress
-    const rankBar = document.querySelector("#resultProgress");
-    const rankText = document.querySelector("#resultProgressText");
-    if (rankBar && rankText) {
-      const percent = progressToNextRankPercent(r.total);
-      rankBar.style.width = percent + "%";
-      rankBar.setAttribute("aria-valuenow", percent);
-      rankText.textContent = `${percent}% to ${getNextRankName(r.rank)}`;
+  // Explains what the latest streak-activity did
+  function streakToasts(change) {
+    if (!change || change.outcome === "same-day") return [];
+    const messages = [];
+    if (change.graced) messages.push(i18n.t("streak.graced", { day: formatDay(change.day) }));
+    if (change.restDays.length) messages.push(i18n.t("streak.restDays", { count: change.restDays.length }));
+    if (change.frozenDays.length) {
+      messages.push(i18n.t("streak.frozen", { count: change.frozenDays.length, days: i18n.formatList(change.frozenDays.map(formatDay)) }));
+    }
+    if (change.outcome === "reset") {
+      messages.push(i18n.t("streak.reset", { count: change.missedDays.length }));
+    } else {
+      messages.push(i18n.t("streak.current", { count: change.streak }));
     }
+    return messages;
+  }
 
-    // XP Progress
-    const xpBar = document.querySelector("#xpProgress");
-    const xpText = document.querySelector("#xpProgressText");
-    if (xpBar && xpText) {
-      const xpInfo = getXPIntoLevel();
-      const percent = Math.floor((xpInfo.current / xpInfo.required) * 100);
-      xpBar.style.width = percent + "%";
-      xpBar.setAttribute("aria-valuenow", percent);
-      xpText.textContent = `🧬 Level ${xpInfo.level} — ${percent}% to next level`;
+  // Curves registered by extensions have no catalog entry and keep their id
+  const decayCurveLabel = (curve) => i18n.t(`streak.curves.${curve}`, { default: curve });
+
+  // Engine notices become toasts and DOM events
+  engine.subscribe((notice) => {
+    switch (notice.type) {
+      case "xp-granted":
+        showToast(i18n.t("toast.xpGained", { amount: notice.amount }));
+        break;
+      case "decay-applied":
+        if (notice.loss > 0) {
+          showToast(i18n.t("toast.decay", { loss: notice.loss, count: notice.missed, curve: decayCurveLabel(notice.curve) }));
+        }
+        break;
+      case "streak-changed":
+        streakToasts(notice.change).forEach(showToast);
+        break;
+      case "achievement-unlocked":
+        showToast(i18n.t("toast.achievementUnlocked", { title: achievementTitle(notice.id, notice.achievement && notice.achievement.title) }));
+        if (notice.freezes) showToast(i18n.t("toast.freezeReward", { count: notice.freezes }));
+        document.dispatchEvent(new CustomEvent("neuroforge:achievement-unlocked", { detail: { id: notice.id } }));
+        break;
+      case "state-changed":
+        document.dispatchEvent(new CustomEvent("neuroforge:state-changed"));
+        break;
+      default:
+        break;
     }
+  });
+
+  // ====== STREAK FREEZES ======
+  function buyStreakFreeze() {
+    const result = engine.buyStreakFreeze();
+    if (result.ok) showToast(i18n.t("toast.freezeBought", { cost: result.cost }));
+    else if (result.reason === "max-freezes") showToast(i18n.t("toast.freezeMax", { count: CONFIG.MAX_STREAK_FREEZES }));
+    else showToast(i18n.t("toast.freezeCost", { cost: CONFIG.STREAK_FREEZE_COST }));
+    return result.ok;
   }
 
-  // ====== DASHBOARD ======
-  function loadDashboard() {
-    if (!document.querySelector("#dashboard-title")) return;
+  // ====== DAILY CHECK-IN ======
+  // A quick daily pulse, stored apart from full analyses:
+  // { id, date, createdAt, updatedAt, mood, energy, focus, note }
+  // Each metric uses the questionnaire answer scale.
+  const CHECKIN_METRICS = [
+    { id: "mood", label: "Mood", icon: "🙂" },
+    { id: "energy", label: "Energy", icon: "⚡" },
+    { id: "focus", label: "Focus", icon: "🎯" }
+  ];
 
-    const history = getHistory();
-    if (!history.length) return;
+  const checkinMetricLabel = (id) => i18n.t(`checkin.metrics.${id}`, { default: id });
 
-    const last = history[history.length - 1];
+  const getCheckins = () => safeGetJSON(KEYS.CHECKINS, []);
+  const saveCheckins = (checkins) => safeSetJSON(KEYS.CHECKINS, checkins);
+  const getTodayCheckin = () => getCheckins().find(c => c.date === toLocalISODate()) || null;
 
-    const cards = document.querySelectorAll(".stat-card .big-result");
-    if (cards.length >= 4) {
-      cards[0].textContent = last.mindType;
-      cards[1].textContent = `${last.total} / ${CONFIG.MAX_SCORE}`;
-      cards[2].textContent = last.date;
-      cards[3].textContent = last.rank;
+  function checkinMetricValue(v) {
+    const n = Math.round(Number(v));
+    return Number.isFinite(n) ? Math.min(QUESTIONNAIRE.scale.max, Math.max(QUESTIONNAIRE.scale.min, n)) : null;
+  }
+
+  // The first check-in of a day earns XP and counts toward the streak;
+  // later ones the same day just update it.
+  function submitCheckin(values = {}) {
+    const metrics = {};
+    for (const m of CHECKIN_METRICS) {
+      metrics[m.id] = checkinMetricValue(values[m.id]);
+      if (metrics[m.id] == null) throw new Error(i18n.t("errors.checkinMissing", { metric: checkinMetricLabel(m.id).toLowerCase() }));
+    }
+    const note = String(values.note || "").trim().slice(0, CONFIG.CHECKIN_NOTE_MAX);
+    const now = engine.now().toISOString();
+    const checkins = getCheckins();
+    const existing = checkins.find(c => c.date === toLocalISODate());
+
+    if (existing) {
+      Object.assign(existing, metrics, { note, updatedAt: now });
+      saveCheckins(checkins);
+      showToast(i18n.t("toast.checkinUpdated"));
+      document.dispatchEvent(new CustomEvent("neuroforge:state-changed"));
+      return existing;
     }
 
-    const xpEl = document.querySelector("#xpValue");
-    const levelEl = document.querySelector("#levelValue");
-    const streakEl = document.querySelector("#streakValue");
-    const loreEl = document.querySelector("#loreTitle");
+    const checkin = {
+      id: `c_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      date: toLocalISODate(),
+      createdAt: now,
+      updatedAt: now,
+      ...metrics,
+      note
+    };
+    checkins.push(checkin);
+    saveCheckins(checkins);
+
+    appendEvent("checkin-submitted", { checkinId: checkin.id });
+    updateStreak("checkin");
+    grantXP(CONFIG.CHECKIN_XP, "Daily check-in", { reasonKey: "checkin" });
+    processAchievementEvent({ type: "checkin-submitted", at: now });
+    return checkin;
+  }
 
-    if (xpEl) xpEl.textContent = getXP();
-    if (levelEl) levelEl.textContent = getLevel();
-    if (streakEl) streakEl.textContent = getStreak();
-    if (loreEl) loreEl.textContent = getLoreTitle(getLevel());
+  function average(values) {
+    return values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
   }
 
-  // ====== PROFILE ======
-  function loadProfile() {
-    const timeline = document.querySelector("#timelineList");
-    if (!timeline) return;
+  // Pearson correlation (core/insights.js); null with fewer than 3 points
+  const { correlation } = Core;
 
+  // Groups check-ins by the analysis that followed them: each row averages
+  // the check-ins after the previous analysis, up to and including this one's
+  // day. correlation[metric] relates those averages to the analysis totals.
+  function getCheckinTrends() {
     const history = getHistory();
-    timeline.innerHTML = "";
+    const checkins = getCheckins();
+    const rows = history.map((entry, i) => {
+      const from = i > 0 ? history[i - 1].date : "";
+      const window = checkins.filter(c => c.date > from && c.date <= entry.date);
+      const averages = {};
+      CHECKIN_METRICS.forEach(m => {
+        const avg = average(window.map(c => Number(c[m.id])));
+        averages[m.id] = avg == null ? null : Math.round(avg * 10) / 10;
+      });
+      return { date: entry.date, total: Number(entry.total) || 0, checkins: window.length, averages };
+    });
 
-    history.forEach((r, i) => {
-      const li = document.createElement("li");
-      li.className = "timeline-item";
-      li.innerHTML = `
-        <article>
-          <strong>${r.date}</strong>
-          <p>🧠 ${r.mindType}</p>
-          <p>📊 Score: ${r.total} / ${CONFIG.MAX_SCORE}</p>
-          <p>🏆 Rank: ${r.rank}</p>
-          <button class="btn-secondary">📄 View Report</button>
-        </article>
-      `;
-      const btn = li.querySelector("button");
-      if (btn) {
-        btn.addEventListener("click", () => {
-          setLastIndex(i);
-          window.location.href = "result.html";
-        });
-      }
-      timeline.appendChild(li);
+    const withCheckins = rows.filter(r => r.checkins > 0);
+    const result = {};
+    CHECKIN_METRICS.forEach(m => {
+      result[m.id] = correlation(withCheckins.map(r => r.averages[m.id]), withCheckins.map(r => r.total));
     });
+    return { rows, correlation: result };
+  }
 
-    const achList = document.querySelector("#achievementList");
-    if (achList) {
-      const unlocked = getAchievements();
-      achList.innerHTML = "";
-      ALL_ACHIEVEMENTS.forEach(a => {
-        const li = document.createElement("li");
-        const isUnlocked = unlocked.includes(a.id);
-        li.textContent = `${isUnlocked ? "✅" : "🔒"} ${a.title}`;
-        achList.appendChild(li);
-      });
+  // ====== HABITS & GOALS ======
+  // { id, kind: "habit" | "goal", title, dimension, recurrence, target?,
+  //   createdAt, updatedAt, archived, completions: [local dates] }
+  // recurrence: { type: "daily" } | { type: "weekly" } | { type: "custom", days: [0-6] }
+  // A goal is a habit with a target number of completions.
+  // Suggestion titles live in the catalog (habits.suggestions.<id>).
+  const HABIT_SUGGESTIONS = {
+    focus: [
+      { id: "focus_block", recurrence: { type: "daily" } },
+      { id: "focus_key_task", recurrence: { type: "daily" } },
+      { id: "focus_deep_work", recurrence: { type: "weekly" } }
+    ],
+    discipline: [
+      { id: "discipline_wake", recurrence: { type: "daily" } },
+      { id: "discipline_hardest", recurrence: { type: "custom", days: [1, 2, 3, 4, 5] } },
+      { id: "discipline_review", recurrence: { type: "weekly" } }
+    ],
+    execution: [
+      { id: "execution_ship", recurrence: { type: "daily" } },
+      { id: "execution_next_actions", recurrence: { type: "weekly" } },
+      { id: "execution_finish", recurrence: { type: "custom", days: [1, 2, 3, 4, 5] } }
+    ],
+    consistency: [
+      { id: "consistency_minimum", recurrence: { type: "daily" } },
+      { id: "consistency_log", recurrence: { type: "daily" } },
+      { id: "consistency_schedule", recurrence: { type: "weekly" } }
+    ]
+  };
+
+  // Sunday first, like Date#getDay()
+  const weekdayName = (d) => i18n.t(`weekdays.${d}`);
+
+  const getHabits = () => safeGetJSON(KEYS.HABITS, []);
+  const saveHabits = (habits) => safeSetJSON(KEYS.HABITS, habits);
+
+  function normalizeRecurrence(recurrence) {
+    const type = recurrence && recurrence.type;
+    if (type === "daily" || type === "weekly") return { type };
+    if (type === "custom") {
+      const days = [...new Set((recurrence.days || []).map(Number).filter(d => Number.isInteger(d) && d >= 0 && d <= 6))].sort();
+      if (!days.length) throw new Error(i18n.t("errors.pickDay"));
+      return { type, days };
     }
+    throw new Error(i18n.t("errors.unknownRecurrence", { type }));
   }
 
-  // ====== EXPORT / IMPORT / RESET HELPERS ======
-  function exportData() {
-    const payload = {
-      history: getHistory(),
-      achievements: getAchievements(),
+  function describeRecurrence(recurrence) {
+    if (recurrence.type === "daily") return i18n.t("habits.daily");
+    if (recurrence.type === "weekly") return i18n.t("habits.weekly");
+    return i18n.formatList(recurrence.days.map(weekdayName), "unit");
+  }
+
+  function createHabit({ title, kind = "habit", dimension, recurrence, target } = {}) {
+    const cleanTitle = String(title || "").trim().slice(0, CONFIG.HABIT_TITLE_MAX);
+    if (!cleanTitle) throw new Error(i18n.t("errors.habitTitle"));
+    if (!DIMENSIONS.some(d => d.id === dimension)) throw new Error(i18n.t("errors.habitDimension"));
+    if (kind !== "habit" && kind !== "goal") throw new Error(i18n.t("errors.unknownKind", { kind }));
+    const goalTarget = Math.floor(Number(target));
+    if (kind === "goal" && !(goalTarget >= 1)) throw new Error(i18n.t("errors.goalTarget"));
+
+    const now = engine.now().toISOString();
+    const habit = {
+      id: `g_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      kind,
+      title: cleanTitle,
+      dimension,
+      recurrence: normalizeRecurrence(recurrence),
+      createdAt: now,
+      updatedAt: now,
+      archived: false,
+      completions: []
+    };
+    if (kind === "goal") habit.target = goalTarget;
+
+    const habits = getHabits();
+    habits.push(habit);
+    saveHabits(habits);
+    showToast(i18n.t(kind === "goal" ? "toast.goalAdded" : "toast.habitAdded", { title: habit.title }));
+    document.dispatchEvent(new CustomEvent("neuroforge:state-changed"));
+    return habit;
+  }
+
+  function archiveHabit(id) {
+    const habits = getHabits();
+    const habit = habits.find(h => h.id === id);
+    if (!habit || habit.archived) return false;
+    habit.archived = true;
+    habit.updatedAt = engine.now().toISOString();
+    saveHabits(habits);
+    document.dispatchEvent(new CustomEvent("neuroforge:state-changed"));
+    return true;
+  }
+
+  // Monday of the week containing a local date
+  function weekStartISO(iso) {
+    const d = parseLocalISODate(iso);
+    d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+    return toLocalISODate(d);
+  }
+
+  function isHabitDue(habit, iso) {
+    if (habit.recurrence.type !== "custom") return true;
+    return habit.recurrence.days.includes(parseLocalISODate(iso).getDay());
+  }
+
+  function isHabitDoneFor(habit, iso) {
+    if (habit.recurrence.type === "weekly") {
+      const week = weekStartISO(iso);
+      return habit.completions.some(d => weekStartISO(d) === week);
+    }
+    return habit.completions.includes(iso);
+  }
+
+  const isGoalReached = (habit) => habit.kind === "goal" && habit.completions.length >= habit.target;
+
+  function completeHabit(id) {
+    const today = toLocalISODate();
+    const habits = getHabits();
+    const habit = habits.find(h => h.id === id);
+    if (!habit || habit.archived || isGoalReached(habit)) return false;
+    if (!isHabitDue(habit, today) || isHabitDoneFor(habit, today)) return false;
+
+    const at = engine.now().toISOString();
+    habit.completions.push(today);
+    habit.updatedAt = at;
+    saveHabits(habits);
+
+    updateStreak("habit");
+    grantXP(CONFIG.HABIT_XP, `Habit: ${habit.title}`, { reasonKey: "habit", reasonParams: { title: habit.title } });
+    if (isGoalReached(habit)) {
+      showToast(i18n.t("toast.goalReached", { title: habit.title }));
+      grantXP(CONFIG.GOAL_COMPLETION_BONUS_XP, `Goal reached: ${habit.title}`, { reasonKey: "goalReached", reasonParams: { title: habit.title } });
+    }
+    processAchievementEvent({ type: "habit-completed", at });
+    return true;
+  }
+
+  // Share of scheduled occurrences completed over the last HABIT_ADHERENCE_DAYS.
+  // The current day (or week, for weekly habits) only counts once it's done,
+  // so an unfinished today never lowers the score.
+  function habitAdherence(habit, today = toLocalISODate()) {
+    const windowStart = parseLocalISODate(today);
+    windowStart.setDate(windowStart.getDate() - (CONFIG.HABIT_ADHERENCE_DAYS - 1));
+    const created = toLocalISODate(new Date(habit.createdAt));
+    const from = created > toLocalISODate(windowStart) ? created : toLocalISODate(windowStart);
+    // Every day from `from` up to (not including) today
+    const past = from < today ? [from].concat(daysBetween(from, today)) : [];
+
+    let expected = 0;
+    let done = 0;
+    if (habit.recurrence.type === "weekly") {
+      const weeks = new Set(past.map(weekStartISO));
+      weeks.delete(weekStartISO(today));
+      weeks.forEach(week => {
+        expected++;
+        if (habit.completions.some(d => weekStartISO(d) === week)) done++;
+      });
+    } else {
+      const due = past.filter(d => isHabitDue(habit, d));
+      expected = due.length;
+      done = due.filter(d => habit.completions.includes(d)).length;
+    }
+    if (isHabitDue(habit, today) && isHabitDoneFor(habit, today)) {
+      expected++;
+      done++;
+    }
+    return { expected, done };
+  }
+
+  // One row per dimension; percent is null until something was scheduled
+  function getHabitAdherence() {
+    const active = getHabits().filter(h => !h.archived);
+    return DIMENSIONS.map(d => {
+      const habits = active.filter(h => h.dimension === d.id);
+      const totals = habits.map(h => habitAdherence(h)).reduce(
+        (sum, a) => ({ expected: sum.expected + a.expected, done: sum.done + a.done }),
+        { expected: 0, done: 0 }
+      );
+      return {
+        id: d.id,
+        label: dimensionLabel(d.id),
+        icon: d.icon,
+        habits: habits.length,
+        ...totals,
+        percent: totals.expected ? Math.round((totals.done / totals.expected) * 100) : null
+      };
+    });
+  }
+
+  // A suggestion already added in any language counts as tracked
+  function getHabitSuggestions(dimension) {
+    const existing = getHabits().filter(h => !h.archived).map(h => h.title.toLowerCase());
+    const key = (s) => `habits.suggestions.${s.id}`;
+    return (HABIT_SUGGESTIONS[dimension] || [])
+      .filter(s => !i18n.variants(key(s)).some(title => existing.includes(title.toLowerCase())))
+      .map(s => ({ ...s, title: i18n.t(key(s)), dimension }));
+  }
+
+  // ====== FOCUS SESSIONS ======
+  // Completed focus-timer sessions: { id, startedAt, endedAt, minutes, tag }.
+  // The timer itself lives in focus.js; this is where sessions are recorded.
+  const getFocusSessions = () => safeGetJSON(KEYS.FOCUS_SESSIONS, []);
+  const saveFocusSessions = (sessions) => safeSetJSON(KEYS.FOCUS_SESSIONS, sessions);
+
+  // Longer sessions earn more, up to a cap so marathon timers can't farm XP
+  function focusSessionXP(minutes) {
+    return Math.min(CONFIG.FOCUS_MAX_XP, Math.round(minutes * CONFIG.FOCUS_XP_PER_MINUTE));
+  }
+
+  function logFocusSession({ startedAt, endedAt = engine.now().toISOString(), minutes, tag = "" } = {}) {
+    const mins = Math.floor(Number(minutes));
+    if (!Number.isFinite(mins) || mins < CONFIG.FOCUS_MIN_MINUTES) {
+      showToast(i18n.t("toast.focusTooShort", { count: CONFIG.FOCUS_MIN_MINUTES }));
+      return null;
+    }
+    if (Number.isNaN(Date.parse(startedAt)) || Number.isNaN(Date.parse(endedAt))) throw new Error(i18n.t("errors.sessionTimes"));
+
+    const session = {
+      id: `f_${Date.parse(startedAt).toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      startedAt,
+      endedAt,
+      minutes: mins,
+      tag: String(tag || "").trim().slice(0, CONFIG.FOCUS_TAG_MAX)
+    };
+    const sessions = getFocusSessions();
+    sessions.push(session);
+    saveFocusSessions(sessions);
+
+    const at = new Date(endedAt);
+    appendEvent("focus-session", { sessionId: session.id, minutes: mins }, at);
+    updateStreak("focus");
+    grantXP(focusSessionXP(mins), `Focus session (${mins} min${session.tag ? `, ${session.tag}` : ""})`, session.tag
+      ? { reasonKey: "focusTagged", reasonParams: { minutes: mins, tag: session.tag } }
+      : { reasonKey: "focus", reasonParams: { minutes: mins } });
+    processAchievementEvent({ type: "focus-session-completed", at: endedAt });
+    return session;
+  }
+
+  function summarizeSessions(sessions) {
+    return { sessions: sessions.length, minutes: sessions.reduce((sum, s) => sum + s.minutes, 0) };
+  }
+
+  // Totals overall, for today, and for the last 7 days (local dates)
+  function getFocusStats() {
+    const sessions = getFocusSessions();
+    const today = toLocalISODate();
+    const weekAgo = parseLocalISODate(today);
+    weekAgo.setDate(weekAgo.getDate() - 6);
+    const dayOf = (s) => toLocalISODate(new Date(s.endedAt));
+    return {
+      total: summarizeSessions(sessions),
+      today: summarizeSessions(sessions.filter(s => dayOf(s) === today)),
+      week: summarizeSessions(sessions.filter(s => dayOf(s) >= toLocalISODate(weekAgo)))
+    };
+  }
+
+  // Sessions that ended after the previous analysis, up to this one's day
+  function focusSinceEntry(history, index) {
+    const from = index > 0 ? history[index - 1].date : "";
+    const to = history[index].date;
+    return summarizeSessions(getFocusSessions().filter(s => {
+      const day = toLocalISODate(new Date(s.endedAt));
+      return day > from && day <= to;
+    }));
+  }
+
+  // ====== HISTORY EDITS (annotate / delete) ======
+  function annotateHistoryEntry(entryId, note) {
+    const history = getHistory();
+    const entry = history.find(e => e.id === entryId);
+    if (!entry) throw new Error(i18n.t("errors.analysisNotFound"));
+    const text = String(note || "").trim().slice(0, CONFIG.ENTRY_NOTE_MAX);
+    if (text) entry.note = text;
+    else delete entry.note;
+    entry.updatedAt = engine.now().toISOString();
+    saveHistory(history);
+    document.dispatchEvent(new CustomEvent("neuroforge:state-changed"));
+    return entry;
+  }
+
+  const { earnedEntryXP, deletedEntryIds } = Core;
+
+  // Removes one analysis and takes back the XP it earned
+  function deleteHistoryEntry(entryId) {
+    const history = getHistory();
+    const index = history.findIndex(e => e.id === entryId);
+    if (index < 0) throw new Error(i18n.t("errors.analysisNotFound"));
+    const [entry] = history.splice(index, 1);
+    saveHistory(history);
+
+    // Journal entries outlive the analysis: they stay attached to its day
+    const journal = getJournal();
+    const attached = journal.filter(j => j.entryId === entryId);
+    attached.forEach(j => { j.entryId = null; });
+    if (attached.length) saveJournal(journal);
+
+    const amount = earnedEntryXP(getEvents(), entryId);
+    appendEvent("entry-deleted", { entryId, entryDate: entry.date, amount });
+    const revoked = revokeStaleAchievements();
+    document.dispatchEvent(new CustomEvent("neuroforge:state-changed"));
+    return { entry, amount, revoked };
+  }
+
+  // Ids of deleted analyses, so neither a sync merge nor an import merge
+  // brings them back
+  function getDeletedEntryIds() {
+    return deletedEntryIds(getEvents());
+  }
+
+  // Per-dimension change from the older entry to the newer one
+  function diffHistoryEntries(a, b) {
+    const [from, to] = compareHistoryEntries(a, b) <= 0 ? [a, b] : [b, a];
+    const row = (value1, value2) => ({ from: Number(value1) || 0, to: Number(value2) || 0, delta: (Number(value2) || 0) - (Number(value1) || 0) });
+    return {
+      from,
+      to,
+      dimensions: DIMENSIONS.map(d => ({ id: d.id, label: dimensionLabel(d.id), icon: d.icon, ...row(from[d.id], to[d.id]) })),
+      total: row(from.total, to.total),
+      rankChanged: from.rank !== to.rank,
+      mindTypeChanged: from.mindType !== to.mindType
+    };
+  }
+
+  // ====== JOURNAL ======
+  // Free-text Markdown notes with tags. An entry belongs to a day and,
+  // optionally, to one analysis (entryId); several entries per day are fine.
+  const getJournal = () => safeGetJSON(KEYS.JOURNAL, []);
+  const saveJournal = (journal) => safeSetJSON(KEYS.JOURNAL, journal);
+
+  // "#Deep work, sleep" -> ["deep-work", "sleep"]; commas separate tags
+  function parseJournalTags(input) {
+    const list = Array.isArray(input) ? input : String(input || "").split(",");
+    const tags = list
+      .map(t => String(t).trim().replace(/^#+/, "").toLowerCase().replace(/\s+/g, "-").replace(/[^\p{L}\p{N}_-]/gu, ""))
+      .filter(Boolean)
+      .map(t => t.slice(0, CONFIG.JOURNAL_TAG_MAX));
+    return [...new Set(tags)].slice(0, CONFIG.JOURNAL_TAGS_MAX);
+  }
+
+  function normalizeJournalInput(values = {}) {
+    const text = String(values.text || "").trim();
+    if (!text) throw new Error(i18n.t("errors.journalEmpty"));
+    if (text.length > CONFIG.JOURNAL_TEXT_MAX) throw new Error(i18n.t("errors.journalTooLong", { max: CONFIG.JOURNAL_TEXT_MAX }));
+    const entryId = values.entryId || null;
+    const entry = entryId ? getHistory().find(e => e.id === entryId) : null;
+    if (entryId && !entry) throw new Error(i18n.t("errors.journalAnalysisGone"));
+    // An entry attached to an analysis always sits on the analysis's day
+    const date = entry ? entry.date : (values.date || toLocalISODate());
+    if (!isValidISODate(date)) throw new Error(i18n.t("errors.journalDate"));
+    return { date, entryId, text, tags: parseJournalTags(values.tags) };
+  }
+
+  function addJournalEntry(values) {
+    const fields = normalizeJournalInput(values);
+    const now = engine.now().toISOString();
+    const item = {
+      id: `j_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      ...fields,
+      createdAt: now,
+      updatedAt: now
+    };
+    const journal = getJournal();
+    journal.push(item);
+    saveJournal(journal);
+    document.dispatchEvent(new CustomEvent("neuroforge:state-changed"));
+    return item;
+  }
+
+  function updateJournalEntry(id, values) {
+    const journal = getJournal();
+    const item = journal.find(j => j.id === id);
+    if (!item) throw new Error(i18n.t("errors.journalNotFound"));
+    Object.assign(item, normalizeJournalInput(values), { updatedAt: engine.now().toISOString() });
+    saveJournal(journal);
+    document.dispatchEvent(new CustomEvent("neuroforge:state-changed"));
+    return item;
+  }
+
+  function deleteJournalEntry(id) {
+    const journal = getJournal();
+    const next = journal.filter(j => j.id !== id);
+    if (next.length === journal.length) return false;
+    saveJournal(next);
+    document.dispatchEvent(new CustomEvent("neuroforge:state-changed"));
+    return true;
+  }
+
+  // Entries written for an analysis, plus loose entries from its day
+  function getJournalFor(entry, journal = getJournal()) {
+    if (!entry) return [];
+    return journal
+      .filter(j => (entry.id && j.entryId === entry.id) || (!j.entryId && j.date === entry.date))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  // Every word must appear in the text or date; "#tag" words must be tags.
+  // Newest first.
+  function searchJournal(query = "", journal = getJournal()) {
+    const words = String(query).toLowerCase().split(/\s+/).filter(Boolean);
+    const tags = words.filter(w => w.startsWith("#")).map(w => w.replace(/^#+/, "")).filter(Boolean);
+    const terms = words.filter(w => !w.startsWith("#"));
+    return journal
+      .filter(j => {
+        const haystack = `${j.date} ${j.text}`.toLowerCase();
+        return tags.every(t => j.tags.includes(t)) && terms.every(t => haystack.includes(t));
+      })
+      .sort((a, b) => (a.date !== b.date ? (a.date < b.date ? 1 : -1) : b.createdAt.localeCompare(a.createdAt)));
+  }
+
+  // ====== SAFE MARKDOWN ======
+  // A small Markdown subset built with DOM nodes only: stored text never
+  // reaches innerHTML. Blocks: #/##/### headings, "-"/"*" and "1." lists,
+  // "> " quotes, paragraphs. Inline: **bold**, *italic* / _italic_, `code`
+  // and [links](https://...) (http, https and mailto only).
+  const MARKDOWN_INLINE = /(\*\*[^*]+\*\*|`[^`]+`|\[[^\]]+\]\([^)\s]+\)|\*[^*\s][^*]*\*|(?<!\w)_[^_\s][^_]*_(?!\w))/;
+  const SAFE_LINK = /^(https?:\/\/|mailto:)/i;
+
+  function appendInline(parent, text) {
+    text.split(MARKDOWN_INLINE).forEach(part => {
+      if (!part) return;
+      let node;
+      if (part.startsWith("**") && part.endsWith("**") && part.length > 4) {
+        node = document.createElement("strong");
+        appendInline(node, part.slice(2, -2));
+      } else if (part.startsWith("`") && part.endsWith("`") && part.length > 2) {
+        node = document.createElement("code");
+        node.textContent = part.slice(1, -1);
+      } else if (/^\[[^\]]+\]\([^)\s]+\)$/.test(part)) {
+        const [, label, href] = part.match(/^\[([^\]]+)\]\(([^)\s]+)\)$/);
+        if (!SAFE_LINK.test(href)) {
+          parent.append(label);
+          return;
+        }
+        node = document.createElement("a");
+        node.href = href;
+        node.target = "_blank";
+        node.rel = "noopener noreferrer";
+        appendInline(node, label);
+      } else if (/^(\*[^*]+\*|_[^_]+_)$/.test(part) && part.length > 2) {
+        node = document.createElement("em");
+        appendInline(node, part.slice(1, -1));
+      } else {
+        parent.append(part);
+        return;
+      }
+      parent.appendChild(node);
+    });
+  }
+
+  function renderMarkdown(text) {
+    const fragment = document.createDocumentFragment();
+    let block = null; // the open paragraph, list or quote
+
+    String(text || "").split(/\r?\n/).forEach(line => {
+      const heading = line.match(/^(#{1,3})\s+(.*)$/);
+      const bullet = line.match(/^\s*[-*]\s+(.*)$/);
+      const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+      const quote = line.match(/^>\s?(.*)$/);
+
+      if (!line.trim()) {
+        block = null;
+      } else if (heading) {
+        const h = document.createElement(`h${heading[1].length + 2}`);
+        appendInline(h, heading[2]);
+        fragment.appendChild(h);
+        block = null;
+      } else if (bullet || numbered) {
+        const tag = bullet ? "UL" : "OL";
+        if (!block || block.tagName !== tag) {
+          block = document.createElement(tag.toLowerCase());
+          fragment.appendChild(block);
+        }
+        const li = document.createElement("li");
+        appendInline(li, (bullet || numbered)[1]);
+        block.appendChild(li);
+      } else if (quote) {
+        if (!block || block.tagName !== "BLOCKQUOTE") {
+          block = document.createElement("blockquote");
+          fragment.appendChild(block);
+        } else {
+          block.appendChild(document.createElement("br"));
+        }
+        appendInline(block, quote[1]);
+      } else {
+        if (!block || block.tagName !== "P") {
+          block = document.createElement("p");
+          fragment.appendChild(block);
+        } else {
+          block.appendChild(document.createElement("br"));
+        }
+        appendInline(block, line);
+      }
+    });
+    return fragment;
+  }
+
+  // ====== QUESTIONNAIRE SCORING ======
+  const scoreQuestionnaire = (answers) => Core.scoreQuestionnaire(answers, QUESTIONNAIRE);
+
+  // ====== ONBOARDING (multi-step wizard) ======
+  const questionText = (q) => i18n.t(`questionnaire.questions.${q.id}`, { default: q.text });
+  const scaleLabel = (v) => i18n.t(`questionnaire.scale.${v}`, { default: QUESTIONNAIRE.scale.labels[v - QUESTIONNAIRE.scale.min] });
+
+  // Sets every text in a step; runs again when the language changes so
+  // answers already picked stay selected
+  function labelQuestionStep(fieldset) {
+    const dimension = DIMENSIONS.find(d => d.id === fieldset.dataset.dimension);
+    fieldset.querySelector("legend").textContent = `${dimension.icon} ${dimensionLabel(dimension.id)}`;
+    QUESTIONNAIRE.questions
+      .filter(q => q.dimension === dimension.id)
+      .forEach(q => {
+        fieldset.querySelector(`label[for='q_${q.id}']`).textContent = questionText(q);
+        [...fieldset.querySelector(`#q_${q.id}`).options].forEach(opt => {
+          opt.textContent = opt.value
+            ? i18n.t("onboarding.option", { value: Number(opt.value), label: scaleLabel(Number(opt.value)) })
+            : i18n.t("onboarding.select");
+        });
+      });
+  }
+
+  function renderQuestionStep(dimension) {
+    const fieldset = document.createElement("fieldset");
+    fieldset.className = "question-step";
+    fieldset.dataset.dimension = dimension.id;
+
+    const legend = document.createElement("legend");
+    legend.className = "step-legend";
+    fieldset.appendChild(legend);
+
+    QUESTIONNAIRE.questions
+      .filter(q => q.dimension === dimension.id)
+      .forEach(q => {
+        const wrap = document.createElement("div");
+        wrap.className = "question";
+
+        const label = document.createElement("label");
+        label.setAttribute("for", `q_${q.id}`);
+
+        const select = document.createElement("select");
+        select.id = `q_${q.id}`;
+        select.name = q.id;
+        select.required = true;
+        select.setAttribute("aria-required", "true");
+
+        const empty = document.createElement("option");
+        empty.value = "";
+        select.appendChild(empty);
+
+        const { min, max } = QUESTIONNAIRE.scale;
+        for (let v = min; v <= max; v++) {
+          const opt = document.createElement("option");
+          opt.value = String(v);
+          select.appendChild(opt);
+        }
+
+        wrap.append(label, select);
+        fieldset.appendChild(wrap);
+      });
+
+    labelQuestionStep(fieldset);
+    return fieldset;
+  }
+
+  function handleOnboarding(view) {
+    const form = document.querySelector(".onboarding-form");
+    if (!form) return;
+
+    const container = form.querySelector("#questionSteps");
+    const backBtn = form.querySelector("#backBtn");
+    const nextBtn = form.querySelector("#nextBtn");
+    const submitBtn = form.querySelector("#submitBtn");
+    const errorEl = form.querySelector("#stepError");
+    const progressText = document.querySelector("#progressText");
+    const progressFill = document.querySelector("#progressFill");
+    if (!container) return;
+
+    const steps = DIMENSIONS.map(renderQuestionStep);
+    steps.forEach(step => container.appendChild(step));
+    let current = 0;
+
+    const showError = (msg) => {
+      if (!errorEl) return;
+      errorEl.textContent = msg;
+      errorEl.hidden = !msg;
+    };
+
+    const firstMissing = (step) => [...step.querySelectorAll("select")].find(s => !s.value);
+
+    const render = () => {
+      steps.forEach((step, i) => { step.hidden = i !== current; });
+      const isLast = current === steps.length - 1;
+      if (backBtn) backBtn.disabled = current === 0;
+      if (nextBtn) nextBtn.hidden = isLast;
+      if (submitBtn) {
+        submitBtn.hidden = !isLast;
+        submitBtn.disabled = !isLast || steps.some(firstMissing);
+      }
+
+      const percent = Math.round(((current + 1) / steps.length) * 100);
+      const stepText = i18n.t("onboarding.step", { step: current + 1, total: steps.length, label: dimensionLabel(DIMENSIONS[current].id) });
+      if (progressText) progressText.textContent = stepText;
+      setProgress(progressFill, percent, stepText);
+      showError("");
+    };
+
+    const goTo = (i) => {
+      current = Math.max(0, Math.min(steps.length - 1, i));
+      render();
+      const first = steps[current].querySelector("select");
+      if (first) first.focus();
+    };
+
+    // Refuse to advance past a step with unanswered questions
+    const validateStep = (i) => {
+      const missing = firstMissing(steps[i]);
+      if (!missing) return true;
+      showError(i18n.t("onboarding.answerAll"));
+      missing.focus();
+      return false;
+    };
+
+    if (backBtn) backBtn.addEventListener("click", () => goTo(current - 1));
+    if (nextBtn) nextBtn.addEventListener("click", () => {
+      if (validateStep(current)) goTo(current + 1);
+    });
+    form.addEventListener("change", () => {
+      if (submitBtn) submitBtn.disabled = current !== steps.length - 1 || steps.some(firstMissing);
+    });
+    view.listen(document, "neuroforge:locale-changed", () => {
+      steps.forEach(labelQuestionStep);
+      const shownError = errorEl && !errorEl.hidden;
+      render();
+      if (shownError) showError(i18n.t("onboarding.answerAll"));
+    });
+    render();
+
+    form.addEventListener("submit", (e) => {
+      e.preventDefault();
+
+      const invalid = steps.findIndex(firstMissing);
+      if (invalid !== -1) {
+        goTo(invalid);
+        validateStep(invalid);
+        return;
+      }
+
+      const answers = {};
+      QUESTIONNAIRE.questions.forEach(q => {
+        const select = form.querySelector(`#q_${q.id}`);
+        if (select) answers[q.id] = Number(select.value);
+      });
+
+      const scores = scoreQuestionnaire(answers);
+      const total = DIMENSIONS.reduce((sum, d) => sum + scores[d.id], 0);
+
+      const createdAt = engine.now().toISOString();
+      const result = {
+        id: historyEntryId({ date: toLocalISODate(), createdAt }),
+        date: toLocalISODate(),
+        createdAt,
+        updatedAt: createdAt,
+        ...scores,
+        total,
+        mindType: calculateMindType(total),
+        rank: calculateRank(total),
+        answers
+      };
+      const { weakest, strongest, plan } = generateReport(result);
+      Object.assign(result, { weakest, strongest, plan });
+
+      const history = getHistory();
+      history.push(result);
+      saveHistory(history);
+
+      appendEvent("analysis-submitted", { entryId: result.id, total });
+      updateStreak("analysis");
+      grantXP(analysisXP(total, getStreak()), `Analysis (score ${total})`, { entryId: result.id, reasonKey: "analysis", reasonParams: { score: total } });
+
+      processAchievementEvent({ type: "analysis-submitted", at: createdAt });
+
+      if (submitBtn) {
+        submitBtn.textContent = i18n.t("onboarding.saved");
+        submitBtn.disabled = true;
+      }
+      if (backBtn) backBtn.disabled = true;
+
+      // small delay, then open the report just saved
+      setTimeout(() => Router.navigate(Router.href("result", result.id)), 500);
+    });
+  }
+
+  // ====== RESULT ======
+  // #/result shows the latest report, #/result/<id> a given one
+  function loadResult(view) {
+    const history = getHistory();
+    if (ensureHistoryIds(history)) saveHistory(history);
+    const asked = view.params.length ? view.params[0] : null;
+    const index = asked === null ? history.length - 1 : history.findIndex(e => e.id === asked);
+    const missing = asked !== null && index < 0;
+    const missingEl = document.querySelector("#resultMissing");
+    if (missingEl) missingEl.hidden = !missing;
+    if (!history.length || missing) return;
+
+    const r = ensureEntryReport(history, index);
+
+    const download = document.querySelector("#resultDownload");
+    if (download) download.setAttribute("data-export-report", String(index));
+
+    const mindType = document.querySelector("#resultMindType");
+    if (mindType) mindType.textContent = mindTypeLabel(r.mindType);
+
+    const mindDesc = document.querySelector("#resultMindDesc");
+    if (mindDesc) {
+      mindDesc.textContent = i18n.t("result.mindDesc", { strongest: dimensionLabel(r.strongest), weakest: dimensionLabel(r.weakest) });
+    }
+
+    const score = document.querySelector("#resultScore");
+    if (score) score.textContent = i18n.t("common.score", { total: r.total, max: CONFIG.MAX_SCORE });
+
+    const rankEl = document.querySelector("#resultRankLabel");
+    if (rankEl) rankEl.textContent = i18n.t("result.rank", { rank: rankLabel(r.rank) });
+
+    const analysisList = document.querySelector("#resultAnalysisList");
+    if (analysisList) {
+      analysisList.innerHTML = "";
+      getEntryAnalysis(r).forEach(line => {
+        const li = document.createElement("li");
+        li.textContent = line;
+        analysisList.appendChild(li);
+      });
+    }
+
+    const planList = document.querySelector("#resultPlanList");
+    if (planList) {
+      planList.innerHTML = "";
+      r.plan.forEach(item => {
+        const dim = DIMENSIONS.find(d => d.id === item.dimension);
+        const li = document.createElement("li");
+        li.className = "plan-task" + (item.done ? " done" : "");
+
+        const label = document.createElement("label");
+        const box = document.createElement("input");
+        box.type = "checkbox";
+        box.checked = !!item.done;
+        box.disabled = !!item.done;
+        box.addEventListener("change", () => {
+          if (box.checked) completePlanTask(index, item.day);
+        });
+
+        const text = document.createElement("span");
+        text.textContent = i18n.t("plan.item", {
+          day: item.day,
+          dimension: dim ? `${dim.icon} ${dimensionLabel(dim.id)}` : item.dimension,
+          task: formatPlanTask(item)
+        });
+
+        label.append(box, text);
+        li.appendChild(label);
+        planList.appendChild(li);
+      });
+    }
+
+    // Rank Progress
+    const rankBar = document.querySelector("#resultProgress");
+    const rankText = document.querySelector("#resultProgressText");
+    if (rankBar && rankText) {
+      const percent = progressToNextRankPercent(r.total);
+      rankText.textContent = i18n.t("result.toRank", { percent: i18n.formatPercent(percent), rank: rankLabel(getNextRank(r.rank).id) });
+      setProgress(rankBar, percent, rankText.textContent);
+    }
+
+    // XP Progress
+    const xpBar = document.querySelector("#xpProgress");
+    const xpText = document.querySelector("#xpProgressText");
+    if (xpBar && xpText) {
+      const xpInfo = getXPIntoLevel();
+      const percent = Math.floor((xpInfo.current / xpInfo.required) * 100);
+      xpText.textContent = i18n.t("result.level", { level: xpInfo.level, percent: i18n.formatPercent(percent) });
+      setProgress(xpBar, percent, xpText.textContent);
+    }
+  }
+
+  // ====== DASHBOARD ======
+  function loadDashboard() {
+    const focusSessionsEl = document.querySelector("#focusSessionsValue");
+    const focusTimeEl = document.querySelector("#focusMinutesValue");
+    if (focusSessionsEl || focusTimeEl) {
+      const focus = getFocusStats();
+      if (focusSessionsEl) focusSessionsEl.textContent = i18n.t("dashboard.focusToday", { today: focus.today.sessions, total: focus.total.sessions });
+      if (focusTimeEl) focusTimeEl.textContent = i18n.t("dashboard.minutes", { minutes: focus.week.minutes });
+    }
+
+    const insightsList = document.querySelector("#insightsList");
+    if (insightsList) renderInsights(insightsList, 3);
+
+    const history = getHistory();
+    if (!history.length) return;
+
+    const last = history[history.length - 1];
+
+    const cards = document.querySelectorAll(".stat-card .big-result");
+    if (cards.length >= 4) {
+      cards[0].textContent = mindTypeLabel(last.mindType);
+      cards[1].textContent = i18n.t("common.score", { total: last.total, max: CONFIG.MAX_SCORE });
+      cards[2].textContent = i18n.formatDate(last.date);
+      cards[3].textContent = rankLabel(last.rank);
+    }
+
+    const welcomeRank = document.querySelector("#welcomeRank");
+    if (welcomeRank) welcomeRank.textContent = rankLabel(last.rank);
+
+    const rankText = document.querySelector("#rankProgressText");
+    if (rankText) {
+      const percent = progressToNextRankPercent(last.total);
+      rankText.textContent = i18n.t("result.toRank", { percent: i18n.formatPercent(percent), rank: rankLabel(getNextRank(last.rank).id) });
+      setProgress(document.querySelector("#rankProgress"), percent, rankText.textContent);
+    }
+
+    const xpEl = document.querySelector("#xpValue");
+    const levelEl = document.querySelector("#levelValue");
+    const streakEl = document.querySelector("#streakValue");
+    const loreEl = document.querySelector("#loreTitle");
+
+    if (xpEl) xpEl.textContent = i18n.formatNumber(getXP());
+    if (levelEl) levelEl.textContent = i18n.formatNumber(getLevel());
+    if (streakEl) streakEl.textContent = i18n.formatNumber(getStreak());
+    if (loreEl) loreEl.textContent = loreLabel(getLevel());
+
+    const planEl = document.querySelector("#planProgressValue");
+    if (planEl) {
+      const p = planProgress(ensureEntryReport(history, history.length - 1));
+      planEl.textContent = i18n.t("dashboard.planDone", { done: p.done, total: p.total });
+    }
+  }
+
+  // ====== DASHBOARD: DAILY CHECK-IN ======
+  function describeCorrelation(r) {
+    const strength = Math.abs(r) >= 0.5 ? "strong" : Math.abs(r) >= 0.3 ? "moderate" : "weak";
+    return i18n.t(`checkin.correlation.${strength}.${r >= 0 ? "positive" : "negative"}`, { r });
+  }
+
+  function loadCheckin() {
+    const form = document.querySelector("#checkinForm");
+    if (form) {
+      const today = getTodayCheckin();
+      const status = document.querySelector("#checkinStatus");
+      const submit = document.querySelector("#checkinSubmit");
+      if (today) {
+        CHECKIN_METRICS.forEach(m => {
+          form.elements[m.id].value = today[m.id];
+          form.elements[`${m.id}Out`].value = today[m.id];
+        });
+        form.elements.note.value = today.note || "";
+      }
+      if (status) status.textContent = i18n.t(today ? "checkin.statusDone" : "checkin.statusNone");
+      if (submit) submit.textContent = today ? i18n.t("checkin.update") : i18n.t("checkin.submit", { xp: CONFIG.CHECKIN_XP });
+    }
+
+    const list = document.querySelector("#checkinCorrelation");
+    if (list) {
+      const { correlation: r } = getCheckinTrends();
+      list.innerHTML = "";
+      const lines = CHECKIN_METRICS.filter(m => r[m.id] != null)
+        .map(m => i18n.t("checkin.line", { icon: m.icon, label: checkinMetricLabel(m.id), description: describeCorrelation(r[m.id]) }));
+      if (!lines.length) lines.push(i18n.t("checkin.empty"));
+      lines.forEach(text => {
+        const li = document.createElement("li");
+        li.textContent = text;
+        list.appendChild(li);
+      });
+    }
+  }
+
+  function wireCheckinForm() {
+    const form = document.querySelector("#checkinForm");
+    if (!form) return;
+    CHECKIN_METRICS.forEach(m => {
+      form.elements[m.id].addEventListener("input", () => { form.elements[`${m.id}Out`].value = form.elements[m.id].value; });
+    });
+    form.addEventListener("submit", (e) => {
+      e.preventDefault();
+      const values = { note: form.elements.note.value };
+      CHECKIN_METRICS.forEach(m => { values[m.id] = form.elements[m.id].value; });
+      try {
+        submitCheckin(values);
+      } catch (err) {
+        showToast(i18n.t("common.error", { message: err.message }));
+      }
+    });
+  }
+
+  // ====== DASHBOARD: HABITS & GOALS ======
+  function renderHabitItem(habit) {
+    const today = toLocalISODate();
+    const dim = DIMENSIONS.find(d => d.id === habit.dimension);
+    const done = isHabitDoneFor(habit, today);
+    const reached = isGoalReached(habit);
+
+    const li = document.createElement("li");
+    li.className = "habit-item" + (done || reached ? " done" : "");
+    const title = document.createElement("strong");
+    title.textContent = `${dim ? dim.icon : ""} ${habit.title}`;
+    const meta = document.createElement("span");
+    meta.className = "muted small";
+    const parts = [habit.kind === "goal"
+      ? i18n.t("habits.goalProgress", { done: habit.completions.length, target: habit.target })
+      : describeRecurrence(habit.recurrence)];
+    if (habit.kind === "goal") parts.push(describeRecurrence(habit.recurrence));
+    if (!isHabitDue(habit, today)) parts.push(i18n.t("habits.notDue"));
+    meta.textContent = parts.join(" · ");
+
+    const doneBtn = document.createElement("button");
+    doneBtn.type = "button";
+    doneBtn.className = "btn-secondary";
+    doneBtn.textContent = reached ? i18n.t("habits.reached") : done ? i18n.t("habits.done") : i18n.t("habits.doneXP", { xp: CONFIG.HABIT_XP });
+    doneBtn.disabled = done || reached || !isHabitDue(habit, today);
+    doneBtn.addEventListener("click", () => completeHabit(habit.id));
+
+    const archiveBtn = document.createElement("button");
+    archiveBtn.type = "button";
+    archiveBtn.className = "btn-secondary";
+    archiveBtn.textContent = i18n.t("habits.archive");
+    archiveBtn.setAttribute("aria-label", i18n.t("habits.archiveLabel", { title: habit.title }));
+    archiveBtn.addEventListener("click", () => archiveHabit(habit.id));
+
+    li.append(title, meta, doneBtn, archiveBtn);
+    return li;
+  }
+
+  function loadHabits() {
+    const list = document.querySelector("#habitList");
+    if (list) {
+      const habits = getHabits().filter(h => !h.archived);
+      list.innerHTML = "";
+      if (!habits.length) {
+        const li = document.createElement("li");
+        li.className = "muted";
+        li.textContent = i18n.t("habits.empty");
+        list.appendChild(li);
+      }
+      habits.forEach(h => list.appendChild(renderHabitItem(h)));
+    }
+
+    const adherence = document.querySelector("#habitAdherence");
+    if (adherence) {
+      adherence.innerHTML = "";
+      getHabitAdherence().forEach(row => {
+        const li = document.createElement("li");
+        const label = document.createElement("span");
+        const value = row.percent == null
+          ? i18n.t(row.habits ? "habits.nothingScheduled" : "habits.noHabits")
+          : i18n.t("habits.adherence", { percent: i18n.formatPercent(row.percent), done: row.done, expected: row.expected });
+        label.textContent = i18n.t("habits.adherenceRow", { icon: row.icon, label: row.label, value });
+        const bar = createProgressBar(i18n.t("habits.adherenceLabel", { label: row.label }), row.percent, value);
+        li.append(label, bar);
+        adherence.appendChild(li);
+      });
+    }
+  }
+
+  function wireHabitForm(view) {
+    const form = document.querySelector("#habitForm");
+    if (!form) return;
+    const { kind, recurrence } = form.elements;
+    const daysField = form.querySelector("fieldset[name='habitDays']");
+    const targetField = document.querySelector("#habitTargetField");
+    const sync = () => {
+      if (daysField) daysField.hidden = recurrence.value !== "custom";
+      if (targetField) targetField.hidden = kind.value !== "goal";
+    };
+    kind.addEventListener("change", sync);
+    recurrence.addEventListener("change", sync);
+    sync();
+
+    // Dimension names come from the catalog and follow the language
+    const labelDimensions = () => [...form.elements.dimension.options].forEach(option => {
+      const d = DIMENSIONS.find(x => x.id === option.value);
+      if (d) option.textContent = `${d.icon} ${dimensionLabel(d.id)}`;
+    });
+    labelDimensions();
+    view.listen(document, "neuroforge:locale-changed", labelDimensions);
+
+    form.addEventListener("submit", (e) => {
+      e.preventDefault();
+      const days = [...form.querySelectorAll("input[name='habitDay']")].filter(b => b.checked).map(b => Number(b.value));
+      try {
+        createHabit({
+          title: form.elements.title.value,
+          kind: kind.value,
+          dimension: form.elements.dimension.value,
+          recurrence: { type: recurrence.value, days },
+          target: form.elements.target.value
+        });
+        form.elements.title.value = "";
+      } catch (err) {
+        showToast(i18n.t("common.error", { message: err.message }));
+      }
+    });
+  }
+
+  // ====== INSIGHTS ======
+  // Trends, the next-rank bottleneck and the streak link are computed by
+  // core/insights.js as message keys with raw numbers; this formats them.
+  function getInsights() {
+    return Core.computeInsights(getHistory(), {
+      streakLog: getStreakLog(),
+      ranks: RANK_THRESHOLDS,
+      dimensions: DIMENSIONS.map(d => d.id),
+      dimensionMax: QUESTIONNAIRE.scale.max,
+      maxScore: CONFIG.MAX_SCORE
+    });
+  }
+
+  // count stays a number so the message can pick its plural form
+  function insightParams(params) {
+    const out = { ...params };
+    const dim = DIMENSIONS.find(d => d.id === params.dimension);
+    if (dim) out.dimension = `${dim.icon} ${dimensionLabel(dim.id)}`;
+    if (params.next) out.next = rankLabel(params.next);
+    if (params.rank) out.rank = rankLabel(params.rank);
+    ["slope", "withStreak", "withoutStreak"].forEach(k => {
+      if (typeof params[k] === "number") out[k] = i18n.formatNumber(params[k], { signDisplay: "exceptZero", maximumFractionDigits: 2 });
+    });
+    ["from", "to", "average", "score"].forEach(k => {
+      if (typeof params[k] === "number") out[k] = i18n.formatNumber(params[k], { maximumFractionDigits: 1 });
+    });
+    if (typeof params.percent === "number") out.percent = i18n.formatPercent(params.percent);
+    return out;
+  }
+
+  // Ranked, most pressing first; limit trims the list for the dashboard
+  function renderInsights(list, limit = Infinity) {
+    list.innerHTML = "";
+    const insights = getInsights().slice(0, limit);
+    if (!insights.length) {
+      const li = document.createElement("li");
+      li.className = "muted";
+      li.textContent = i18n.t("insights.empty");
+      list.appendChild(li);
+      return;
+    }
+    insights.forEach(item => {
+      const params = insightParams(item.params);
+      const li = document.createElement("li");
+      li.className = `insight insight-${item.tone}`;
+      li.dataset.insight = item.id;
+      const headline = document.createElement("strong");
+      headline.textContent = i18n.t(item.key, params);
+      li.appendChild(headline);
+      if (item.detailKey) {
+        const detail = document.createElement("span");
+        detail.className = "muted insight-detail";
+        detail.textContent = i18n.t(item.detailKey, params);
+        li.appendChild(detail);
+      }
+      list.appendChild(li);
+    });
+  }
+
+  // Profile growth list: habit ideas for the latest analysis' weakest
+  // dimension, after the insights
+  function renderGrowthSuggestions(list, entry) {
+    const dim = DIMENSIONS.find(d => d.id === entry.weakest);
+    if (!dim) return;
+    const intro = document.createElement("li");
+    intro.textContent = i18n.t("habits.focusArea", { icon: dim.icon, label: dimensionLabel(dim.id) });
+    list.appendChild(intro);
+
+    const suggestions = getHabitSuggestions(dim.id);
+    if (!suggestions.length) {
+      const li = document.createElement("li");
+      li.className = "muted";
+      li.textContent = i18n.t("habits.allTracked");
+      list.appendChild(li);
+    }
+    suggestions.forEach(suggestion => {
+      const li = document.createElement("li");
+      li.append(i18n.t("habits.suggestion", { title: suggestion.title, recurrence: describeRecurrence(suggestion.recurrence) }));
+      const add = document.createElement("button");
+      add.type = "button";
+      add.className = "btn-secondary";
+      add.textContent = i18n.t("habits.addSuggestion");
+      add.addEventListener("click", () => createHabit(suggestion));
+      li.appendChild(add);
+      list.appendChild(li);
+    });
+  }
+
+  // ====== PROFILE ======
+  function renderCheckinItem(c) {
+    const li = document.createElement("li");
+    li.className = "timeline-item checkin";
+    const article = document.createElement("article");
+    const date = document.createElement("strong");
+    date.textContent = i18n.formatDate(c.date);
+    const kind = document.createElement("p");
+    kind.textContent = i18n.t("checkin.timeline");
+    const values = document.createElement("p");
+    values.textContent = CHECKIN_METRICS.map(m => i18n.t("checkin.values", { icon: m.icon, label: checkinMetricLabel(m.id), value: c[m.id] })).join(" · ");
+    article.append(date, kind, values);
+    if (c.note) {
+      const note = document.createElement("p");
+      note.className = "muted";
+      note.textContent = `“${c.note}”`;
+      article.appendChild(note);
+    }
+    li.appendChild(article);
+    return li;
+  }
+
+  function loadProfile() {
+    const history = getHistory();
+    if (ensureHistoryIds(history)) saveHistory(history);
+    renderTimeline();
+
+    const badges = document.querySelector("#badgesList");
+    if (badges) {
+      badges.innerHTML = "";
+      getAchievementProgress().forEach(a => badges.appendChild(renderBadge(a)));
+    }
+
+    const growth = document.querySelector("#growthList");
+    if (growth) {
+      renderInsights(growth);
+      if (history.length) renderGrowthSuggestions(growth, ensureEntryReport(history, history.length - 1));
+    }
+
+    // Before the first analysis this shows the first band at score 0
+    const currentRank = document.querySelector("#currentRank");
+    const nextRank = document.querySelector("#nextRankText");
+    if (currentRank && nextRank) {
+      const latest = history[history.length - 1];
+      const rank = latest ? latest.rank : RANK_THRESHOLDS[0].id;
+      const percent = progressToNextRankPercent(latest ? latest.total : 0);
+      currentRank.textContent = rankLabel(rank);
+      nextRank.textContent = i18n.t("profile.nextRank", { rank: rankLabel(getNextRank(rank).id), percent: i18n.formatPercent(percent) });
+      setProgress(document.querySelector("#rankProgress"), percent, nextRank.textContent);
+    }
+
+    const ledger = document.querySelector("#xpLedgerList");
+    if (ledger) renderLedger(ledger, getXPLedger());
+
+    const freezes = document.querySelector("#streakFreezes");
+    if (freezes) {
+      const n = getStreakFreezes();
+      freezes.textContent = i18n.t("streak.freezes", { count: n, max: CONFIG.MAX_STREAK_FREEZES });
+    }
+    const buyBtn = document.querySelector("#buyFreeze");
+    if (buyBtn) buyBtn.textContent = i18n.t("streak.buyFreeze", { cost: CONFIG.STREAK_FREEZE_COST });
+  }
+
+  function wireStreakPolicyForm() {
+    const form = document.querySelector("#streakPolicyForm");
+    if (!form) return;
+    const { graceHours, decayCurve, decayPerDay, decayCap } = form.elements;
+    const restDays = [...form.querySelectorAll("input[name='restDay']")];
+
+    const policy = getStreakPolicy();
+    restDays.forEach(box => { box.checked = policy.restDays.includes(Number(box.value)); });
+    graceHours.value = policy.graceHours;
+    decayCurve.value = policy.decay.curve;
+    decayPerDay.value = policy.decay.perDay;
+    decayCap.value = policy.decay.cap;
+
+    form.addEventListener("submit", (e) => {
+      e.preventDefault();
+      // The per-day penalty is a setting shared with the settings page
+      const perDay = Number(decayPerDay.value);
+      if (perDay !== CONFIG.INACTIVITY_PENALTY_PER_DAY) {
+        try {
+          saveSettings({ inactivityPenaltyPerDay: perDay });
+        } catch (err) {
+          showToast(i18n.t("common.error", { message: err.message }));
+          return;
+        }
+      }
+      const next = setStreakPolicy({
+        restDays: restDays.filter(box => box.checked).map(box => Number(box.value)),
+        graceHours: graceHours.value,
+        decay: { curve: decayCurve.value, cap: decayCap.value }
+      });
+      graceHours.value = next.graceHours;
+      showToast(i18n.t("toast.streakRulesSaved"));
+    });
+  }
+
+  // ====== PROFILE: TIMELINE (filter, compare, annotate, delete) ======
+  // Filters live in memory for the page; "Show more" grows the visible
+  // window one page at a time. Up to two analyses can be selected to compare.
+  const TIMELINE_SORTS = {
+    newest: (a, b) => compareTimelineItems(b, a),
+    oldest: (a, b) => compareTimelineItems(a, b),
+    "score-desc": (a, b) => byScore(a, b, -1),
+    "score-asc": (a, b) => byScore(a, b, 1)
+  };
+
+  const DEFAULT_TIMELINE_FILTERS = { query: "", from: "", to: "", kind: "all", rank: "", mindType: "", sort: "newest" };
+
+  const timelineView = {
+    filters: { ...DEFAULT_TIMELINE_FILTERS },
+    shown: CONFIG.TIMELINE_PAGE_SIZE,
+    selected: []
+  };
+
+  function compareTimelineItems(a, b) {
+    if (a.date !== b.date) return a.date < b.date ? -1 : 1;
+    return a.at.localeCompare(b.at);
+  }
+
+  // Check-ins have no score, so they always follow the analyses
+  function byScore(a, b, direction) {
+    const sa = a.kind === "analysis" ? Number(a.entry.total) : null;
+    const sb = b.kind === "analysis" ? Number(b.entry.total) : null;
+    if (sa == null && sb != null) return 1;
+    if (sb == null && sa != null) return -1;
+    if (sa !== sb) return (sa - sb) * direction;
+    return compareTimelineItems(b, a);
+  }
+
+  // Analyses and check-ins share one timeline
+  function timelineItems(history, checkins) {
+    return history.map((entry, i) => ({ kind: "analysis", entry, index: i, date: entry.date, at: entry.createdAt || "" }))
+      .concat(checkins.map(c => ({ kind: "checkin", entry: c, date: c.date, at: c.createdAt || "" })));
+  }
+
+  // The search also covers journal entries written for an analysis or day
+  function filterTimelineItems(items, filters, journal = []) {
+    const query = filters.query.trim().toLowerCase();
+    const analysesOnly = filters.kind === "analysis" || filters.rank || filters.mindType;
+    return items.filter(item => {
+      if (filters.from && item.date < filters.from) return false;
+      if (filters.to && item.date > filters.to) return false;
+      if (item.kind === "checkin" && analysesOnly) return false;
+      if (item.kind === "analysis" && filters.kind === "checkin") return false;
+      if (filters.rank && item.entry.rank !== filters.rank) return false;
+      if (filters.mindType && item.entry.mindType !== filters.mindType) return false;
+      if (!query) return true;
+      const e = item.entry;
+      const notes = item.kind === "analysis"
+        ? getJournalFor(e, journal)
+        : journal.filter(j => !j.entryId && j.date === item.date);
+      const labels = item.kind === "analysis" ? [rankLabel(e.rank), mindTypeLabel(e.mindType)] : [];
+      const text = [item.date, i18n.formatDate(item.date), e.note].concat(labels)
+        .concat(notes.map(j => `${j.text} ${j.tags.join(" ")}`))
+        .filter(Boolean).join(" ").toLowerCase();
+      return text.includes(query);
+    }).sort(TIMELINE_SORTS[filters.sort] || TIMELINE_SORTS.newest);
+  }
+
+  function fillTimelineOptions(select, values, toLabel, anyLabel) {
+    const current = select.value;
+    select.innerHTML = "";
+    [["", anyLabel]].concat(values.map(v => [v, toLabel(v)])).forEach(([value, label]) => {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+    select.value = values.includes(current) ? current : "";
+    if (select.value !== current) timelineView.filters[select.name] = "";
+  }
+
+  // Current bands first, then bands only found in older entries
+  function renderTimelineFilterOptions(history) {
+    const form = document.querySelector("#timelineFilters");
+    if (!form) return;
+    const unique = (list) => [...new Set(list.filter(Boolean))];
+    fillTimelineOptions(form.elements.rank, unique(RANK_THRESHOLDS.map(r => r.id).concat(history.map(e => e.rank))), rankLabel, i18n.t("timeline.anyRank"));
+    fillTimelineOptions(form.elements.mindType, unique(RANK_THRESHOLDS.map(r => r.id).concat(history.map(e => e.mindType))), mindTypeLabel, i18n.t("timeline.anyMindType"));
+  }
+
+  function toggleCompare(entryId, checked) {
+    timelineView.selected = timelineView.selected.filter(id => id !== entryId);
+    // Selecting a third entry replaces the oldest selection
+    if (checked) timelineView.selected = timelineView.selected.concat(entryId).slice(-2);
+    renderTimeline();
+  }
+
+  function renderAnalysisItem(history, i, journal) {
+    const r = history[i];
+    const li = document.createElement("li");
+    li.className = "timeline-item" + (timelineView.selected.includes(r.id) ? " selected" : "");
+    const article = document.createElement("article");
+
+    const date = document.createElement("strong");
+    date.textContent = i18n.formatDate(r.date);
+    const lines = [
+      i18n.t("timeline.entryMindType", { mindType: mindTypeLabel(r.mindType) }),
+      i18n.t("timeline.entryScore", { score: i18n.t("common.score", { total: r.total, max: CONFIG.MAX_SCORE }) }),
+      i18n.t("timeline.entryRank", { rank: rankLabel(r.rank) })
+    ];
+    const focus = focusSinceEntry(history, i);
+    if (focus.sessions) lines.push(i18n.t("focus.sinceEntry", { count: focus.sessions, minutes: focus.minutes }));
+    article.appendChild(date);
+    lines.forEach(text => {
+      const p = document.createElement("p");
+      p.textContent = text;
+      article.appendChild(p);
+    });
+    if (r.note) {
+      const note = document.createElement("p");
+      note.className = "muted";
+      note.textContent = i18n.t("timeline.note", { note: r.note });
+      article.appendChild(note);
+    }
+
+    const compare = document.createElement("label");
+    compare.className = "inline-field compare-toggle";
+    const box = document.createElement("input");
+    box.type = "checkbox";
+    box.checked = timelineView.selected.includes(r.id);
+    box.addEventListener("change", () => toggleCompare(r.id, box.checked));
+    compare.append(box, i18n.t("timeline.compare"));
+
+    const actions = document.createElement("div");
+    actions.className = "actions";
+    const exportBtn = profileActionButton(i18n.t("timeline.export"));
+    exportBtn.setAttribute("data-export-report", String(i));
+    const del = profileActionButton(i18n.t("timeline.delete"), () => {
+      const xp = earnedEntryXP(getEvents(), r.id);
+      const date = i18n.formatDate(r.date);
+      if (!confirm(xp ? i18n.t("timeline.confirmDeleteXP", { date, xp }) : i18n.t("timeline.confirmDelete", { date }))) return;
+      const result = deleteHistoryEntry(r.id);
+      timelineView.selected = timelineView.selected.filter(id => id !== r.id);
+      showToast(result.amount ? i18n.t("toast.analysisDeletedXP", { amount: result.amount }) : i18n.t("toast.analysisDeleted"));
+      if (result.revoked.length) showToast(i18n.t("toast.achievementsRevoked", { count: result.revoked.length }));
+    });
+    del.classList.add("danger");
+    actions.append(
+      profileActionButton(i18n.t("timeline.viewReport"), () => Router.navigate(Router.href("result", r.id))),
+      exportBtn,
+      profileActionButton(i18n.t("timeline.journal", { count: getJournalFor(r, journal).length }), () => {
+        Router.navigate(Router.href("journal", { entry: r.id }));
+      }),
+      profileActionButton(i18n.t(r.note ? "timeline.editNote" : "timeline.addNote"), () => {
+        const next = prompt(i18n.t("timeline.notePrompt", { date: i18n.formatDate(r.date), max: CONFIG.ENTRY_NOTE_MAX }), r.note || "");
+        if (next == null) return;
+        annotateHistoryEntry(r.id, next);
+        showToast(i18n.t(next.trim() ? "toast.noteSaved" : "toast.noteRemoved"));
+      }),
+      del
+    );
+    article.append(compare, actions);
+    li.appendChild(article);
+    return li;
+  }
+
+  function formatDelta(delta) {
+    if (delta > 0) return `+${i18n.formatNumber(delta)}`;
+    if (delta < 0) return `−${i18n.formatNumber(Math.abs(delta))}`;
+    return i18n.formatNumber(0);
+  }
+
+  function renderTimelineCompare(history) {
+    const panel = document.querySelector("#timelineCompare");
+    if (!panel) return;
+    const entries = timelineView.selected.map(id => history.find(e => e.id === id)).filter(Boolean);
+    panel.innerHTML = "";
+    panel.hidden = entries.length !== 2;
+    if (panel.hidden) return;
+
+    const diff = diffHistoryEntries(entries[0], entries[1]);
+    const title = document.createElement("h3");
+    const fromDate = i18n.formatDate(diff.from.date);
+    const toDate = i18n.formatDate(diff.to.date);
+    title.textContent = i18n.t("timeline.compareTitle", { from: fromDate, to: toDate });
+
+    const table = document.createElement("table");
+    table.className = "compare-table";
+    const head = table.createTHead().insertRow();
+    [i18n.t("timeline.dimension"), fromDate, toDate, i18n.t("timeline.change")].forEach(text => {
+      const th = document.createElement("th");
+      th.scope = "col";
+      th.textContent = text;
+      head.appendChild(th);
+    });
+    const body = table.createTBody();
+    const addRow = (label, from, to, delta) => {
+      const row = body.insertRow();
+      const th = document.createElement("th");
+      th.scope = "row";
+      th.textContent = label;
+      row.appendChild(th);
+      [from, to].forEach(v => { row.insertCell().textContent = typeof v === "number" ? i18n.formatNumber(v) : v; });
+      const cell = row.insertCell();
+      cell.textContent = delta == null ? "" : formatDelta(delta);
+      if (delta) cell.className = delta > 0 ? "gain" : "loss";
+    };
+    diff.dimensions.forEach(d => addRow(`${d.icon} ${d.label}`, d.from, d.to, d.delta));
+    addRow(i18n.t("timeline.total"), diff.total.from, diff.total.to, diff.total.delta);
+    addRow(i18n.t("timeline.compareRank"), rankLabel(diff.from.rank), rankLabel(diff.to.rank), null);
+    addRow(i18n.t("timeline.compareMindType"), mindTypeLabel(diff.from.mindType), mindTypeLabel(diff.to.mindType), null);
+
+    const actions = document.createElement("div");
+    actions.className = "actions";
+    actions.appendChild(profileActionButton(i18n.t("timeline.closeCompare"), () => {
+      timelineView.selected = [];
+      renderTimeline();
+    }));
+    panel.append(title, table, actions);
+  }
+
+  function renderTimeline() {
+    const timeline = document.querySelector("#timelineList");
+    if (!timeline) return;
+    const history = getHistory();
+    renderTimelineFilterOptions(history);
+    timelineView.selected = timelineView.selected.filter(id => history.some(e => e.id === id));
+
+    const all = timelineItems(history, getCheckins());
+    const journal = getJournal();
+    const matches = filterTimelineItems(all, timelineView.filters, journal);
+    const visible = matches.slice(0, timelineView.shown);
+    timeline.innerHTML = "";
+    visible.forEach(item => {
+      timeline.appendChild(item.kind === "checkin" ? renderCheckinItem(item.entry) : renderAnalysisItem(history, item.index, journal));
+    });
+
+    const summary = document.querySelector("#timelineSummary");
+    if (summary) {
+      if (!all.length) summary.textContent = "";
+      else if (!matches.length) summary.textContent = i18n.t("timeline.noMatches");
+      else summary.textContent = i18n.t("timeline.showing", { shown: visible.length, count: matches.length }) +
+        (matches.length < all.length ? i18n.t("timeline.inTotal", { total: all.length }) : "") +
+        (timelineView.selected.length === 1 ? i18n.t("timeline.pickAnother") : "");
+    }
+    const more = document.querySelector("#timelineMore");
+    if (more) {
+      const left = matches.length - visible.length;
+      more.hidden = left <= 0;
+      more.textContent = i18n.t("timeline.more", { count: Math.min(left, CONFIG.TIMELINE_PAGE_SIZE) });
+    }
+    renderTimelineCompare(history);
+  }
+
+  function wireTimeline() {
+    const form = document.querySelector("#timelineFilters");
+    if (form) {
+      const update = () => {
+        Object.keys(DEFAULT_TIMELINE_FILTERS).forEach(name => {
+          if (form.elements[name]) timelineView.filters[name] = form.elements[name].value;
+        });
+        timelineView.shown = CONFIG.TIMELINE_PAGE_SIZE;
+        renderTimeline();
+      };
+      form.addEventListener("input", update);
+      form.addEventListener("submit", (e) => e.preventDefault());
+      // "reset" fires before the fields are cleared
+      form.addEventListener("reset", () => setTimeout(update));
+    }
+    const more = document.querySelector("#timelineMore");
+    if (more) {
+      more.addEventListener("click", () => {
+        timelineView.shown += CONFIG.TIMELINE_PAGE_SIZE;
+        renderTimeline();
+      });
+    }
+  }
+
+  // ====== SETTINGS PAGE ======
+  // Labels are catalog keys (settings.rows.<name>). A band's id is kept in a
+  // hidden field: history refers to it, so renaming a band keeps its entries.
+  const RANK_ROW_FIELDS = [
+    { name: "id", type: "hidden" },
+    { name: "name", label: "name", type: "text" },
+    { name: "mindType", label: "mindType", type: "text" },
+    { name: "min", label: "min", type: "number", min: 0 },
+    { name: "max", label: "max", type: "number", min: 0 }
+  ];
+  const LORE_ROW_FIELDS = [
+    { name: "minLevel", label: "minLevel", type: "number", min: 1 },
+    { name: "title", label: "title", type: "text" }
+  ];
+
+  // Row labels carry data-i18n, so a language switch relabels them in place
+  function addSettingsRow(container, fields, values = {}) {
+    const row = document.createElement("div");
+    row.className = "settings-row";
+    fields.forEach(f => {
+      const input = document.createElement("input");
+      input.type = f.type;
+      input.dataset.field = f.name;
+      if (f.type === "number") {
+        input.min = f.min;
+        input.step = 1;
+      } else if (f.type === "text") {
+        input.maxLength = SETTINGS_TEXT_MAX;
+      }
+      input.value = values[f.name] == null ? "" : values[f.name];
+      if (f.type === "hidden") {
+        row.appendChild(input);
+        return;
+      }
+      const label = document.createElement("label");
+      label.className = "inline-field";
+      const text = document.createElement("span");
+      text.setAttribute("data-i18n", `settings.rows.${f.label}`);
+      text.textContent = i18n.t(`settings.rows.${f.label}`);
+      label.append(text, " ", input);
+      row.appendChild(label);
+    });
+    const remove = document.createElement("button");
+    remove.type = "button";
+    remove.className = "btn-secondary";
+    remove.textContent = "✕";
+    remove.setAttribute("data-i18n-attr", "aria-label:settings.rows.remove");
+    remove.setAttribute("aria-label", i18n.t("settings.rows.remove"));
+    remove.addEventListener("click", () => { if (container.children.length > 1) row.remove(); });
+    row.appendChild(remove);
+    container.appendChild(row);
+  }
+
+  // Empty number fields become null so validation reports them
+  function readSettingsRows(container) {
+    return [...container.querySelectorAll(".settings-row")].map(row => {
+      const values = {};
+      row.querySelectorAll("input[data-field]").forEach(input => {
+        values[input.dataset.field] = input.type === "number"
+          ? (input.value === "" ? null : Number(input.value))
+          : input.value;
+      });
+      return values;
+    });
+  }
+
+  function readSettingsForm(form) {
+    const num = (input) => (input.value === "" ? null : Number(input.value));
+    const { toastDisplayMs, inactivityPenaltyPerDay, onboardingBaseXP, curveBase, curveExponent, curvePerLevel } = form.elements;
+    return {
+      toastDisplayMs: num(toastDisplayMs),
+      inactivityPenaltyPerDay: num(inactivityPenaltyPerDay),
+      onboardingBaseXP: num(onboardingBaseXP),
+      levelCurve: { base: num(curveBase), exponent: num(curveExponent), perLevel: num(curvePerLevel) },
+      ranks: readSettingsRows(form.querySelector("#rankRows")),
+      loreTitles: readSettingsRows(form.querySelector("#loreRows"))
+    };
+  }
+
+  function renderLevelCurvePreview(form) {
+    const preview = form.querySelector("#levelCurvePreview");
+    if (!preview) return;
+    const { levelCurve } = readSettingsForm(form);
+    const errors = [];
+    Object.entries(LEVEL_CURVE_FIELDS).forEach(([key, field]) => checkNumber(errors, levelCurve[key], field));
+    preview.textContent = errors.length
+      ? errors[0]
+      : [1, 10, 50].map(n => i18n.t("settings.preview", { level: n, xp: Core.xpForLevel(n, levelCurve) })).join(" · ");
+  }
+
+  function renderSettingsErrors(form, errors) {
+    const list = form.querySelector("#settingsErrors");
+    if (!list) return;
+    list.innerHTML = "";
+    errors.forEach(msg => {
+      const li = document.createElement("li");
+      li.textContent = `⚠️ ${msg}`;
+      list.appendChild(li);
+    });
+    list.hidden = errors.length === 0;
+  }
+
+  function renderSettingsForm(form, settings) {
+    const { elements } = form;
+    elements.toastDisplayMs.value = settings.toastDisplayMs;
+    elements.inactivityPenaltyPerDay.value = settings.inactivityPenaltyPerDay;
+    elements.onboardingBaseXP.value = settings.onboardingBaseXP;
+    elements.curveBase.value = settings.levelCurve.base;
+    elements.curveExponent.value = settings.levelCurve.exponent;
+    elements.curvePerLevel.value = settings.levelCurve.perLevel;
+
+    const rankRows = form.querySelector("#rankRows");
+    rankRows.innerHTML = "";
+    settings.ranks.forEach(r => addSettingsRow(rankRows, RANK_ROW_FIELDS, r));
+    const loreRows = form.querySelector("#loreRows");
+    loreRows.innerHTML = "";
+    settings.loreTitles.forEach(t => addSettingsRow(loreRows, LORE_ROW_FIELDS, t));
+
+    const note = form.querySelector("#rankScaleNote");
+    if (note) note.textContent = i18n.t("settings.scaleNote", { max: CONFIG.MAX_SCORE });
+    renderLevelCurvePreview(form);
+    renderSettingsErrors(form, []);
+  }
+
+  function wireSettingsForm(view) {
+    const form = document.querySelector("#settingsForm");
+    if (!form) return;
+    renderSettingsForm(form, getSettings());
+
+    form.addEventListener("input", (e) => {
+      if (/^curve/.test(e.target.name || "")) renderLevelCurvePreview(form);
+    });
+
+    const addRank = form.querySelector("#addRank");
+    if (addRank) {
+      addRank.addEventListener("click", () => addSettingsRow(form.querySelector("#rankRows"), RANK_ROW_FIELDS, { id: `band_${Date.now().toString(36)}`, max: CONFIG.MAX_SCORE }));
+    }
+    const addLore = form.querySelector("#addLore");
+    if (addLore) addLore.addEventListener("click", () => addSettingsRow(form.querySelector("#loreRows"), LORE_ROW_FIELDS));
+
+    form.addEventListener("submit", (e) => {
+      e.preventDefault();
+      const next = normalizeSettings(readSettingsForm(form));
+      const errors = validateSettings(next);
+      renderSettingsErrors(form, errors);
+      if (errors.length) {
+        showToast(i18n.t("toast.settingsInvalid"));
+        return;
+      }
+      renderSettingsForm(form, saveSettings(next));
+      showToast(i18n.t("toast.settingsSaved"));
+    });
+
+    const resetBtn = form.querySelector("#resetSettings");
+    if (resetBtn) {
+      resetBtn.addEventListener("click", () => {
+        if (!confirm(i18n.t("settings.confirmReset"))) return;
+        renderSettingsForm(form, resetSettings());
+        showToast(i18n.t("toast.settingsReset"));
+      });
+    }
+
+    // Row labels follow data-i18n; the texts built here are redone, and
+    // listed problems are re-checked so they read in the new language
+    view.listen(document, "neuroforge:locale-changed", () => {
+      const note = form.querySelector("#rankScaleNote");
+      if (note) note.textContent = i18n.t("settings.scaleNote", { max: CONFIG.MAX_SCORE });
+      renderLevelCurvePreview(form);
+      const list = form.querySelector("#settingsErrors");
+      if (list && !list.hidden) renderSettingsErrors(form, validateSettings(normalizeSettings(readSettingsForm(form))));
+    });
+  }
+
+  // The language picker sits outside the settings form: it applies at once
+  // and is remembered per browser, not per profile
+  function wireLanguagePicker(view) {
+    const select = document.querySelector("#languageSelect");
+    if (!select) return;
+    select.innerHTML = "";
+    i18n.getLocales().forEach(locale => {
+      const option = document.createElement("option");
+      option.value = locale.code;
+      option.lang = locale.code;
+      option.dir = locale.dir;
+      option.textContent = locale.name;
+      select.appendChild(option);
+    });
+    select.value = i18n.getLocale();
+    select.addEventListener("change", () => {
+      if (!i18n.setLocale(select.value)) return;
+      const locale = i18n.getLocales().find(l => l.code === select.value);
+      showToast(i18n.t("toast.languageChanged", { name: locale ? locale.name : select.value }));
+    });
+    view.listen(document, "neuroforge:locale-changed", () => { select.value = i18n.getLocale(); });
+  }
+
+  // Theme, text size, motion and toast behaviour (static/js/prefs.js)
+  function wireAppearancePanel(view) {
+    const theme = document.querySelector("#prefTheme");
+    const fontScale = document.querySelector("#prefFontScale");
+    const motion = document.querySelector("#prefMotion");
+    const autoDismiss = document.querySelector("#prefToastAutoDismiss");
+    if (!theme || !fontScale || !motion || !autoDismiss) return;
+
+    function fillOptions(select, values, label) {
+      select.innerHTML = "";
+      values.forEach(value => {
+        const option = document.createElement("option");
+        option.value = String(value);
+        option.textContent = label(value);
+        select.appendChild(option);
+      });
+    }
+
+    function render() {
+      fillOptions(theme, NeuroforgePrefs.THEMES, v => i18n.t(`settings.prefs.themes.${v}`));
+      fillOptions(fontScale, NeuroforgePrefs.FONT_SCALES, v => i18n.formatNumber(v, { style: "percent" }));
+      fillOptions(motion, NeuroforgePrefs.MOTIONS, v => i18n.t(`settings.prefs.motions.${v}`));
+      const prefs = NeuroforgePrefs.get();
+      theme.value = prefs.theme;
+      fontScale.value = String(prefs.fontScale);
+      motion.value = prefs.motion;
+      autoDismiss.checked = prefs.toastAutoDismiss;
+    }
+
+    theme.addEventListener("change", () => NeuroforgePrefs.set({ theme: theme.value }));
+    fontScale.addEventListener("change", () => NeuroforgePrefs.set({ fontScale: Number(fontScale.value) }));
+    motion.addEventListener("change", () => NeuroforgePrefs.set({ motion: motion.value }));
+    autoDismiss.addEventListener("change", () => NeuroforgePrefs.set({ toastAutoDismiss: autoDismiss.checked }));
+    document.querySelector("#prefReset").addEventListener("click", () => {
+      NeuroforgePrefs.reset();
+      render();
+    });
+    view.listen(document, "neuroforge:locale-changed", render);
+    render();
+  }
+
+  // Events logged before reason keys existed only carry the English text
+  const LEGACY_REASONS = [
+    [/^Analysis \(score (\d+)\)$/, m => ["analysis", { score: Number(m[1]) }]],
+    [/^Plan task \(day (\d+)\)$/, m => ["planTask", { day: Number(m[1]) }]],
+    [/^7-day plan completed$/, () => ["planCompleted"]],
+    [/^Daily check-in$/, () => ["checkin"]],
+    [/^Habit: (.+)$/, m => ["habit", { title: m[1] }]],
+    [/^Goal reached: (.+)$/, m => ["goalReached", { title: m[1] }]],
+    [/^Focus session \((\d+) min, (.+)\)$/, m => ["focusTagged", { minutes: Number(m[1]), tag: m[2] }]],
+    [/^Focus session \((\d+) min\)$/, m => ["focus", { minutes: Number(m[1]) }]],
+    [/^Imported data$/, () => ["imported"]],
+    [/^Import merge \((\d+) analyses\)$/, m => ["importMergeXP", { count: Number(m[1]) }]],
+    [/^Import merge$/, () => ["importMerge"]],
+    [/^Sync merge$/, () => ["syncMerge"]],
+    [/^Carried over from before the event log$/, () => ["baseline"]]
+  ];
+
+  function legacyReasonKey(reason) {
+    for (const [pattern, toKey] of LEGACY_REASONS) {
+      const match = pattern.exec(String(reason || ""));
+      if (match) return toKey(match);
+    }
+    return [];
+  }
+
+  function ledgerReason(row) {
+    const [legacyKey, legacyParams] = row.reasonKey ? [] : legacyReasonKey(row.reason);
+    const reasonKey = row.reasonKey || legacyKey;
+    if (!reasonKey) return row.reason;
+    const params = { ...(row.reasonParams || legacyParams || {}), default: row.reason };
+    if (params.date) params.date = i18n.formatDate(params.date);
+    return i18n.t(`ledger.reasons.${reasonKey}`, params);
+  }
+
+  // Newest first; each row says when, how much, why and the resulting balance
+  function renderLedger(list, rows) {
+    list.innerHTML = "";
+    if (!rows.length) {
+      const li = document.createElement("li");
+      li.className = "muted";
+      li.textContent = i18n.t("ledger.empty");
+      list.appendChild(li);
+      return;
+    }
+    rows.slice().reverse().forEach(row => {
+      const li = document.createElement("li");
+      li.className = "ledger-row " + (row.amount < 0 ? "loss" : "gain");
+      const amount = document.createElement("strong");
+      amount.textContent = i18n.t("common.xp", { amount: `${row.amount < 0 ? "−" : "+"}${i18n.formatNumber(Math.abs(row.amount))}` });
+      li.append(`${i18n.formatDate(row.date)} · `, amount, ` · ${ledgerReason(row)} · ${i18n.t("common.xp", { amount: row.balance })}`);
+      list.appendChild(li);
+    });
+  }
+
+  // Progress rows come from the engine in English; ids and units map them
+  // onto the catalog
+  function achievementProgressLabel(a) {
+    if (a.hidden) return i18n.t("achievements.hiddenHint");
+    const current = a.unit === "%" ? a.current : Math.min(a.current, a.target);
+    return i18n.t(`achievements.progress.${a.unit}`, { current, target: a.target, default: a.label });
+  }
+
+  function renderBadge(a) {
+    const li = document.createElement("li");
+    li.className = "badge-card" + (a.unlocked ? " unlocked" : " ghost") + (a.tier ? ` tier-${a.tier}` : "");
+
+    const name = a.hidden ? i18n.t("achievements.hidden") : achievementTitle(a.id, a.title);
+    const title = document.createElement("strong");
+    title.textContent = a.unlocked ? name : i18n.t("achievements.locked", { title: name });
+    li.appendChild(title);
+
+    if (a.tier) {
+      const tier = document.createElement("span");
+      tier.className = "tier-label";
+      tier.textContent = i18n.t(`achievements.tiers.${a.tier}`);
+      li.appendChild(tier);
+    }
+
+    if (!a.complete) {
+      li.appendChild(createProgressBar(i18n.t("achievements.progressLabel", { title: name }), a.percent));
+    }
+
+    const detail = document.createElement("p");
+    detail.className = "muted small";
+    const parts = [];
+    const label = achievementProgressLabel(a);
+    if (!a.complete) parts.push(a.nextTier && a.unlocked ? i18n.t("achievements.next", { tier: i18n.t(`achievements.tiers.${a.nextTier}`), label }) : label);
+    if (a.unlockedAt) parts.push(i18n.t("achievements.unlocked", { date: i18n.formatDate(toLocalISODate(new Date(a.unlockedAt))) }));
+    detail.textContent = parts.join(" · ");
+    li.appendChild(detail);
+
+    return li;
+  }
+
+  // ====== EXPORT / IMPORT / RESET HELPERS ======
+  // Bump EXPORT_SCHEMA_VERSION whenever the payload shape changes and add a
+  // migration from the previous version to MIGRATIONS.
+  const EXPORT_SCHEMA_VERSION = 11;
+
+  const MIGRATIONS = {
+    // v1: unversioned payloads written before schemaVersion existed
+    1: (p) => ({
+      ...p,
+      schemaVersion: 2,
+      lastIndex: p.lastIndex == null ? null : p.lastIndex,
+      xpLog: Array.isArray(p.xpLog) ? p.xpLog : []
+    }),
+    // v2 -> v3: achievement unlock times and counters
+    2: (p) => ({
+      ...p,
+      schemaVersion: 3,
+      achievementMeta: { unlockedAt: {}, counters: {} }
+    }),
+    // v3 -> v4: event log; an empty log means "rebuild from the totals"
+    3: (p) => ({
+      ...p,
+      schemaVersion: 4,
+      events: []
+    }),
+    // v4 -> v5: daily check-ins
+    4: (p) => ({
+      ...p,
+      schemaVersion: 5,
+      checkins: []
+    }),
+    // v5 -> v6: habits & goals
+    5: (p) => ({
+      ...p,
+      schemaVersion: 6,
+      habits: []
+    }),
+    // v6 -> v7: focus sessions
+    6: (p) => ({
+      ...p,
+      schemaVersion: 7,
+      focusSessions: []
+    }),
+    // v7 -> v8: settings; null keeps the importing device's settings
+    7: (p) => ({
+      ...p,
+      schemaVersion: 8,
+      settings: null
+    }),
+    // v8 -> v9: journal
+    8: (p) => ({
+      ...p,
+      schemaVersion: 9,
+      journal: []
+    }),
+    // v9 -> v10: analyses store band ids instead of rank and mind type
+    // names, matched against the bands exported with them
+    9: (p) => {
+      const settings = p.settings && typeof p.settings === "object" && !Array.isArray(p.settings) ? normalizeSettings(p.settings) : null;
+      const bands = settings ? settings.ranks.filter(r => r && typeof r === "object") : RANK_THRESHOLDS;
+      const history = Array.isArray(p.history) ? p.history.map(e => (e && typeof e === "object" ? { ...e } : e)) : p.history;
+      if (Array.isArray(history)) ensureHistoryRankIds(history, bands);
+      return { ...p, schemaVersion: 10, history };
+    },
+    // v10 -> v11: reports are deep-linked (#/result/<id>), so the
+    // "last viewed report" index is no longer stored
+    10: ({ lastIndex, ...p }) => ({
+      ...p,
+      schemaVersion: 11
+    })
+  };
+
+  function migratePayload(payload) {
+    let p = { ...payload };
+    let version = Number(p.schemaVersion) || 1;
+    if (version > EXPORT_SCHEMA_VERSION) {
+      throw new Error(i18n.t("errors.newerSchema", { version }));
+    }
+    while (version < EXPORT_SCHEMA_VERSION) {
+      const migrate = MIGRATIONS[version];
+      if (!migrate) throw new Error(i18n.t("errors.noMigration", { version }));
+      p = migrate(p);
+      version = p.schemaVersion;
+    }
+    return p;
+  }
+
+  function buildExportPayload() {
+    return {
+      schemaVersion: EXPORT_SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      history: getHistory(),
+      achievements: getAchievements(),
       xp: getXP(),
       streak: getStreak(),
-      lastActive: getLastActive()
+      lastActive: getLastActive(),
+      xpLog: getXPLog(),
+      achievementMeta: getAchievementMeta(),
+      events: getEvents(),
+      checkins: getCheckins(),
+      habits: getHabits(),
+      focusSessions: getFocusSessions(),
+      journal: getJournal(),
+      settings: getSettings()
     };
+  }
+
+  // All profiles at once: one regular payload per profile
+  const PROFILES_EXPORT_KIND = "neuroforge-profiles";
+
+  function buildProfilesExportPayload() {
+    return {
+      kind: PROFILES_EXPORT_KIND,
+      schemaVersion: EXPORT_SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      profiles: getProfiles().map(p => ({
+        id: p.id,
+        name: p.name,
+        createdAt: p.createdAt,
+        data: withProfileStorage(p.id, buildExportPayload)
+      }))
+    };
+  }
+
+  const isProfilesPayload = (raw) => !!raw && raw.kind === PROFILES_EXPORT_KIND;
+
+  function fileSlug(text) {
+    return String(text).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "profile";
+  }
+
+  // scope: "profile" (the active one) or "all"
+  function exportData(scope = "profile") {
+    const all = scope === "all";
+    const payload = all ? buildProfilesExportPayload() : buildExportPayload();
     const blob = new Blob([JSON.stringify(payload, null, 2)], { type: "application/json" });
     const url = URL.createObjectURL(blob);
     const a = document.createElement("a");
     a.href = url;
-    a.download = `neuroforge_export_${toLocalISODate()}.json`;
+    a.download = `neuroforge_export_${all ? "all-profiles" : fileSlug(getActiveProfile().name)}_${toLocalISODate()}.json`;
     document.body.appendChild(a);
     a.click();
     a.remove();
     URL.revokeObjectURL(url);
-    showToast("📤 Data exported");
+    showToast(i18n.t(all ? "toast.exportedAll" : "toast.exported"));
+  }
+
+  // ====== IMPORT VALIDATION ======
+  function isNonNegativeNumber(v) {
+    return v !== null && v !== "" && Number.isFinite(Number(v)) && Number(v) >= 0;
+  }
+
+  // Analyses, including their plans, are checked in core/merge.js
+  const validateHistoryEntry = (entry) => Core.validateHistoryEntry(entry, { maxScore: CONFIG.MAX_SCORE, noteMax: CONFIG.ENTRY_NOTE_MAX });
+
+  const { EVENT_TYPES } = Core;
+
+  function validateEvent(event, knownIds) {
+    if (!event || typeof event !== "object") return ["not an object"];
+    const errors = [];
+    if (!EVENT_TYPES.includes(event.type)) errors.push(`unknown type "${event.type}"`);
+    if (typeof event.id !== "string" || !event.id) errors.push("missing id");
+    if (Number.isNaN(Date.parse(event.at))) errors.push("invalid at");
+    if (!isValidISODate(event.date)) errors.push(`invalid date "${event.date}"`);
+    if (event.type === "xp-granted" && !Number.isFinite(Number(event.amount))) errors.push("invalid amount");
+    if (event.type === "decay-applied") {
+      if (!isNonNegativeNumber(event.amount)) errors.push("invalid amount");
+      if (!isValidISODate(event.through)) errors.push("invalid through");
+    }
+    if (event.type === "freeze-earned" && event.cost != null && !isNonNegativeNumber(event.cost)) errors.push("invalid cost");
+    if (event.type === "entry-deleted" && !isNonNegativeNumber(event.amount)) errors.push("invalid amount");
+    if (event.type === "plan-task-completed" && typeof event.entryId !== "string") errors.push("invalid entryId");
+    if ((event.type === "achievement-unlocked" || event.type === "achievement-revoked") && !knownIds.includes(event.achievementId)) {
+      errors.push(`unknown achievement "${event.achievementId}"`);
+    }
+    if (event.type === "state-set") {
+      if (event.xp != null && !isNonNegativeNumber(event.xp)) errors.push("invalid xp");
+      if (event.streak != null && !isNonNegativeNumber(event.streak)) errors.push("invalid streak");
+      if (event.lastActive && !isValidISODate(event.lastActive)) errors.push("invalid lastActive");
+      if (Array.isArray(event.achievements) && event.achievements.some(id => !knownIds.includes(id))) {
+        errors.push("unknown achievements");
+      }
+    }
+    return errors;
+  }
+
+  function validateCheckin(checkin) {
+    if (!checkin || typeof checkin !== "object") return ["not an object"];
+    const errors = [];
+    if (typeof checkin.id !== "string" || !checkin.id) errors.push("missing id");
+    if (!isValidISODate(checkin.date)) errors.push(`invalid date "${checkin.date}"`);
+    if (Number.isNaN(Date.parse(checkin.createdAt))) errors.push("invalid createdAt");
+    CHECKIN_METRICS.forEach(m => {
+      const v = Number(checkin[m.id]);
+      if (!Number.isInteger(v) || v < QUESTIONNAIRE.scale.min || v > QUESTIONNAIRE.scale.max) errors.push(`${m.id} out of range`);
+    });
+    if (checkin.note != null && (typeof checkin.note !== "string" || checkin.note.length > CONFIG.CHECKIN_NOTE_MAX)) {
+      errors.push("invalid note");
+    }
+    return errors;
+  }
+
+  function validateHabit(habit) {
+    if (!habit || typeof habit !== "object") return ["not an object"];
+    const errors = [];
+    if (typeof habit.id !== "string" || !habit.id) errors.push("missing id");
+    if (typeof habit.title !== "string" || !habit.title.trim() || habit.title.length > CONFIG.HABIT_TITLE_MAX) errors.push("invalid title");
+    if (habit.kind !== "habit" && habit.kind !== "goal") errors.push(`unknown kind "${habit.kind}"`);
+    if (habit.kind === "goal" && !(Number.isInteger(habit.target) && habit.target >= 1)) errors.push("invalid target");
+    if (!DIMENSIONS.some(d => d.id === habit.dimension)) errors.push(`unknown dimension "${habit.dimension}"`);
+    try {
+      normalizeRecurrence(habit.recurrence);
+    } catch (err) {
+      errors.push("invalid recurrence");
+    }
+    if (Number.isNaN(Date.parse(habit.createdAt))) errors.push("invalid createdAt");
+    if (!Array.isArray(habit.completions) || !habit.completions.every(isValidISODate)) errors.push("invalid completions");
+    return errors;
+  }
+
+  function validateFocusSession(session) {
+    if (!session || typeof session !== "object") return ["not an object"];
+    const errors = [];
+    if (typeof session.id !== "string" || !session.id) errors.push("missing id");
+    if (Number.isNaN(Date.parse(session.startedAt))) errors.push("invalid startedAt");
+    if (Number.isNaN(Date.parse(session.endedAt))) errors.push("invalid endedAt");
+    if (!Number.isInteger(session.minutes) || session.minutes < 1) errors.push("invalid minutes");
+    if (session.tag != null && (typeof session.tag !== "string" || session.tag.length > CONFIG.FOCUS_TAG_MAX)) errors.push("invalid tag");
+    return errors;
+  }
+
+  function validateJournalEntry(item) {
+    if (!item || typeof item !== "object") return ["not an object"];
+    const errors = [];
+    if (typeof item.id !== "string" || !item.id) errors.push("missing id");
+    if (!isValidISODate(item.date)) errors.push(`invalid date "${item.date}"`);
+    if (item.entryId != null && typeof item.entryId !== "string") errors.push("invalid entryId");
+    if (typeof item.text !== "string" || !item.text.trim() || item.text.length > CONFIG.JOURNAL_TEXT_MAX) errors.push("invalid text");
+    if (!Array.isArray(item.tags) || parseJournalTags(item.tags).join(",") !== item.tags.join(",")) errors.push("invalid tags");
+    if (Number.isNaN(Date.parse(item.createdAt))) errors.push("invalid createdAt");
+    return errors;
+  }
+
+  // Entry keys and ids are shared with sync (core/merge.js)
+  const { historyEntryId, mergeImportedHistory } = Core;
+
+  // Backfills ids on entries saved before ids existed; returns true if any changed
+  function ensureHistoryIds(history) {
+    let changed = false;
+    history.forEach(entry => {
+      if (!entry.id) {
+        entry.id = historyEntryId(entry);
+        changed = true;
+      }
+    });
+    return changed;
+  }
+
+  const { compareHistoryEntries } = Core;
+
+  function latestDate(...dates) {
+    return dates.filter(isValidISODate).sort().pop() || null;
+  }
+
+  // XP an entry earned at the time: analysis reward plus plan task rewards
+  function entryXP(entry, streakAtEntry) {
+    const progress = planProgress(entry);
+    const planXP = progress.done * CONFIG.PLAN_TASK_XP +
+      (progress.total && progress.done === progress.total ? CONFIG.PLAN_COMPLETION_BONUS_XP : 0);
+    return analysisXP(Number(entry.total) || 0, streakAtEntry) + planXP;
+  }
+
+  // Consecutive-day streak ending on the latest active day
+  function streakFromDates(dates) {
+    const days = [...new Set(dates.filter(isValidISODate))].sort();
+    if (!days.length) return 0;
+    let streak = 1;
+    for (let i = days.length - 1; i > 0; i--) {
+      if (diffInDaysLocal(days[i - 1], days[i]) !== 1) break;
+      streak++;
+    }
+    return streak;
+  }
+
+  function activityDates(history) {
+    const dates = [];
+    history.forEach(e => {
+      dates.push(e.date);
+      (e.plan || []).forEach(t => { if (t && t.completedAt) dates.push(toLocalISODate(new Date(t.completedAt))); });
+    });
+    return dates;
+  }
+
+  // Counters in older exports are dropped: they are derived from the log now
+  function sanitizeAchievementMeta(meta, knownIds) {
+    const clean = { unlockedAt: {} };
+    if (!meta || typeof meta !== "object") return clean;
+    Object.entries(meta.unlockedAt || {}).forEach(([id, at]) => {
+      if (knownIds.includes(id) && !Number.isNaN(Date.parse(at))) clean.unlockedAt[id] = at;
+    });
+    return clean;
+  }
+
+  // Earliest unlock time wins
+  function mergeAchievementMeta(a, b) {
+    const merged = { unlockedAt: { ...a.unlockedAt } };
+    Object.entries(b.unlockedAt).forEach(([id, at]) => {
+      const existing = merged.unlockedAt[id];
+      if (!existing || Date.parse(at) < Date.parse(existing)) merged.unlockedAt[id] = at;
+    });
+    return merged;
+  }
+
+  // Validates and migrates a payload, then works out the state an import
+  // would produce. Nothing is written; applyImportPlan() does that.
+  function planImport(json, mode = "replace") {
+    if (mode !== "replace" && mode !== "merge") throw new Error(i18n.t("errors.importMode", { mode }));
+    const raw = typeof json === "string" ? JSON.parse(json) : json;
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) throw new Error(i18n.t("errors.payloadObject"));
+
+    const fromVersion = Number(raw.schemaVersion) || 1;
+    const payload = migratePayload(raw);
+    const skipped = [];
+    // Problem details stay in English; the item they belong to is translated
+    const item = (key, n, errors) => i18n.t(`import.items.${key}`, { n, errors: errors.join(", ") });
+
+    const incomingHistory = [];
+    (Array.isArray(payload.history) ? payload.history : []).forEach((entry, i) => {
+      const errors = validateHistoryEntry(entry);
+      if (errors.length) skipped.push(item("history", i + 1, errors));
+      else incomingHistory.push(entry);
+    });
+
+    const knownIds = ALL_ACHIEVEMENTS.map(a => a.id);
+    const incomingAchievements = [];
+    (Array.isArray(payload.achievements) ? payload.achievements : []).forEach(id => {
+      if (knownIds.includes(id)) incomingAchievements.push(id);
+      else skipped.push(i18n.t("import.items.achievement", { id }));
+    });
+    const incomingMeta = sanitizeAchievementMeta(payload.achievementMeta, knownIds);
+
+    const incomingHabits = [];
+    (Array.isArray(payload.habits) ? payload.habits : []).forEach((habit, i) => {
+      const errors = validateHabit(habit);
+      if (errors.length) skipped.push(item("habit", i + 1, errors));
+      else incomingHabits.push({ ...habit, recurrence: normalizeRecurrence(habit.recurrence), archived: !!habit.archived });
+    });
+
+    const incomingFocus = [];
+    (Array.isArray(payload.focusSessions) ? payload.focusSessions : []).forEach((session, i) => {
+      const errors = validateFocusSession(session);
+      if (errors.length) skipped.push(item("focus", i + 1, errors));
+      else incomingFocus.push(session);
+    });
+
+    const incomingJournal = [];
+    (Array.isArray(payload.journal) ? payload.journal : []).forEach((j, i) => {
+      const errors = validateJournalEntry(j);
+      if (errors.length) skipped.push(item("journal", i + 1, errors));
+      else incomingJournal.push({ ...j, entryId: j.entryId || null, updatedAt: j.updatedAt || j.createdAt });
+    });
+
+    const incomingCheckins = [];
+    (Array.isArray(payload.checkins) ? payload.checkins : []).forEach((checkin, i) => {
+      const errors = validateCheckin(checkin);
+      if (errors.length) skipped.push(item("checkin", i + 1, errors));
+      else incomingCheckins.push(checkin);
+    });
+
+    // Imported settings replace local ones only in replace mode
+    let incomingSettings = null;
+    if (payload.settings != null) {
+      const errors = typeof payload.settings === "object" && !Array.isArray(payload.settings)
+        ? validateSettings(normalizeSettings(payload.settings))
+        : [settingsError("settingsObject")];
+      if (errors.length) skipped.push(i18n.t("import.items.settings", { errors: errors.join(", ") }));
+      else incomingSettings = normalizeSettings(payload.settings);
+    }
+
+    const current = {
+      history: getHistory(),
+      achievements: getAchievements(),
+      xp: getXP(),
+      streak: getStreak(),
+      lastActive: getLastActive(),
+      checkins: getCheckins(),
+      habits: getHabits(),
+      focusSessions: getFocusSessions(),
+      journal: getJournal()
+    };
+
+    let next;
+    let added = [];
+    if (mode === "replace") {
+      if (payload.lastActive != null && !isValidISODate(payload.lastActive)) skipped.push(i18n.t("import.items.lastActive"));
+      if (payload.xp != null && !isNonNegativeNumber(payload.xp)) skipped.push(i18n.t("import.items.xp"));
+      if (payload.streak != null && !isNonNegativeNumber(payload.streak)) skipped.push(i18n.t("import.items.streak"));
+      next = {
+        history: incomingHistory,
+        achievements: incomingAchievements,
+        xp: isNonNegativeNumber(payload.xp) ? Number(payload.xp) : CONFIG.DEFAULT_XP,
+        streak: isNonNegativeNumber(payload.streak) ? Number(payload.streak) : CONFIG.DEFAULT_STREAK,
+        lastActive: isValidISODate(payload.lastActive) ? payload.lastActive : null,
+        xpLog: Array.isArray(payload.xpLog) ? payload.xpLog.filter(p => p && isValidISODate(p.date) && isNonNegativeNumber(p.xp)) : [],
+        achievementMeta: incomingMeta,
+        checkins: incomingCheckins,
+        habits: incomingHabits,
+        focusSessions: incomingFocus,
+        journal: incomingJournal,
+        settings: incomingSettings
+      };
+
+      const incomingEvents = [];
+      (Array.isArray(payload.events) ? payload.events : []).forEach((event, i) => {
+        const errors = validateEvent(event, knownIds);
+        if (errors.length) skipped.push(item("event", i + 1, errors));
+        else incomingEvents.push(event);
+      });
+      if (incomingEvents.length) {
+        // The imported log is authoritative; totals are recomputed from it
+        const derived = deriveState(incomingEvents);
+        Object.assign(next, {
+          events: incomingEvents,
+          achievements: derived.achievements,
+          xp: derived.xp,
+          streak: derived.streak,
+          lastActive: derived.lastActive,
+          xpLog: derived.xpLog
+        });
+        next.achievementMeta.unlockedAt = derived.unlockedAt;
+      } else {
+        next.events = [createEvent("state-set", {
+          xp: next.xp,
+          streak: next.streak,
+          lastActive: next.lastActive,
+          achievements: next.achievements,
+          unlockedAt: next.achievementMeta.unlockedAt,
+          xpLog: next.xpLog,
+          reason: "Imported data",
+          reasonKey: "imported"
+        })];
+      }
+      added = incomingHistory;
+    } else {
+      const merged = mergeImportedHistory(current.history, incomingHistory, getDeletedEntryIds());
+      merged.dropped.forEach(e => skipped.push(i18n.t("import.items.deleted", { id: e.id || historyEntryId(e), date: e.date })));
+      added = merged.added;
+      const history = merged.history;
+
+      // Local XP already covers local entries; add what each new entry earned,
+      // using the streak it would have had in the merged timeline.
+      const xpGained = added.reduce((sum, e) => {
+        const upTo = history.slice(0, history.indexOf(e) + 1);
+        return sum + entryXP(e, streakFromDates(activityDates(upTo)));
+      }, 0);
+
+      const lastActive = latestDate(current.lastActive, payload.lastActive, ...history.map(h => h.date));
+      next = {
+        history,
+        achievements: [...new Set(current.achievements.concat(incomingAchievements))],
+        xp: current.xp + xpGained,
+        streak: streakFromDates(activityDates(history).concat(lastActive ? [lastActive] : [])),
+        lastActive,
+        achievementMeta: mergeAchievementMeta(getAchievementMeta(), incomingMeta),
+        // One check-in per day: the local one wins
+        checkins: current.checkins.concat(incomingCheckins.filter(c =>
+          !current.checkins.some(l => l.id === c.id || l.date === c.date)
+        )).sort((a, b) => a.createdAt.localeCompare(b.createdAt)),
+        // Same habit on both sides: keep local fields, union the completions
+        habits: current.habits.map(h => {
+          const other = incomingHabits.find(i => i.id === h.id);
+          return other ? { ...h, completions: [...new Set(h.completions.concat(other.completions))].sort() } : h;
+        }).concat(incomingHabits.filter(i => !current.habits.some(h => h.id === i.id))),
+        focusSessions: current.focusSessions
+          .concat(incomingFocus.filter(f => !current.focusSessions.some(l => l.id === f.id)))
+          .sort((a, b) => a.endedAt.localeCompare(b.endedAt)),
+        // Same journal entry on both sides: the later edit wins
+        journal: current.journal
+          .map(j => {
+            const other = incomingJournal.find(i => i.id === j.id);
+            return other && String(other.updatedAt) > String(j.updatedAt || "") ? other : j;
+          })
+          .concat(incomingJournal.filter(i => !current.journal.some(j => j.id === i.id))),
+        settings: null
+      };
+
+      // Local log stays; the merge itself is recorded as new events
+      next.events = getEvents();
+      if (xpGained > 0) {
+        next.events.push(createEvent("xp-granted", {
+          amount: xpGained,
+          reason: `Import merge (${added.length} analyses)`,
+          reasonKey: "importMergeXP",
+          reasonParams: { count: added.length }
+        }));
+      }
+      next.events.push(createEvent("state-set", {
+        streak: next.streak,
+        lastActive: next.lastActive,
+        achievements: next.achievements,
+        unlockedAt: next.achievementMeta.unlockedAt,
+        reason: "Import merge",
+        reasonKey: "importMerge"
+      }));
+    }
+
+    return {
+      mode,
+      fromVersion,
+      next,
+      skipped,
+      changes: {
+        historyBefore: current.history.length,
+        historyAfter: next.history.length,
+        historyAdded: mode === "merge" ? added.length : next.history.length,
+        historyRemoved: mode === "replace" ? current.history.length : 0,
+        achievementsAdded: next.achievements.filter(id => !current.achievements.includes(id)),
+        achievementsRemoved: current.achievements.filter(id => !next.achievements.includes(id)),
+        xp: { from: current.xp, to: next.xp },
+        streak: { from: current.streak, to: next.streak },
+        lastActive: { from: current.lastActive, to: next.lastActive },
+        checkins: { from: current.checkins.length, to: next.checkins.length },
+        habits: { from: current.habits.length, to: next.habits.length },
+        focusSessions: { from: current.focusSessions.length, to: next.focusSessions.length },
+        journal: {
+          from: current.journal.length,
+          to: next.journal.length,
+          updated: mode === "merge" ? next.journal.filter(j => incomingJournal.includes(j) && current.journal.some(c => c.id === j.id)).length : 0
+        },
+        settings: !!next.settings && JSON.stringify(next.settings) !== JSON.stringify(getSettings())
+      }
+    };
+  }
+
+  function applyImportPlan(plan) {
+    const { next } = plan;
+    if (next.settings) {
+      safeSetJSON(KEYS.SETTINGS, next.settings);
+      applySettings(next.settings);
+    }
+    saveHistory(next.history);
+    saveCheckins(next.checkins);
+    saveHabits(next.habits);
+    saveFocusSessions(next.focusSessions);
+    saveJournal(next.journal);
+    saveAchievementMeta(next.achievementMeta);
+    safeSetJSON(KEYS.EVENTS, next.events);
+    writeProjection(deriveState(next.events));
+  }
+
+  // Human-readable list of what an import would change (dry run)
+  function describeImportPlan(plan) {
+    const c = plan.changes;
+    const lines = [];
+    const fromTo = (key, change) => i18n.t(`import.${key}`, { from: change.from, to: change.to });
+    const achievementList = (ids) => i18n.formatList(ids.map(id => achievementTitle(id)));
+    if (plan.fromVersion < EXPORT_SCHEMA_VERSION) {
+      lines.push(i18n.t("import.upgrading", { from: plan.fromVersion, to: EXPORT_SCHEMA_VERSION }));
+    }
+    if (plan.mode === "replace") {
+      lines.push(i18n.t("import.replace", { before: c.historyBefore, after: c.historyAfter }));
+    } else {
+      lines.push(i18n.t("import.add", { count: c.historyAdded, before: c.historyBefore, after: c.historyAfter }));
+    }
+    if (c.settings) lines.push(i18n.t("import.settings"));
+    if (c.focusSessions.from !== c.focusSessions.to) lines.push(fromTo("focusSessions", c.focusSessions));
+    if (c.habits.from !== c.habits.to) lines.push(fromTo("habits", c.habits));
+    if (c.checkins.from !== c.checkins.to) lines.push(fromTo("checkins", c.checkins));
+    if (c.journal.from !== c.journal.to) lines.push(fromTo("journal", c.journal));
+    if (c.journal.updated) lines.push(i18n.t("import.journalUpdated", { count: c.journal.updated }));
+    if (c.achievementsAdded.length) lines.push(i18n.t("import.unlock", { list: achievementList(c.achievementsAdded) }));
+    if (c.achievementsRemoved.length) lines.push(i18n.t("import.remove", { list: achievementList(c.achievementsRemoved) }));
+    if (c.xp.from !== c.xp.to) lines.push(fromTo("xp", c.xp));
+    if (c.streak.from !== c.streak.to) lines.push(fromTo("streak", c.streak));
+    if (c.lastActive.from !== c.lastActive.to) {
+      const day = (iso) => (iso ? i18n.formatDate(iso) : "—");
+      lines.push(i18n.t("import.lastActive", { from: day(c.lastActive.from), to: day(c.lastActive.to) }));
+    }
+    plan.skipped.forEach(message => lines.push(i18n.t("import.skipped", { message })));
+    if (lines.length === 0) lines.push(i18n.t("import.nothing"));
+    return lines;
+  }
+
+  // A profiles export is planned per profile: profiles are matched by id,
+  // unknown ones are created (always in replace mode).
+  function planProfilesImport(raw, mode) {
+    if (Number(raw.schemaVersion) > EXPORT_SCHEMA_VERSION) {
+      throw new Error(i18n.t("errors.newerSchema", { version: Number(raw.schemaVersion) }));
+    }
+    if (!Array.isArray(raw.profiles) || !raw.profiles.length) throw new Error(i18n.t("errors.noProfiles"));
+    const known = getProfiles();
+    const skipped = [];
+    const profiles = [];
+    raw.profiles.forEach((entry, i) => {
+      if (!entry || typeof entry !== "object" || !entry.data || typeof entry.data !== "object") {
+        skipped.push(i18n.t("import.items.profile", { n: i + 1, errors: i18n.t("import.items.noData") }));
+        return;
+      }
+      let name;
+      try {
+        name = cleanProfileName(entry.name);
+      } catch (err) {
+        skipped.push(i18n.t("import.items.profile", { n: i + 1, errors: err.message }));
+        return;
+      }
+      const existing = typeof entry.id === "string" ? known.find(p => p.id === entry.id) : null;
+      const id = existing ? existing.id : `p_${Date.now().toString(36)}${i}${Math.random().toString(36).slice(2, 6)}`;
+      const plan = withProfileStorage(id, () => planImport(entry.data, existing ? mode : "replace"));
+      profiles.push({ id, name: existing ? existing.name : name, isNew: !existing, plan });
+    });
+    return { mode, profiles, skipped };
+  }
+
+  function applyProfilesImportPlan(bundle) {
+    bundle.profiles.forEach(p => {
+      if (p.isNew) createProfile(p.name, p.id);
+      withProfileStorage(p.id, () => applyImportPlan(p.plan));
+    });
+    applySettings(loadSettings());
   }
 
-  function importData(json) {
+  function describeProfilesImportPlan(bundle) {
+    const lines = [];
+    bundle.profiles.forEach(p => {
+      lines.push(i18n.t(p.isNew ? "import.profileNew" : "import.profile", { name: p.name }));
+      describeImportPlan(p.plan).forEach(line => lines.push(`   ${line}`));
+    });
+    bundle.skipped.forEach(message => lines.push(i18n.t("import.skipped", { message })));
+    return lines;
+  }
+
+  function previewImport(json, mode = "replace") {
+    const raw = typeof json === "string" ? JSON.parse(json) : json;
+    if (isProfilesPayload(raw)) {
+      const bundle = planProfilesImport(raw, mode);
+      return {
+        mode,
+        profiles: bundle.profiles.map(p => ({ id: p.id, name: p.name, isNew: p.isNew, changes: p.plan.changes, skipped: p.plan.skipped })),
+        skipped: bundle.skipped,
+        summary: describeProfilesImportPlan(bundle)
+      };
+    }
+    const plan = planImport(raw, mode);
+    return { mode: plan.mode, changes: plan.changes, skipped: plan.skipped, summary: describeImportPlan(plan) };
+  }
+
+  // ====== MEMBER SUMMARIES (cohort view) ======
+  // What a leaderboard needs from someone's export, without raw answers,
+  // notes or logs. A profiles export yields one summary per profile.
+  function summarizePayload(raw, name = null) {
+    const payload = migratePayload(raw);
+    const history = (Array.isArray(payload.history) ? payload.history : [])
+      .filter(e => !validateHistoryEntry(e).length)
+      .sort(compareHistoryEntries);
+    const xp = isNonNegativeNumber(payload.xp) ? Number(payload.xp) : CONFIG.DEFAULT_XP;
+    const latest = history[history.length - 1];
+    const round1 = (v) => (v == null ? null : Math.round(v * 10) / 10);
+    const dimensions = {};
+    DIMENSIONS.forEach(d => { dimensions[d.id] = latest ? Number(latest[d.id]) : null; });
+    return {
+      name,
+      xp,
+      level: computeLevelFromXP(xp).level,
+      streak: isNonNegativeNumber(payload.streak) ? Number(payload.streak) : CONFIG.DEFAULT_STREAK,
+      lastActive: isValidISODate(payload.lastActive) ? payload.lastActive : null,
+      analyses: history.length,
+      averageScore: round1(average(history.map(h => Number(h.total)))),
+      // Dimension scores of the latest analysis
+      dimensions,
+      trend: history.map(h => ({ date: h.date, total: Number(h.total) }))
+    };
+  }
+
+  function summarizeExport(json) {
+    const raw = typeof json === "string" ? JSON.parse(json) : json;
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) throw new Error(i18n.t("errors.payloadObject"));
+    if (!isProfilesPayload(raw)) return [summarizePayload(raw)];
+    if (Number(raw.schemaVersion) > EXPORT_SCHEMA_VERSION) {
+      throw new Error(i18n.t("errors.newerSchema", { version: Number(raw.schemaVersion) }));
+    }
+    return (Array.isArray(raw.profiles) ? raw.profiles : [])
+      .filter(p => p && p.data && typeof p.data === "object")
+      .map(p => summarizePayload(p.data, typeof p.name === "string" ? p.name.trim().slice(0, PROFILE_NAME_MAX) : null));
+  }
+
+  // Imports into the active profile, or into every profile for a profiles export
+  function importData(json, mode = "replace") {
     try {
-      const obj = typeof json === "string" ? JSON.parse(json) : json;
-      if (obj.history) safeSetJSON(KEYS.HISTORY, obj.history);
-      if (obj.achievements) safeSetJSON(KEYS.ACHIEVEMENTS, obj.achievements);
-      if (Number.isFinite(Number(obj.xp))) safeSetRaw(KEYS.XP, String(Number(obj.xp)));
-      if (Number.isFinite(Number(obj.streak))) safeSetRaw(KEYS.STREAK, String(Number(obj.streak)));
-      if (obj.lastActive) safeSetRaw(KEYS.LAST_ACTIVE, obj.lastActive);
+      const raw = typeof json === "string" ? JSON.parse(json) : json;
+      if (isProfilesPayload(raw)) applyProfilesImportPlan(planProfilesImport(raw, mode));
+      else applyImportPlan(planImport(raw, mode));
       document.dispatchEvent(new CustomEvent("neuroforge:state-changed"));
-      showToast("📥 Data imported");
+      showToast(i18n.t(mode === "merge" ? "toast.merged" : "toast.imported"));
       return true;
     } catch (err) {
       console.error("Import failed", err);
-      showToast("❌ Import failed");
+      showToast(i18n.t("toast.importFailed"));
       return false;
     }
   }
 
   function resetAllData(confirmReset = true) {
-    if (confirmReset && !confirm("Reset all Neuroforge data? This cannot be undone.")) return false;
+    if (confirmReset && !confirm(i18n.t("profiles.confirmReset", { name: getActiveProfile().name }))) return false;
     try {
-      localStorage.removeItem(KEYS.HISTORY);
-      localStorage.removeItem(KEYS.ACHIEVEMENTS);
-      localStorage.removeItem(KEYS.XP);
-      localStorage.removeItem(KEYS.STREAK);
-      localStorage.removeItem(KEYS.LAST_ACTIVE);
-      localStorage.removeItem(KEYS.LAST_INDEX);
+      Object.values(KEYS).forEach(key => storage.removeItem(key));
+      applySettings(loadSettings());
+      // Before state-changed, so sync already pushes the reset
+      document.dispatchEvent(new CustomEvent("neuroforge:data-reset", { detail: { at: engine.now().toISOString() } }));
       document.dispatchEvent(new CustomEvent("neuroforge:state-changed"));
-      showToast("♻️ Data reset");
+      showToast(i18n.t("toast.reset"));
       return true;
     } catch (err) {
       console.error("Reset failed", err);
-      showToast("❌ Reset failed");
+      showToast(i18n.t("toast.resetFailed"));
       return false;
     }
   }
 
-  // ====== INITIALIZATION ======
-  function neuroforgeInit() {
-    // Run maintenance
-    applyDailyXPDecay();
-    // Ensure achievements for time-of-day are checked
-    checkTimeAchievements();
+  // ====== PROFILE SWITCHER & MANAGER ======
+  const MANAGE_PROFILES = "__manage";
 
-    // compute state-based achievements
-    const history = getHistory();
-    const lastEntry = history[history.length - 1] || {};
-    const state = {
-      historyCount: history.length,
-      streak: getStreak(),
-      xp: getXP(),
-      level: getLevel(),
-      rank: lastEntry.rank || null
-    };
-    checkAchievements(state);
+  // Let pending IndexedDB writes land, then start fresh in the new profile
+  function reloadIntoProfile() {
+    storage.flush().then(() => window.location.reload());
+  }
+
+  function renderProfileSwitcher() {
+    const select = document.querySelector("#profileSwitcher");
+    if (!select) return;
+    const active = getActiveProfile();
+    select.innerHTML = "";
+    getProfiles().forEach(p => {
+      const option = document.createElement("option");
+      option.value = p.id;
+      option.textContent = p.name;
+      option.selected = p.id === active.id;
+      select.appendChild(option);
+    });
+    const manage = document.createElement("option");
+    manage.value = MANAGE_PROFILES;
+    manage.textContent = i18n.t("nav.manageProfiles");
+    select.appendChild(manage);
+  }
 
-    // wire onboarding
-    handleOnboarding();
+  function wireProfileSwitcher() {
+    const select = document.querySelector("#profileSwitcher");
+    if (!select) return;
+    renderProfileSwitcher();
+    select.addEventListener("change", () => {
+      if (select.value === MANAGE_PROFILES) {
+        select.value = getActiveProfile().id;
+        Router.navigate(Router.href("profile", { section: "profiles-title" }));
+        return;
+      }
+      switchProfile(select.value);
+      reloadIntoProfile();
+    });
+  }
 
-    // load views
-    loadDashboard();
-    loadResult();
-    loadProfile();
+  function profileActionButton(text, onClick) {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "btn-secondary";
+    btn.textContent = text;
+    if (onClick) btn.addEventListener("click", onClick);
+    return btn;
+  }
 
-    // UI should react to state changes (XP / streak / achievements)
-    document.addEventListener("neuroforge:state-changed", () => {
-      loadDashboard();
-      loadResult();
-      loadProfile();
+  function renderProfileList() {
+    const list = document.querySelector("#profileList");
+    if (!list) return;
+    const active = getActiveProfile();
+    const profiles = getProfiles();
+    list.innerHTML = "";
+    profiles.forEach(p => {
+      const li = document.createElement("li");
+      const name = document.createElement("strong");
+      name.textContent = i18n.t(p.id === active.id ? "profiles.active" : "profiles.name", { name: p.name });
+      li.appendChild(name);
+
+      if (p.id !== active.id) {
+        li.appendChild(profileActionButton(i18n.t("profiles.switch"), () => {
+          switchProfile(p.id);
+          reloadIntoProfile();
+        }));
+      }
+      li.appendChild(profileActionButton(i18n.t("profiles.rename"), () => {
+        const next = prompt(i18n.t("profiles.renamePrompt"), p.name);
+        if (next == null) return;
+        try {
+          renameProfile(p.id, next);
+          showToast(i18n.t("toast.profileRenamed"));
+          renderProfileList();
+          renderProfileSwitcher();
+        } catch (err) {
+          showToast(i18n.t("common.error", { message: err.message }));
+        }
+      }));
+      li.appendChild(profileActionButton(i18n.t("profiles.duplicate"), () => {
+        const copy = duplicateProfile(p.id);
+        showToast(i18n.t("toast.profileDuplicated", { name: copy.name }));
+        renderProfileList();
+        renderProfileSwitcher();
+      }));
+      if (profiles.length > 1) {
+        const del = profileActionButton(i18n.t("profiles.delete"), () => {
+          if (!confirm(i18n.t("profiles.confirmDelete", { name: p.name }))) return;
+          deleteProfile(p.id);
+          showToast(i18n.t("toast.profileDeleted"));
+          if (p.id === active.id) reloadIntoProfile();
+          else {
+            renderProfileList();
+            renderProfileSwitcher();
+          }
+        });
+        del.classList.add("danger");
+        li.appendChild(del);
+      }
+      list.appendChild(li);
     });
+  }
 
-    // expose some debug elements if present
-    const exportBtn = document.querySelector("#exportData");
-    if (exportBtn) exportBtn.addEventListener("click", exportData);
+  function wireProfileManager() {
+    renderProfileList();
+    const form = document.querySelector("#profileCreateForm");
+    if (!form) return;
+    form.addEventListener("submit", (e) => {
+      e.preventDefault();
+      try {
+        const profile = createProfile(form.elements.profileName.value);
+        form.reset();
+        showToast(i18n.t("toast.profileCreated", { name: profile.name }));
+        renderProfileList();
+        renderProfileSwitcher();
+      } catch (err) {
+        showToast(i18n.t("common.error", { message: err.message }));
+      }
+    });
+  }
 
+  // ====== IMPORT PANEL (choose file -> preview -> confirm) ======
+  function wireImportPanel() {
     const importInput = document.querySelector("#importData");
-    if (importInput) {
-      importInput.addEventListener("change", (e) => {
-        const file = e.target.files && e.target.files[0];
-        if (!file) return;
-        const reader = new FileReader();
-        reader.onload = () => importData(reader.result);
-        reader.readAsText(file);
+    if (!importInput) return;
+
+    const modeSelect = document.querySelector("#importMode");
+    const preview = document.querySelector("#importPreview");
+    const previewList = document.querySelector("#importPreviewList");
+    const confirmBtn = document.querySelector("#importConfirm");
+    const cancelBtn = document.querySelector("#importCancel");
+    let pending = null;
+
+    const close = () => {
+      pending = null;
+      importInput.value = "";
+      if (preview) preview.hidden = true;
+    };
+
+    const showPreview = () => {
+      if (pending == null) return;
+      const mode = modeSelect ? modeSelect.value : "replace";
+      // Without a preview panel, import straight away
+      if (!preview || !previewList) {
+        importData(pending, mode);
+        close();
+        return;
+      }
+      previewList.innerHTML = "";
+      let lines;
+      try {
+        lines = previewImport(pending, mode).summary;
+        if (confirmBtn) confirmBtn.disabled = false;
+      } catch (err) {
+        lines = [i18n.t("common.error", { message: err.message })];
+        if (confirmBtn) confirmBtn.disabled = true;
+      }
+      lines.forEach(line => {
+        const li = document.createElement("li");
+        li.textContent = line;
+        previewList.appendChild(li);
       });
-    }
+      preview.hidden = false;
+    };
+
+    importInput.addEventListener("change", (e) => {
+      const file = e.target.files && e.target.files[0];
+      if (!file) return;
+      const reader = new FileReader();
+      reader.onload = () => {
+        pending = reader.result;
+        showPreview();
+      };
+      reader.readAsText(file);
+    });
+    if (modeSelect) modeSelect.addEventListener("change", showPreview);
+    if (confirmBtn) confirmBtn.addEventListener("click", () => {
+      if (pending == null) return;
+      importData(pending, modeSelect ? modeSelect.value : "replace");
+      close();
+    });
+    if (cancelBtn) cancelBtn.addEventListener("click", close);
+  }
+
+  // ====== VIEWS ======
+  // Each view's markup is a <template> in index.html. The router clones it
+  // on every visit, so mount wires it afresh; update re-renders after a
+  // state or language change.
+  function wireDataPanel() {
+    const exportBtn = document.querySelector("#exportData");
+    const exportScope = document.querySelector("#exportScope");
+    if (exportBtn) exportBtn.addEventListener("click", () => exportData(exportScope ? exportScope.value : "profile"));
+
+    wireImportPanel();
 
     const resetBtn = document.querySelector("#resetData");
     if (resetBtn) resetBtn.addEventListener("click", () => resetAllData(true));
+
+    const buyBtn = document.querySelector("#buyFreeze");
+    if (buyBtn) buyBtn.addEventListener("click", buyStreakFreeze);
+
+    const rebuildBtn = document.querySelector("#rebuildState");
+    if (rebuildBtn) {
+      rebuildBtn.addEventListener("click", () => {
+        rebuildState();
+        showToast(i18n.t("toast.rebuilt"));
+      });
+    }
+  }
+
+  function renderDashboard() {
+    loadDashboard();
+    loadCheckin();
+    loadHabits();
+  }
+
+  function renderProfile() {
+    renderProfileList();
+    loadProfile();
+  }
+
+  Router.register("home", { title: "home.pageTitle" });
+  Router.register("onboarding", { title: "onboarding.pageTitle", mount: handleOnboarding });
+  Router.register("result", { title: "result.pageTitle", mount: loadResult, update: loadResult });
+  Router.register("dashboard", {
+    title: "dashboard.pageTitle",
+    mount(view) {
+      wireCheckinForm();
+      wireHabitForm(view);
+      renderDashboard();
+    },
+    update: renderDashboard
+  });
+  Router.register("profile", {
+    title: "profile.pageTitle",
+    mount() {
+      // Fresh markup means empty filter fields: start the timeline over too
+      Object.assign(timelineView, { filters: { ...DEFAULT_TIMELINE_FILTERS }, shown: CONFIG.TIMELINE_PAGE_SIZE, selected: [] });
+      wireTimeline();
+      wireStreakPolicyForm();
+      wireProfileManager();
+      wireDataPanel();
+      loadProfile();
+    },
+    update: renderProfile
+  });
+  Router.register("settings", {
+    title: "settings.pageTitle",
+    mount(view) {
+      wireLanguagePicker(view);
+      wireAppearancePanel(view);
+      wireSettingsForm(view);
+    }
+  });
+
+  // ====== INITIALIZATION ======
+  function neuroforgeInit() {
+    applySettings(loadSettings());
+
+    // Run maintenance
+    const history = getHistory();
+    if (ensureHistoryRankIds(history)) saveHistory(history);
+    ensureEventLog();
+    applyDailyXPDecay();
+    // evaluate state-based achievements (e.g. after an import or sync)
+    processAchievementEvent({ type: "init" });
+    // Reports are deep-linked now; the old "last viewed report" pointer goes
+    safeRemove(KEYS.LAST_INDEX);
+
+    // The header is part of the shell and outlives every view
+    wireProfileSwitcher();
+    wireToastHistory();
+    document.addEventListener("neuroforge:locale-changed", renderProfileSwitcher);
+    document.addEventListener("neuroforge:achievement-unlocked", () => Router.refresh());
+
+    // extensions (sync, reminders, ...) start once stored data is available,
+    // then the view named in the address bar is mounted
+    document.dispatchEvent(new CustomEvent("neuroforge:ready"));
+    Router.start();
   }
 
-  // Bootstrap on DOM ready
-  document.addEventListener("DOMContentLoaded", neuroforgeInit);
+  // Bootstrap on DOM ready, once the storage backend has loaded
+  document.addEventListener("DOMContentLoaded", () => {
+    initStorage().then(neuroforgeInit);
+  });
 
   // Public API for testing or extensions
   return {
     // state & utilities
     getHistory, saveHistory,
     getAchievements, saveAchievements,
-    getXP, setXP,
+    getXP, setXP, getXPLog,
     getStreak, setStreak,
     getLastActive, setLastActive,
-    getLevel, getXPIntoLevel,
+    getLevel, getXPIntoLevel, computeLevelFromXP,
+    getEntryReport,
+    annotateHistoryEntry, deleteHistoryEntry, diffHistoryEntries, getDeletedEntryIds,
     grantXP, updateStreak,
-    unlockAchievement,
-    exportData, importData, resetAllData,
+    getEvents, getXPLedger, getStreakLog, deriveState, rebuildState, getInsights,
+    getStreakPolicy, setStreakPolicy, registerDecayCurve,
+    getStreakFreezes, buyStreakFreeze,
+    getSettings, saveSettings, resetSettings, getDefaultSettings, validateSettings,
+    applyStateSnapshot: setStateSnapshot,
+    completePlanTask,
+    getCheckins, saveCheckins, submitCheckin, getCheckinTrends,
+    getHabits, saveHabits, createHabit, archiveHabit, completeHabit,
+    getHabitAdherence, getHabitSuggestions,
+    getFocusSessions, saveFocusSessions, logFocusSession, getFocusStats,
+    getJournal, saveJournal, addJournalEntry, updateJournalEntry, deleteJournalEntry,
+    getJournalFor, searchJournal, parseJournalTags, renderMarkdown,
+    unlockAchievement, processAchievementEvent, getAchievementProgress, showToast,
+    setProgress, createProgressBar,
+    exportData, importData, previewImport, resetAllData, summarizeExport,
+    // storage backends
+    createMemoryAdapter, createLocalStorageAdapter, createIndexedDBAdapter,
+    setStorageAdapter, getStorageAdapter,
+    // profiles
+    getProfiles, getActiveProfile, createProfile, renameProfile, duplicateProfile,
+    deleteProfile, switchProfile,
     // small helpers
     toLocalISODate, diffInDaysLocal,
-    // constants (read-only views)
-    CONFIG: Object.assign({}, CONFIG),
-    RANK_THRESHOLDS: Object.freeze(RANK_THRESHOLDS)
+    generateReport, scoreQuestionnaire,
+    ensureHistoryIds, compareHistoryEntries,
+    progressToNextRankPercent, getNextRank, getNextRankName, getLoreTitle,
+    ensureHistoryRankIds,
+    // display text for stored ids, in the active language
+    rankLabel, mindTypeLabel, loreLabel, dimensionLabel, achievementTitle,
+    checkinMetricLabel, getEntryAnalysis, formatPlanTask, describeRecurrence,
+    i18n,
+    // constants (read-only views; settings can change them at runtime)
+    get CONFIG() { return Object.freeze(Object.assign({}, CONFIG)); },
+    get RANK_THRESHOLDS() { return Object.freeze(RANK_THRESHOLDS.map(r => Object.freeze({ ...r }))); },
+    QUESTIONNAIRE: Object.freeze(QUESTIONNAIRE),
+    CHECKIN_METRICS: Object.freeze(CHECKIN_METRICS)
   };
 })();
 
@@ -0,0 +1,345 @@
+/* charts.js - Dependency-free SVG progress charts
+   - Total score over time with rank bands
+   - Dimension radar (latest vs previous analysis)
+   - XP over time
+   - Daily check-ins with analysis markers
+   Each chart gets an SVG <title>/<desc> plus a visually hidden data table.
+   Texts, numbers and dates follow the active language. Charts render as a
+   panel of the dashboard and profile views (mount and update hooks).
+*/
+
+const NeuroforgeCharts = (function () {
+  const i18n = NeuroforgeI18n;
+  const SVG_NS = "http://www.w3.org/2000/svg";
+  const WIDTH = 600;
+  const HEIGHT = 260;
+  const PAD = { top: 20, right: 20, bottom: 36, left: 44 };
+
+  let chartSeq = 0;
+
+  // ====== SVG HELPERS ======
+  function svgEl(tag, attrs = {}, text) {
+    const el = document.createElementNS(SVG_NS, tag);
+    Object.keys(attrs).forEach(k => el.setAttribute(k, attrs[k]));
+    if (text != null) el.textContent = text;
+    return el;
+  }
+
+  function createSvg(title, desc, viewBox = `0 0 ${WIDTH} ${HEIGHT}`) {
+    const id = `nfChart${++chartSeq}`;
+    const svg = svgEl("svg", {
+      viewBox,
+      role: "img",
+      class: "chart-svg",
+      "aria-labelledby": `${id}Title ${id}Desc`
+    });
+    svg.appendChild(svgEl("title", { id: `${id}Title` }, title));
+    svg.appendChild(svgEl("desc", { id: `${id}Desc` }, desc));
+    return svg;
+  }
+
+  function dataTable(caption, headers, rows) {
+    const table = document.createElement("table");
+    table.className = "sr-only";
+    const cap = document.createElement("caption");
+    cap.textContent = caption;
+    table.appendChild(cap);
+
+    const head = document.createElement("tr");
+    headers.forEach(h => {
+      const th = document.createElement("th");
+      th.scope = "col";
+      th.textContent = h;
+      head.appendChild(th);
+    });
+    table.appendChild(head);
+
+    rows.forEach(r => {
+      const tr = document.createElement("tr");
+      r.forEach(cell => {
+        const td = document.createElement("td");
+        td.textContent = cell;
+        tr.appendChild(td);
+      });
+      table.appendChild(tr);
+    });
+    return table;
+  }
+
+  function emptyState(container, message) {
+    container.innerHTML = "";
+    const p = document.createElement("p");
+    p.className = "muted";
+    p.textContent = message;
+    container.appendChild(p);
+  }
+
+  // Maps series index/value into the plot area
+  function scales(count, maxY) {
+    const plotW = WIDTH - PAD.left - PAD.right;
+    const plotH = HEIGHT - PAD.top - PAD.bottom;
+    return {
+      x: (i) => PAD.left + (count <= 1 ? plotW / 2 : (i / (count - 1)) * plotW),
+      y: (v) => PAD.top + plotH - (Math.max(0, v) / (maxY || 1)) * plotH
+    };
+  }
+
+  function drawSeries(svg, points, className) {
+    const d = points.map((p, i) => `${i ? "L" : "M"}${p.x.toFixed(1)},${p.y.toFixed(1)}`).join(" ");
+    svg.appendChild(svgEl("path", { d, class: className, fill: "none" }));
+    points.forEach(p => svg.appendChild(svgEl("circle", { cx: p.x, cy: p.y, r: 4, class: `${className}-dot` })));
+  }
+
+  function drawXLabels(svg, labels, sx) {
+    // Show at most ~6 labels so dates stay readable
+    const step = Math.max(1, Math.ceil(labels.length / 6));
+    labels.forEach((label, i) => {
+      if (i % step !== 0 && i !== labels.length - 1) return;
+      svg.appendChild(svgEl("text", { x: sx(i), y: HEIGHT - 10, class: "chart-label", "text-anchor": "middle" }, label));
+    });
+  }
+
+  // Axis labels stay short; tables and descriptions use the full date.
+  // "YYYY-MM" points (the cohort's monthly averages) show the month.
+  const MONTH = /^\d{4}-\d{2}$/;
+  const fullDate = (d) => (MONTH.test(d) ? i18n.formatDate(`${d}-01`, { year: "numeric", month: "long" }) : i18n.formatDate(d));
+  const axisDate = (d) => (MONTH.test(d)
+    ? i18n.formatDate(`${d}-01`, { year: "numeric", month: "short" })
+    : i18n.formatDate(d, { month: "short", day: "numeric" }));
+  const num = (v) => i18n.formatNumber(v);
+
+  // ====== SCORE OVER TIME ======
+  function renderScoreChart(container, history) {
+    if (history.length < 1) return emptyState(container, i18n.t("charts.scoreEmpty"));
+
+    const maxY = Neuroforge.CONFIG.MAX_SCORE;
+    const { x, y } = scales(history.length, maxY);
+    const latest = history[history.length - 1];
+    const svg = createSvg(
+      i18n.t("charts.scoreTitle"),
+      i18n.t("charts.scoreDesc", {
+        count: history.length,
+        score: Number(latest.total),
+        max: maxY,
+        rank: Neuroforge.rankLabel(latest.rank),
+        date: fullDate(latest.date)
+      })
+    );
+
+    // Rank bands behind the line
+    Neuroforge.RANK_THRESHOLDS.forEach((band, i) => {
+      const top = y(Math.min(maxY, band.max + (i < Neuroforge.RANK_THRESHOLDS.length - 1 ? 1 : 0)));
+      const bottom = y(band.min);
+      svg.appendChild(svgEl("rect", {
+        x: PAD.left, y: top,
+        width: WIDTH - PAD.left - PAD.right, height: Math.max(0, bottom - top),
+        class: `chart-band chart-band-${i % 4}`
+      }));
+      svg.appendChild(svgEl("text", { x: WIDTH - PAD.right - 4, y: top + 14, class: "chart-band-label", "text-anchor": "end" }, Neuroforge.rankLabel(band.id)));
+    });
+
+    [0, maxY / 2, maxY].forEach(v => {
+      svg.appendChild(svgEl("text", { x: PAD.left - 8, y: y(v) + 4, class: "chart-label", "text-anchor": "end" }, num(v)));
+    });
+
+    drawSeries(svg, history.map((h, i) => ({ x: x(i), y: y(h.total) })), "chart-line");
+    drawXLabels(svg, history.map(h => axisDate(h.date)), x);
+
+    container.innerHTML = "";
+    container.appendChild(svg);
+    container.appendChild(dataTable(
+      i18n.t("charts.scoreCaption"),
+      [i18n.t("charts.date"), i18n.t("charts.score"), i18n.t("charts.rank")],
+      history.map(h => [fullDate(h.date), `${num(h.total)} / ${num(maxY)}`, Neuroforge.rankLabel(h.rank)])
+    ));
+  }
+
+  // ====== DIMENSION RADAR ======
+  // title overrides the default, e.g. for a cohort average
+  function renderRadarChart(container, history, title) {
+    if (history.length < 1) return emptyState(container, i18n.t("charts.radarEmpty"));
+
+    const dims = Neuroforge.QUESTIONNAIRE.dimensions;
+    const maxV = Neuroforge.QUESTIONNAIRE.scale.max;
+    const latest = history[history.length - 1];
+    const previous = history.length > 1 ? history[history.length - 2] : null;
+
+    const size = 300;
+    const cx = size / 2;
+    const cy = size / 2;
+    const radius = 100;
+    const angle = (i) => (Math.PI * 2 * i) / dims.length - Math.PI / 2;
+    const point = (i, v) => ({
+      x: cx + Math.cos(angle(i)) * radius * (v / maxV),
+      y: cy + Math.sin(angle(i)) * radius * (v / maxV)
+    });
+
+    const label = (d) => Neuroforge.dimensionLabel(d.id);
+    const summary = i18n.formatList(dims.map(d => i18n.t(previous ? "charts.radarValueWas" : "charts.radarValue", {
+      label: label(d),
+      value: Number(latest[d.id]),
+      previous: previous ? Number(previous[d.id]) : null
+    })), "unit");
+    const svg = createSvg(
+      title || i18n.t(previous ? "charts.radarTitleCompared" : "charts.radarTitle"),
+      i18n.t("charts.radarDesc", { max: maxV, summary }),
+      `0 0 ${size} ${size}`
+    );
+
+    // Grid rings and axes
+    for (let ring = 1; ring <= maxV; ring++) {
+      const pts = dims.map((d, i) => point(i, ring)).map(p => `${p.x.toFixed(1)},${p.y.toFixed(1)}`).join(" ");
+      svg.appendChild(svgEl("polygon", { points: pts, class: "chart-grid", fill: "none" }));
+    }
+    dims.forEach((d, i) => {
+      const end = point(i, maxV);
+      svg.appendChild(svgEl("line", { x1: cx, y1: cy, x2: end.x, y2: end.y, class: "chart-grid" }));
+      const at = point(i, maxV + 0.9);
+      svg.appendChild(svgEl("text", { x: at.x, y: at.y + 4, class: "chart-label", "text-anchor": "middle" }, `${d.icon} ${label(d)}`));
+    });
+
+    const polygon = (entry, className) => {
+      const pts = dims.map((d, i) => point(i, Number(entry[d.id]) || 0)).map(p => `${p.x.toFixed(1)},${p.y.toFixed(1)}`).join(" ");
+      svg.appendChild(svgEl("polygon", { points: pts, class: className }));
+    };
+    if (previous) polygon(previous, "chart-radar-previous");
+    polygon(latest, "chart-radar-latest");
+
+    container.innerHTML = "";
+    container.appendChild(svg);
+    if (previous) {
+      const legend = document.createElement("p");
+      legend.className = "chart-legend muted";
+      legend.setAttribute("aria-hidden", "true");
+      [["legend-latest", latest.date], ["legend-previous", previous.date]].forEach(([cls, date]) => {
+        const swatch = document.createElement("span");
+        swatch.className = cls;
+        swatch.textContent = "■";
+        legend.append(swatch, ` ${i18n.formatDate(date)}  `);
+      });
+      container.appendChild(legend);
+    }
+    const headers = [i18n.t("charts.dimension"), i18n.t("charts.latest")];
+    container.appendChild(dataTable(
+      i18n.t("charts.radarCaption"),
+      previous ? headers.concat(i18n.t("charts.previous")) : headers,
+      dims.map(d => [label(d), num(latest[d.id])].concat(previous ? [num(previous[d.id])] : []))
+    ));
+  }
+
+  // ====== XP OVER TIME ======
+  function renderXPChart(container, log) {
+    if (log.length < 1) return emptyState(container, i18n.t("charts.xpEmpty"));
+
+    const maxY = Math.max(10, ...log.map(p => p.xp));
+    const { x, y } = scales(log.length, maxY);
+    const latest = log[log.length - 1];
+    const svg = createSvg(
+      i18n.t("charts.xpTitle"),
+      i18n.t("charts.xpDesc", { count: log.length, xp: latest.xp, date: i18n.formatDate(latest.date), peak: maxY })
+    );
+
+    [0, Math.round(maxY / 2), maxY].forEach(v => {
+      svg.appendChild(svgEl("text", { x: PAD.left - 8, y: y(v) + 4, class: "chart-label", "text-anchor": "end" }, num(v)));
+    });
+
+    drawSeries(svg, log.map((p, i) => ({ x: x(i), y: y(p.xp) })), "chart-xp");
+    drawXLabels(svg, log.map(p => axisDate(p.date)), x);
+
+    container.innerHTML = "";
+    container.appendChild(svg);
+    container.appendChild(dataTable(
+      i18n.t("charts.xpCaption"),
+      [i18n.t("charts.date"), i18n.t("charts.xp")],
+      log.map(p => [i18n.formatDate(p.date), num(p.xp)])
+    ));
+  }
+
+  // ====== CHECK-INS VS ANALYSES ======
+  // x is a real date axis here, so gaps between check-ins stay visible and
+  // analyses can be marked on the same timeline.
+  function renderCheckinChart(container, checkins, history) {
+    if (checkins.length < 1) return emptyState(container, i18n.t("charts.checkinEmpty"));
+
+    const metrics = Neuroforge.CHECKIN_METRICS;
+    const scale = Neuroforge.QUESTIONNAIRE.scale;
+    const dates = checkins.map(c => c.date).concat(history.map(h => h.date)).sort();
+    const first = dates[0];
+    const span = Math.max(1, Neuroforge.diffInDaysLocal(first, dates[dates.length - 1]));
+    const plotW = WIDTH - PAD.left - PAD.right;
+    const xDate = (d) => PAD.left + (Neuroforge.diffInDaysLocal(first, d) / span) * plotW;
+    const { y } = scales(0, scale.max);
+
+    const latest = checkins[checkins.length - 1];
+    const metricLabel = (m) => Neuroforge.checkinMetricLabel(m.id);
+    const svg = createSvg(
+      i18n.t("charts.checkinTitle"),
+      i18n.t("charts.checkinDesc", {
+        checkins: checkins.length,
+        analyses: history.length,
+        date: i18n.formatDate(latest.date),
+        values: i18n.formatList(metrics.map(m => i18n.t("charts.checkinValue", { label: metricLabel(m), value: Number(latest[m.id]), max: scale.max })), "unit")
+      })
+    );
+
+    [scale.min, scale.max].forEach(v => {
+      svg.appendChild(svgEl("text", { x: PAD.left - 8, y: y(v) + 4, class: "chart-label", "text-anchor": "end" }, num(v)));
+    });
+
+    // Analysis markers: a vertical line labelled with the total score
+    history.forEach(h => {
+      const x = xDate(h.date);
+      svg.appendChild(svgEl("line", { x1: x, y1: PAD.top, x2: x, y2: HEIGHT - PAD.bottom, class: "chart-marker" }));
+      svg.appendChild(svgEl("text", { x, y: PAD.top - 6, class: "chart-label", "text-anchor": "middle" }, num(h.total)));
+    });
+
+    metrics.forEach((m, i) => {
+      drawSeries(svg, checkins.map(c => ({ x: xDate(c.date), y: y(Number(c[m.id]) || 0) })), `chart-checkin-${i}`);
+    });
+
+    [first, dates[dates.length - 1]].forEach((d, i) => {
+      svg.appendChild(svgEl("text", { x: xDate(d), y: HEIGHT - 10, class: "chart-label", "text-anchor": i ? "end" : "start" }, axisDate(d)));
+    });
+
+    container.innerHTML = "";
+    container.appendChild(svg);
+
+    const legend = document.createElement("p");
+    legend.className = "chart-legend muted";
+    legend.setAttribute("aria-hidden", "true");
+    metrics.forEach((m, i) => {
+      const swatch = document.createElement("span");
+      swatch.className = `legend-checkin-${i}`;
+      swatch.textContent = "■";
+      legend.append(swatch, ` ${metricLabel(m)}  `);
+    });
+    legend.append(i18n.t("charts.analysisMarker"));
+    container.appendChild(legend);
+
+    container.appendChild(dataTable(
+      i18n.t("charts.checkinCaption"),
+      [i18n.t("charts.date")].concat(metrics.map(metricLabel)),
+      checkins.map(c => [i18n.formatDate(c.date)].concat(metrics.map(m => num(c[m.id]))))
+    ));
+  }
+
+  // ====== RENDER ALL ======
+  function renderCharts() {
+    const history = Neuroforge.getHistory();
+    const scoreEl = document.querySelector("#scoreChart");
+    const radarEl = document.querySelector("#radarChart");
+    const xpEl = document.querySelector("#xpChart");
+    const checkinEl = document.querySelector("#checkinChart");
+
+    if (scoreEl) renderScoreChart(scoreEl, history);
+    if (radarEl) renderRadarChart(radarEl, history);
+    if (xpEl) renderXPChart(xpEl, Neuroforge.getXPLog());
+    if (checkinEl) renderCheckinChart(checkinEl, Neuroforge.getCheckins(), history);
+  }
+
+  ["dashboard", "profile"].forEach(name => NeuroforgeRouter.extend(name, { mount: renderCharts, update: renderCharts }));
+
+  return { renderCharts, renderScoreChart, renderRadarChart, renderXPChart, renderCheckinChart };
+})();
+
+/* End of charts.js */
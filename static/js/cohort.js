@@ -0,0 +1,335 @@
+/* cohort.js - Team / cohort leaderboard
+   - Loads several exportData() files (or a folder of them), all-profile
+     exports and cohort exports; the cohort lives in this tab only and is
+     still there when the view is visited again
+   - Leaderboard by level, XP, streak or average score
+   - Combined dimension radar and average score per month
+   - Privacy mode: only aggregates are shown and exported
+   - Cohort export: member summaries without raw answers, notes or logs
+*/
+
+const NeuroforgeCohort = (function () {
+  const i18n = NeuroforgeI18n;
+  const COHORT_KIND = "neuroforge-cohort";
+  const COHORT_VERSION = 1;
+  const NAME_MAX = 40;
+
+  // Labels live in the catalog under cohort.sorts.<key>
+  const SORTS = {
+    level: (m) => m.level,
+    xp: (m) => m.xp,
+    streak: (m) => m.streak,
+    averageScore: (m) => (m.averageScore == null ? -1 : m.averageScore)
+  };
+
+  let members = [];
+  let privacy = false;
+  let sortBy = "level";
+
+  // ====== MEMBERS ======
+  const isNonNegative = (v) => typeof v === "number" && Number.isFinite(v) && v >= 0;
+  const isISODate = (v) => typeof v === "string" && /^\d{4}-\d{2}-\d{2}$/.test(v);
+
+  // Cohort files come from other people: keep only the known summary shape
+  function sanitizeMember(m) {
+    if (!m || typeof m !== "object" || typeof m.name !== "string" || !m.name.trim() || !isNonNegative(m.xp)) return null;
+    const dimensions = {};
+    Neuroforge.QUESTIONNAIRE.dimensions.forEach(d => {
+      const v = m.dimensions && m.dimensions[d.id];
+      dimensions[d.id] = isNonNegative(v) ? v : null;
+    });
+    return {
+      name: m.name.trim().slice(0, NAME_MAX),
+      xp: m.xp,
+      level: Neuroforge.computeLevelFromXP(m.xp).level,
+      streak: isNonNegative(m.streak) ? m.streak : 0,
+      lastActive: isISODate(m.lastActive) ? m.lastActive : null,
+      analyses: isNonNegative(m.analyses) ? m.analyses : 0,
+      averageScore: isNonNegative(m.averageScore) ? m.averageScore : null,
+      dimensions,
+      trend: (Array.isArray(m.trend) ? m.trend : [])
+        .filter(p => p && isISODate(p.date) && isNonNegative(p.total))
+        .map(p => ({ date: p.date, total: p.total }))
+    };
+  }
+
+  // "neuroforge_export_sam_2026-10-19.json" -> "sam"
+  function nameFromFile(fileName) {
+    const base = fileName.replace(/^.*[\\/]/, "").replace(/\.json$/i, "");
+    return base.replace(/^neuroforge_export_/, "").replace(/_\d{4}-\d{2}-\d{2}$/, "") || base;
+  }
+
+  function parseFile(text, fileName) {
+    const raw = JSON.parse(text);
+    if (raw && raw.kind === COHORT_KIND) {
+      if (!Array.isArray(raw.members)) throw new Error(i18n.t("cohort.aggregatesOnly"));
+      return raw.members.map(sanitizeMember).filter(Boolean);
+    }
+    const summaries = Neuroforge.summarizeExport(raw);
+    const fallback = nameFromFile(fileName);
+    return summaries.map((m, i) => Object.assign(m, {
+      name: m.name || (summaries.length > 1 ? `${fallback} ${i + 1}` : fallback)
+    }));
+  }
+
+  // Names identify members; a later file replaces an earlier one
+  function addMembers(list) {
+    list.forEach(m => {
+      const i = members.findIndex(x => x.name === m.name);
+      if (i >= 0) members[i] = m;
+      else members.push(m);
+    });
+  }
+
+  function readFile(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsText(file);
+    });
+  }
+
+  // Resolves to one { file, count } or { file, error } per JSON file
+  function loadFiles(files) {
+    const jsonFiles = [...files].filter(f => /\.json$/i.test(f.name));
+    return Promise.all(jsonFiles.map(f => readFile(f)
+      .then(text => {
+        const list = parseFile(text, f.webkitRelativePath || f.name);
+        addMembers(list);
+        return { file: f.name, count: list.length };
+      })
+      .catch(err => ({ file: f.name, error: err.message }))))
+      .then(results => {
+        render();
+        return results;
+      });
+  }
+
+  function removeMember(name) {
+    members = members.filter(m => m.name !== name);
+    render();
+  }
+
+  function ranked() {
+    const value = SORTS[sortBy] || SORTS.level;
+    return members.slice().sort((a, b) => value(b) - value(a) || b.xp - a.xp || a.name.localeCompare(b.name));
+  }
+
+  // ====== AGGREGATES ======
+  function average(values) {
+    const nums = values.filter(v => v != null);
+    return nums.length ? Math.round((nums.reduce((a, b) => a + b, 0) / nums.length) * 10) / 10 : null;
+  }
+
+  // Average analysis score per calendar month across all members
+  function monthlyTrend(list) {
+    const months = {};
+    list.forEach(m => m.trend.forEach(p => {
+      const key = p.date.slice(0, 7);
+      (months[key] = months[key] || []).push(p.total);
+    }));
+    return Object.keys(months).sort().map(month => ({ date: month, total: average(months[month]) }));
+  }
+
+  function aggregates(list = members) {
+    const dimensions = {};
+    Neuroforge.QUESTIONNAIRE.dimensions.forEach(d => {
+      dimensions[d.id] = average(list.map(m => m.dimensions[d.id]));
+    });
+    return {
+      members: list.length,
+      averageLevel: average(list.map(m => m.level)),
+      averageXP: average(list.map(m => m.xp)),
+      averageStreak: average(list.map(m => m.streak)),
+      averageScore: average(list.map(m => m.averageScore)),
+      analyses: list.reduce((sum, m) => sum + m.analyses, 0),
+      dimensions,
+      trend: monthlyTrend(list)
+    };
+  }
+
+  // ====== COHORT EXPORT ======
+  function buildCohortExport() {
+    const base = { kind: COHORT_KIND, version: COHORT_VERSION, exportedAt: new Date().toISOString(), privacy };
+    if (privacy) return Object.assign(base, { aggregates: aggregates() });
+    return Object.assign(base, { members: members.map(m => sanitizeMember(m)) });
+  }
+
+  function exportCohort() {
+    const blob = new Blob([JSON.stringify(buildCohortExport(), null, 2)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `neuroforge_cohort_${Neuroforge.toLocalISODate()}.json`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    URL.revokeObjectURL(url);
+    Neuroforge.showToast(i18n.t(privacy ? "cohort.exportedAggregates" : "cohort.exported"));
+  }
+
+  // ====== UI ======
+  const fmt = (v) => (v == null ? "—" : i18n.formatNumber(v));
+
+  function rankId(total) {
+    let found = Neuroforge.RANK_THRESHOLDS[0];
+    Neuroforge.RANK_THRESHOLDS.forEach(r => { if (total >= r.min) found = r; });
+    return found.id;
+  }
+
+  function renderSummary(agg) {
+    const list = document.querySelector("#cohortSummary");
+    if (!list) return;
+    list.innerHTML = "";
+    const lines = agg.members
+      ? [
+        i18n.t("cohort.summaryMembers", { count: agg.members, analyses: agg.analyses }),
+        i18n.t("cohort.summaryLevel", { level: fmt(agg.averageLevel), xp: fmt(agg.averageXP) }),
+        i18n.t("cohort.summaryStreak", { streak: fmt(agg.averageStreak) }),
+        i18n.t("cohort.summaryScore", { score: fmt(agg.averageScore), max: Neuroforge.CONFIG.MAX_SCORE })
+      ]
+      : [i18n.t("cohort.summaryEmpty")];
+    lines.forEach(text => {
+      const li = document.createElement("li");
+      li.textContent = text;
+      list.appendChild(li);
+    });
+  }
+
+  function renderLeaderboard() {
+    const container = document.querySelector("#cohortLeaderboard");
+    if (!container) return;
+    container.innerHTML = "";
+    if (privacy || !members.length) {
+      const p = document.createElement("p");
+      p.className = "muted";
+      p.textContent = i18n.t(privacy ? "cohort.privacyOn" : "cohort.boardEmpty");
+      container.appendChild(p);
+      return;
+    }
+
+    const table = document.createElement("table");
+    table.className = "leaderboard";
+    const caption = document.createElement("caption");
+    caption.className = "sr-only";
+    caption.textContent = i18n.t("cohort.caption", { sort: i18n.t(`cohort.sorts.${sortBy}`) });
+    table.appendChild(caption);
+
+    const head = document.createElement("tr");
+    const columns = ["member", "level", "xp", "streak", "score", "analyses"].map(c => i18n.t(`cohort.columns.${c}`));
+    ["#"].concat(columns, "").forEach(h => {
+      const th = document.createElement("th");
+      th.scope = "col";
+      th.textContent = h;
+      head.appendChild(th);
+    });
+    table.appendChild(head);
+
+    ranked().forEach((m, i) => {
+      const tr = document.createElement("tr");
+      if (i === 0) tr.className = "leader";
+      [fmt(i + 1), m.name, fmt(m.level), fmt(m.xp), fmt(m.streak), fmt(m.averageScore), fmt(m.analyses)].forEach(v => {
+        const td = document.createElement("td");
+        td.textContent = v;
+        tr.appendChild(td);
+      });
+      const td = document.createElement("td");
+      const remove = document.createElement("button");
+      remove.type = "button";
+      remove.className = "btn-secondary";
+      remove.textContent = "✕";
+      remove.setAttribute("aria-label", i18n.t("common.remove", { name: m.name }));
+      remove.addEventListener("click", () => removeMember(m.name));
+      td.appendChild(remove);
+      tr.appendChild(td);
+      table.appendChild(tr);
+    });
+    container.appendChild(table);
+  }
+
+  function renderCharts(agg) {
+    const radarEl = document.querySelector("#cohortRadar");
+    const trendEl = document.querySelector("#cohortTrend");
+    if (typeof NeuroforgeCharts === "undefined") return;
+    const hasDimensions = Object.values(agg.dimensions).some(v => v != null);
+    if (radarEl) {
+      const entry = Object.assign({ date: i18n.t("cohort.average") }, agg.dimensions);
+      NeuroforgeCharts.renderRadarChart(radarEl, hasDimensions ? [entry] : [], i18n.t("cohort.radarTitle"));
+    }
+    if (trendEl) {
+      NeuroforgeCharts.renderScoreChart(trendEl, agg.trend.map(p => ({ date: p.date, total: p.total, rank: rankId(p.total) })));
+    }
+  }
+
+  function render() {
+    const agg = aggregates();
+    renderSummary(agg);
+    renderLeaderboard();
+    renderCharts(agg);
+    const exportBtn = document.querySelector("#cohortExport");
+    if (exportBtn) exportBtn.disabled = !members.length;
+  }
+
+  function reportLoad(results) {
+    const status = document.querySelector("#cohortStatus");
+    if (!status) return;
+    const loaded = results.filter(r => !r.error).reduce((sum, r) => sum + r.count, 0);
+    const failed = results.filter(r => r.error).map(r => `${r.file}: ${r.error}`);
+    status.textContent = results.length
+      ? i18n.t("cohort.loaded", { count: loaded, files: results.length - failed.length }) +
+        (failed.length ? i18n.t("cohort.skipped", { list: failed.join("; ") }) : "")
+      : i18n.t("cohort.noFiles");
+  }
+
+  function wireCohortView() {
+    const filesInput = document.querySelector("#cohortFiles");
+    if (!filesInput) return;
+    const folderInput = document.querySelector("#cohortFolder");
+    const onPick = (e) => {
+      loadFiles(e.target.files || []).then(reportLoad);
+      e.target.value = "";
+    };
+    filesInput.addEventListener("change", onPick);
+    if (folderInput) folderInput.addEventListener("change", onPick);
+
+    const sortSelect = document.querySelector("#cohortSort");
+    if (sortSelect) {
+      sortSelect.value = sortBy;
+      sortSelect.addEventListener("change", () => {
+        sortBy = SORTS[sortSelect.value] ? sortSelect.value : "level";
+        renderLeaderboard();
+      });
+    }
+
+    const privacyBox = document.querySelector("#cohortPrivacy");
+    if (privacyBox) {
+      privacyBox.checked = privacy;
+      privacyBox.addEventListener("change", () => {
+        privacy = privacyBox.checked;
+        render();
+      });
+    }
+
+    const exportBtn = document.querySelector("#cohortExport");
+    if (exportBtn) exportBtn.addEventListener("click", exportCohort);
+
+    const clearBtn = document.querySelector("#cohortClear");
+    if (clearBtn) clearBtn.addEventListener("click", () => {
+      members = [];
+      render();
+    });
+
+    render();
+  }
+
+  NeuroforgeRouter.register("cohort", { title: "cohort.pageTitle", mount: wireCohortView, update: render });
+
+  return {
+    loadFiles, removeMember, aggregates, buildCohortExport, exportCohort,
+    getMembers: () => members.map(m => Object.assign({}, m)),
+    setPrivacy: (on) => { privacy = !!on; render(); }
+  };
+})();
+
+/* End of cohort.js */
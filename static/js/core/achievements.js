@@ -0,0 +1,133 @@
+/* achievements.js - Achievement definitions and evaluation helpers
+   - Declarative definitions with optional bronze/silver/gold tiers
+   - Metric values come from a state snapshot (see engine.js),
+     counters from the event log (deriveState in events.js)
+   - Nothing here reads storage or the clock
+*/
+
+// ====== PLAN PROGRESS ======
+// Items that aren't objects are left out, so a damaged stored plan can't
+// stop the achievement fold at boot
+export function planProgress(entry) {
+  const plan = entry && Array.isArray(entry.plan) ? entry.plan.filter(t => t && typeof t === "object") : [];
+  return { done: plan.filter(t => t.done).length, total: plan.length };
+}
+
+// ====== ACHIEVEMENT DEFINITIONS ======
+// Declarative definitions, evaluated by processAchievementEvent():
+//   type "metric"  - compares a value derived from current state
+//                    (ACHIEVEMENT_METRICS) against target
+//   type "counter" - counts logged events of the listed types, optionally
+//                    only inside a local-time window [fromHour, toHour)
+// A definition either has a single { id, title, target } or tiers
+// (bronze/silver/gold), each tier unlocking under its own id.
+// Hidden achievements show as "???" until unlocked. A level with
+// streakFreezes grants that many streak freezes when it unlocks.
+export const ACHIEVEMENT_DEFINITIONS = [
+  { key: "first_analysis", type: "metric", metric: "historyCount", unit: "analyses",
+    id: "first_analysis", title: "🧠 First Awakening", target: 1 },
+  { key: "analyses", type: "metric", metric: "historyCount", unit: "analyses", title: "📊 Analyses",
+    tiers: [
+      { tier: "bronze", id: "five_sessions", title: "📊 5 Analyses", target: 5 },
+      { tier: "silver", id: "ten_sessions", title: "📊 10 Analyses", target: 10 },
+      { tier: "gold", id: "twenty_five_sessions", title: "📊 25 Analyses", target: 25 }
+    ] },
+  { key: "streak", type: "metric", metric: "streak", unit: "days", title: "🔥 Streak",
+    tiers: [
+      { tier: "bronze", id: "three_day_streak", title: "🔥 3 Day Streak", target: 3 },
+      { tier: "silver", id: "seven_day_streak", title: "🔥 7 Day Streak", target: 7, streakFreezes: 1 },
+      { tier: "gold", id: "thirty_day_streak", title: "👑 Consistency Master", target: 30, streakFreezes: 2 }
+    ] },
+  { key: "level", type: "metric", metric: "level", unit: "level", title: "🧬 Level",
+    tiers: [
+      { tier: "bronze", id: "level_5", title: "🧬 Level 5", target: 5 },
+      { tier: "silver", id: "level_10", title: "🧬 Level 10", target: 10, streakFreezes: 1 },
+      { tier: "gold", id: "level_20", title: "🧬 Level 20", target: 20 }
+    ] },
+  { key: "builder_rank", type: "metric", metric: "rankIndex", unit: "rank",
+    id: "builder_rank", title: "🏗️ Builder Rank", target: 2 },
+  { key: "architect_rank", type: "metric", metric: "rankIndex", unit: "rank",
+    id: "architect_rank", title: "🏛️ Architect Rank", target: 3 },
+  { key: "plan_started", type: "metric", metric: "planTasksDone", unit: "tasks",
+    id: "plan_started", title: "🗓️ 7-Day Plan Started", target: 1 },
+  { key: "plan_completed", type: "metric", metric: "plansCompleted", unit: "plans", title: "🏁 Plans Completed",
+    tiers: [
+      { tier: "bronze", id: "plan_completed", title: "🏁 Plan Completed", target: 1 },
+      { tier: "silver", id: "plans_completed_3", title: "🏁 3 Plans Completed", target: 3 },
+      { tier: "gold", id: "plans_completed_10", title: "🏁 10 Plans Completed", target: 10 }
+    ] },
+  { key: "habits", type: "metric", metric: "habitCompletions", unit: "check-offs", title: "✅ Habits",
+    tiers: [
+      { tier: "bronze", id: "habit_10", title: "✅ 10 Habit Check-offs", target: 10 },
+      { tier: "silver", id: "habit_50", title: "✅ 50 Habit Check-offs", target: 50, streakFreezes: 1 },
+      { tier: "gold", id: "habit_200", title: "🏆 Habit Machine", target: 200 }
+    ] },
+  { key: "focus_sessions", type: "metric", metric: "focusSessions", unit: "sessions", title: "⏱️ Focus Sessions",
+    tiers: [
+      { tier: "bronze", id: "focus_session_1", title: "⏱️ First Focus Session", target: 1 },
+      { tier: "silver", id: "focus_sessions_25", title: "⏱️ 25 Focus Sessions", target: 25 },
+      { tier: "gold", id: "focus_sessions_100", title: "🧘 Deep Work Monk", target: 100, streakFreezes: 1 }
+    ] },
+  { key: "night_owl", type: "counter", events: ["analysis-submitted", "plan-task-completed"],
+    window: { fromHour: 0, toHour: 5 }, unit: "late sessions",
+    id: "night_owl", title: "🌙 Night Owl", target: 1 },
+  { key: "early_bird", type: "counter", events: ["analysis-submitted", "plan-task-completed"],
+    window: { fromHour: 5, toHour: 9 }, unit: "early sessions",
+    id: "early_bird", title: "🌞 Early Bird", target: 1 },
+  { key: "perfect_score", type: "metric", metric: "bestTotalRatio", unit: "%", hidden: true,
+    id: "perfect_score", title: "💎 Flawless Mind", target: 100 }
+];
+
+export const TIER_ORDER = ["bronze", "silver", "gold"];
+
+export function definitionLevels(def) {
+  return def.tiers ? def.tiers : [{ tier: null, id: def.id, title: def.title, target: def.target, streakFreezes: def.streakFreezes }];
+}
+
+// Flat list of every unlockable id (tiers unlock separately)
+export const ALL_ACHIEVEMENTS = ACHIEVEMENT_DEFINITIONS.flatMap(def =>
+  definitionLevels(def).map(level => ({
+    id: level.id, title: level.title, tier: level.tier, key: def.key, hidden: !!def.hidden,
+    streakFreezes: level.streakFreezes || 0
+  }))
+);
+
+export const ACHIEVEMENT_METRICS = {
+  historyCount: (s) => s.historyCount,
+  streak: (s) => s.streak,
+  level: (s) => s.level,
+  rankIndex: (s) => s.rankIndex,
+  planTasksDone: (s) => s.planTasksDone,
+  plansCompleted: (s) => s.plansCompleted,
+  bestTotalRatio: (s) => s.bestTotalRatio,
+  habitCompletions: (s) => s.habitCompletions,
+  focusSessions: (s) => s.focusSessions
+};
+
+// Metrics that depend on which analyses exist. Deleting an analysis
+// re-checks them (and the counters, which skip deleted analyses) and revokes
+// tiers that no longer hold; streak and level describe what happened and are kept.
+export const ENTRY_METRICS = ["historyCount", "rankIndex", "planTasksDone", "plansCompleted", "bestTotalRatio"];
+
+// ====== EVALUATION ======
+export function inTimeWindow(window, date) {
+  if (!window) return true;
+  const hour = date.getHours();
+  return window.fromHour <= window.toHour
+    ? hour >= window.fromHour && hour < window.toHour
+    : hour >= window.fromHour || hour < window.toHour;
+}
+
+export function achievementValue(def, state) {
+  if (def.type === "counter") return (state.counters || {})[def.key] || 0;
+  const metric = ACHIEVEMENT_METRICS[def.metric];
+  return metric ? Math.max(0, metric(state)) : 0;
+}
+
+export function formatProgress(def, current, target) {
+  if (def.unit === "%") return `${current}% / ${target}%`;
+  if (def.unit === "level") return `Level ${Math.min(current, target)}/${target}`;
+  return `${Math.min(current, target)}/${target} ${def.unit}`;
+}
+
+/* End of achievements.js */
@@ -0,0 +1,41 @@
+/* config.js - Storage keys and the core's default tuning
+   - KEYS: every key the app stores (profiles namespace them, see app.js)
+   - DEFAULT_CONFIG: the values scoring, streaks and decay read; an engine
+     gets its own copy, which the settings store may change at runtime
+*/
+
+import { QUESTIONNAIRE, questionnaireMaxScore } from "./scoring.js";
+
+export const KEYS = Object.freeze({
+  HISTORY: "neuroforge_history",
+  ACHIEVEMENTS: "neuroforge_achievements",
+  XP: "neuroforge_xp",
+  STREAK: "neuroforge_streak",
+  LAST_ACTIVE: "neuroforge_last_active",
+  // No longer written (reports are deep-linked); kept so reset and profile
+  // deletion still clear values stored by older versions
+  LAST_INDEX: "neuroforge_last_index",
+  XP_LOG: "neuroforge_xp_log",
+  ACHIEVEMENT_META: "neuroforge_achievement_meta",
+  EVENTS: "neuroforge_events",
+  STREAK_POLICY: "neuroforge_streak_policy",
+  CHECKINS: "neuroforge_checkins",
+  HABITS: "neuroforge_habits",
+  FOCUS_SESSIONS: "neuroforge_focus_sessions",
+  JOURNAL: "neuroforge_journal",
+  SETTINGS: "neuroforge_settings"
+});
+
+// Values marked "tunable" are overridden by the settings store
+export const DEFAULT_CONFIG = Object.freeze({
+  MAX_SCORE: questionnaireMaxScore(QUESTIONNAIRE),
+  INACTIVITY_PENALTY_PER_DAY: 5, // tunable
+  ONBOARDING_BASE_XP: 50, // tunable
+  STREAK_FREEZE_COST: 100,
+  MAX_STREAK_FREEZES: 3,
+  MAX_GRACE_HOURS: 12,
+  DEFAULT_XP: 0,
+  DEFAULT_STREAK: 0
+});
+
+/* End of config.js */
@@ -0,0 +1,384 @@
+/* engine.js - Headless Neuroforge engine
+   - createEngine({ storage, clock, config, levelCurve, ranks, loreTitles })
+     binds the pure core to a key/value store and a clock
+   - XP, streak, achievements and the XP log are projections of the event
+     log; every write appends an event and re-derives them
+   - No DOM: the engine reports what happened to subscribe()d listeners,
+     the page (app.js) turns those notices into toasts and DOM events
+   - Tuning objects are used by reference, so a settings change made by the
+     caller applies on the next call
+*/
+
+import {
+  ACHIEVEMENT_DEFINITIONS, ALL_ACHIEVEMENTS, ENTRY_METRICS,
+  achievementValue, definitionLevels, formatProgress, planProgress
+} from "./achievements.js";
+import { DEFAULT_CONFIG, KEYS } from "./config.js";
+import { createEvent as createEventAt, deriveState as foldEvents } from "./events.js";
+import {
+  DEFAULT_LEVEL_CURVE, DEFAULT_LORE_TITLES, DEFAULT_RANK_THRESHOLDS,
+  analysisXP, computeLevelFromXP, findRankThreshold, getLoreTitle, getNextRank, getNextRankName,
+  progressToNextRankPercent, xpForLevel
+} from "./scoring.js";
+import { activityDay, decayLoss, isRestDay, normalizeStreakPolicy } from "./streak.js";
+import { daysBetween, systemClock, toLocalISODate } from "./time.js";
+
+// ====== MEMORY STORAGE ======
+// Same string API as localStorage; used by tests and headless scripts
+export function createMemoryStorage(initial = {}) {
+  const data = new Map(Object.entries(initial).map(([k, v]) => [k, typeof v === "string" ? v : JSON.stringify(v)]));
+  return {
+    getItem: (key) => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => { data.set(key, String(value)); },
+    removeItem: (key) => { data.delete(key); },
+    keys: () => [...data.keys()]
+  };
+}
+
+// ====== ENGINE ======
+export function createEngine({
+  storage = createMemoryStorage(),
+  clock = systemClock,
+  config = { ...DEFAULT_CONFIG },
+  levelCurve = { ...DEFAULT_LEVEL_CURVE },
+  ranks = DEFAULT_RANK_THRESHOLDS.map(r => ({ ...r })),
+  loreTitles = DEFAULT_LORE_TITLES.map(t => ({ ...t }))
+} = {}) {
+  // ====== TIME ======
+  const now = () => clock.now();
+  const today = () => toLocalISODate(now());
+
+  // ====== NOTICES ======
+  // { type: "xp-granted", amount } | { type: "streak-changed", change }
+  // { type: "decay-applied", loss, missed, curve }
+  // { type: "achievement-unlocked", id, achievement, freezes }
+  // { type: "state-changed" }
+  const listeners = new Set();
+
+  function subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  function notify(type, detail = {}) {
+    listeners.forEach(listener => listener({ type, ...detail }));
+  }
+
+  // ====== STORAGE ======
+  const getRaw = (key) => storage.getItem(key);
+  const setRaw = (key, value) => storage.setItem(key, value);
+
+  function getJSON(key, fallback) {
+    const raw = getRaw(key);
+    if (raw == null) return fallback;
+    try {
+      return JSON.parse(raw);
+    } catch (err) {
+      console.warn("Corrupt JSON in storage key:", key, err);
+      setJSON(key, fallback);
+      return fallback;
+    }
+  }
+
+  const setJSON = (key, obj) => setRaw(key, JSON.stringify(obj));
+
+  function getNumber(key, fallback) {
+    const v = getRaw(key);
+    if (v == null) return fallback;
+    const n = Number(v);
+    return Number.isFinite(n) ? n : fallback;
+  }
+
+  // Getters read the projection; setters append a "state-set" event so the
+  // log stays the source of truth.
+  const getXP = () => getNumber(KEYS.XP, config.DEFAULT_XP);
+  const getStreak = () => getNumber(KEYS.STREAK, config.DEFAULT_STREAK);
+  const getLastActive = () => getRaw(KEYS.LAST_ACTIVE);
+  const getAchievements = () => getJSON(KEYS.ACHIEVEMENTS, []);
+  // One XP point per local day (last value wins) for the XP-over-time chart
+  const getXPLog = () => getJSON(KEYS.XP_LOG, []);
+  const getEvents = () => getJSON(KEYS.EVENTS, []);
+
+  // Unlocked ids stay in KEYS.ACHIEVEMENTS (array); unlock times live in
+  // KEYS.ACHIEVEMENT_META. Counters are derived from the log.
+  const getAchievementMeta = () => ({ unlockedAt: { ...(getJSON(KEYS.ACHIEVEMENT_META, {}).unlockedAt || {}) } });
+  const saveAchievementMeta = (m) => setJSON(KEYS.ACHIEVEMENT_META, m);
+
+  const setXP = (v) => setStateSnapshot({ xp: v }, "Manual adjustment");
+  const setStreak = (v) => setStateSnapshot({ streak: v }, "Streak set");
+  const setLastActive = (d) => setStateSnapshot({ lastActive: d }, "Last active set");
+  const saveAchievements = (a) => setStateSnapshot({ achievements: a }, "Achievements set");
+
+  // ====== STREAK POLICY ======
+  const getStreakPolicy = () => normalizeStreakPolicy(getJSON(KEYS.STREAK_POLICY, {}), config);
+
+  // Streaks are recomputed from the log, so a new policy applies retroactively
+  function setStreakPolicy(patch) {
+    const policy = normalizeStreakPolicy(Object.assign(getStreakPolicy(), patch), config);
+    setJSON(KEYS.STREAK_POLICY, policy);
+    rebuildState();
+    return policy;
+  }
+
+  // ====== EVENT LOG ======
+  const createEvent = (type, payload = {}, at = now()) => createEventAt(type, payload, at);
+  const deriveState = (events, policy = getStreakPolicy()) => foldEvents(events, policy, config);
+
+  function appendEvent(type, payload, at) {
+    const event = createEvent(type, payload, at);
+    const events = getEvents();
+    events.push(event);
+    setJSON(KEYS.EVENTS, events);
+    writeProjection(deriveState(events));
+    return event;
+  }
+
+  function writeProjection(state) {
+    setRaw(KEYS.XP, String(state.xp));
+    setRaw(KEYS.STREAK, String(state.streak));
+    if (state.lastActive) setRaw(KEYS.LAST_ACTIVE, state.lastActive);
+    else storage.removeItem(KEYS.LAST_ACTIVE);
+    setJSON(KEYS.ACHIEVEMENTS, state.achievements);
+    setJSON(KEYS.XP_LOG, state.xpLog);
+    saveAchievementMeta({ unlockedAt: state.unlockedAt });
+  }
+
+  function setStateSnapshot(fields, reason) {
+    appendEvent("state-set", { ...fields, reason });
+    return true;
+  }
+
+  // Recomputes every projection from the log (e.g. after manual edits)
+  function rebuildState() {
+    const state = deriveState(getEvents());
+    writeProjection(state);
+    notify("state-changed");
+    return state;
+  }
+
+  // Explains every XP gain and loss, oldest first
+  const getXPLedger = () => deriveState(getEvents()).ledger;
+  const getStreakLog = () => deriveState(getEvents()).streakLog;
+
+  // Data saved before the event log existed becomes one baseline event
+  function ensureEventLog() {
+    if (getRaw(KEYS.EVENTS) != null) return;
+    const achievements = getJSON(KEYS.ACHIEVEMENTS, []);
+    const hasData = getRaw(KEYS.XP) != null || getRaw(KEYS.STREAK) != null ||
+      getLastActive() || achievements.length;
+    if (!hasData) {
+      setJSON(KEYS.EVENTS, []);
+      return;
+    }
+    const baseline = createEvent("state-set", {
+      xp: getXP(),
+      streak: getStreak(),
+      lastActive: getLastActive(),
+      achievements,
+      unlockedAt: getAchievementMeta().unlockedAt,
+      xpLog: getXPLog(),
+      reason: "Carried over from before the event log",
+      reasonKey: "baseline"
+    });
+    setJSON(KEYS.EVENTS, [baseline]);
+    writeProjection(deriveState([baseline]));
+  }
+
+  // ====== XP / STREAK HANDLERS ======
+  function grantXP(amount, reason = "XP granted", details = {}) {
+    appendEvent("xp-granted", { ...details, amount: Number(amount || 0), reason });
+    notify("xp-granted", { amount });
+    notify("state-changed");
+  }
+
+  // Charges each missed working day (after the last active day, before
+  // today) exactly once: a decay event records the last day it covered, so
+  // loading the page twice on the same day never charges twice. Consecutive
+  // charges continue the same curve instead of restarting it.
+  function applyDailyXPDecay() {
+    const last = getLastActive();
+    if (!last) return 0;
+    const policy = getStreakPolicy();
+    const day = activityDay(now(), policy);
+    const decays = getEvents().filter(e => e.type === "decay-applied" && e.through > last);
+    const chargedThrough = decays.length ? decays[decays.length - 1].through : last;
+    const gap = daysBetween(chargedThrough, day);
+    if (!gap.length) return 0;
+
+    const missed = gap.filter(d => !isRestDay(d, policy)).length;
+    const alreadyCharged = decays.reduce((sum, e) => sum + (Number(e.days) || 0), 0);
+    const loss = missed ? decayLoss(alreadyCharged, missed, policy.decay) : 0;
+    appendEvent("decay-applied", { amount: loss, days: missed, through: gap[gap.length - 1], curve: policy.decay.curve });
+    notify("decay-applied", { loss, missed, curve: policy.decay.curve });
+    return loss;
+  }
+
+  function updateStreak(source = "activity") {
+    applyDailyXPDecay();
+    appendEvent("streak-activity", { source });
+    const change = deriveState(getEvents()).lastStreakChange;
+    notify("streak-changed", { change });
+    notify("state-changed");
+    return change;
+  }
+
+  // ====== STREAK FREEZES ======
+  const getStreakFreezes = () => deriveState(getEvents()).freezes;
+
+  // { ok: true, cost } or { ok: false, reason: "max-freezes" | "not-enough-xp" }
+  function buyStreakFreeze() {
+    if (getStreakFreezes() >= config.MAX_STREAK_FREEZES) return { ok: false, reason: "max-freezes" };
+    if (getXP() < config.STREAK_FREEZE_COST) return { ok: false, reason: "not-enough-xp" };
+    appendEvent("freeze-earned", { source: "purchase", cost: config.STREAK_FREEZE_COST });
+    notify("state-changed");
+    return { ok: true, cost: config.STREAK_FREEZE_COST };
+  }
+
+  // ====== LEVELS & RANKS ======
+  const levelFromXP = (totalXP) => computeLevelFromXP(totalXP, levelCurve);
+  const getLevel = () => levelFromXP(getXP()).level;
+  const getXPIntoLevel = () => levelFromXP(getXP());
+
+  // ====== ACHIEVEMENTS ======
+  function unlockAchievement(id, at = now()) {
+    if (getAchievements().includes(id)) return false;
+    appendEvent("achievement-unlocked", { achievementId: id }, at);
+
+    const achievement = ALL_ACHIEVEMENTS.find(x => x.id === id) || null;
+    const freezes = achievement ? achievement.streakFreezes : 0;
+    for (let i = 0; i < freezes; i++) appendEvent("freeze-earned", { source: "achievement", achievementId: id }, at);
+    notify("achievement-unlocked", { id, achievement, freezes });
+    return true;
+  }
+
+  function buildAchievementState() {
+    const history = getJSON(KEYS.HISTORY, []);
+    const lastEntry = history[history.length - 1] || {};
+    let planTasksDone = 0;
+    let plansCompleted = 0;
+    let bestTotal = 0;
+    history.forEach(entry => {
+      const p = planProgress(entry);
+      planTasksDone += p.done;
+      if (p.total && p.done === p.total) plansCompleted++;
+      bestTotal = Math.max(bestTotal, Number(entry.total) || 0);
+    });
+    return {
+      historyCount: history.length,
+      streak: getStreak(),
+      xp: getXP(),
+      level: getLevel(),
+      rank: lastEntry.rank || null,
+      // From the score, so renaming a band doesn't lose rank achievements
+      rankIndex: lastEntry.total == null ? -1 : ranks.indexOf(findRankThreshold(Number(lastEntry.total), ranks)),
+      planTasksDone,
+      plansCompleted,
+      bestTotalRatio: Math.round((bestTotal / config.MAX_SCORE) * 100),
+      habitCompletions: getJSON(KEYS.HABITS, []).reduce((sum, h) => sum + h.completions.length, 0),
+      focusSessions: getJSON(KEYS.FOCUS_SESSIONS, []).length,
+      counters: deriveState(getEvents()).counters
+    };
+  }
+
+  // Every activity funnels through here: { type, at }, after the caller has
+  // logged it. Every definition is re-evaluated against fresh state; at is
+  // the unlock time.
+  function processAchievementEvent(event = { type: "init" }) {
+    const at = event.at ? new Date(event.at) : now();
+    const state = buildAchievementState();
+    const newlyUnlocked = [];
+    ACHIEVEMENT_DEFINITIONS.forEach(def => {
+      const value = achievementValue(def, state);
+      definitionLevels(def).forEach(level => {
+        if (value >= level.target && unlockAchievement(level.id, at)) newlyUnlocked.push(level.id);
+      });
+    });
+    return newlyUnlocked;
+  }
+
+  // Takes back tiers whose metric (one of `metrics`) no longer holds, and
+  // counter tiers that only held thanks to deleted analyses. A counter tier
+  // the log can't account for (earned before the log counted it, or on
+  // another device) is kept.
+  function revokeStaleAchievements(metrics = ENTRY_METRICS) {
+    const state = buildAchievementState();
+    const { countersFromDeleted } = deriveState(getEvents());
+    const unlocked = getAchievements();
+    const revoked = [];
+    ACHIEVEMENT_DEFINITIONS.forEach(def => {
+      if (def.type === "metric" && !metrics.includes(def.metric)) return;
+      const value = achievementValue(def, state);
+      definitionLevels(def).forEach(level => {
+        if (value >= level.target || !unlocked.includes(level.id)) return;
+        if (def.type === "counter" && value + (countersFromDeleted[def.key] || 0) < level.target) return;
+        appendEvent("achievement-revoked", { achievementId: level.id });
+        revoked.push(level.id);
+      });
+    });
+    return revoked;
+  }
+
+  // One row per definition: highest tier reached, progress toward the next
+  function getAchievementProgress() {
+    const unlocked = getAchievements();
+    const meta = getAchievementMeta();
+    const state = buildAchievementState();
+
+    return ACHIEVEMENT_DEFINITIONS.map(def => {
+      const levels = definitionLevels(def);
+      const value = achievementValue(def, state);
+      const reached = levels.filter(l => unlocked.includes(l.id));
+      const top = reached[reached.length - 1] || null;
+      const next = levels.find(l => !unlocked.includes(l.id)) || null;
+      const goal = next || top;
+      const isUnlocked = !!top;
+      const hidden = !!def.hidden && !isUnlocked;
+
+      return {
+        key: def.key,
+        id: (top || levels[0]).id,
+        title: hidden ? "❔ Hidden Achievement" : (top ? top.title : levels[0].title),
+        tier: top ? top.tier : null,
+        nextTier: next ? next.tier : null,
+        unlocked: isUnlocked,
+        complete: !next,
+        hidden,
+        current: value,
+        target: goal.target,
+        unit: def.unit,
+        percent: Math.max(0, Math.min(100, Math.round((value / goal.target) * 100))),
+        label: hidden ? "Keep going to discover it" : formatProgress(def, value, goal.target),
+        unlockedAt: top ? (meta.unlockedAt[top.id] || null) : null
+      };
+    });
+  }
+
+  return {
+    now, today, subscribe,
+    // state
+    getXP, setXP, getStreak, setStreak, getLastActive, setLastActive,
+    getAchievements, saveAchievements, getAchievementMeta, saveAchievementMeta,
+    getXPLog, getEvents,
+    // event log
+    createEvent, appendEvent, deriveState, writeProjection, setStateSnapshot,
+    rebuildState, getXPLedger, getStreakLog, ensureEventLog,
+    // streaks
+    getStreakPolicy, setStreakPolicy, grantXP, applyDailyXPDecay, updateStreak,
+    getStreakFreezes, buyStreakFreeze,
+    // levels & ranks (read the tuning passed in)
+    xpForLevel: (level) => xpForLevel(level, levelCurve),
+    computeLevelFromXP: levelFromXP,
+    getLevel, getXPIntoLevel,
+    analysisXP: (total, streak) => analysisXP(total, streak, config.ONBOARDING_BASE_XP),
+    findRankThreshold: (total) => findRankThreshold(total, ranks),
+    getNextRank: (rank) => getNextRank(rank, ranks),
+    getNextRankName: (rank) => getNextRankName(rank, ranks),
+    progressToNextRankPercent: (total) => progressToNextRankPercent(total, ranks),
+    getLoreTitle: (level) => getLoreTitle(level, loreTitles),
+    // achievements
+    buildAchievementState, unlockAchievement, processAchievementEvent,
+    revokeStaleAchievements, getAchievementProgress
+  };
+}
+
+/* End of engine.js */
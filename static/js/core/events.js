@@ -0,0 +1,208 @@
+/* events.js - The event log and the fold that derives state from it
+   - createEvent(): one immutable record, timestamped by the caller's clock
+   - deriveState(): pure fold; same events, policy and config give the same
+     XP, streak, achievements, XP log and ledger every time
+   - earnedEntryXP(): XP an analysis earned, for taking it back on delete
+   - deletedEntryIds(): analyses deleted so far, so no merge restores them
+*/
+
+import { ACHIEVEMENT_DEFINITIONS, inTimeWindow } from "./achievements.js";
+import { DEFAULT_CONFIG } from "./config.js";
+import { DEFAULT_STREAK_POLICY, activityDay, isRestDay, normalizeStreakPolicy } from "./streak.js";
+import { daysBetween, diffInDaysLocal, toLocalISODate } from "./time.js";
+
+// ====== EVENT LOG ======
+// Append-only list of everything that changes XP, streak or achievements:
+//   analysis-submitted   { entryId, total }
+//   plan-task-completed  { entryId, day }
+//   streak-activity      { source }               (counts toward the streak)
+//   xp-granted           { amount, reason, reasonKey?, reasonParams?, entryId? }
+//                        (entryId: the analysis it was earned for)
+//   decay-applied        { amount, days, through } (through = last day charged)
+//   achievement-unlocked { achievementId }
+//   achievement-revoked  { achievementId }       (its analyses were deleted)
+//   entry-deleted        { entryId, entryDate, amount } (amount = XP taken back)
+//   freeze-earned        { source: "purchase" | "achievement", cost?, achievementId? }
+//   checkin-submitted    { checkinId }
+//   focus-session        { sessionId, minutes }
+//   state-set            { xp?, streak?, lastActive?, achievements?, unlockedAt?, reason, reasonKey? }
+//                        (imports, sync merges and pre-log data)
+// Each event also carries { id, at (ISO time), date (local day) }.
+// reason is English for people reading the raw log; reasonKey/reasonParams
+// let the page show the ledger in the reader's language.
+export const EVENT_TYPES = Object.freeze([
+  "analysis-submitted", "plan-task-completed", "checkin-submitted", "streak-activity", "xp-granted",
+  "decay-applied", "achievement-unlocked", "achievement-revoked", "entry-deleted",
+  "freeze-earned", "focus-session", "state-set"
+]);
+
+let eventSeq = 0;
+export function createEvent(type, payload = {}, at) {
+  if (!(at instanceof Date) || !Number.isFinite(at.getTime())) throw new Error("createEvent needs a valid Date");
+  return {
+    id: `e_${at.getTime().toString(36)}_${(eventSeq++).toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    type,
+    at: at.toISOString(),
+    date: toLocalISODate(at),
+    ...payload
+  };
+}
+
+// Pure fold over the log: same events (and policy) in, same state out.
+// lastStreakChange describes the most recent streak-activity for toasts;
+// streakLog holds the streak at the end of each active day, like xpLog.
+// counters feed the counter achievements; countersFromDeleted is what
+// deleted analyses (and their plan tasks) would still add to them.
+export function deriveState(events, policy = normalizeStreakPolicy(DEFAULT_STREAK_POLICY), config = DEFAULT_CONFIG) {
+  const state = {
+    xp: config.DEFAULT_XP,
+    streak: config.DEFAULT_STREAK,
+    lastActive: null,
+    achievements: [],
+    unlockedAt: {},
+    xpLog: [],
+    streakLog: [],
+    ledger: [],
+    freezes: 0,
+    freezesUsed: [],
+    lastStreakChange: null,
+    counters: {},
+    countersFromDeleted: {}
+  };
+  const activity = [];
+  const deletedIds = new Set();
+
+  const changeXP = (event, amount, reason, reasonKey = event.reasonKey, reasonParams = event.reasonParams) => {
+    const before = state.xp;
+    state.xp = Math.max(0, Math.floor(before + amount));
+    if (state.xp === before && (event.type === "state-set" || amount === 0)) return;
+    const row = { id: event.id, at: event.at, date: event.date, amount: state.xp - before, reason, balance: state.xp };
+    if (reasonKey) Object.assign(row, { reasonKey, reasonParams: { ...(reasonParams || {}) } });
+    state.ledger.push(row);
+    const last = state.xpLog[state.xpLog.length - 1];
+    if (last && last.date === event.date) last.xp = state.xp;
+    else state.xpLog.push({ date: event.date, xp: state.xp });
+  };
+
+  // Out-of-order days never rewrite the past
+  const logStreak = (date) => {
+    const last = state.streakLog[state.streakLog.length - 1];
+    if (last && last.date > date) return;
+    if (last && last.date === date) last.streak = state.streak;
+    else state.streakLog.push({ date, streak: state.streak });
+  };
+
+  events.forEach(event => {
+    switch (event.type) {
+      case "xp-granted":
+        changeXP(event, Number(event.amount) || 0, event.reason || "XP granted");
+        break;
+      case "decay-applied":
+        changeXP(event, -(Number(event.amount) || 0), `Inactivity penalty (${event.days} day${event.days === 1 ? "" : "s"})`,
+          "decay", { count: Number(event.days) || 0 });
+        break;
+      case "streak-activity": {
+        const day = activityDay(event.at, policy);
+        const diff = state.lastActive ? diffInDaysLocal(state.lastActive, day) : NaN;
+        const change = { day, graced: day !== event.date, restDays: [], frozenDays: [], missedDays: [] };
+        if (!Number.isFinite(diff)) {
+          state.streak = 1;
+          change.outcome = "started";
+        } else if (diff <= 0) {
+          // same day, or an out-of-order event: keep the current streak
+          change.outcome = "same-day";
+        } else {
+          // Rest days are skipped; each other missed day costs one freeze
+          const gap = daysBetween(state.lastActive, day);
+          change.restDays = gap.filter(d => isRestDay(d, policy));
+          const missed = gap.filter(d => !isRestDay(d, policy));
+          if (missed.length <= state.freezes) {
+            state.freezes -= missed.length;
+            state.freezesUsed.push(...missed);
+            change.frozenDays = missed;
+            state.streak += 1;
+            change.outcome = "extended";
+          } else {
+            change.missedDays = missed;
+            state.streak = 1;
+            change.outcome = "reset";
+          }
+        }
+        if (!state.lastActive || diff > 0) state.lastActive = day;
+        change.streak = state.streak;
+        state.lastStreakChange = change;
+        logStreak(state.lastActive);
+        break;
+      }
+      case "freeze-earned":
+        if (event.cost) changeXP(event, -(Number(event.cost) || 0), "Streak freeze purchased", "freezePurchased");
+        state.freezes = Math.min(config.MAX_STREAK_FREEZES, state.freezes + 1);
+        break;
+      case "achievement-unlocked":
+        if (!state.achievements.includes(event.achievementId)) {
+          state.achievements.push(event.achievementId);
+          state.unlockedAt[event.achievementId] = event.at;
+        }
+        break;
+      case "achievement-revoked":
+        state.achievements = state.achievements.filter(id => id !== event.achievementId);
+        delete state.unlockedAt[event.achievementId];
+        break;
+      case "analysis-submitted":
+      case "plan-task-completed":
+        activity.push(event);
+        break;
+      case "entry-deleted":
+        deletedIds.add(event.entryId);
+        changeXP(event, -(Number(event.amount) || 0), `Analysis deleted (${event.entryDate || "unknown date"})`,
+          "entryDeleted", { date: event.entryDate || "" });
+        break;
+      case "state-set":
+        if (event.xp != null) changeXP(event, Number(event.xp) - state.xp, event.reason || "State set");
+        if (event.streak != null) {
+          state.streak = Math.max(0, Math.floor(Number(event.streak) || 0));
+          logStreak(event.date);
+        }
+        if (event.lastActive !== undefined) state.lastActive = event.lastActive || null;
+        if (Array.isArray(event.achievements)) {
+          state.achievements = [...event.achievements];
+          const unlockedAt = { ...state.unlockedAt, ...(event.unlockedAt || {}) };
+          state.unlockedAt = {};
+          state.achievements.forEach(id => { state.unlockedAt[id] = unlockedAt[id] || event.at; });
+        }
+        if (Array.isArray(event.xpLog) && event.xpLog.length) state.xpLog = event.xpLog.map(p => ({ ...p }));
+        break;
+      default:
+        break; // informational events (e.g. checkin-submitted)
+    }
+  });
+
+  // Counted at the end: an analysis deleted later takes its activity with it
+  ACHIEVEMENT_DEFINITIONS.filter(def => def.type === "counter").forEach(def => {
+    const matching = activity.filter(e => def.events.includes(e.type) && inTimeWindow(def.window, new Date(e.at)));
+    const deleted = matching.filter(e => deletedIds.has(e.entryId)).length;
+    state.counters[def.key] = matching.length - deleted;
+    state.countersFromDeleted[def.key] = deleted;
+  });
+  return state;
+}
+
+// XP earned by an analysis and its plan: grants tagged with its id. Logs
+// written before grants were tagged fall back to the grant that directly
+// followed the analysis-submitted event.
+export function earnedEntryXP(events, entryId) {
+  const tagged = events.filter(e => e.type === "xp-granted" && e.entryId === entryId);
+  if (tagged.length) return tagged.reduce((sum, e) => sum + (Number(e.amount) || 0), 0);
+  const i = events.findIndex(e => e.type === "analysis-submitted" && e.entryId === entryId);
+  if (i < 0) return 0;
+  const next = events.slice(i + 1).find(e => e.type === "xp-granted" || e.type === "analysis-submitted");
+  return next && next.type === "xp-granted" && String(next.reason || "").startsWith("Analysis")
+    ? Number(next.amount) || 0
+    : 0;
+}
+
+export function deletedEntryIds(events) {
+  return events.filter(e => e.type === "entry-deleted").map(e => e.entryId);
+}
+
+/* End of events.js */
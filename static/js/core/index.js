@@ -0,0 +1,31 @@
+/* index.js - Public entry point of the headless core
+   - Node / tests: import { createEngine, createManualClock, ... } from here
+   - Browser: loaded as a module before app.js, it also sets
+     window.NeuroforgeCore for the classic (non-module) scripts
+*/
+
+import * as achievements from "./achievements.js";
+import * as config from "./config.js";
+import * as engine from "./engine.js";
+import * as events from "./events.js";
+import * as insights from "./insights.js";
+import * as merge from "./merge.js";
+import * as scoring from "./scoring.js";
+import * as streak from "./streak.js";
+import * as time from "./time.js";
+
+export * from "./achievements.js";
+export * from "./config.js";
+export * from "./engine.js";
+export * from "./events.js";
+export * from "./insights.js";
+export * from "./merge.js";
+export * from "./scoring.js";
+export * from "./streak.js";
+export * from "./time.js";
+
+if (typeof window !== "undefined") {
+  window.NeuroforgeCore = Object.freeze({ ...achievements, ...config, ...engine, ...events, ...insights, ...merge, ...scoring, ...streak, ...time });
+}
+
+/* End of index.js */
@@ -0,0 +1,255 @@
+/* insights.js - Trend insights over the analysis history (pure functions)
+   - Per-dimension moving averages and least-squares slopes
+   - Declines and plateaus, judged on the most recent analyses
+   - Which dimension holds back the next rank band
+   - Streak length at each analysis against the score change it brought
+   - computeInsights() ranks all of it as { id, kind, tone, weight, key, detailKey, params }:
+     a headline and a line of supporting numbers, both message keys, so
+     nothing here is language-specific
+*/
+
+import { DEFAULT_RANK_THRESHOLDS, QUESTIONNAIRE, findRankThreshold, getNextRank, progressToNextRankPercent } from "./scoring.js";
+
+// Slopes are in points per analysis on the dimension scale (1-5) or, for
+// totals, on the total score. recent is how many analyses a trend looks at.
+export const DEFAULT_INSIGHT_OPTIONS = Object.freeze({
+  window: 3,
+  recent: 5,
+  minAnalyses: 3,
+  declineSlope: -0.25,
+  improveSlope: 0.25,
+  plateauSlope: 0.1,
+  streakDays: 3,
+  minCorrelation: 0.3
+});
+
+const round = (value, digits = 2) => {
+  const f = 10 ** digits;
+  return Math.round(value * f) / f;
+};
+
+// ====== STATISTICS ======
+export function mean(values) {
+  return values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+
+// Trailing average; the first few points average what exists so far
+export function movingAverage(values, window = DEFAULT_INSIGHT_OPTIONS.window) {
+  return values.map((_, i) => round(mean(values.slice(Math.max(0, i - window + 1), i + 1))));
+}
+
+// Least-squares slope per step; null with fewer than two points
+export function linearSlope(values) {
+  if (values.length < 2) return null;
+  const mx = (values.length - 1) / 2;
+  const my = mean(values);
+  let num = 0;
+  let den = 0;
+  values.forEach((y, x) => {
+    num += (x - mx) * (y - my);
+    den += (x - mx) ** 2;
+  });
+  return round(num / den);
+}
+
+// Pearson correlation; null when there are too few points to mean anything
+export function correlation(xs, ys) {
+  if (xs.length < 3) return null;
+  const mx = mean(xs);
+  const my = mean(ys);
+  let cov = 0;
+  let vx = 0;
+  let vy = 0;
+  xs.forEach((x, i) => {
+    cov += (x - mx) * (ys[i] - my);
+    vx += (x - mx) ** 2;
+    vy += (ys[i] - my) ** 2;
+  });
+  return vx && vy ? Math.round((cov / Math.sqrt(vx * vy)) * 100) / 100 : null;
+}
+
+// ====== TRENDS ======
+// status: "new" (too few analyses), "declining", "plateau", "improving",
+// "steady", or "maxed" (flat at the top of the scale)
+function trendStatus(values, slope, top, options) {
+  if (values.length < options.minAnalyses || slope == null) return "new";
+  if (slope <= options.declineSlope) return "declining";
+  if (slope >= options.improveSlope) return "improving";
+  const recent = values.slice(-options.window);
+  if (Math.abs(slope) < options.plateauSlope && Math.max(...recent) - Math.min(...recent) <= 1) {
+    return Math.min(...recent) >= top ? "maxed" : "plateau";
+  }
+  return "steady";
+}
+
+function describeSeries(values, top, options) {
+  const averages = movingAverage(values, options.window);
+  const recent = values.slice(-options.recent);
+  const slope = linearSlope(recent);
+  return {
+    values,
+    movingAverage: averages,
+    latest: values.length ? values[values.length - 1] : null,
+    average: averages.length ? averages[averages.length - 1] : null,
+    // Moving average just before the recent span, to show "from → to"
+    previousAverage: averages.length ? averages[Math.max(0, averages.length - recent.length)] : null,
+    slope,
+    span: recent.length,
+    status: trendStatus(values, slope, top, options)
+  };
+}
+
+export function dimensionTrends(history, {
+  dimensions = QUESTIONNAIRE.dimensions.map(d => d.id),
+  dimensionMax = QUESTIONNAIRE.scale.max,
+  ...rest
+} = {}) {
+  const options = { ...DEFAULT_INSIGHT_OPTIONS, ...rest };
+  return dimensions.map(id => ({
+    dimension: id,
+    ...describeSeries(history.map(entry => Number(entry[id]) || 0), dimensionMax, options)
+  }));
+}
+
+export function totalTrend(history, { maxScore = Infinity, ...rest } = {}) {
+  const options = { ...DEFAULT_INSIGHT_OPTIONS, ...rest };
+  // Totals move in bigger steps: scale the thresholds by the dimension count
+  const scale = QUESTIONNAIRE.dimensions.length;
+  const scaled = {
+    ...options,
+    declineSlope: options.declineSlope * scale,
+    improveSlope: options.improveSlope * scale,
+    plateauSlope: options.plateauSlope * scale
+  };
+  return describeSeries(history.map(entry => Number(entry.total) || 0), maxScore, scaled);
+}
+
+// ====== NEXT RANK ======
+// The weakest dimension of an analysis is what holds back the next band:
+// it has the most room to grow. null when the analysis is already in the top band.
+export function rankBottleneck(entry, {
+  ranks = DEFAULT_RANK_THRESHOLDS,
+  dimensions = QUESTIONNAIRE.dimensions.map(d => d.id),
+  dimensionMax = QUESTIONNAIRE.scale.max
+} = {}) {
+  if (!entry) return null;
+  const total = Number(entry.total) || 0;
+  const current = findRankThreshold(total, ranks);
+  const next = getNextRank(current.id, ranks);
+  if (!next || next === current) return null;
+  const scored = dimensions.map(id => ({ id, score: Number(entry[id]) || 0 }));
+  const weakest = scored.reduce((low, d) => (d.score < low.score ? d : low), scored[0]);
+  const points = Math.max(0, next.min - total);
+  const headroom = Math.max(0, dimensionMax - weakest.score);
+  return {
+    rank: current.id,
+    next: next.id,
+    percent: progressToNextRankPercent(total, ranks),
+    points,
+    dimension: weakest.id,
+    score: weakest.score,
+    headroom,
+    // Raising the weakest dimension alone is enough to reach the next band
+    withinReach: points <= headroom
+  };
+}
+
+// ====== STREAKS ======
+// streakLog: [{ date, streak }] in date order (see deriveState in events.js)
+export function streakAt(streakLog, date) {
+  let found = 0;
+  for (const point of streakLog) {
+    if (point.date > date) break;
+    found = point.streak;
+  }
+  return found;
+}
+
+// Each analysis after the first: the streak it was taken on, and how far its
+// total moved from the analysis before.
+export function streakScoreLink(history, streakLog = [], { streakDays = DEFAULT_INSIGHT_OPTIONS.streakDays } = {}) {
+  const rows = history.slice(1).map((entry, i) => ({
+    date: entry.date,
+    streak: streakAt(streakLog, entry.date),
+    change: (Number(entry.total) || 0) - (Number(history[i].total) || 0)
+  }));
+  const withStreak = rows.filter(r => r.streak >= streakDays).map(r => r.change);
+  const without = rows.filter(r => r.streak < streakDays).map(r => r.change);
+  const avg = (values) => (values.length ? round(mean(values), 1) : null);
+  return {
+    rows,
+    correlation: correlation(rows.map(r => r.streak), rows.map(r => r.change)),
+    withStreak: avg(withStreak),
+    withoutStreak: avg(without)
+  };
+}
+
+// ====== RANKED INSIGHTS ======
+// Higher weight = shown first. Warnings outrank advice, advice outranks praise;
+// within a kind, the bigger the movement, the higher it goes.
+function insight(kind, tone, weight, key, detailKey, params, dimension) {
+  return { id: dimension ? `${kind}:${dimension}` : kind, kind, tone, weight: round(weight, 1), key, detailKey, params };
+}
+
+const trendParams = (trend) => ({ slope: trend.slope, from: trend.previousAverage, to: trend.average, average: trend.average, count: trend.span });
+
+export function computeInsights(history, {
+  streakLog = [],
+  ranks = DEFAULT_RANK_THRESHOLDS,
+  dimensions = QUESTIONNAIRE.dimensions.map(d => d.id),
+  dimensionMax = QUESTIONNAIRE.scale.max,
+  maxScore = dimensions.length * dimensionMax,
+  ...rest
+} = {}) {
+  const options = { ...DEFAULT_INSIGHT_OPTIONS, ...rest };
+  const list = [];
+  if (!history.length) return list;
+
+  if (history.length < options.minAnalyses) {
+    list.push(insight("needMore", "info", 10, "insights.needMore", null, { count: options.minAnalyses - history.length }));
+  }
+
+  const total = totalTrend(history, { ...options, maxScore });
+  if (total.status === "declining") {
+    list.push(insight("total", "warning", 90 + Math.abs(total.slope), "insights.totalDown", "insights.trendDetail", trendParams(total)));
+  } else if (total.status === "improving") {
+    list.push(insight("total", "positive", 35 + total.slope, "insights.totalUp", "insights.trendDetail", trendParams(total)));
+  } else if (total.status === "plateau") {
+    list.push(insight("total", "info", 55, "insights.totalFlat", "insights.flatDetail", trendParams(total)));
+  }
+
+  dimensionTrends(history, { ...options, dimensions, dimensionMax }).forEach(trend => {
+    const params = { dimension: trend.dimension, ...trendParams(trend) };
+    if (trend.status === "declining") {
+      list.push(insight("decline", "warning", 80 + Math.abs(trend.slope) * 10, "insights.decline", "insights.trendDetail", params, trend.dimension));
+    } else if (trend.status === "plateau") {
+      list.push(insight("plateau", "info", 50 + (dimensionMax - trend.average), "insights.plateau", "insights.flatDetail", params, trend.dimension));
+    } else if (trend.status === "improving") {
+      list.push(insight("improving", "positive", 30 + trend.slope * 10, "insights.improving", "insights.trendDetail", params, trend.dimension));
+    }
+  });
+
+  const latest = history[history.length - 1];
+  const bottleneck = rankBottleneck(latest, { ranks, dimensions, dimensionMax });
+  if (bottleneck) {
+    list.push(insight("bottleneck", "info", 70 + (100 - bottleneck.percent) / 10,
+      bottleneck.withinReach ? "insights.bottleneck" : "insights.bottleneckFar", "insights.bottleneckDetail",
+      { ...bottleneck, count: bottleneck.points, max: dimensionMax }, bottleneck.dimension));
+  } else {
+    list.push(insight("topRank", "positive", 20, "insights.topRank", null, { rank: findRankThreshold(Number(latest.total) || 0, ranks).id }));
+  }
+
+  const link = streakScoreLink(history, streakLog, options);
+  if (link.correlation != null && Math.abs(link.correlation) >= options.minCorrelation) {
+    const positive = link.correlation > 0;
+    const compared = link.withStreak != null && link.withoutStreak != null;
+    list.push(insight("streak", positive ? "positive" : "info", 40 + Math.abs(link.correlation) * 20,
+      positive ? "insights.streakHelps" : "insights.streakHurts",
+      compared ? "insights.streakDetail" : "insights.correlationDetail",
+      { r: link.correlation, days: options.streakDays, withStreak: link.withStreak, withoutStreak: link.withoutStreak }));
+  }
+
+  return list.sort((a, b) => b.weight - a.weight);
+}
+
+/* End of insights.js */
@@ -0,0 +1,273 @@
+/* merge.js - Merging the state of two devices (used by sync.js)
+   - History, check-ins, habits and focus sessions merge per entry
+     (id + updatedAt); XP merges as a 3-way counter against the last
+     common value, which on a first sync comes from the XP trails
+   - Deleted analyses travel as ids (deletedEntries) so a merge never
+     restores them
+   - A reset travels as its time (resetAt): whatever the other device
+     recorded before it is dropped, so the reset is not undone by the next sync
+   - Import merges (mergeImportedHistory) skip analyses deleted on this device;
+     validateHistoryEntry() checks each imported analysis first
+   - Pure functions: no storage, no clock, no DOM
+*/
+
+import { DEFAULT_CONFIG } from "./config.js";
+import { QUESTIONNAIRE } from "./scoring.js";
+import { isValidISODate } from "./time.js";
+
+// ====== HISTORY IDENTITY ======
+// De-duplication key: date + creation timestamp; entries from before
+// timestamps existed fall back to their scores.
+export function historyEntryKey(entry) {
+  if (entry.createdAt) return `${entry.date}|${entry.createdAt}`;
+  return `${entry.date}|${entry.total}|${QUESTIONNAIRE.dimensions.map(d => entry[d.id]).join(",")}`;
+}
+
+// Stable id derived from the de-duplication key, so the same entry gets the
+// same id on every device (needed for per-entry sync merges).
+export function historyEntryId(entry) {
+  const key = historyEntryKey(entry);
+  let hash = 5381;
+  for (let i = 0; i < key.length; i++) hash = ((hash * 33) ^ key.charCodeAt(i)) >>> 0;
+  return `h_${hash.toString(36)}_${key.length.toString(36)}`;
+}
+
+// ====== HISTORY VALIDATION ======
+const isDimension = (id) => QUESTIONNAIRE.dimensions.some(d => d.id === id);
+const isOptionalString = (v) => v == null || typeof v === "string";
+
+// Plan tasks: { day 1-7, dimension, done?, completedAt? }. done is only
+// written once a task is ticked, so a missing done means not done.
+function validatePlan(plan) {
+  if (!Array.isArray(plan)) return ["invalid plan"];
+  const errors = [];
+  plan.forEach((task, i) => {
+    const where = `plan item ${i + 1}`;
+    if (!task || typeof task !== "object" || Array.isArray(task)) return errors.push(`${where} not an object`);
+    if (!Number.isInteger(task.day) || task.day < 1 || task.day > 7) errors.push(`${where} invalid day`);
+    if (!isDimension(task.dimension)) errors.push(`${where} unknown dimension "${task.dimension}"`);
+    if (task.done != null && typeof task.done !== "boolean") errors.push(`${where} invalid done`);
+    if (task.completedAt != null && Number.isNaN(Date.parse(task.completedAt))) errors.push(`${where} invalid completedAt`);
+  });
+  return errors;
+}
+
+// Returns a list of problems; empty means the entry can be imported.
+// A dimension score of 0 is accepted: early versions stored unanswered
+// dimensions as 0. Entries from before ids, ranks or plans existed are
+// accepted; the app fills those in.
+export function validateHistoryEntry(entry, { maxScore = DEFAULT_CONFIG.MAX_SCORE, noteMax = Infinity } = {}) {
+  if (!entry || typeof entry !== "object" || Array.isArray(entry)) return ["not an object"];
+  const errors = [];
+  if (!isValidISODate(entry.date)) errors.push(`invalid date "${entry.date}"`);
+  QUESTIONNAIRE.dimensions.forEach(d => {
+    const v = Number(entry[d.id]);
+    if (!Number.isFinite(v) || v < 0 || v > QUESTIONNAIRE.scale.max) errors.push(`${d.id} out of range`);
+  });
+  const total = Number(entry.total);
+  if (!Number.isFinite(total) || total < 0 || total > maxScore) errors.push("total out of range");
+  if (entry.createdAt != null && Number.isNaN(Date.parse(entry.createdAt))) errors.push("invalid createdAt");
+  if (entry.note != null && (typeof entry.note !== "string" || entry.note.length > noteMax)) errors.push("invalid note");
+  ["id", "rank", "mindType"].forEach(field => {
+    if (!isOptionalString(entry[field])) errors.push(`invalid ${field}`);
+  });
+  ["weakest", "strongest"].forEach(field => {
+    if (entry[field] != null && !isDimension(entry[field])) errors.push(`unknown ${field} "${entry[field]}"`);
+  });
+  if (entry.plan != null) errors.push(...validatePlan(entry.plan));
+  return errors;
+}
+
+// ====== HISTORY ORDER ======
+// Oldest first: by day, then by creation time within the day
+export function compareHistoryEntries(a, b) {
+  if (a.date !== b.date) return a.date < b.date ? -1 : 1;
+  return String(a.createdAt || "").localeCompare(String(b.createdAt || ""));
+}
+
+// ====== PER-ENTRY MERGES ======
+function entryTime(entry) {
+  return Date.parse(entry.updatedAt || entry.createdAt || entry.date) || 0;
+}
+
+// Newer entry wins, but a plan task ticked on either device stays ticked
+function mergeEntry(a, b) {
+  const [newer, older] = entryTime(a) >= entryTime(b) ? [a, b] : [b, a];
+  const merged = JSON.parse(JSON.stringify(newer));
+  if (Array.isArray(merged.plan) && Array.isArray(older.plan)) {
+    merged.plan.forEach(task => {
+      const other = older.plan.find(t => t.day === task.day);
+      if (other && other.done && !task.done) {
+        task.done = true;
+        task.completedAt = other.completedAt;
+      }
+    });
+  }
+  return merged;
+}
+
+// An analysis deleted on either device stays deleted
+export function mergeHistory(local, remote, deleted = new Set()) {
+  const byId = new Map();
+  local.concat(remote).forEach(entry => {
+    if (deleted.has(entry.id)) return;
+    const existing = byId.get(entry.id);
+    byId.set(entry.id, existing ? mergeEntry(existing, entry) : entry);
+  });
+  return [...byId.values()].sort(compareHistoryEntries);
+}
+
+// Import merge: the incoming analyses the local history lacks. Ones deleted
+// on this device come back as dropped instead of being restored.
+export function mergeImportedHistory(current, incoming, deletedIds = []) {
+  const deleted = new Set(deletedIds);
+  const seen = new Set(current.map(historyEntryKey));
+  const added = [];
+  const dropped = [];
+  incoming.forEach(entry => {
+    if (deleted.has(entry.id || historyEntryId(entry))) {
+      dropped.push(entry);
+      return;
+    }
+    const key = historyEntryKey(entry);
+    if (seen.has(key)) return;
+    seen.add(key);
+    added.push(entry);
+  });
+  return { added, dropped, history: current.concat(added).sort(compareHistoryEntries) };
+}
+
+// Check-ins merge by id (newer edit wins); one per day, earliest created kept
+export function mergeCheckins(local, remote) {
+  const byId = new Map();
+  local.concat(remote).forEach(c => {
+    const existing = byId.get(c.id);
+    if (!existing || String(c.updatedAt || "") > String(existing.updatedAt || "")) byId.set(c.id, c);
+  });
+  const byDate = new Map();
+  [...byId.values()].sort((a, b) => a.createdAt.localeCompare(b.createdAt)).forEach(c => {
+    if (!byDate.has(c.date)) byDate.set(c.date, c);
+  });
+  return [...byDate.values()];
+}
+
+// Habits: newer edit wins for fields, completions from both sides are kept
+export function mergeHabits(local, remote) {
+  const byId = new Map();
+  local.concat(remote).forEach(h => {
+    const existing = byId.get(h.id);
+    if (!existing) return byId.set(h.id, h);
+    const newer = String(h.updatedAt || "") > String(existing.updatedAt || "") ? h : existing;
+    byId.set(h.id, { ...newer, completions: [...new Set(existing.completions.concat(h.completions))].sort() });
+  });
+  return [...byId.values()];
+}
+
+// Focus sessions never change once logged: a plain union by id
+export function mergeFocusSessions(local, remote) {
+  const byId = new Map();
+  local.concat(remote).forEach(s => { if (!byId.has(s.id)) byId.set(s.id, s); });
+  return [...byId.values()].sort((a, b) => String(a.endedAt).localeCompare(String(b.endedAt)));
+}
+
+// ====== COUNTERS ======
+// XP is a counter changed independently on each device: apply both
+// deltas since the last common (base) value.
+export function mergeXP(local, remote, base) {
+  if (base == null) return Math.max(local, remote);
+  return Math.max(0, base + (local - base) + (remote - base));
+}
+
+// XP trail: [event id, balance after it] for every ledger row (see
+// deriveState), so two devices can tell which XP events they share
+export function xpTrail(ledger) {
+  return ledger.map(row => [row.id, row.balance]);
+}
+
+// XP at the end of the events both trails start with: a device that began
+// from another's export shares its log up to there. Devices that share
+// nothing both started from zero.
+export function sharedXP(localTrail, remoteTrail) {
+  let xp = DEFAULT_CONFIG.DEFAULT_XP;
+  for (let i = 0; i < Math.min(localTrail.length, remoteTrail.length); i++) {
+    if (!Array.isArray(remoteTrail[i]) || localTrail[i][0] !== remoteTrail[i][0]) break;
+    xp = Number(localTrail[i][1]) || 0;
+  }
+  return xp;
+}
+
+// Streak belongs to whichever side was active most recently; same day -> max
+export function mergeStreak(local, remote) {
+  const l = local.lastActive || "";
+  const r = remote.lastActive || "";
+  if (l === r) return { streak: Math.max(local.streak, remote.streak), lastActive: l || null };
+  return l > r
+    ? { streak: local.streak, lastActive: l }
+    : { streak: remote.streak, lastActive: r };
+}
+
+// ====== RESETS ======
+// A side that has not seen the latest reset keeps only what it created
+// after it. Its XP, streak and achievements cannot be split at the reset,
+// so they are left out and the side that reset provides them.
+function sinceReset(state, resetAt) {
+  if (!resetAt || (state.resetAt || "") >= resetAt) return state;
+  const after = (time) => String(time || "") > resetAt;
+  return {
+    ...state,
+    history: state.history.filter(e => after(e.createdAt)),
+    checkins: state.checkins.filter(c => after(c.createdAt)),
+    habits: state.habits.filter(h => after(h.createdAt)),
+    focusSessions: state.focusSessions.filter(s => after(s.endedAt)),
+    achievements: [],
+    streak: 0,
+    lastActive: null,
+    stale: true
+  };
+}
+
+// ====== STATE ======
+// local comes from this device, remote from the server (null before the
+// first push), base is { xp } as of the last successful sync; without one
+// (first sync) the XP both trails share stands in for it
+export function mergeStates(local, remote, base) {
+  if (!remote) return local;
+  const list = (value) => (Array.isArray(value) ? value : []);
+  const resetAt = [local.resetAt, remote.resetAt].filter(Boolean).sort().pop() || null;
+  const mine = sinceReset(local, resetAt);
+  const theirs = sinceReset({
+    history: list(remote.history),
+    deletedEntries: list(remote.deletedEntries),
+    checkins: list(remote.checkins),
+    habits: list(remote.habits),
+    focusSessions: list(remote.focusSessions),
+    achievements: list(remote.achievements),
+    xp: Number(remote.xp) || 0,
+    streak: Number(remote.streak) || 0,
+    lastActive: remote.lastActive || null,
+    resetAt: remote.resetAt || null
+  }, resetAt);
+
+  const streak = mergeStreak(mine, theirs);
+  const deleted = new Set(list(local.deletedEntries).concat(theirs.deletedEntries));
+  let xp;
+  if (theirs.stale) xp = mine.xp;
+  else if (mine.stale) xp = theirs.xp;
+  else xp = mergeXP(mine.xp, theirs.xp, base ? base.xp : sharedXP(list(local.xpTrail), list(remote.xpTrail)));
+
+  return {
+    history: mergeHistory(mine.history, theirs.history, deleted),
+    deletedEntries: [...deleted],
+    checkins: mergeCheckins(mine.checkins, theirs.checkins),
+    habits: mergeHabits(mine.habits, theirs.habits),
+    focusSessions: mergeFocusSessions(mine.focusSessions, theirs.focusSessions),
+    achievements: [...new Set(mine.achievements.concat(theirs.achievements))],
+    xp,
+    streak: streak.streak,
+    lastActive: streak.lastActive,
+    resetAt,
+    xpTrail: list(local.xpTrail)
+  };
+}
+
+/* End of merge.js */
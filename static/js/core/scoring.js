@@ -0,0 +1,161 @@
+/* scoring.js - Questionnaire, levels and ranks (pure functions)
+   - Questionnaire definition and per-dimension scoring
+   - Level curve: XP needed per level, level reached from total XP
+   - Rank bands and lore titles; callers pass the tuned values
+     (see the settings store in app.js), defaults come from here
+*/
+
+// ====== QUESTIONNAIRE DEFINITION ======
+// Each dimension is scored on the answer scale (1-5) as the weighted mean of
+// its questions; reverse-scored items are flipped before weighting.
+// MAX_SCORE and RANK_THRESHOLDS are derived from this definition.
+export const QUESTIONNAIRE = {
+  scale: {
+    min: 1,
+    max: 5,
+    labels: ["Strongly disagree", "Disagree", "Neutral", "Agree", "Strongly agree"]
+  },
+  dimensions: [
+    { id: "focus", label: "Focus", icon: "🧠" },
+    { id: "discipline", label: "Discipline", icon: "📏" },
+    { id: "execution", label: "Execution", icon: "🔥" },
+    { id: "consistency", label: "Consistency", icon: "🔁" }
+  ],
+  questions: [
+    { id: "focus_deep", dimension: "focus", text: "I can work on one task for 30 minutes without checking my phone.", weight: 2 },
+    { id: "focus_return", dimension: "focus", text: "When I get distracted, I quickly get back to what I was doing.", weight: 1 },
+    { id: "focus_drift", dimension: "focus", text: "My mind often drifts to unrelated thoughts while I work.", weight: 1, reverse: true },
+
+    { id: "discipline_commit", dimension: "discipline", text: "I do what I planned even when I don't feel like it.", weight: 2 },
+    { id: "discipline_routine", dimension: "discipline", text: "I follow a fixed routine for sleep and work.", weight: 1 },
+    { id: "discipline_impulse", dimension: "discipline", text: "I often give in to short-term temptations.", weight: 1, reverse: true },
+
+    { id: "execution_finish", dimension: "execution", text: "I finish the projects I start.", weight: 2 },
+    { id: "execution_start", dimension: "execution", text: "I start important tasks without long delays.", weight: 1 },
+    { id: "execution_overthink", dimension: "execution", text: "I spend more time planning than doing.", weight: 1, reverse: true },
+
+    { id: "consistency_daily", dimension: "consistency", text: "I work on my goals almost every day.", weight: 2 },
+    { id: "consistency_recover", dimension: "consistency", text: "After a missed day, I get back on track the next day.", weight: 1 },
+    { id: "consistency_bursts", dimension: "consistency", text: "My effort comes in short bursts followed by long breaks.", weight: 1, reverse: true }
+  ],
+  // Ranks start at a fraction of MAX_SCORE; mind type is the lore name for the band.
+  // History stores the band id, so names can be translated or renamed.
+  ranks: [
+    { id: "dreamer", name: "Dreamer", mindType: "Unstable Dreamer", minRatio: 0 },
+    { id: "explorer", name: "Explorer", mindType: "Growing Explorer", minRatio: 0.5 },
+    { id: "builder", name: "Builder", mindType: "Strategic Builder", minRatio: 0.65 },
+    { id: "architect", name: "Architect", mindType: "Focused Architect", minRatio: 0.85 }
+  ]
+};
+
+export function questionnaireMaxScore(q = QUESTIONNAIRE) {
+  return q.dimensions.length * q.scale.max;
+}
+
+export function buildRankThresholds(q = QUESTIONNAIRE) {
+  const max = questionnaireMaxScore(q);
+  const mins = q.ranks.map(r => Math.round(r.minRatio * max));
+  return q.ranks.map((r, i) => ({
+    id: r.id,
+    name: r.name,
+    mindType: r.mindType,
+    min: mins[i],
+    max: i < mins.length - 1 ? mins[i + 1] - 1 : max
+  }));
+}
+
+// ====== QUESTIONNAIRE SCORING ======
+function scoreAnswer(question, value, scale) {
+  return question.reverse ? (scale.max + scale.min - value) : value;
+}
+
+// answers: { [questionId]: number } -> { focus: 4, discipline: 3, ... }
+export function scoreQuestionnaire(answers, q = QUESTIONNAIRE) {
+  const scores = {};
+  q.dimensions.forEach(d => {
+    let sum = 0;
+    let weights = 0;
+    q.questions
+      .filter(question => question.dimension === d.id)
+      .forEach(question => {
+        const v = Number(answers[question.id]);
+        if (!Number.isFinite(v)) return;
+        const w = Number(question.weight) || 1;
+        sum += scoreAnswer(question, v, q.scale) * w;
+        weights += w;
+      });
+    scores[d.id] = weights ? Math.round(sum / weights) : 0;
+  });
+  return scores;
+}
+
+// ====== XP & LEVEL LOGIC (single source) ======
+// XP needed to finish level n: base * n^exponent + perLevel * n
+export const DEFAULT_LEVEL_CURVE = Object.freeze({ base: 100, exponent: 1.4, perLevel: 50 });
+
+export function xpForLevel(level, curve = DEFAULT_LEVEL_CURVE) {
+  return Math.floor(curve.base * Math.pow(level, curve.exponent) + level * curve.perLevel);
+}
+
+export function computeLevelFromXP(totalXP, curve = DEFAULT_LEVEL_CURVE) {
+  let remaining = Math.max(0, Math.floor(totalXP));
+  let level = 1;
+  while (remaining >= xpForLevel(level, curve)) {
+    remaining -= xpForLevel(level, curve);
+    level++;
+  }
+  return { level, current: remaining, required: xpForLevel(level, curve) };
+}
+
+// XP for submitting an analysis: base + score bonus + streak bonus
+export function analysisXP(total, streak, baseXP) {
+  return baseXP + total * 5 + streak * 10;
+}
+
+// ====== RANK & LORE HELPERS ======
+export const DEFAULT_RANK_THRESHOLDS = Object.freeze(buildRankThresholds().map(r => Object.freeze(r)));
+
+// Lore title for a level: the last entry whose minLevel has been reached
+export const DEFAULT_LORE_TITLES = Object.freeze([
+  { minLevel: 1, title: "🧠 Wandering Mind" },
+  { minLevel: 5, title: "⚔️ Mind Trainee" },
+  { minLevel: 10, title: "🏹 Thought Warrior" },
+  { minLevel: 20, title: "🏛️ Architect of Will" },
+  { minLevel: 50, title: "👑 Neural Overlord" },
+  { minLevel: 100, title: "🌌 Transcendent Entity" }
+].map(t => Object.freeze(t)));
+
+export function findRankThreshold(total, ranks = DEFAULT_RANK_THRESHOLDS) {
+  let found = ranks[0];
+  ranks.forEach(r => { if (total >= r.min) found = r; });
+  return found;
+}
+
+// rank: a band id or (entries saved before ids) a band name
+export function getNextRank(rank, ranks = DEFAULT_RANK_THRESHOLDS) {
+  const idx = ranks.findIndex(r => r.id === rank || r.name === rank);
+  return ranks[Math.min(idx + 1, ranks.length - 1)];
+}
+
+export function getNextRankName(rank, ranks = DEFAULT_RANK_THRESHOLDS) {
+  return getNextRank(rank, ranks).name;
+}
+
+export function progressToNextRankPercent(total, ranks = DEFAULT_RANK_THRESHOLDS) {
+  const currentThreshold = findRankThreshold(total, ranks);
+  const idx = ranks.indexOf(currentThreshold);
+  const nextIdx = Math.min(idx + 1, ranks.length - 1);
+  const next = ranks[nextIdx];
+  if (currentThreshold === next) return 100;
+  const span = currentThreshold.max - currentThreshold.min;
+  const progress = span === 0 ? 1 : (total - currentThreshold.min) / span;
+  return Math.max(0, Math.min(100, Math.round(progress * 100)));
+}
+
+export function getLoreTitle(level, titles = DEFAULT_LORE_TITLES) {
+  let found = titles[0];
+  titles.forEach(t => { if (level >= t.minLevel) found = t; });
+  return found.title;
+}
+
+/* End of scoring.js */
@@ -0,0 +1,73 @@
+/* streak.js - Streak policy and inactivity decay (pure functions)
+   - Policy: rest days, grace window after midnight, decay curve
+   - Decay curves are cumulative; registerDecayCurve() adds new ones
+   - activityDay() maps a timestamp to the local day it counts for
+*/
+
+import { DEFAULT_CONFIG } from "./config.js";
+import { parseLocalISODate, toLocalISODate } from "./time.js";
+
+// ====== STREAK POLICY ======
+// restDays:   weekdays (0 = Sunday) that neither break nor extend a streak
+// graceHours: activity shortly after midnight still counts for the day before
+// decay:      curve name from DECAY_CURVES plus its parameters; perDay is
+//             always config.INACTIVITY_PENALTY_PER_DAY (a setting)
+export const DEFAULT_STREAK_POLICY = Object.freeze({
+  restDays: Object.freeze([]),
+  graceHours: 0,
+  decay: Object.freeze({ curve: "flat", cap: 50, growth: 1.5 })
+});
+
+// Total XP lost after `days` consecutive missed days. Curves are cumulative,
+// so decay charged in several steps adds up to the same total.
+const DECAY_CURVES = {
+  flat: (days, p) => days * p.perDay,
+  capped: (days, p) => Math.min(p.cap, days * p.perDay),
+  exponential: (days, p) => p.growth === 1
+    ? days * p.perDay
+    : Math.round(p.perDay * (Math.pow(p.growth, days) - 1) / (p.growth - 1))
+};
+
+export function registerDecayCurve(name, fn) {
+  if (typeof fn !== "function") throw new Error("Decay curve must be a function");
+  DECAY_CURVES[name] = fn;
+}
+
+export const getDecayCurveNames = () => Object.keys(DECAY_CURVES);
+
+export function normalizeStreakPolicy(raw, config = DEFAULT_CONFIG) {
+  const src = raw && typeof raw === "object" ? raw : {};
+  const decay = Object.assign({}, DEFAULT_STREAK_POLICY.decay, src.decay);
+  const nonNegative = (v, fallback) => (Number.isFinite(Number(v)) && Number(v) >= 0 ? Number(v) : fallback);
+  const restDays = [...new Set((Array.isArray(src.restDays) ? src.restDays : [])
+    .map(Number).filter(d => Number.isInteger(d) && d >= 0 && d <= 6))].sort();
+  return {
+    // At least one working day, otherwise nothing could ever count
+    restDays: restDays.length < 7 ? restDays : [],
+    graceHours: Math.min(config.MAX_GRACE_HOURS, Math.floor(nonNegative(src.graceHours, 0))),
+    decay: {
+      curve: DECAY_CURVES[decay.curve] ? decay.curve : DEFAULT_STREAK_POLICY.decay.curve,
+      perDay: config.INACTIVITY_PENALTY_PER_DAY,
+      cap: nonNegative(decay.cap, DEFAULT_STREAK_POLICY.decay.cap),
+      growth: Math.max(1, nonNegative(decay.growth, DEFAULT_STREAK_POLICY.decay.growth))
+    }
+  };
+}
+
+export function isRestDay(iso, policy) {
+  const d = parseLocalISODate(iso);
+  return !!d && policy.restDays.includes(d.getDay());
+}
+
+// Local day an activity counts for, after the grace window
+export function activityDay(at, policy) {
+  const time = at instanceof Date ? at.getTime() : Date.parse(at);
+  return toLocalISODate(new Date(time - policy.graceHours * 60 * 60 * 1000));
+}
+
+export function decayLoss(alreadyCharged, missed, decay) {
+  const curve = DECAY_CURVES[decay.curve] || DECAY_CURVES.flat;
+  return Math.max(0, Math.round(curve(alreadyCharged + missed, decay) - curve(alreadyCharged, decay)));
+}
+
+/* End of streak.js */
@@ -0,0 +1,81 @@
+/* time.js - Clocks and local calendar days
+   - systemClock reads the real time; createManualClock() is set and moved
+     by hand, so tests can replay weeks of use in milliseconds
+   - Dates are local "YYYY-MM-DD" strings: a day is the user's calendar day,
+     never a UTC one, and DST days (23h / 25h) still count as one day
+*/
+
+// ====== CLOCKS ======
+// A clock is anything with now(): Date
+export const systemClock = Object.freeze({
+  now: () => new Date()
+});
+
+export function createManualClock(start = new Date()) {
+  let current = new Date(start).getTime();
+  if (!Number.isFinite(current)) throw new Error("Invalid start time");
+  return {
+    now: () => new Date(current),
+    set(time) {
+      const next = new Date(time).getTime();
+      if (!Number.isFinite(next)) throw new Error("Invalid time");
+      current = next;
+    },
+    advance(ms) {
+      current += ms;
+    },
+    // Same wall-clock time n local days later, across DST changes
+    advanceDays(n = 1) {
+      const d = new Date(current);
+      d.setDate(d.getDate() + n);
+      current = d.getTime();
+    }
+  };
+}
+
+// ====== LOCAL DAYS ======
+export function toLocalISODate(date) {
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, "0");
+  const d = String(date.getDate()).padStart(2, "0");
+  return `${y}-${m}-${d}`;
+}
+
+export function parseLocalISODate(iso) {
+  if (!iso || typeof iso !== "string") return null;
+  const parts = iso.split("-");
+  if (parts.length !== 3) return null;
+  const [y, m, d] = parts.map(Number);
+  if (!Number.isFinite(y) || !Number.isFinite(m) || !Number.isFinite(d)) return null;
+  return new Date(y, m - 1, d); // local midnight
+}
+
+export function isValidISODate(iso) {
+  const d = parseLocalISODate(iso);
+  return !!d && toLocalISODate(d) === iso;
+}
+
+export function diffInDaysLocal(aISO, bISO) {
+  const a = parseLocalISODate(aISO);
+  const b = parseLocalISODate(bISO);
+  if (!a || !b) return NaN;
+  const msPerDay = 24 * 60 * 60 * 1000;
+  // Use round to avoid DST / minor ms diffs
+  return Math.round((b - a) / msPerDay);
+}
+
+// Days strictly between two local dates
+export function daysBetween(fromISO, toISO) {
+  const days = [];
+  const d = parseLocalISODate(fromISO);
+  const end = parseLocalISODate(toISO);
+  if (!d || !end) return days;
+  d.setDate(d.getDate() + 1);
+  while (d < end) {
+    days.push(toLocalISODate(d));
+    d.setDate(d.getDate() + 1);
+  }
+  return days;
+}
+
+/* End of time.js */
@@ -0,0 +1,254 @@
+/* focus.js - Focus session timer (Pomodoro)
+   - Configurable work / break lengths
+   - Timestamp based: remaining time is always endsAt - now, so tab switches,
+     throttled timers and sleep never skew it
+   - Timer state is stored, so a reload or a second tab picks it up
+   - Completed work phases are logged via Neuroforge.logFocusSession()
+     (XP scaled by length, streak, achievements)
+   - The timer runs on every view; its panel is part of the dashboard view
+*/
+
+const NeuroforgeFocus = (function () {
+  const i18n = NeuroforgeI18n;
+  const KEYS = {
+    TIMER: "neuroforge_focus_timer",
+    SETTINGS: "neuroforge_focus_settings"
+  };
+
+  const DEFAULT_SETTINGS = { workMinutes: 25, breakMinutes: 5 };
+  const LIMITS = { workMinutes: [1, 180], breakMinutes: [1, 60] };
+  const IDLE = { phase: "idle", startedAt: null, endsAt: null, remainingMs: null, plannedMs: 0, tag: "" };
+  const MINUTE_MS = 60 * 1000;
+
+  let ticker = null;
+  let baseTitle = null;
+
+  // ====== STORAGE ======
+  function readJSON(key, fallback) {
+    const raw = Neuroforge.getStorageAdapter().getItem(key);
+    if (raw == null) return fallback;
+    try {
+      return JSON.parse(raw);
+    } catch (err) {
+      console.warn("Corrupt focus data:", key, err);
+      return fallback;
+    }
+  }
+
+  function writeJSON(key, value) {
+    Neuroforge.getStorageAdapter().setItem(key, JSON.stringify(value));
+  }
+
+  function clampMinutes(name, value) {
+    const [min, max] = LIMITS[name];
+    const n = Math.round(Number(value));
+    return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : DEFAULT_SETTINGS[name];
+  }
+
+  function getSettings() {
+    const stored = Object.assign({}, DEFAULT_SETTINGS, readJSON(KEYS.SETTINGS, {}));
+    return {
+      workMinutes: clampMinutes("workMinutes", stored.workMinutes),
+      breakMinutes: clampMinutes("breakMinutes", stored.breakMinutes)
+    };
+  }
+
+  function saveSettings(patch) {
+    const next = Object.assign(getSettings(), patch);
+    const settings = {
+      workMinutes: clampMinutes("workMinutes", next.workMinutes),
+      breakMinutes: clampMinutes("breakMinutes", next.breakMinutes)
+    };
+    writeJSON(KEYS.SETTINGS, settings);
+    return settings;
+  }
+
+  const getTimer = () => Object.assign({}, IDLE, readJSON(KEYS.TIMER, {}));
+  const saveTimer = (timer) => writeJSON(KEYS.TIMER, timer);
+
+  const isRunning = (timer) => timer.phase !== "idle" && timer.endsAt != null;
+
+  function remainingMs(timer, now = Date.now()) {
+    if (timer.phase === "idle") return 0;
+    if (timer.endsAt == null) return timer.remainingMs || 0;
+    return Math.max(0, timer.endsAt - now);
+  }
+
+  // ====== TIMER ======
+  function start(tag = "") {
+    const timer = getTimer();
+    if (timer.phase === "work") return timer;
+    const now = Date.now();
+    const plannedMs = getSettings().workMinutes * MINUTE_MS;
+    const next = {
+      phase: "work",
+      startedAt: new Date(now).toISOString(),
+      endsAt: now + plannedMs,
+      remainingMs: null,
+      plannedMs,
+      tag: String(tag || "").trim()
+    };
+    saveTimer(next);
+    Neuroforge.showToast(i18n.t("focus.started", { count: getSettings().workMinutes }));
+    refresh();
+    return next;
+  }
+
+  function pause() {
+    const timer = getTimer();
+    if (!isRunning(timer)) return false;
+    saveTimer(Object.assign(timer, { remainingMs: remainingMs(timer), endsAt: null }));
+    refresh();
+    return true;
+  }
+
+  function resume() {
+    const timer = getTimer();
+    if (timer.phase === "idle" || timer.endsAt != null) return false;
+    saveTimer(Object.assign(timer, { endsAt: Date.now() + (timer.remainingMs || 0), remainingMs: null }));
+    refresh();
+    return true;
+  }
+
+  // Ends the session early; the focused part is logged if it's long enough
+  function stop() {
+    const timer = getTimer();
+    if (timer.phase === "idle") return null;
+    saveTimer(Object.assign({}, IDLE));
+    let session = null;
+    if (timer.phase === "work") {
+      const focusedMs = timer.plannedMs - remainingMs(timer);
+      session = Neuroforge.logFocusSession({
+        startedAt: timer.startedAt,
+        endedAt: new Date().toISOString(),
+        minutes: Math.floor(focusedMs / MINUTE_MS),
+        tag: timer.tag
+      });
+    }
+    refresh();
+    return session;
+  }
+
+  // Moves through every phase boundary that has passed, using the recorded
+  // end times (not "now"), so a session that ended while the laptop slept
+  // is logged with its real end time.
+  function advance(now = Date.now()) {
+    let timer = getTimer();
+    while (isRunning(timer) && timer.endsAt <= now) {
+      if (timer.phase === "work") {
+        const endedAt = timer.endsAt;
+        const breakMs = getSettings().breakMinutes * MINUTE_MS;
+        // Store the break first so another tab can't log the same session
+        saveTimer({ phase: "break", startedAt: new Date(endedAt).toISOString(), endsAt: endedAt + breakMs, remainingMs: null, plannedMs: breakMs, tag: timer.tag });
+        Neuroforge.logFocusSession({
+          startedAt: timer.startedAt,
+          endedAt: new Date(endedAt).toISOString(),
+          minutes: Math.round(timer.plannedMs / MINUTE_MS),
+          tag: timer.tag
+        });
+        Neuroforge.showToast(i18n.t("focus.complete"));
+      } else {
+        saveTimer(Object.assign({}, IDLE));
+        Neuroforge.showToast(i18n.t("focus.breakOver"));
+      }
+      timer = getTimer();
+    }
+    return timer;
+  }
+
+  // ====== UI ======
+  function formatMs(ms) {
+    const total = Math.ceil(ms / 1000);
+    return `${String(Math.floor(total / 60)).padStart(2, "0")}:${String(total % 60).padStart(2, "0")}`;
+  }
+
+  function render(timer) {
+    const display = document.querySelector("#focusTimer");
+    const phase = document.querySelector("#focusPhase");
+    const startBtn = document.querySelector("#focusStart");
+    const pauseBtn = document.querySelector("#focusPause");
+    const stopBtn = document.querySelector("#focusStop");
+    const left = timer.phase === "idle" ? getSettings().workMinutes * MINUTE_MS : remainingMs(timer);
+    const paused = timer.phase !== "idle" && timer.endsAt == null;
+
+    if (display) display.textContent = formatMs(left);
+    if (phase) {
+      const text = i18n.t(`focus.phases.${timer.phase}`);
+      phase.textContent = paused ? i18n.t("focus.paused", { phase: text }) : text;
+    }
+    if (startBtn) startBtn.disabled = timer.phase === "work";
+    if (pauseBtn) {
+      pauseBtn.disabled = timer.phase === "idle";
+      pauseBtn.textContent = i18n.t(paused ? "focus.resume" : "focus.pause");
+    }
+    if (stopBtn) {
+      stopBtn.disabled = timer.phase === "idle";
+      stopBtn.textContent = i18n.t(timer.phase === "break" ? "focus.skipBreak" : "focus.stop");
+    }
+
+    if (baseTitle == null) baseTitle = document.title;
+    document.title = isRunning(timer) ? `${formatMs(left)} · ${baseTitle}` : baseTitle;
+  }
+
+  // The interval only repaints; timing always comes from timestamps
+  function refresh() {
+    const timer = advance();
+    if (document.querySelector("#focusTimer")) render(timer);
+    if (isRunning(timer) && !ticker) ticker = setInterval(refresh, 1000);
+    if (!isRunning(timer) && ticker) {
+      clearInterval(ticker);
+      ticker = null;
+    }
+  }
+
+  function wireFocusPanel() {
+    const form = document.querySelector("#focusForm");
+    if (!form) return;
+    const { workMinutes, breakMinutes, tag } = form.elements;
+    const settings = getSettings();
+    workMinutes.value = settings.workMinutes;
+    breakMinutes.value = settings.breakMinutes;
+    tag.value = getTimer().tag || "";
+
+    const saveFromForm = () => {
+      const saved = saveSettings({ workMinutes: workMinutes.value, breakMinutes: breakMinutes.value });
+      workMinutes.value = saved.workMinutes;
+      breakMinutes.value = saved.breakMinutes;
+      refresh();
+    };
+    workMinutes.addEventListener("change", saveFromForm);
+    breakMinutes.addEventListener("change", saveFromForm);
+
+    form.addEventListener("submit", (e) => {
+      e.preventDefault();
+      saveFromForm();
+      start(tag.value);
+    });
+
+    const pauseBtn = document.querySelector("#focusPause");
+    if (pauseBtn) pauseBtn.addEventListener("click", () => { if (!pause()) resume(); });
+    const stopBtn = document.querySelector("#focusStop");
+    if (stopBtn) stopBtn.addEventListener("click", stop);
+  }
+
+  document.addEventListener("neuroforge:ready", refresh);
+  NeuroforgeRouter.extend("dashboard", {
+    mount() {
+      // The router has just set the view's title
+      baseTitle = null;
+      wireFocusPanel();
+      refresh();
+    }
+  });
+  // The page title was just re-translated; take it as the new base
+  document.addEventListener("neuroforge:locale-changed", () => {
+    baseTitle = null;
+    refresh();
+  });
+  document.addEventListener("visibilitychange", () => { if (!document.hidden) refresh(); });
+  window.addEventListener("focus", refresh);
+
+  return { start, pause, resume, stop, getTimer, getSettings, saveSettings, remainingMs, advance };
+})();
+
+/* End of focus.js */
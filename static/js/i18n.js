@@ -0,0 +1,193 @@
+/* i18n.js - Message catalog and locale formatting
+   - Locale files (static/js/locales/*.js) register their messages with addLocale()
+   - t("toast.xpGained", { amount: 20 }): dotted keys, {name} placeholders,
+     plural forms picked with Intl.PluralRules ({ one, other, ... } with params.count)
+   - Missing keys fall back to English, then to params.default, then to the key
+   - Dates, numbers and percents formatted for the active locale
+   - Runtime switching: <html lang dir> is updated, [data-i18n] elements are
+     re-translated and "neuroforge:locale-changed" is dispatched
+   - The choice is remembered per browser (not per profile)
+*/
+
+const NeuroforgeI18n = (function () {
+  // Kept outside the "neuroforge_" prefix so profile storage never moves it
+  const STORAGE_KEY = "neuroforge.locale";
+  const FALLBACK = "en";
+
+  const locales = {};
+  let current = null;
+
+  // ====== LOCALES ======
+  function addLocale(code, { name = code, dir = "ltr", messages = {} } = {}) {
+    locales[code] = { code, name, dir: dir === "rtl" ? "rtl" : "ltr", messages };
+    // A locale registered later may be the one the user asked for
+    current = null;
+  }
+
+  function readStoredLocale() {
+    try {
+      return localStorage.getItem(STORAGE_KEY);
+    } catch (err) {
+      return null;
+    }
+  }
+
+  // Exact match first ("pt-BR"), then the base language ("pt")
+  function matchLocale(tag) {
+    if (!tag) return null;
+    if (locales[tag]) return tag;
+    const base = String(tag).split("-")[0].toLowerCase();
+    return Object.keys(locales).find(code => code.toLowerCase() === base) || null;
+  }
+
+  // Stored choice, else the browser's languages, else English
+  function resolveLocale() {
+    const preferred = [readStoredLocale()].concat(
+      typeof navigator !== "undefined" ? (navigator.languages || [navigator.language]) : []
+    );
+    for (const tag of preferred) {
+      const found = matchLocale(tag);
+      if (found) return found;
+    }
+    return locales[FALLBACK] ? FALLBACK : Object.keys(locales)[0] || FALLBACK;
+  }
+
+  function getLocale() {
+    if (!current || !locales[current]) current = resolveLocale();
+    return current;
+  }
+
+  const getLocales = () => Object.values(locales).map(l => ({ code: l.code, name: l.name, dir: l.dir }));
+  const getDirection = () => (locales[getLocale()] || { dir: "ltr" }).dir;
+
+  // ====== FORMATTING ======
+  function formatNumber(value, options) {
+    const n = Number(value);
+    if (!Number.isFinite(n)) return String(value);
+    return new Intl.NumberFormat(getLocale(), options).format(n);
+  }
+
+  // 42 -> "42 %" / "42%" / "٪٤٢" depending on the locale
+  const formatPercent = (value) => formatNumber(Number(value) / 100, { style: "percent", maximumFractionDigits: 0 });
+
+  // "YYYY-MM-DD" is a local calendar day; anything else is parsed as a timestamp
+  function toDate(value) {
+    if (value instanceof Date) return value;
+    const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value));
+    if (m) return new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+    return new Date(value);
+  }
+
+  function formatDate(value, options = { dateStyle: "medium" }) {
+    if (value == null || value === "") return "";
+    const date = toDate(value);
+    if (Number.isNaN(date.getTime())) return String(value);
+    return new Intl.DateTimeFormat(getLocale(), options).format(date);
+  }
+
+  const formatTime = (value) => formatDate(value, { timeStyle: "short" });
+
+  // ["a", "b", "c"] -> "a, b and c"
+  function formatList(items, type = "conjunction") {
+    return typeof Intl.ListFormat === "function"
+      ? new Intl.ListFormat(getLocale(), { type }).format(items.map(String))
+      : items.join(", ");
+  }
+
+  // ====== MESSAGES ======
+  function lookup(code, key) {
+    const locale = locales[code];
+    if (!locale) return undefined;
+    return key.split(".").reduce((node, part) => (node && typeof node === "object" ? node[part] : undefined), locale.messages);
+  }
+
+  const isPlural = (node) => !!node && typeof node === "object" && typeof node.other === "string";
+
+  // "=0" style entries win over the locale's plural category
+  function pluralForm(node, count, code) {
+    const exact = node[`=${count}`];
+    if (typeof exact === "string") return exact;
+    const category = new Intl.PluralRules(code).select(Number(count) || 0);
+    return typeof node[category] === "string" ? node[category] : node.other;
+  }
+
+  // Numbers are formatted for the locale; everything else is inserted as is
+  function interpolate(text, params) {
+    return text.replace(/\{(\w+)\}/g, (match, name) => {
+      if (!(name in params)) return match;
+      const value = params[name];
+      return typeof value === "number" ? formatNumber(value) : String(value);
+    });
+  }
+
+  function t(key, params = {}) {
+    let code = getLocale();
+    let message = lookup(code, key);
+    if (message === undefined || (typeof message !== "string" && !isPlural(message))) {
+      code = FALLBACK;
+      message = lookup(FALLBACK, key);
+    }
+    if (isPlural(message)) message = pluralForm(message, params.count, code);
+    if (typeof message !== "string") return params.default != null ? String(params.default) : key;
+    return interpolate(message, params);
+  }
+
+  function has(key) {
+    const message = lookup(getLocale(), key) !== undefined ? lookup(getLocale(), key) : lookup(FALLBACK, key);
+    return typeof message === "string" || isPlural(message);
+  }
+
+  // Every locale's plain-text version of a key, e.g. to recognise a
+  // suggestion that was added while another language was active
+  function variants(key) {
+    return Object.keys(locales).map(code => lookup(code, key)).filter(m => typeof m === "string");
+  }
+
+  // ====== DOM ======
+  // data-i18n="key" sets textContent; data-i18n-attr="placeholder:key;aria-label:key"
+  // sets attributes. Unknown keys leave the markup's own text in place.
+  function translatePage(root = document) {
+    root.querySelectorAll("[data-i18n]").forEach(node => {
+      const key = node.getAttribute("data-i18n");
+      if (has(key)) node.textContent = t(key);
+    });
+    root.querySelectorAll("[data-i18n-attr]").forEach(node => {
+      node.getAttribute("data-i18n-attr").split(";").forEach(pair => {
+        const [attr, key] = pair.split(":").map(s => s.trim());
+        if (attr && key && has(key)) node.setAttribute(attr, t(key));
+      });
+    });
+  }
+
+  function applyToDocument() {
+    const html = document.documentElement;
+    html.lang = getLocale();
+    html.dir = getDirection();
+    translatePage(document);
+  }
+
+  function setLocale(code) {
+    const found = matchLocale(code);
+    if (!found) return false;
+    current = found;
+    try {
+      localStorage.setItem(STORAGE_KEY, found);
+    } catch (err) {
+      console.warn("Could not remember the language", err);
+    }
+    applyToDocument();
+    document.dispatchEvent(new CustomEvent("neuroforge:locale-changed", { detail: { locale: found, dir: getDirection() } }));
+    return true;
+  }
+
+  // Locale files are deferred like this script, so all are registered by now
+  document.addEventListener("DOMContentLoaded", applyToDocument);
+
+  return {
+    addLocale, getLocale, getLocales, getDirection, setLocale,
+    t, has, variants, translatePage,
+    formatNumber, formatPercent, formatDate, formatTime, formatList
+  };
+})();
+
+/* End of i18n.js */
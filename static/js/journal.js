@@ -0,0 +1,213 @@
+/* journal.js - Journal view
+   - Write Markdown notes for a day or attach them to an analysis
+   - Comma-separated tags; clicking a tag searches for it
+   - Live preview and full-text search ("#tag" words match tags only)
+   - #/journal?entry=<id> or ?date=<YYYY-MM-DD> pre-fills the form
+   - Storage, validation, export/import and the Markdown renderer live in
+     app.js (Neuroforge); nothing here builds HTML from strings
+*/
+
+const NeuroforgeJournal = (function () {
+  const i18n = NeuroforgeI18n;
+  let editingId = null;
+  let query = "";
+
+  function el(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text != null) node.textContent = text;
+    return node;
+  }
+
+  function analysisLabel(entry) {
+    return i18n.t("journal.analysisOption", {
+      date: i18n.formatDate(entry.date),
+      rank: Neuroforge.rankLabel(entry.rank),
+      score: i18n.t("common.score", { total: Number(entry.total), max: Neuroforge.CONFIG.MAX_SCORE })
+    });
+  }
+
+  // ====== FORM ======
+  function fillEntryOptions(select, selected) {
+    select.innerHTML = "";
+    select.appendChild(new Option(i18n.t("journal.justDay"), ""));
+    Neuroforge.getHistory().slice().reverse().forEach(entry => {
+      if (entry.id) select.appendChild(new Option(analysisLabel(entry), entry.id));
+    });
+    select.value = selected || "";
+  }
+
+  function renderPreview(form) {
+    const preview = document.querySelector("#journalPreview");
+    if (!preview) return;
+    preview.innerHTML = "";
+    const text = form.elements.text.value;
+    if (text.trim()) preview.appendChild(Neuroforge.renderMarkdown(text));
+    else preview.appendChild(el("p", "muted", i18n.t("journal.previewEmpty")));
+  }
+
+  // An analysis fixes the date, so the date field follows it
+  function syncDateField(form) {
+    const entry = Neuroforge.getHistory().find(e => e.id === form.elements.entryId.value);
+    if (entry) form.elements.date.value = entry.date;
+    form.elements.date.disabled = !!entry;
+  }
+
+  function resetForm(form, defaults = {}) {
+    editingId = null;
+    form.reset();
+    fillEntryOptions(form.elements.entryId, defaults.entryId);
+    form.elements.date.value = defaults.date || Neuroforge.toLocalISODate();
+    syncDateField(form);
+    const submit = form.querySelector("button[type='submit']");
+    if (submit) submit.textContent = i18n.t("journal.save");
+    const cancel = document.querySelector("#journalCancel");
+    if (cancel) cancel.hidden = true;
+    renderPreview(form);
+  }
+
+  function startEdit(form, item) {
+    resetForm(form, { entryId: item.entryId, date: item.date });
+    editingId = item.id;
+    form.elements.tags.value = item.tags.join(", ");
+    form.elements.text.value = item.text;
+    const submit = form.querySelector("button[type='submit']");
+    if (submit) submit.textContent = i18n.t("journal.update");
+    const cancel = document.querySelector("#journalCancel");
+    if (cancel) cancel.hidden = false;
+    renderPreview(form);
+    form.elements.text.focus();
+  }
+
+  // ====== LIST ======
+  function setQuery(value) {
+    query = value;
+    const search = document.querySelector("#journalSearch");
+    if (search) search.value = value;
+    renderList();
+  }
+
+  function renderItem(item, history) {
+    const li = el("li", "journal-item");
+    const article = el("article");
+
+    const header = el("header", "journal-meta");
+    header.appendChild(el("strong", null, i18n.formatDate(item.date)));
+    const entry = item.entryId ? history.find(e => e.id === item.entryId) : null;
+    if (entry) {
+      header.appendChild(el("span", "muted", i18n.t("journal.analysisMeta", {
+        mindType: Neuroforge.mindTypeLabel(entry.mindType),
+        rank: Neuroforge.rankLabel(entry.rank)
+      })));
+    }
+    article.appendChild(header);
+
+    const body = el("div", "journal-body");
+    body.appendChild(Neuroforge.renderMarkdown(item.text));
+    article.appendChild(body);
+
+    if (item.tags.length) {
+      const tags = el("div", "journal-tags");
+      item.tags.forEach(tag => {
+        const btn = el("button", "tag-chip", `#${tag}`);
+        btn.type = "button";
+        btn.setAttribute("aria-label", i18n.t("journal.tagLabel", { tag }));
+        btn.addEventListener("click", () => setQuery(`#${tag}`));
+        tags.appendChild(btn);
+      });
+      article.appendChild(tags);
+    }
+
+    const actions = el("div", "actions");
+    const edit = el("button", "btn-secondary", i18n.t("journal.edit"));
+    edit.type = "button";
+    edit.addEventListener("click", () => startEdit(document.querySelector("#journalForm"), item));
+    const del = el("button", "btn-secondary danger", i18n.t("journal.delete"));
+    del.type = "button";
+    del.addEventListener("click", () => {
+      if (!confirm(i18n.t("journal.confirmDelete", { date: i18n.formatDate(item.date) }))) return;
+      Neuroforge.deleteJournalEntry(item.id);
+      Neuroforge.showToast(i18n.t("journal.deleted"));
+    });
+    actions.append(edit, del);
+    article.appendChild(actions);
+
+    li.appendChild(article);
+    return li;
+  }
+
+  function renderList() {
+    const list = document.querySelector("#journalList");
+    if (!list) return;
+    const journal = Neuroforge.getJournal();
+    const matches = Neuroforge.searchJournal(query, journal);
+    const history = Neuroforge.getHistory();
+    list.innerHTML = "";
+    matches.forEach(item => list.appendChild(renderItem(item, history)));
+
+    const status = document.querySelector("#journalStatus");
+    if (status) {
+      if (!journal.length) status.textContent = i18n.t("journal.empty");
+      else if (!query.trim()) status.textContent = i18n.t("journal.count", { count: journal.length });
+      else status.textContent = matches.length
+        ? i18n.t("journal.matches", { count: matches.length, total: journal.length })
+        : i18n.t("journal.noMatches");
+    }
+  }
+
+  // ====== VIEW ======
+  function wireJournalView(view) {
+    const form = document.querySelector("#journalForm");
+    if (!form) return;
+
+    // A visit starts with a blank form and no search
+    editingId = null;
+    query = "";
+    const date = view.query.get("date");
+    resetForm(form, { entryId: view.query.get("entry"), date: /^\d{4}-\d{2}-\d{2}$/.test(date || "") ? date : null });
+
+    form.elements.entryId.addEventListener("change", () => syncDateField(form));
+    form.elements.text.addEventListener("input", () => renderPreview(form));
+    form.addEventListener("submit", (e) => {
+      e.preventDefault();
+      const values = {
+        date: form.elements.date.value,
+        entryId: form.elements.entryId.value,
+        tags: form.elements.tags.value,
+        text: form.elements.text.value
+      };
+      try {
+        if (editingId) Neuroforge.updateJournalEntry(editingId, values);
+        else Neuroforge.addJournalEntry(values);
+        Neuroforge.showToast(i18n.t(editingId ? "journal.updated" : "journal.saved"));
+        resetForm(form);
+      } catch (err) {
+        Neuroforge.showToast(i18n.t("common.error", { message: err.message }));
+      }
+    });
+
+    const cancel = document.querySelector("#journalCancel");
+    if (cancel) cancel.addEventListener("click", () => resetForm(form));
+
+    const search = document.querySelector("#journalSearch");
+    if (search) search.addEventListener("input", () => setQuery(search.value));
+
+    // Option labels, button text and the preview follow the language;
+    // the list is redone by the view's update hook
+    view.listen(document, "neuroforge:locale-changed", () => {
+      const selected = form.elements.entryId.value;
+      fillEntryOptions(form.elements.entryId, selected);
+      const submit = form.querySelector("button[type='submit']");
+      if (submit) submit.textContent = i18n.t(editingId ? "journal.update" : "journal.save");
+      renderPreview(form);
+    });
+
+    renderList();
+  }
+
+  NeuroforgeRouter.register("journal", { title: "journal.pageTitle", mount: wireJournalView, update: renderList });
+
+  return { setQuery };
+})();
+
+/* End of journal.js */
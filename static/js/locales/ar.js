@@ -0,0 +1,1146 @@
+/* ar.js - Arabic messages
+   - Mirrors the keys of en.js; anything missing here falls back to English
+   - Right-to-left: the page gets dir="rtl" while this locale is active
+   - Plural forms: { zero, one, two, few, many, other }
+*/
+
+NeuroforgeI18n.addLocale("ar", {
+  name: "العربية",
+  dir: "rtl",
+  messages: {
+    common: {
+      error: "❌ {message}",
+      score: "{total} / {max}",
+      xp: "{amount} XP",
+      cancel: "إلغاء",
+      remove: "إزالة {name}"
+    },
+
+    nav: {
+      main: "التنقل الرئيسي",
+      logo: "شعار NeuroForge X",
+      skip: "انتقل إلى المحتوى الرئيسي",
+      home: "الرئيسية",
+      dashboard: "لوحة التحكم",
+      newAnalysis: "تحليل جديد",
+      results: "النتائج",
+      profile: "الملف الشخصي",
+      journal: "اليوميات",
+      cohort: "المجموعة",
+      settings: "الإعدادات",
+      activeProfile: "الملف النشط",
+      manageProfiles: "⚙️ إدارة الملفات…",
+      badge: "نموذج أولي MVP",
+      badgeTitle: "مرحلة التطوير الحالية"
+    },
+
+    footer: {
+      nav: "تنقل التذييل",
+      copyright: "© 2026 NeuroForge X — نموذج أولي لمحرك معرفي",
+      contact: "اتصل بنا",
+      privacy: "سياسة الخصوصية"
+    },
+
+    weekdays: { 0: "أحد", 1: "إثنين", 2: "ثلاثاء", 3: "أربعاء", 4: "خميس", 5: "جمعة", 6: "سبت" },
+
+    questionnaire: {
+      scale: { 1: "أعارض بشدة", 2: "أعارض", 3: "محايد", 4: "أوافق", 5: "أوافق بشدة" },
+      dimensions: { focus: "التركيز", discipline: "الانضباط", execution: "التنفيذ", consistency: "الاستمرارية" },
+      questions: {
+        focus_deep: "أستطيع العمل على مهمة واحدة لمدة 30 دقيقة دون النظر إلى هاتفي.",
+        focus_return: "عندما يتشتت انتباهي، أعود بسرعة إلى ما كنت أفعله.",
+        focus_drift: "كثيرًا ما يشرد ذهني إلى أفكار لا علاقة لها بعملي.",
+        discipline_commit: "أنفذ ما خططت له حتى عندما لا أرغب في ذلك.",
+        discipline_routine: "ألتزم بروتين ثابت للنوم والعمل.",
+        discipline_impulse: "كثيرًا ما أستسلم للإغراءات قصيرة المدى.",
+        execution_finish: "أُنهي المشاريع التي أبدؤها.",
+        execution_start: "أبدأ المهام المهمة دون تأجيل طويل.",
+        execution_overthink: "أقضي وقتًا في التخطيط أكثر من التنفيذ.",
+        consistency_daily: "أعمل على أهدافي كل يوم تقريبًا.",
+        consistency_recover: "بعد يوم فائت، أعود إلى المسار في اليوم التالي.",
+        consistency_bursts: "يأتي جهدي على دفعات قصيرة تليها فترات توقف طويلة."
+      }
+    },
+
+    ranks: {
+      dreamer: { name: "حالم", mindType: "حالم متقلب" },
+      explorer: { name: "مستكشف", mindType: "مستكشف نامٍ" },
+      builder: { name: "باني", mindType: "باني استراتيجي" },
+      architect: { name: "مهندس", mindType: "مهندس مركّز" }
+    },
+
+    lore: {
+      1: "🧠 عقل هائم",
+      5: "⚔️ متدرب العقل",
+      10: "🏹 محارب الفكر",
+      20: "🏛️ مهندس الإرادة",
+      50: "👑 سيد الأعصاب",
+      100: "🌌 كيان متسامٍ"
+    },
+
+    achievements: {
+      titles: {
+        first_analysis: "🧠 الصحوة الأولى",
+        five_sessions: "📊 5 تحليلات",
+        ten_sessions: "📊 10 تحليلات",
+        twenty_five_sessions: "📊 25 تحليلًا",
+        three_day_streak: "🔥 سلسلة 3 أيام",
+        seven_day_streak: "🔥 سلسلة 7 أيام",
+        thirty_day_streak: "👑 سيد الاستمرارية",
+        level_5: "🧬 المستوى 5",
+        level_10: "🧬 المستوى 10",
+        level_20: "🧬 المستوى 20",
+        builder_rank: "🏗️ رتبة الباني",
+        architect_rank: "🏛️ رتبة المهندس",
+        plan_started: "🗓️ بدء خطة الأيام السبعة",
+        plan_completed: "🏁 اكتملت الخطة",
+        plans_completed_3: "🏁 اكتملت 3 خطط",
+        plans_completed_10: "🏁 اكتملت 10 خطط",
+        habit_10: "✅ 10 عادات منجزة",
+        habit_50: "✅ 50 عادة منجزة",
+        habit_200: "🏆 آلة العادات",
+        focus_session_1: "⏱️ أول جلسة تركيز",
+        focus_sessions_25: "⏱️ 25 جلسة تركيز",
+        focus_sessions_100: "🧘 راهب العمل العميق",
+        night_owl: "🌙 بومة الليل",
+        early_bird: "🌞 الطائر المبكر",
+        perfect_score: "💎 عقل بلا عيب"
+      },
+      hidden: "❔ إنجاز مخفي",
+      hiddenHint: "واصل لتكتشفه",
+      tiers: { bronze: "برونزي", silver: "فضي", gold: "ذهبي" },
+      progress: {
+        analyses: "{current}/{target} تحليلات",
+        days: "{current}/{target} أيام",
+        level: "المستوى {current}/{target}",
+        rank: "الرتبة {current}/{target}",
+        tasks: "{current}/{target} مهام",
+        plans: "{current}/{target} خطط",
+        "check-offs": "{current}/{target} إنجازات",
+        sessions: "{current}/{target} جلسات",
+        "late sessions": "{current}/{target} جلسات متأخرة",
+        "early sessions": "{current}/{target} جلسات مبكرة",
+        "%": "{current}٪ / {target}٪"
+      },
+      locked: "🔒 {title}",
+      next: "التالي: {tier} — {label}",
+      unlocked: "فُتح في {date}",
+      progressLabel: "تقدم {title}"
+    },
+
+    toast: {
+      xpGained: "✨ +{amount} XP مكتسبة",
+      decay: {
+        zero: "⚠️ عقوبة الخمول: -{loss} XP ({curve})",
+        one: "⚠️ عقوبة الخمول: -{loss} XP ليوم فائت واحد ({curve})",
+        two: "⚠️ عقوبة الخمول: -{loss} XP ليومين فائتين ({curve})",
+        few: "⚠️ عقوبة الخمول: -{loss} XP لـ {count} أيام فائتة ({curve})",
+        many: "⚠️ عقوبة الخمول: -{loss} XP لـ {count} يومًا فائتًا ({curve})",
+        other: "⚠️ عقوبة الخمول: -{loss} XP لـ {count} يوم فائت ({curve})"
+      },
+      achievementUnlocked: "🏅 إنجاز جديد: {title}",
+      freezeReward: {
+        zero: "🧊 مكافأة: لا تجميد للسلسلة",
+        one: "🧊 مكافأة: تجميد واحد للسلسلة",
+        two: "🧊 مكافأة: تجميدان للسلسلة",
+        few: "🧊 مكافأة: {count} تجميدات للسلسلة",
+        many: "🧊 مكافأة: {count} تجميدًا للسلسلة",
+        other: "🧊 مكافأة: {count} تجميد للسلسلة"
+      },
+      freezeBought: "🧊 تم شراء تجميد للسلسلة (-{cost} XP) — يغطي يومًا فائتًا واحدًا",
+      freezeMax: {
+        zero: "🧊 لا يمكنك امتلاك أي تجميد",
+        one: "🧊 لديك بالفعل الحد الأقصى: تجميد واحد",
+        two: "🧊 لديك بالفعل الحد الأقصى: تجميدان",
+        few: "🧊 لديك بالفعل الحد الأقصى: {count} تجميدات",
+        many: "🧊 لديك بالفعل الحد الأقصى: {count} تجميدًا",
+        other: "🧊 لديك بالفعل الحد الأقصى: {count} تجميد"
+      },
+      freezeCost: "🧊 تجميد السلسلة يكلف {cost} XP",
+      planCompleted: "🏁 اكتملت خطة الأيام السبعة!",
+      checkinUpdated: "📝 تم تحديث تسجيل اليوم",
+      habitAdded: "✅ أُضيفت عادة: {title}",
+      goalAdded: "🎯 أُضيف هدف: {title}",
+      goalReached: "🎯 تحقق الهدف: {title}",
+      focusTooShort: {
+        zero: "⏱️ لا تُسجَّل الجلسات الفارغة",
+        one: "⏱️ لا تُسجَّل الجلسات الأقصر من دقيقة واحدة",
+        two: "⏱️ لا تُسجَّل الجلسات الأقصر من دقيقتين",
+        few: "⏱️ لا تُسجَّل الجلسات الأقصر من {count} دقائق",
+        many: "⏱️ لا تُسجَّل الجلسات الأقصر من {count} دقيقة",
+        other: "⏱️ لا تُسجَّل الجلسات الأقصر من {count} دقيقة"
+      },
+      analysisDeleted: "🗑️ حُذف التحليل",
+      analysisDeletedXP: "🗑️ حُذف التحليل (−{amount} XP)",
+      achievementsRevoked: {
+        zero: "🔒 لم يُسحب أي إنجاز",
+        one: "🔒 إنجاز واحد لم يعد مستحقًا",
+        two: "🔒 إنجازان لم يعودا مستحقين",
+        few: "🔒 {count} إنجازات لم تعد مستحقة",
+        many: "🔒 {count} إنجازًا لم يعد مستحقًا",
+        other: "🔒 {count} إنجاز لم يعد مستحقًا"
+      },
+      noteSaved: "📝 حُفظت الملاحظة",
+      noteRemoved: "📝 أُزيلت الملاحظة",
+      streakRulesSaved: "🧊 حُفظت قواعد السلسلة — أُعيد حساب السلسلة",
+      settingsInvalid: "❌ لم تُحفظ الإعدادات — راجع المشكلات المذكورة",
+      settingsSaved: "⚙️ حُفظت الإعدادات",
+      settingsReset: "↩️ استُعيدت الإعدادات الافتراضية",
+      exported: "📤 صُدّرت البيانات",
+      exportedAll: "📤 صُدّرت كل الملفات الشخصية",
+      imported: "📥 استُوردت البيانات",
+      merged: "📥 دُمجت البيانات",
+      importFailed: "❌ فشل الاستيراد",
+      reset: "♻️ أُعيد ضبط البيانات",
+      resetFailed: "❌ فشلت إعادة الضبط",
+      profileCreated: "👤 أُنشئ الملف «{name}»",
+      profileRenamed: "✏️ أُعيدت تسمية الملف",
+      profileDuplicated: "📄 أُنشئ «{name}»",
+      profileDeleted: "🗑️ حُذف الملف",
+      rebuilt: "🔧 أُعيد حساب XP والسلسلة والإنجازات",
+      languageChanged: "🌐 اللغة: {name}"
+    },
+
+    toasts: {
+      history: "الإشعارات",
+      historyTitle: "🔔 الإشعارات الأخيرة",
+      empty: "لا شيء بعد في هذه الجلسة.",
+      clear: "مسح",
+      dismiss: "إغلاق الإشعار",
+      unseen: "{count} جديدة"
+    },
+
+    streak: {
+      graced: "🌙 احتُسب ليوم {day} (مهلة السماح)",
+      restDays: {
+        zero: "😴 لا أيام راحة — السلسلة مستمرة",
+        one: "😴 تخطي يوم راحة واحد — السلسلة مستمرة",
+        two: "😴 تخطي يومي راحة — السلسلة مستمرة",
+        few: "😴 تخطي {count} أيام راحة — السلسلة مستمرة",
+        many: "😴 تخطي {count} يوم راحة — السلسلة مستمرة",
+        other: "😴 تخطي {count} يوم راحة — السلسلة مستمرة"
+      },
+      frozen: {
+        zero: "🧊 لم يُستخدم أي تجميد لـ {days}",
+        one: "🧊 استُخدم تجميد واحد لـ {days}",
+        two: "🧊 استُخدم تجميدان لـ {days}",
+        few: "🧊 استُخدمت {count} تجميدات لـ {days}",
+        many: "🧊 استُخدم {count} تجميدًا لـ {days}",
+        other: "🧊 استُخدم {count} تجميد لـ {days}"
+      },
+      reset: {
+        zero: "💔 أُعيد ضبط السلسلة",
+        one: "💔 أُعيد ضبط السلسلة: فاتك يوم واحد دون تجميد كافٍ",
+        two: "💔 أُعيد ضبط السلسلة: فاتك يومان دون تجميد كافٍ",
+        few: "💔 أُعيد ضبط السلسلة: فاتتك {count} أيام دون تجميد كافٍ",
+        many: "💔 أُعيد ضبط السلسلة: فاتك {count} يومًا دون تجميد كافٍ",
+        other: "💔 أُعيد ضبط السلسلة: فاتك {count} يوم دون تجميد كافٍ"
+      },
+      current: {
+        zero: "🔥 السلسلة: 0 يوم",
+        one: "🔥 السلسلة: يوم واحد",
+        two: "🔥 السلسلة: يومان",
+        few: "🔥 السلسلة: {count} أيام",
+        many: "🔥 السلسلة: {count} يومًا",
+        other: "🔥 السلسلة: {count} يوم"
+      },
+      curves: { flat: "تناقص ثابت", capped: "تناقص محدود", exponential: "تناقص أسي" },
+      freezes: {
+        zero: "🧊 لا تجميد من أصل {max} — كل تجميد يغطي يومًا فائتًا",
+        one: "🧊 تجميد واحد من أصل {max} — كل تجميد يغطي يومًا فائتًا",
+        two: "🧊 تجميدان من أصل {max} — كل تجميد يغطي يومًا فائتًا",
+        few: "🧊 {count} تجميدات من أصل {max} — كل تجميد يغطي يومًا فائتًا",
+        many: "🧊 {count} تجميدًا من أصل {max} — كل تجميد يغطي يومًا فائتًا",
+        other: "🧊 {count} تجميد من أصل {max} — كل تجميد يغطي يومًا فائتًا"
+      },
+      buyFreeze: "🧊 شراء تجميد ({cost} XP)"
+    },
+
+    ledger: {
+      empty: "✨ ستظهر هنا كل نقاط XP المكتسبة والمفقودة.",
+      reasons: {
+        analysis: "تحليل (النتيجة {score})",
+        planTask: "مهمة الخطة (اليوم {day})",
+        planCompleted: "اكتملت خطة الأيام السبعة",
+        checkin: "التسجيل اليومي",
+        habit: "عادة: {title}",
+        goalReached: "تحقق الهدف: {title}",
+        focus: "جلسة تركيز ({minutes} د)",
+        focusTagged: "جلسة تركيز ({minutes} د، {tag})",
+        decay: {
+          zero: "عقوبة الخمول",
+          one: "عقوبة الخمول (يوم واحد)",
+          two: "عقوبة الخمول (يومان)",
+          few: "عقوبة الخمول ({count} أيام)",
+          many: "عقوبة الخمول ({count} يومًا)",
+          other: "عقوبة الخمول ({count} يوم)"
+        },
+        freezePurchased: "شراء تجميد للسلسلة",
+        entryDeleted: "حُذف تحليل ({date})",
+        imported: "بيانات مستوردة",
+        importMerge: "دمج الاستيراد",
+        importMergeXP: {
+          zero: "دمج الاستيراد (بلا تحليلات)",
+          one: "دمج الاستيراد (تحليل واحد)",
+          two: "دمج الاستيراد (تحليلان)",
+          few: "دمج الاستيراد ({count} تحليلات)",
+          many: "دمج الاستيراد ({count} تحليلًا)",
+          other: "دمج الاستيراد ({count} تحليل)"
+        },
+        syncMerge: "دمج المزامنة",
+        baseline: "رصيد سابق لسجل الأحداث"
+      }
+    },
+
+    errors: {
+      profileName: "أعطِ الملف اسمًا",
+      profileExists: "الملف «{id}» موجود بالفعل",
+      unknownProfile: "ملف غير معروف",
+      lastProfile: "لا يمكن حذف آخر ملف",
+      checkinMissing: "قيمة {metric} مفقودة",
+      pickDay: "اختر يومًا واحدًا على الأقل",
+      unknownRecurrence: "تكرار غير معروف «{type}»",
+      habitTitle: "أعطها عنوانًا",
+      habitDimension: "اختر بُعدًا",
+      unknownKind: "نوع غير معروف «{kind}»",
+      goalTarget: "تحتاج الأهداف إلى عدد مستهدف لا يقل عن 1",
+      sessionTimes: "أوقات الجلسة غير صالحة",
+      analysisNotFound: "لم يُعثر على التحليل",
+      journalEmpty: "اكتب شيئًا أولًا",
+      journalTooLong: "اجعل المدخلات أقل من {max} حرف",
+      journalAnalysisGone: "هذا التحليل لم يعد موجودًا",
+      journalDate: "اختر تاريخًا صالحًا",
+      journalNotFound: "لم يُعثر على مدخل اليوميات",
+      importMode: "وضع استيراد غير معروف «{mode}»",
+      payloadObject: "يجب أن تكون البيانات كائنًا",
+      newerSchema: "أُنشئ التصدير بإصدار أحدث (المخطط {version})",
+      noMigration: "لا يوجد ترحيل من المخطط {version}",
+      noProfiles: "لا يحتوي التصدير على أي ملفات"
+    },
+
+    profiles: {
+      copyName: "{name} (نسخة)",
+      active: "👤 {name} (نشط)",
+      name: "👤 {name}",
+      switch: "↪️ تبديل",
+      rename: "✏️ إعادة تسمية",
+      renamePrompt: "اسم الملف الجديد",
+      duplicate: "📄 تكرار",
+      delete: "🗑️ حذف",
+      confirmDelete: "حذف الملف «{name}» وكل بياناته؟ لا يمكن التراجع عن ذلك.",
+      confirmReset: "إعادة ضبط كل بيانات Neuroforge في الملف «{name}»؟ لا يمكن التراجع عن ذلك."
+    },
+
+    onboarding: {
+      select: "اختر",
+      option: "{value} — {label}",
+      step: "الخطوة {step} من {total} — {label}",
+      answerAll: "يرجى الإجابة عن كل سؤال قبل المتابعة.",
+      saved: "✅ حُفظت البيانات العصبية",
+      pageTitle: "NeuroForge X — تحليل العقل",
+      titleLead: "معايرة",
+      titleHighlight: "العقل",
+      subtitle: "أجب عن هذه الأسئلة بصدق. لا توجد إجابات صحيحة أو خاطئة. سيساعد ذلك في إنشاء مخططك المعرفي الشخصي.",
+      progressStart: "الخطوة 1 — تقييم ذاتي",
+      back: "السابق ➡",
+      next: "⬅ التالي",
+      submit: "أنشئ مخططي",
+      note: "🔒 لا تُخزَّن بياناتك. هذا نموذج أولي تجريبي."
+    },
+
+    analysis: {
+      line: "{icon} {label} ({score}/{max}): {text}",
+      balanced: "⚖️ أبعادك متوازنة — ارفعها الأربعة معًا.",
+      strongest: "💪 الأقوى: {strongest}. استخدمه لرفع {weakest}.",
+      bottleneck: "🎯 نقطة الاختناق الرئيسية: {weakest} — خطة هذا الأسبوع تمنحها الأولوية.",
+      focus: {
+        low: "ينتشر انتباهك بسهولة — المشتتات تكلفك العمل العميق.",
+        mid: "تستطيع التركيز حين تكون الظروف مناسبة، لكن ليس عند الطلب بعد.",
+        high: "التركيز العميق قوة حقيقية لديك — تستطيع الثبات على المشكلات الصعبة."
+      },
+      discipline: {
+        low: "تعتمد على الحماس أكثر من البنية، لذا تتعثر الخطط حين تنخفض طاقتك.",
+        mid: "تفي بمعظم التزاماتك، لكن الطرق المختصرة المغرية تنتصر أحيانًا.",
+        high: "تفي بالتزاماتك حتى عندما لا ترغب في ذلك."
+      },
+      execution: {
+        low: "تتوقف الأفكار قبل أن تكتمل — البدء والإنهاء هما نقطة الاختناق.",
+        mid: "تنجز الأمور، لكن الزخم يخفت في المشاريع الطويلة.",
+        high: "تحوّل الخطط إلى نتائج بسرعة وموثوقية."
+      },
+      consistency: {
+        low: "يأتي جهدك على دفعات تتخللها فجوات طويلة.",
+        mid: "تحضر معظم الأيام، لكن فترات التوقف تطول أكثر من المخطط.",
+        high: "تحضر يومًا بعد يوم — روتينك يتراكم أثره."
+      }
+    },
+
+    plan: {
+      item: "اليوم {day} · {dimension}: {task}",
+      tasks: {
+        review: "راجع الأسبوع: دوّن ما نجح في {weakest}، وكيف ساعدك {strongest}.",
+        focus: {
+          low: [
+            "اعمل على مهمة واحدة لمدة 15 دقيقة وهاتفك في غرفة أخرى.",
+            "دوّن كل مشتت تلاحظه اليوم — الوعي أولًا.",
+            "أغلق كل علامات التبويب عدا واحدة لجولة عمل مدتها 20 دقيقة."
+          ],
+          mid: [
+            "أكمل كتلتي تركيز مدة كل منهما 25 دقيقة بينهما استراحة 5 دقائق.",
+            "حدد موعد أصعب مهامك في ساعة ذروة طاقتك.",
+            "أوقف كل الإشعارات غير الضرورية طوال اليوم."
+          ],
+          high: [
+            "خصص 90 دقيقة من العمل العميق لأهم مشاريعك.",
+            "علّم شخصًا أسلوبًا تستخدمه للبقاء مركزًا.",
+            "خطط لكتلة العمل العميق غدًا قبل أن تنهي يومك."
+          ]
+        },
+        discipline: {
+          low: [
+            "اختر عادة صغيرة لا تقبل التفاوض (مثل 5 تمارين ضغط) ونفذها اليوم.",
+            "حدد وقتًا ثابتًا للاستيقاظ والتزم به.",
+            "أزل إغراءً واحدًا من محيطك قبل أن يغريك."
+          ],
+          mid: [
+            "اكتب ثلاثة التزامات لليوم وأنجزها قبل المساء.",
+            "أجّل شراءً اندفاعيًا أو مشتتًا واحدًا مدة 24 ساعة.",
+            "التزم بجدولك المخطط في أول ساعتين من اليوم."
+          ],
+          high: [
+            "تولَّ مهمة غير مريحة كنت تؤجلها.",
+            "راجع روتينك واحذف واحدًا لم يعد يفيدك.",
+            "اربط عادة جديدة بانضباط قائم."
+          ]
+        },
+        execution: {
+          low: [
+            "قسّم هدفًا متعثرًا إلى ثلاث خطوات وأنهِ الأولى.",
+            "أنجز شيئًا صغيرًا اليوم — عدم الكمال مقبول.",
+            "طبّق قاعدة الدقيقتين: نفّذ الآن أي مهمة تستغرق أقل من دقيقتين."
+          ],
+          mid: [
+            "أنهِ مهمة بدأتها ولم تكملها قط.",
+            "ضع موعدًا نهائيًا صارمًا لمهمة اليوم الرئيسية واسبقه.",
+            "عرّف معنى «منتهٍ» قبل أن تبدأ مهمتك التالية."
+          ],
+          high: [
+            "سلّم نتيجة مهمة قبل موعدها.",
+            "راجع مشروعًا حديثًا ودوّن ما أبطأك.",
+            "فوّض مهمة قليلة القيمة أو تخلَّ عنها لتوفير وقت التنفيذ."
+          ]
+        },
+        consistency: {
+          low: [
+            "اختر فعلًا يوميًا واحدًا ونفذه اليوم في الوقت نفسه.",
+            "ضع متتبعًا ظاهرًا على الحائط أو المكتب وعلّم عليه اليوم.",
+            "جهّز الليلة ما تحتاجه لروتين الغد."
+          ],
+          mid: [
+            "حافظ على روتينك حتى في يوم منخفض الطاقة — نفّذ الحد الأدنى منه.",
+            "خطط لكيفية التعامل مع اليوم الفائت التالي قبل حدوثه.",
+            "كرر أفضل عادة من أمس في الوقت نفسه اليوم."
+          ],
+          high: [
+            "مدّد سلسلتك وارفع المستوى قليلًا في إحدى العادات.",
+            "راجع الأسبوع الماضي ودوّن أصعب يوم للالتزام.",
+            "ساعد صديقًا على بدء روتين أتقنته."
+          ]
+        }
+      }
+    },
+
+    result: {
+      pageTitle: "NeuroForge X — مخطط عقلك",
+      titleLead: "مخطط",
+      titleHighlight: "عقلك",
+      subtitle: "هذا ملفك المعرفي الشخصي الذي أنشأه NeuroForge X.",
+      mindType: "🧠 نمط العقل",
+      score: "📊 النتيجة المعرفية",
+      rankProgress: "📈 تقدم الرتبة",
+      analysis: "🔍 ملخص التحليل",
+      plan: "🗓️ خطة الترقية لسبعة أيام",
+      toDashboard: "📊 إلى لوحة التحكم",
+      retake: "🔁 أعد التحليل",
+      download: "⬇️ تنزيل تقرير PDF",
+      missing: "هذا التحليل لم يعد موجودًا.",
+      toTimeline: "🧬 اختر تحليلًا من خطك الزمني",
+      note: "⚠️ هذا نموذج أولي تجريبي. ليس نصيحة طبية أو نفسية.",
+      mindDesc: "الأقوى: {strongest} · مجال التركيز: {weakest}",
+      rank: "🏆 الرتبة: {rank}",
+      toRank: "{percent} نحو {rank}",
+      level: "🧬 المستوى {level} — {percent} نحو المستوى التالي"
+    },
+
+    dashboard: {
+      pageTitle: "NeuroForge X — لوحة التحكم",
+      welcome: "مرحبًا بعودتك،",
+      subtitle: "هذا مركز التحكم في NeuroForge X. تابع عقلك وتقدمك وتطورك.",
+      stats: "إحصاءات لوحة التحكم",
+      mindType: "🧠 نمط العقل",
+      mindTypeHint: "الملف المعرفي الحالي",
+      lastScore: "📊 آخر نتيجة",
+      lastScoreHint: "من آخر تحليل",
+      lastAnalysis: "🗓️ آخر تحليل",
+      lastAnalysisHint: "تاريخ أحدث تقرير",
+      rank: "🏆 الرتبة",
+      rankHint: "مستواك الحالي",
+      planProgress: "🗓️ تقدم الخطة",
+      planProgressHint: "المهام المنجزة في خطتك النشطة لسبعة أيام",
+      focusSessions: "⏱️ جلسات التركيز",
+      focusSessionsHint: "جلسات التركيز المكتملة",
+      focusTime: "⌛ وقت التركيز",
+      focusTimeHint: "وقت التركيز في آخر 7 أيام",
+      focusToday: "{today} اليوم · {total} إجمالًا",
+      minutes: "{minutes} د",
+      planDone: "{done} / {total}",
+      growth: "📈 تقدم النمو",
+      rankProgress: "تقدم الرتبة",
+      noRankYet: "أجرِ تحليلًا لترى مدى قربك من الرتبة التالية",
+      charts: "📉 مخططات التقدم",
+      quickActions: "⚡ إجراءات سريعة",
+      quickActionsLabel: "إجراءات سريعة",
+      insights: "🔎 الرؤى",
+      allInsights: "🧭 كل الرؤى في ملفك الشخصي",
+      viewReport: "📄 عرض آخر تقرير",
+      newAnalysis: "🔁 تحليل جديد",
+      history: "🧬 عرض سجل العقل",
+      download: "⬇️ تنزيل تقرير PDF",
+      soon: "🚀 قريبًا سترى هنا الخط الزمني الكامل لتطور عقلك وإنجازاتك."
+    },
+
+    checkin: {
+      metrics: { mood: "المزاج", energy: "الطاقة", focus: "التركيز" },
+      title: "📝 التسجيل اليومي",
+      intro: "نبضة من 10 ثوانٍ. تحافظ على سلسلتك دون تحليل كامل.",
+      mood: "🙂 المزاج",
+      energy: "⚡ الطاقة",
+      focus: "🎯 التركيز",
+      note: "ملاحظة (اختيارية)",
+      notePlaceholder: "ما الذي يشغل بالك اليوم؟",
+      submit: "✅ سجّل (+{xp} XP)",
+      update: "💾 حدّث التسجيل",
+      statusDone: "✅ سجّلت اليوم — أرسل مجددًا للتحديث.",
+      statusNone: "لا يوجد تسجيل اليوم بعد.",
+      line: "{icon} {label}: {description}",
+      empty: "🔎 سجّل بين عدة تحليلات لترى علاقة نبضك اليومي بنتائجك.",
+      correlation: {
+        strong: {
+          positive: "ارتباط إيجابي قوي بنتائج تحليلاتك (r = {r})",
+          negative: "ارتباط سلبي قوي بنتائج تحليلاتك (r = {r})"
+        },
+        moderate: {
+          positive: "ارتباط إيجابي متوسط بنتائج تحليلاتك (r = {r})",
+          negative: "ارتباط سلبي متوسط بنتائج تحليلاتك (r = {r})"
+        },
+        weak: {
+          positive: "ارتباط إيجابي ضعيف بنتائج تحليلاتك (r = {r})",
+          negative: "ارتباط سلبي ضعيف بنتائج تحليلاتك (r = {r})"
+        }
+      },
+      timeline: "📝 التسجيل اليومي",
+      values: "{icon} {label} {value}"
+    },
+
+    habits: {
+      title: "✅ العادات والأهداف",
+      empty: "لا عادات بعد — أضف واحدة بالأسفل أو اختر اقتراحًا من ملفك الشخصي.",
+      adherenceTitle: "الالتزام حسب البُعد (آخر 28 يومًا)",
+      newTitle: "➕ عادة أو هدف جديد",
+      fieldTitle: "العنوان",
+      type: "النوع",
+      typeHabit: "عادة (مستمرة)",
+      typeGoal: "هدف (عدد مرات محدد)",
+      dimension: "البُعد",
+      repeats: "التكرار",
+      custom: "في أيام مختارة",
+      days: "الأيام",
+      target: "الهدف (مرات)",
+      add: "➕ إضافة",
+      daily: "كل يوم",
+      weekly: "مرة في الأسبوع",
+      notDue: "غير مستحقة اليوم",
+      goalProgress: "🎯 {done}/{target}",
+      reached: "🏁 تحقق",
+      done: "✅ أُنجز",
+      doneXP: "☐ أُنجز (+{xp} XP)",
+      archive: "🗄️ أرشفة",
+      archiveLabel: "أرشفة {title}",
+      adherence: "{percent} ({done}/{expected})",
+      adherenceRow: "{icon} {label}: {value}",
+      adherenceLabel: "التزام {label}",
+      nothingScheduled: "لا شيء مجدول بعد",
+      noHabits: "لا عادات",
+      focusArea: "🎯 مجال التركيز: {icon} {label}. عادات تبنيه:",
+      allTracked: "✅ أنت تتابع كل الاقتراحات بالفعل — واصل.",
+      suggestion: "{title} ({recurrence}) ",
+      addSuggestion: "➕ أضف العادة",
+      suggestions: {
+        focus_block: "كتلة تركيز 25 دقيقة بلا هاتف",
+        focus_key_task: "اختر مهمة الغد الأساسية قبل النوم",
+        focus_deep_work: "جلسة عمل عميق مدتها 90 دقيقة",
+        discipline_wake: "الاستيقاظ في الوقت نفسه",
+        discipline_hardest: "ابدأ بأصعب مهمة",
+        discipline_review: "راجع التزامات هذا الأسبوع",
+        execution_ship: "أنجز شيئًا صغيرًا مكتملًا",
+        execution_next_actions: "قسّم مشروعًا إلى خطوات تالية",
+        execution_finish: "أنهِ قبل أن تبدأ شيئًا جديدًا",
+        consistency_minimum: "نسخة الدقيقتين من روتينك",
+        consistency_log: "دوّن روتين اليوم في سطر واحد",
+        consistency_schedule: "جدول جلسات الأسبوع القادم"
+      }
+    },
+
+    focus: {
+      title: "⏱️ جلسة تركيز",
+      work: "عمل (دقيقة)",
+      break: "استراحة (دقيقة)",
+      tag: "وسم",
+      tagPlaceholder: "اختياري، مثل: الأطروحة",
+      start: "▶️ ابدأ",
+      pause: "⏸️ إيقاف مؤقت",
+      resume: "▶️ استئناف",
+      stop: "⏹️ إيقاف وتسجيل",
+      skipBreak: "⏭️ تخطي الاستراحة",
+      phases: {
+        idle: "جاهز متى كنت جاهزًا.",
+        work: "🎯 تركيز — مهمة واحدة، بلا مشتتات.",
+        break: "☕ استراحة — ابتعد عن الشاشة."
+      },
+      paused: "{phase} (متوقف مؤقتًا)",
+      started: {
+        zero: "⏱️ بدأت جلسة التركيز",
+        one: "⏱️ بدأت جلسة التركيز — دقيقة واحدة",
+        two: "⏱️ بدأت جلسة التركيز — دقيقتان",
+        few: "⏱️ بدأت جلسة التركيز — {count} دقائق",
+        many: "⏱️ بدأت جلسة التركيز — {count} دقيقة",
+        other: "⏱️ بدأت جلسة التركيز — {count} دقيقة"
+      },
+      complete: "☕ اكتملت الجلسة — حان وقت الاستراحة",
+      breakOver: "🔔 انتهت الاستراحة — مستعد لجولة أخرى؟",
+      sinceEntry: {
+        zero: "⏱️ لا جلسات تركيز منذ التحليل السابق",
+        one: "⏱️ جلسة تركيز واحدة ({minutes} د) منذ التحليل السابق",
+        two: "⏱️ جلستا تركيز ({minutes} د) منذ التحليل السابق",
+        few: "⏱️ {count} جلسات تركيز ({minutes} د) منذ التحليل السابق",
+        many: "⏱️ {count} جلسة تركيز ({minutes} د) منذ التحليل السابق",
+        other: "⏱️ {count} جلسة تركيز ({minutes} د) منذ التحليل السابق"
+      }
+    },
+
+    insights: {
+      empty: "📊 أجرِ تحليلك الأول لترى الرؤى هنا.",
+      needMore: {
+        zero: "🔎 رؤى الاتجاهات متاحة.",
+        one: "🔎 تحليل واحد إضافي يفتح رؤى الاتجاهات.",
+        two: "🔎 تحليلان إضافيان يفتحان رؤى الاتجاهات.",
+        few: "🔎 {count} تحليلات إضافية تفتح رؤى الاتجاهات.",
+        many: "🔎 {count} تحليلًا إضافيًا يفتح رؤى الاتجاهات.",
+        other: "🔎 {count} تحليل إضافي يفتح رؤى الاتجاهات."
+      },
+      totalDown: "📉 نتيجتك الإجمالية في تراجع.",
+      totalUp: "📈 نتيجتك الإجمالية في صعود.",
+      totalFlat: "➖ نتيجتك الإجمالية استقرت.",
+      decline: "⚠️ {dimension} في تراجع.",
+      plateau: "⏸️ {dimension} متوقف عن التقدم — عادة جديدة قد تحركه.",
+      improving: "💪 {dimension} يتحسن.",
+      bottleneck: {
+        zero: "🎯 {dimension} يعيقك عن {next}.",
+        one: "🎯 {dimension} يعيقك عن {next}: نقطة واحدة إضافية توصلك.",
+        two: "🎯 {dimension} يعيقك عن {next}: نقطتان إضافيتان توصلانك.",
+        few: "🎯 {dimension} يعيقك عن {next}: {count} نقاط إضافية توصلك.",
+        many: "🎯 {dimension} يعيقك عن {next}: {count} نقطة إضافية توصلك.",
+        other: "🎯 {dimension} يعيقك عن {next}: {count} نقطة إضافية توصلك."
+      },
+      bottleneckFar: {
+        zero: "🎯 {dimension} أضعف أبعادك؛ ارفع الأبعاد الأخرى أيضًا للوصول إلى {next}.",
+        one: "🎯 {dimension} أضعف أبعادك؛ تفصلك نقطة واحدة عن {next} — ارفع الأبعاد الأخرى أيضًا.",
+        two: "🎯 {dimension} أضعف أبعادك؛ تفصلك نقطتان عن {next} — ارفع الأبعاد الأخرى أيضًا.",
+        few: "🎯 {dimension} أضعف أبعادك؛ تفصلك {count} نقاط عن {next} — ارفع الأبعاد الأخرى أيضًا.",
+        many: "🎯 {dimension} أضعف أبعادك؛ تفصلك {count} نقطة عن {next} — ارفع الأبعاد الأخرى أيضًا.",
+        other: "🎯 {dimension} أضعف أبعادك؛ تفصلك {count} نقطة عن {next} — ارفع الأبعاد الأخرى أيضًا."
+      },
+      bottleneckDetail: "{percent} من الطريق إلى {next} · {dimension} عند {score}/{max}",
+      topRank: "🏆 أنت في أعلى نطاق ({rank}) — حافظ على نتائجك هناك.",
+      streakHelps: "🔥 السلاسل الأطول تقترن بمكاسب أكبر في النتيجة.",
+      streakHurts: "🔥 لم ترتفع نتائجك مع السلاسل الأطول بعد — ركّز على الجودة لا العدد.",
+      trendDetail: {
+        zero: "المتوسط المتحرك {from} ← {to} · {slope} لكل تحليل",
+        one: "المتوسط المتحرك {from} ← {to} · {slope} لكل تحليل في آخر تحليل",
+        two: "المتوسط المتحرك {from} ← {to} · {slope} لكل تحليل في آخر تحليلين",
+        few: "المتوسط المتحرك {from} ← {to} · {slope} لكل تحليل في آخر {count} تحليلات",
+        many: "المتوسط المتحرك {from} ← {to} · {slope} لكل تحليل في آخر {count} تحليلًا",
+        other: "المتوسط المتحرك {from} ← {to} · {slope} لكل تحليل في آخر {count} تحليل"
+      },
+      flatDetail: {
+        zero: "حوالي {average}",
+        one: "حوالي {average} في آخر تحليل",
+        two: "حوالي {average} في آخر تحليلين",
+        few: "حوالي {average} في آخر {count} تحليلات",
+        many: "حوالي {average} في آخر {count} تحليلًا",
+        other: "حوالي {average} في آخر {count} تحليل"
+      },
+      streakDetail: "متوسط التغير {withStreak} مع سلسلة من {days} أيام فأكثر مقابل {withoutStreak} دونها (r = {r})",
+      correlationDetail: "طول السلسلة مقابل تغير النتيجة: r = {r}"
+    },
+
+    profile: {
+      pageTitle: "NeuroForge X — تطور العقل",
+      titleLead: "تطور",
+      titleHighlight: "عقلك",
+      subtitle: "هذه رحلتك المعرفية. كل تحليل يرفع رتبتك ووضوحك وقوة تنفيذك.",
+      currentRank: "🏆 الرتبة الحالية",
+      nextRank: "الرتبة التالية: {rank} ({percent} تقدم)",
+      charts: "📉 مخططات التقدم",
+      achievements: "🏅 الإنجازات",
+      ledger: "📒 سجل XP",
+      rebuild: "🔧 إعادة البناء من السجل",
+      streakRules: "🧊 قواعد السلسلة",
+      restDays: "أيام الراحة (لا تقطع السلسلة أبدًا)",
+      grace: "مهلة بعد منتصف الليل (ساعات)",
+      decay: "تناقص الخمول",
+      decayFlat: "ثابت (نفسه كل يوم)",
+      decayCapped: "محدود (يتوقف عند حد أقصى)",
+      decayExponential: "أسي (يزداد كل يوم)",
+      decayPerDay: "XP لكل يوم فائت",
+      decayCap: "الحد الأقصى (للمنحنى المحدود)",
+      saveRules: "💾 حفظ القواعد",
+      reminders: "🔔 التذكيرات",
+      remindersIntro: "إشعارات محلية من هذا الجهاز فقط. لا يُرسل أي شيء.",
+      remindersEnable: "تفعيل التذكيرات",
+      remindersCheckin: "التسجيل اليومي في",
+      remindersStreak: "السلسلة على وشك الانقطاع في",
+      remindersSave: "💾 حفظ التذكيرات",
+      direction: "🧭 اتجاه النمو",
+      profiles: "👥 الملفات الشخصية",
+      profilesIntro: "كل من يشارك هذا الجهاز يحصل على سجله ونقاط XP وإنجازاته الخاصة.",
+      profileName: "الاسم",
+      createProfile: "➕ إنشاء ملف",
+      data: "💾 بياناتك",
+      export: "تصدير",
+      exportProfile: "هذا الملف",
+      exportAll: "كل الملفات",
+      exportJSON: "📤 تصدير JSON",
+      importJSON: "📥 استيراد JSON",
+      mode: "الوضع",
+      modeReplace: "استبدال البيانات المحلية",
+      modeMerge: "الدمج مع البيانات المحلية",
+      reset: "♻️ إعادة ضبط",
+      sync: "☁️ المزامنة (اختيارية)",
+      syncIntro: "أبقِ بياناتك متزامنة بين أجهزتك عبر خادمك الخاص. لا يُرسل شيء حتى تفعّلها.",
+      syncEnable: "تفعيل المزامنة",
+      syncEndpoint: "نقطة النهاية",
+      syncToken: "الرمز",
+      syncTokenPlaceholder: "اختياري",
+      syncSave: "💾 حفظ ومزامنة",
+      importPreview: "معاينة الاستيراد",
+      importApply: "✅ تطبيق الاستيراد",
+      newAnalysis: "🚀 تحليل جديد",
+      backHome: "العودة إلى الرئيسية ➡",
+      note: "⚠️ هذا نموذج أولي. تبقى البيانات في هذا المتصفح ما لم تفعّل المزامنة."
+    },
+
+    timeline: {
+      title: "🧬 الخط الزمني للتطور",
+      filters: "تصفية الخط الزمني",
+      search: "بحث",
+      searchPlaceholder: "ملاحظات، رتبة، نمط العقل",
+      from: "من",
+      to: "إلى",
+      show: "عرض",
+      everything: "الكل",
+      analyses: "التحليلات",
+      checkins: "التسجيلات",
+      rank: "الرتبة",
+      mindType: "نمط العقل",
+      anyRank: "أي رتبة",
+      anyMindType: "أي نمط",
+      sort: "الترتيب",
+      newest: "الأحدث أولًا",
+      oldest: "الأقدم أولًا",
+      highest: "أعلى نتيجة",
+      lowest: "أدنى نتيجة",
+      clear: "♻️ مسح عوامل التصفية",
+      future: "المستقبل",
+      futureText: "🚀 نسختك المطوّرة التالية بانتظارك...",
+      entryMindType: "🧠 {mindType}",
+      entryScore: "📊 النتيجة: {score}",
+      entryRank: "🏆 الرتبة: {rank}",
+      note: "📝 {note}",
+      compare: " مقارنة",
+      export: "⬇️ تصدير",
+      delete: "🗑️ حذف",
+      viewReport: "📄 عرض التقرير",
+      journal: "📓 اليوميات ({count})",
+      addNote: "📝 إضافة ملاحظة",
+      editNote: "📝 تعديل الملاحظة",
+      notePrompt: "ملاحظة لتحليل {date} (بحد أقصى {max} حرف)",
+      confirmDelete: "حذف تحليل {date}؟ لا يمكن التراجع عن ذلك.",
+      confirmDeleteXP: "حذف تحليل {date}؟ ستُزال نقاط {xp} XP التي كسبها. لا يمكن التراجع عن ذلك.",
+      noMatches: "🔍 لا توجد مدخلات تطابق عوامل التصفية هذه.",
+      showing: {
+        zero: "عرض {shown} من {count} مدخل",
+        one: "عرض {shown} من مدخل واحد",
+        two: "عرض {shown} من مدخلين",
+        few: "عرض {shown} من {count} مدخلات",
+        many: "عرض {shown} من {count} مدخلًا",
+        other: "عرض {shown} من {count} مدخل"
+      },
+      inTotal: " ({total} إجمالًا)",
+      pickAnother: " · اختر تحليلًا آخر للمقارنة",
+      more: "⬇️ عرض {count} إضافية",
+      moreStatic: "⬇️ عرض المزيد",
+      compareTitle: "⚖️ {from} ← {to}",
+      dimension: "البُعد",
+      change: "التغيير",
+      total: "📊 المجموع",
+      compareRank: "🏆 الرتبة",
+      compareMindType: "🧠 نمط العقل",
+      closeCompare: "✖️ إغلاق المقارنة"
+    },
+
+    settings: {
+      pageTitle: "NeuroForge X — الإعدادات",
+      titleLead: "إعدادات",
+      titleHighlight: "المحرك",
+      subtitle: "اضبط طريقة احتساب XP والمستويات والرتب. تحتفظ التحليلات السابقة بالرتبة التي مُنحت لها.",
+      language: "🌐 اللغة",
+      languageIntro: "يُطبَّق فورًا على هذا الجهاز. تتبع التواريخ والأرقام اللغة أيضًا.",
+      languageLabel: "اللغة",
+      prefs: {
+        title: "🎨 المظهر وإمكانية الوصول",
+        intro: "يُطبَّق فورًا على هذا الجهاز. خيار «النظام» يتبع إعدادات نظام التشغيل.",
+        theme: "السمة",
+        themes: { system: "النظام", dark: "داكنة", light: "فاتحة", contrast: "تباين عالٍ" },
+        fontScale: "حجم النص",
+        motion: "الحركة",
+        motions: { system: "النظام", reduce: "مخفّفة", full: "كاملة" },
+        toastAutoDismiss: "إخفاء الإشعارات تلقائيًا",
+        toastHint: "تتوقف الإشعارات مؤقتًا عند وجود المؤشر أو تركيز لوحة المفاتيح عليها؛ ومفتاح Escape يغلق الإشعار الحالي.",
+        reset: "↩️ استعادة المظهر الافتراضي"
+      },
+      general: "⚙️ عام",
+      toastDisplayMs: "مدة ظهور الإشعار (مللي ثانية)",
+      inactivityPenalty: "عقوبة الخمول (XP لكل يوم فائت)",
+      baseXP: "XP الأساسية لكل تحليل",
+      curve: "🧬 منحنى المستويات",
+      curveFormulaLead: "XP لإنهاء المستوى n = الأساس × n",
+      curveFormulaPower: "الأس",
+      curveFormulaTail: " + XP لكل مستوى × n",
+      curveBase: "الأساس",
+      curveExponent: "الأس",
+      curvePerLevel: "XP لكل مستوى",
+      ranks: "🏆 نطاقات الرتب",
+      addRank: "➕ إضافة نطاق",
+      lore: "📜 الألقاب",
+      loreIntro: "ينطبق كل لقب من مستواه حتى اللقب التالي. يبدأ الأول من المستوى 1.",
+      addLore: "➕ إضافة لقب",
+      save: "💾 حفظ الإعدادات",
+      restore: "↩️ استعادة الافتراضيات",
+      note: "⚠️ تُخزَّن الإعدادات في هذا المتصفح وتُضمَّن في تصديرات JSON.",
+      scaleNote: "تتراوح النتائج من 0 إلى {max}. يجب أن تغطي النطاقات كل نتيجة بالترتيب، دون فجوات أو تداخل.",
+      preview: "المستوى {level}: {xp} XP",
+      confirmReset: "استعادة الإعدادات الافتراضية؟",
+      rows: {
+        name: "الرتبة",
+        mindType: "نمط العقل",
+        min: "من",
+        max: "إلى",
+        minLevel: "من المستوى",
+        title: "اللقب",
+        remove: "إزالة الصف"
+      },
+      fields: {
+        toastDisplayMs: "مدة ظهور الإشعار (مللي ثانية)",
+        inactivityPenaltyPerDay: "عقوبة الخمول لكل يوم",
+        onboardingBaseXP: "XP الأساسية لكل تحليل",
+        base: "أساس منحنى المستويات",
+        exponent: "أس منحنى المستويات",
+        perLevel: "XP لكل مستوى في المنحنى"
+      },
+      errors: {
+        settingsObject: "يجب أن تكون الإعدادات كائنًا",
+        wholeNumber: "يجب أن يكون {label} عددًا صحيحًا من {min} إلى {max}",
+        number: "يجب أن يكون {label} رقمًا من {min} إلى {max}",
+        required: "{label} مطلوب",
+        tooLong: "{label} أطول من {max} حرف",
+        notObject: "{label} ليس كائنًا",
+        rankRequired: "يلزم نطاق رتبة واحد على الأقل",
+        band: "نطاق الرتبة {n}",
+        bandName: "اسم نطاق الرتبة {n}",
+        bandMindType: "نمط العقل لنطاق الرتبة {n}",
+        bandId: "يحتاج {label} إلى معرّف من a-z و0-9 و«_» و«-»",
+        repeatsId: "{label} يكرر المعرّف «{id}»",
+        repeatsName: "{label} يكرر اسم الرتبة «{name}»",
+        bandRange: "يحتاج {label} إلى نتائج صحيحة بحيث «من» ≤ «إلى»",
+        bandStart: "يجب أن يبدأ {label} من 0",
+        overlap: "{label} يتداخل مع النطاق الذي قبله",
+        gap: "النتائج {from}–{to} لا يغطيها أي نطاق",
+        bandEnd: "يجب أن ينتهي {label} عند {max}",
+        loreRequired: "يلزم لقب واحد على الأقل",
+        lore: "اللقب {n}",
+        loreLevel: "يحتاج {label} إلى مستوى لا يقل عن 1",
+        loreStart: "يجب أن يبدأ {label} من المستوى 1",
+        loreOrder: "يجب أن يبدأ {label} بعد اللقب الذي قبله"
+      }
+    },
+
+    import: {
+      upgrading: "🔄 ترقية التصدير من المخطط v{from} إلى v{to}",
+      replace: "🗑️ استبدال {before} تحليلات محلية بـ {after} مستوردة",
+      add: "➕ إضافة {count} تحليلات جديدة ({before} ← {after})",
+      settings: "⚙️ الإعدادات: تُستبدل بالإعدادات المصدّرة",
+      focusSessions: "⏱️ جلسات التركيز: {from} ← {to}",
+      habits: "✅ العادات والأهداف: {from} ← {to}",
+      checkins: "📝 التسجيلات: {from} ← {to}",
+      journal: "📓 مدخلات اليوميات: {from} ← {to}",
+      journalUpdated: "📓 مدخلات يوميات محدّثة: {count}",
+      unlock: "🏅 فتح: {list}",
+      remove: "🔒 إزالة: {list}",
+      xp: "✨ XP: {from} ← {to}",
+      streak: "🔥 السلسلة: {from} ← {to}",
+      lastActive: "🗓️ آخر نشاط: {from} ← {to}",
+      skipped: "⚠️ تم التخطي: {message}",
+      nothing: "✅ لا شيء لتغييره",
+      profile: "👤 {name}",
+      profileNew: "👤 {name} (ملف جديد)",
+      items: {
+        history: "السجل #{n}: {errors}",
+        deleted: "التحليل {id} ({date}): محذوف على هذا الجهاز، ولن تتم استعادته",
+        habit: "العادة #{n}: {errors}",
+        focus: "جلسة التركيز #{n}: {errors}",
+        journal: "مدخل اليوميات #{n}: {errors}",
+        checkin: "التسجيل #{n}: {errors}",
+        event: "الحدث #{n}: {errors}",
+        settings: "الإعدادات: {errors}",
+        achievement: "إنجاز غير معروف «{id}»",
+        lastActive: "قيمة lastActive غير صالحة",
+        xp: "قيمة XP غير صالحة",
+        streak: "قيمة السلسلة غير صالحة",
+        profile: "الملف #{n}: {errors}",
+        noData: "لا بيانات"
+      }
+    },
+
+    charts: {
+      scoreEmpty: "📊 أجرِ تحليلًا لترى اتجاه نتيجتك.",
+      scoreTitle: "النتيجة الإجمالية عبر الزمن",
+      scoreDesc: {
+        zero: "لا تحليلات. آخر نتيجة {score} من {max} ({rank}) في {date}.",
+        one: "تحليل واحد. آخر نتيجة {score} من {max} ({rank}) في {date}.",
+        two: "تحليلان. آخر نتيجة {score} من {max} ({rank}) في {date}.",
+        few: "{count} تحليلات. آخر نتيجة {score} من {max} ({rank}) في {date}.",
+        many: "{count} تحليلًا. آخر نتيجة {score} من {max} ({rank}) في {date}.",
+        other: "{count} تحليل. آخر نتيجة {score} من {max} ({rank}) في {date}."
+      },
+      scoreCaption: "النتيجة الإجمالية لكل تحليل",
+      date: "التاريخ",
+      score: "النتيجة",
+      rank: "الرتبة",
+      radarEmpty: "🧠 أجرِ تحليلًا لترى ملف أبعادك.",
+      radarTitle: "أحدث نتائج الأبعاد",
+      radarTitleCompared: "أحدث نتائج الأبعاد مقارنة بالتحليل السابق",
+      radarDesc: "من أصل {max}: {summary}.",
+      radarValue: "{label} {value}",
+      radarValueWas: "{label} {value} (كان {previous})",
+      radarCaption: "نتائج الأبعاد",
+      dimension: "البُعد",
+      latest: "الأحدث",
+      previous: "السابق",
+      xpEmpty: "✨ اكسب XP لترى منحنى نموك.",
+      xpTitle: "XP عبر الزمن",
+      xpDesc: {
+        zero: "لا أيام مسجلة. حاليًا {xp} XP حتى {date}؛ الذروة {peak} XP.",
+        one: "يوم واحد مسجل. حاليًا {xp} XP حتى {date}؛ الذروة {peak} XP.",
+        two: "يومان مسجلان. حاليًا {xp} XP حتى {date}؛ الذروة {peak} XP.",
+        few: "{count} أيام مسجلة. حاليًا {xp} XP حتى {date}؛ الذروة {peak} XP.",
+        many: "{count} يومًا مسجلًا. حاليًا {xp} XP حتى {date}؛ الذروة {peak} XP.",
+        other: "{count} يوم مسجل. حاليًا {xp} XP حتى {date}؛ الذروة {peak} XP."
+      },
+      xpCaption: "XP لكل يوم",
+      xp: "XP",
+      checkinEmpty: "📝 سجّل يوميًا لترى اتجاهات مزاجك وطاقتك وتركيزك.",
+      checkinTitle: "التسجيلات اليومية مقارنة بالتحليلات",
+      checkinDesc: "{checkins} تسجيلات و{analyses} تحليلات. آخر تسجيل في {date}: {values}.",
+      checkinValue: "{label} {value} من {max}",
+      checkinCaption: "التسجيلات اليومية",
+      analysisMarker: "│ نتيجة التحليل",
+      scoreOverTime: "📊 النتيجة عبر الزمن",
+      radar: "🧠 رادار الأبعاد",
+      xpOverTime: "✨ XP عبر الزمن",
+      checkinsVsAnalyses: "📝 التسجيلات مقابل التحليلات"
+    },
+
+    report: {
+      title: "🧠 NeuroForge X — مخطط العقل",
+      dates: "تاريخ التحليل: {date} · التصدير: {exported}",
+      mindType: "نمط العقل",
+      scoreRank: "النتيجة: {score} · الرتبة: {rank}",
+      dimension: "البُعد",
+      score: "النتيجة",
+      perDimension: "النتائج حسب البُعد",
+      rankProgress: "تقدم الرتبة",
+      levelXP: "المستوى وXP",
+      lore: "{title} — المستوى {level}",
+      xpLine: "{xp} XP إجمالًا · {current} / {required} XP في هذا المستوى",
+      analysis: "ملخص التحليل",
+      plan: "خطة الترقية لسبعة أيام",
+      journal: "اليوميات",
+      disclaimer: "⚠️ نموذج أولي تجريبي. ليس نصيحة طبية أو نفسية.",
+      noAnalysis: "📄 لا يوجد تحليل للتصدير بعد — أجرِ تحليلك الأول."
+    },
+
+    journal: {
+      pageTitle: "NeuroForge X — اليوميات",
+      titleLead: "يوميات",
+      titleHighlight: "العقل",
+      subtitle: "اكتب لماذا سار أسبوعك كما سار. أرفق ملاحظات بيوم أو بتحليل.",
+      write: "✍️ اكتب",
+      day: "اليوم",
+      analysis: "التحليل",
+      tags: "الوسوم",
+      tagsPlaceholder: "نوم، عمل عميق",
+      markdownHint: "Markdown: **عريض**، *مائل*، `رمز`، # عناوين، - قوائم، > اقتباسات، [روابط](https://…)",
+      textPlaceholder: "ما الذي ساعد؟ وما الذي أعاق؟",
+      save: "💾 حفظ المدخل",
+      update: "💾 تحديث المدخل",
+      cancelEdit: "✖️ إلغاء التعديل",
+      preview: "معاينة",
+      previewEmpty: "تظهر المعاينة هنا أثناء الكتابة.",
+      entries: "📓 المدخلات",
+      search: "بحث",
+      searchPlaceholder: "كلمات أو #وسوم",
+      note: "⚠️ تُخزَّن مدخلات اليوميات في هذا المتصفح وتُضمَّن في تصديرات JSON والتقارير المطبوعة.",
+      justDay: "— اليوم فقط —",
+      analysisOption: "🧠 {date} · {rank} ({score})",
+      analysisMeta: " · 🧠 {mindType}، {rank}",
+      tagLabel: "عرض المدخلات الموسومة بـ {tag}",
+      edit: "✏️ تعديل",
+      delete: "🗑️ حذف",
+      confirmDelete: "حذف مدخل اليوميات هذا من {date}؟",
+      deleted: "🗑️ حُذف مدخل اليوميات",
+      saved: "📓 حُفظ مدخل اليوميات",
+      updated: "📓 حُدّث مدخل اليوميات",
+      empty: "📓 لا مدخلات بعد. اكتب أول مدخل بالأعلى.",
+      count: {
+        zero: "📓 لا مدخلات",
+        one: "📓 مدخل واحد",
+        two: "📓 مدخلان",
+        few: "📓 {count} مدخلات",
+        many: "📓 {count} مدخلًا",
+        other: "📓 {count} مدخل"
+      },
+      matches: "🔍 {count} من {total} مدخلات مطابقة",
+      noMatches: "🔍 لا توجد مدخلات تطابق بحثك."
+    },
+
+    cohort: {
+      pageTitle: "NeuroForge X — المجموعة",
+      titleLead: "مجموعة",
+      titleHighlight: "الفريق",
+      subtitle: "حمّل تصديرات JSON لزملائك لمقارنة التقدم. تُقرأ الملفات في هذه الصفحة فقط ولا تُخزَّن أو تُرسل أبدًا.",
+      members: "📥 الأعضاء",
+      addFiles: "📄 إضافة ملفات تصدير",
+      addFolder: "📁 إضافة مجلد",
+      clear: "♻️ مسح",
+      leaderboard: "🏆 لوحة الصدارة",
+      rankBy: "الترتيب حسب",
+      sorts: { level: "المستوى", xp: "XP", streak: "السلسلة", averageScore: "متوسط النتيجة" },
+      privacy: "وضع الخصوصية (المتوسطات فقط)",
+      trends: "📉 اتجاهات المجموعة",
+      radar: "🧠 رادار الأبعاد المجمّع",
+      perMonth: "📊 متوسط النتيجة شهريًا",
+      exportTitle: "📤 تصدير المجموعة",
+      exportIntro: "يجمع ملخصات الأعضاء دون الإجابات الخام أو الملاحظات أو السجلات. في وضع الخصوصية تُضمَّن المتوسطات فقط.",
+      export: "📤 تصدير المجموعة",
+      exported: "📤 صُدّرت المجموعة",
+      exportedAggregates: "📤 صُدّرت متوسطات المجموعة",
+      summaryMembers: {
+        zero: "👥 لا أعضاء · {analyses} تحليلات",
+        one: "👥 عضو واحد · {analyses} تحليلات",
+        two: "👥 عضوان · {analyses} تحليلات",
+        few: "👥 {count} أعضاء · {analyses} تحليلات",
+        many: "👥 {count} عضوًا · {analyses} تحليلات",
+        other: "👥 {count} عضو · {analyses} تحليلات"
+      },
+      summaryLevel: "🧬 متوسط المستوى {level} · ✨ متوسط XP {xp}",
+      summaryStreak: "🔥 متوسط السلسلة {streak} يوم",
+      summaryScore: "📊 متوسط النتيجة {score} / {max}",
+      summaryEmpty: "📥 حمّل تصديرات الأعضاء لبناء المجموعة.",
+      privacyOn: "🔒 وضع الخصوصية مفعّل: تُعرض متوسطات المجموعة فقط.",
+      boardEmpty: "🏆 تظهر لوحة الصدارة بعد تحميل تصديرات الأعضاء.",
+      caption: "لوحة صدارة المجموعة حسب {sort}",
+      columns: { member: "العضو", level: "المستوى", xp: "XP", streak: "السلسلة", score: "متوسط النتيجة", analyses: "التحليلات" },
+      average: "متوسط المجموعة",
+      radarTitle: "متوسط نتائج الأبعاد في المجموعة (أحدث التحليلات)",
+      aggregatesOnly: "يحتوي على المتوسطات فقط (وضع الخصوصية)",
+      loaded: {
+        zero: "📥 لم يُحمَّل أي عضو من {files} ملف.",
+        one: "📥 حُمّل عضو واحد من {files} ملف.",
+        two: "📥 حُمّل عضوان من {files} ملف.",
+        few: "📥 حُمّل {count} أعضاء من {files} ملف.",
+        many: "📥 حُمّل {count} عضوًا من {files} ملف.",
+        other: "📥 حُمّل {count} عضو من {files} ملف."
+      },
+      skipped: " ⚠️ تم التخطي: {list}",
+      noFiles: "⚠️ لم يُعثر على ملفات ‎.json."
+    },
+
+    reminders: {
+      needsHttp: "🔕 تحتاج التذكيرات إلى تشغيل التطبيق عبر http(s).",
+      unsupported: "🔕 هذا المتصفح لا يدعم الإشعارات.",
+      blocked: "🔕 الإشعارات محظورة لهذا الموقع في إعدادات متصفحك.",
+      off: "🔕 التذكيرات متوقفة.",
+      checkinAt: "التسجيل في {time}",
+      streakAt: "تنبيه السلسلة في {time}",
+      on: "🔔 التذكيرات مفعّلة: {list}.",
+      none: "🔕 لم يُختر أي تذكير.",
+      saved: "🔔 حُفظت التذكيرات",
+      savedOff: "🔕 أُوقفت التذكيرات",
+      checkinTitle: "📝 التسجيل اليومي",
+      checkinBody: "خذ 10 ثوانٍ لتسجيل مزاجك وطاقتك وتركيزك.",
+      streakTitle: "🔥 سلسلتك على وشك الانقطاع",
+      streakBody: {
+        zero: "تنتهي سلسلتك عند منتصف الليل. تسجيل سريع يبقيها حية.",
+        one: "تنتهي سلسلتك ذات اليوم الواحد عند منتصف الليل. تسجيل سريع يبقيها حية.",
+        two: "تنتهي سلسلتك ذات اليومين عند منتصف الليل. تسجيل سريع يبقيها حية.",
+        few: "تنتهي سلسلتك ذات {count} أيام عند منتصف الليل. تسجيل سريع يبقيها حية.",
+        many: "تنتهي سلسلتك ذات {count} يومًا عند منتصف الليل. تسجيل سريع يبقيها حية.",
+        other: "تنتهي سلسلتك ذات {count} يوم عند منتصف الليل. تسجيل سريع يبقيها حية."
+      }
+    },
+
+    sync: {
+      status: {
+        disabled: "☁️ المزامنة متوقفة",
+        pending: "⏳ تغييرات بانتظار المزامنة",
+        syncing: "🔄 جارٍ المزامنة…",
+        synced: "✅ تمت المزامنة",
+        offline: "📴 غير متصل — ستُزامَن التغييرات عند إعادة الاتصال",
+        error: "❌ فشلت المزامنة"
+      },
+      at: "{status} في {time}",
+      queued: "{status} ({count} في الانتظار)",
+      failed: "{status} — {error}"
+    },
+
+    home: {
+      pageTitle: "NeuroForge X — اصقل عقلك",
+      titleForge: "اصقل",
+      titleMind: "عقلك",
+      titleShape: "اصنع",
+      titleFuture: "مستقبلك",
+      subtitle: "NeuroForge X محرك معرفي من الجيل القادم يحلل طريقة تفكيرك وتخطيطك وتركيزك وتنفيذك — ثم ينشئ مخطط نمو شخصيًا يساعدك على الارتقاء بحياتك.",
+      features: "الميزات الرئيسية",
+      profiling: "🧠 تحليل ملف العقل",
+      scoring: "📊 التقييم المعرفي",
+      plan: "🗓️ خطة عمل شخصية",
+      blueprint: "⚡ مخطط النمو",
+      start: "ابدأ تحليل العقل",
+      startLabel: "ابدأ عملية تحليل العقل",
+      note: "🚀 نموذج أولي تجريبي — ميزات متقدمة بالذكاء الاصطناعي قريبًا."
+    }
+  }
+});
+
+/* End of ar.js */
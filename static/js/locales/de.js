@@ -0,0 +1,1041 @@
+/* de.js - German messages
+   - Mirrors the keys of en.js; anything missing here falls back to English
+   - Plural forms: { one, other }
+*/
+
+NeuroforgeI18n.addLocale("de", {
+  name: "Deutsch",
+  dir: "ltr",
+  messages: {
+    common: {
+      error: "❌ {message}",
+      score: "{total} / {max}",
+      xp: "{amount} XP",
+      cancel: "Abbrechen",
+      remove: "{name} entfernen"
+    },
+
+    nav: {
+      main: "Hauptnavigation",
+      logo: "NeuroForge-X-Logo",
+      skip: "Zum Hauptinhalt springen",
+      home: "Start",
+      dashboard: "Dashboard",
+      newAnalysis: "Neue Analyse",
+      results: "Ergebnisse",
+      profile: "Profil",
+      journal: "Journal",
+      cohort: "Gruppe",
+      settings: "Einstellungen",
+      activeProfile: "Aktives Profil",
+      manageProfiles: "⚙️ Profile verwalten…",
+      badge: "MVP-Prototyp",
+      badgeTitle: "Aktueller Entwicklungsstand"
+    },
+
+    footer: {
+      nav: "Fußzeilennavigation",
+      copyright: "© 2026 NeuroForge X — Prototyp einer kognitiven Engine",
+      contact: "Kontakt",
+      privacy: "Datenschutz"
+    },
+
+    weekdays: { 0: "So", 1: "Mo", 2: "Di", 3: "Mi", 4: "Do", 5: "Fr", 6: "Sa" },
+
+    questionnaire: {
+      scale: { 1: "Stimme gar nicht zu", 2: "Stimme nicht zu", 3: "Neutral", 4: "Stimme zu", 5: "Stimme voll zu" },
+      dimensions: { focus: "Fokus", discipline: "Disziplin", execution: "Umsetzung", consistency: "Beständigkeit" },
+      questions: {
+        focus_deep: "Ich kann 30 Minuten an einer Aufgabe arbeiten, ohne auf mein Handy zu schauen.",
+        focus_return: "Wenn ich abgelenkt werde, finde ich schnell zu meiner Aufgabe zurück.",
+        focus_drift: "Während der Arbeit schweifen meine Gedanken oft zu anderen Dingen ab.",
+        discipline_commit: "Ich erledige, was ich geplant habe, auch wenn ich keine Lust habe.",
+        discipline_routine: "Ich halte mich an eine feste Routine für Schlaf und Arbeit.",
+        discipline_impulse: "Ich gebe kurzfristigen Versuchungen oft nach.",
+        execution_finish: "Ich schließe Projekte ab, die ich beginne.",
+        execution_start: "Ich beginne wichtige Aufgaben ohne langes Aufschieben.",
+        execution_overthink: "Ich verbringe mehr Zeit mit Planen als mit Tun.",
+        consistency_daily: "Ich arbeite fast jeden Tag an meinen Zielen.",
+        consistency_recover: "Nach einem verpassten Tag bin ich am nächsten Tag wieder dabei.",
+        consistency_bursts: "Mein Einsatz kommt in kurzen Schüben mit langen Pausen dazwischen."
+      }
+    },
+
+    ranks: {
+      dreamer: { name: "Träumer", mindType: "Unsteter Träumer" },
+      explorer: { name: "Entdecker", mindType: "Wachsender Entdecker" },
+      builder: { name: "Erbauer", mindType: "Strategischer Erbauer" },
+      architect: { name: "Architekt", mindType: "Fokussierter Architekt" }
+    },
+
+    lore: {
+      1: "🧠 Wandernder Geist",
+      5: "⚔️ Geistesschüler",
+      10: "🏹 Gedankenkrieger",
+      20: "🏛️ Architekt des Willens",
+      50: "👑 Neuraler Herrscher",
+      100: "🌌 Transzendentes Wesen"
+    },
+
+    achievements: {
+      titles: {
+        first_analysis: "🧠 Erstes Erwachen",
+        five_sessions: "📊 5 Analysen",
+        ten_sessions: "📊 10 Analysen",
+        twenty_five_sessions: "📊 25 Analysen",
+        three_day_streak: "🔥 3-Tage-Serie",
+        seven_day_streak: "🔥 7-Tage-Serie",
+        thirty_day_streak: "👑 Meister der Beständigkeit",
+        level_5: "🧬 Level 5",
+        level_10: "🧬 Level 10",
+        level_20: "🧬 Level 20",
+        builder_rank: "🏗️ Rang Erbauer",
+        architect_rank: "🏛️ Rang Architekt",
+        plan_started: "🗓️ 7-Tage-Plan gestartet",
+        plan_completed: "🏁 Plan abgeschlossen",
+        plans_completed_3: "🏁 3 Pläne abgeschlossen",
+        plans_completed_10: "🏁 10 Pläne abgeschlossen",
+        habit_10: "✅ 10 Gewohnheiten abgehakt",
+        habit_50: "✅ 50 Gewohnheiten abgehakt",
+        habit_200: "🏆 Gewohnheitsmaschine",
+        focus_session_1: "⏱️ Erste Fokus-Session",
+        focus_sessions_25: "⏱️ 25 Fokus-Sessions",
+        focus_sessions_100: "🧘 Deep-Work-Mönch",
+        night_owl: "🌙 Nachteule",
+        early_bird: "🌞 Frühaufsteher",
+        perfect_score: "💎 Makelloser Geist"
+      },
+      hidden: "❔ Verborgener Erfolg",
+      hiddenHint: "Bleib dran, um ihn zu entdecken",
+      tiers: { bronze: "Bronze", silver: "Silber", gold: "Gold" },
+      progress: {
+        analyses: "{current}/{target} Analysen",
+        days: "{current}/{target} Tage",
+        level: "Level {current}/{target}",
+        rank: "Rang {current}/{target}",
+        tasks: "{current}/{target} Aufgaben",
+        plans: "{current}/{target} Pläne",
+        "check-offs": "{current}/{target}-mal abgehakt",
+        sessions: "{current}/{target} Sessions",
+        "late sessions": "{current}/{target} späte Sessions",
+        "early sessions": "{current}/{target} frühe Sessions",
+        "%": "{current} % / {target} %"
+      },
+      locked: "🔒 {title}",
+      next: "Nächste Stufe: {tier} — {label}",
+      unlocked: "Freigeschaltet am {date}",
+      progressLabel: "Fortschritt: {title}"
+    },
+
+    toast: {
+      xpGained: "✨ +{amount} XP erhalten",
+      decay: {
+        one: "⚠️ Inaktivitätsstrafe: -{loss} XP für {count} verpassten Tag ({curve} Abbau)",
+        other: "⚠️ Inaktivitätsstrafe: -{loss} XP für {count} verpasste Tage ({curve} Abbau)"
+      },
+      achievementUnlocked: "🏅 Erfolg freigeschaltet: {title}",
+      freezeReward: {
+        one: "🧊 Belohnung: {count} Serienschutz",
+        other: "🧊 Belohnung: {count} Serienschutze"
+      },
+      freezeBought: "🧊 Serienschutz gekauft (-{cost} XP) — er deckt einen verpassten Tag",
+      freezeMax: {
+        one: "🧊 Du hast bereits das Maximum von {count} Serienschutz",
+        other: "🧊 Du hast bereits das Maximum von {count} Serienschutzen"
+      },
+      freezeCost: "🧊 Ein Serienschutz kostet {cost} XP",
+      planCompleted: "🏁 7-Tage-Plan abgeschlossen!",
+      checkinUpdated: "📝 Heutiger Check-in aktualisiert",
+      habitAdded: "✅ Gewohnheit hinzugefügt: {title}",
+      goalAdded: "🎯 Ziel hinzugefügt: {title}",
+      goalReached: "🎯 Ziel erreicht: {title}",
+      focusTooShort: {
+        one: "⏱️ Sessions unter {count} Minute werden nicht erfasst",
+        other: "⏱️ Sessions unter {count} Minuten werden nicht erfasst"
+      },
+      analysisDeleted: "🗑️ Analyse gelöscht",
+      analysisDeletedXP: "🗑️ Analyse gelöscht (−{amount} XP)",
+      achievementsRevoked: {
+        one: "🔒 {count} Erfolg nicht mehr erreicht",
+        other: "🔒 {count} Erfolge nicht mehr erreicht"
+      },
+      noteSaved: "📝 Notiz gespeichert",
+      noteRemoved: "📝 Notiz entfernt",
+      streakRulesSaved: "🧊 Serienregeln gespeichert — Serie neu berechnet",
+      settingsInvalid: "❌ Einstellungen nicht gespeichert — siehe die aufgeführten Probleme",
+      settingsSaved: "⚙️ Einstellungen gespeichert",
+      settingsReset: "↩️ Standardeinstellungen wiederhergestellt",
+      exported: "📤 Daten exportiert",
+      exportedAll: "📤 Alle Profile exportiert",
+      imported: "📥 Daten importiert",
+      merged: "📥 Daten zusammengeführt",
+      importFailed: "❌ Import fehlgeschlagen",
+      reset: "♻️ Daten zurückgesetzt",
+      resetFailed: "❌ Zurücksetzen fehlgeschlagen",
+      profileCreated: "👤 Profil „{name}“ erstellt",
+      profileRenamed: "✏️ Profil umbenannt",
+      profileDuplicated: "📄 „{name}“ erstellt",
+      profileDeleted: "🗑️ Profil gelöscht",
+      rebuilt: "🔧 XP, Serie und Erfolge neu berechnet",
+      languageChanged: "🌐 Sprache: {name}"
+    },
+
+    toasts: {
+      history: "Meldungen",
+      historyTitle: "🔔 Letzte Meldungen",
+      empty: "In dieser Sitzung noch nichts.",
+      clear: "Leeren",
+      dismiss: "Meldung schließen",
+      unseen: "{count} neu"
+    },
+
+    streak: {
+      graced: "🌙 Für {day} gezählt (Kulanzzeit)",
+      restDays: {
+        one: "😴 {count} Ruhetag übersprungen — Serie bleibt",
+        other: "😴 {count} Ruhetage übersprungen — Serie bleibt"
+      },
+      frozen: {
+        one: "🧊 {count} Serienschutz für {days} genutzt",
+        other: "🧊 {count} Serienschutze für {days} genutzt"
+      },
+      reset: {
+        one: "💔 Serie zurückgesetzt: {count} Tag verpasst ohne genug Serienschutz",
+        other: "💔 Serie zurückgesetzt: {count} Tage verpasst ohne genug Serienschutz"
+      },
+      current: {
+        one: "🔥 Serie: {count} Tag",
+        other: "🔥 Serie: {count} Tage"
+      },
+      curves: { flat: "linearer", capped: "gedeckelter", exponential: "exponentieller" },
+      freezes: {
+        one: "🧊 {count} von {max} Serienschutzen — jeder deckt einen verpassten Tag",
+        other: "🧊 {count} von {max} Serienschutzen — jeder deckt einen verpassten Tag"
+      },
+      buyFreeze: "🧊 Serienschutz kaufen ({cost} XP)"
+    },
+
+    ledger: {
+      empty: "✨ Jeder XP-Gewinn und -Verlust wird hier aufgeführt.",
+      reasons: {
+        analysis: "Analyse (Punktzahl {score})",
+        planTask: "Planaufgabe (Tag {day})",
+        planCompleted: "7-Tage-Plan abgeschlossen",
+        checkin: "Täglicher Check-in",
+        habit: "Gewohnheit: {title}",
+        goalReached: "Ziel erreicht: {title}",
+        focus: "Fokus-Session ({minutes} Min.)",
+        focusTagged: "Fokus-Session ({minutes} Min., {tag})",
+        decay: {
+          one: "Inaktivitätsstrafe ({count} Tag)",
+          other: "Inaktivitätsstrafe ({count} Tage)"
+        },
+        freezePurchased: "Serienschutz gekauft",
+        entryDeleted: "Analyse gelöscht ({date})",
+        imported: "Importierte Daten",
+        importMerge: "Import-Zusammenführung",
+        importMergeXP: {
+          one: "Import-Zusammenführung ({count} Analyse)",
+          other: "Import-Zusammenführung ({count} Analysen)"
+        },
+        syncMerge: "Sync-Zusammenführung",
+        baseline: "Übertrag aus der Zeit vor dem Ereignisprotokoll"
+      }
+    },
+
+    errors: {
+      profileName: "Gib dem Profil einen Namen",
+      profileExists: "Profil „{id}“ existiert bereits",
+      unknownProfile: "Unbekanntes Profil",
+      lastProfile: "Das letzte Profil kann nicht gelöscht werden",
+      checkinMissing: "Wert für {metric} fehlt",
+      pickDay: "Wähle mindestens einen Tag",
+      unknownRecurrence: "Unbekannte Wiederholung „{type}“",
+      habitTitle: "Gib einen Titel ein",
+      habitDimension: "Wähle eine Dimension",
+      unknownKind: "Unbekannte Art „{kind}“",
+      goalTarget: "Ziele brauchen einen Zielwert von mindestens 1",
+      sessionTimes: "Ungültige Session-Zeiten",
+      analysisNotFound: "Analyse nicht gefunden",
+      journalEmpty: "Schreib zuerst etwas",
+      journalTooLong: "Einträge dürfen höchstens {max} Zeichen lang sein",
+      journalAnalysisGone: "Diese Analyse existiert nicht mehr",
+      journalDate: "Wähle ein gültiges Datum",
+      journalNotFound: "Journaleintrag nicht gefunden",
+      importMode: "Unbekannter Importmodus „{mode}“",
+      payloadObject: "Die Daten müssen ein Objekt sein",
+      newerSchema: "Der Export stammt aus einer neueren Version (Schema {version})",
+      noMigration: "Keine Migration von Schema {version}",
+      noProfiles: "Der Export enthält keine Profile"
+    },
+
+    profiles: {
+      copyName: "{name} (Kopie)",
+      active: "👤 {name} (aktiv)",
+      name: "👤 {name}",
+      switch: "↪️ Wechseln",
+      rename: "✏️ Umbenennen",
+      renamePrompt: "Neuer Profilname",
+      duplicate: "📄 Duplizieren",
+      delete: "🗑️ Löschen",
+      confirmDelete: "Profil „{name}“ mit allen Daten löschen? Das kann nicht rückgängig gemacht werden.",
+      confirmReset: "Alle Neuroforge-Daten im Profil „{name}“ zurücksetzen? Das kann nicht rückgängig gemacht werden."
+    },
+
+    onboarding: {
+      select: "Auswählen",
+      option: "{value} — {label}",
+      step: "Schritt {step} von {total} — {label}",
+      answerAll: "Bitte beantworte jede Frage, bevor du fortfährst.",
+      saved: "✅ Neuronale Daten gespeichert",
+      pageTitle: "NeuroForge X — Geistesanalyse",
+      titleLead: "Geistes-",
+      titleHighlight: "Kalibrierung",
+      subtitle: "Beantworte diese Fragen ehrlich. Es gibt keine richtigen oder falschen Antworten. Daraus entsteht dein persönlicher kognitiver Bauplan.",
+      progressStart: "Schritt 1 — Selbsteinschätzung",
+      back: "⬅ Zurück",
+      next: "Weiter ➡",
+      submit: "Meinen Bauplan erstellen",
+      note: "🔒 Deine Daten werden nicht gespeichert. Dies ist ein experimenteller Prototyp."
+    },
+
+    analysis: {
+      line: "{icon} {label} ({score}/{max}): {text}",
+      balanced: "⚖️ Deine Dimensionen sind ausgeglichen — steigere alle vier gemeinsam.",
+      strongest: "💪 Stärkste: {strongest}. Nutze sie, um {weakest} nach oben zu ziehen.",
+      bottleneck: "🎯 Größter Engpass: {weakest} — der Plan dieser Woche setzt hier an.",
+      focus: {
+        low: "Deine Aufmerksamkeit zerstreut sich leicht — Ablenkungen kosten dich konzentrierte Arbeit.",
+        mid: "Du kannst dich konzentrieren, wenn die Bedingungen stimmen, aber noch nicht auf Abruf.",
+        high: "Tiefer Fokus ist eine echte Stärke — du bleibst auch bei schweren Problemen dran."
+      },
+      discipline: {
+        low: "Du verlässt dich mehr auf Motivation als auf Struktur, daher kippen Pläne, wenn die Energie sinkt.",
+        mid: "Du hältst die meisten Zusagen ein, aber verlockende Abkürzungen gewinnen manchmal noch.",
+        high: "Du ziehst Zusagen durch, auch wenn dir nicht danach ist."
+      },
+      execution: {
+        low: "Ideen bleiben stecken, bevor sie fertig werden — Anfangen und Abschließen sind der Engpass.",
+        mid: "Du bekommst Dinge erledigt, doch bei längeren Projekten lässt der Schwung nach.",
+        high: "Du setzt Pläne schnell und zuverlässig in Ergebnisse um."
+      },
+      consistency: {
+        low: "Dein Einsatz kommt in Schüben mit langen Lücken dazwischen.",
+        mid: "Du bist an den meisten Tagen dabei, aber Pausen dauern oft länger als geplant.",
+        high: "Du bist Tag für Tag dabei — deine Routine zahlt sich aus."
+      }
+    },
+
+    plan: {
+      item: "Tag {day} · {dimension}: {task}",
+      tasks: {
+        review: "Blick auf die Woche: Notiere, was für {weakest} funktioniert hat und wie dir {strongest} geholfen hat.",
+        focus: {
+          low: [
+            "Arbeite 15 Minuten an nur einer Aufgabe, das Handy in einem anderen Raum.",
+            "Schreib heute jede Ablenkung auf, die dir auffällt — Bewusstsein zuerst.",
+            "Schließe alle Tabs bis auf einen für einen 20-minütigen Arbeitssprint."
+          ],
+          mid: [
+            "Schaffe zwei 25-minütige Fokusblöcke mit 5 Minuten Pause dazwischen.",
+            "Lege deine schwierigste Aufgabe in deine energiereichste Stunde.",
+            "Schalte den ganzen Tag alle unwichtigen Benachrichtigungen aus."
+          ],
+          high: [
+            "Arbeite 90 Minuten konzentriert an deinem wichtigsten Projekt.",
+            "Bring jemandem eine Technik bei, mit der du fokussiert bleibst.",
+            "Plane den Deep-Work-Block für morgen, bevor du heute aufhörst."
+          ]
+        },
+        discipline: {
+          low: [
+            "Wähle eine winzige feste Gewohnheit (z. B. 5 Liegestütze) und mach sie heute.",
+            "Lege eine feste Aufstehzeit fest und halte sie ein.",
+            "Entferne eine Versuchung aus deiner Umgebung, bevor sie dich reizt."
+          ],
+          mid: [
+            "Schreib drei Vorhaben für heute auf und hake sie bis zum Abend ab.",
+            "Schieb einen Impulskauf oder eine Ablenkung um 24 Stunden auf.",
+            "Halte dich in den ersten zwei Stunden des Tages an deinen Plan."
+          ],
+          high: [
+            "Nimm dir eine unangenehme Aufgabe vor, die du aufgeschoben hast.",
+            "Prüfe deine Routinen und streiche eine, die dir nicht mehr dient.",
+            "Koppele eine neue Gewohnheit an eine bestehende."
+          ]
+        },
+        execution: {
+          low: [
+            "Teile ein festgefahrenes Ziel in drei Schritte und erledige den ersten.",
+            "Stell heute etwas Kleines fertig — unperfekt ist in Ordnung.",
+            "Nutze die 2-Minuten-Regel: Erledige alles sofort, was unter 2 Minuten dauert."
+          ],
+          mid: [
+            "Schließe eine Aufgabe ab, die du begonnen, aber nie beendet hast.",
+            "Setze eine feste Frist für deine Hauptaufgabe heute und unterbiete sie.",
+            "Lege fest, was „fertig“ heißt, bevor du die nächste Aufgabe beginnst."
+          ],
+          high: [
+            "Liefere ein wichtiges Ergebnis vor dem Zeitplan.",
+            "Schau dir ein aktuelles Projekt an und notiere, was dich gebremst hat.",
+            "Gib eine wenig wertvolle Aufgabe ab oder streiche sie, um Zeit zu gewinnen."
+          ]
+        },
+        consistency: {
+          low: [
+            "Wähle eine tägliche Handlung und mach sie heute zur gleichen Zeit.",
+            "Häng einen sichtbaren Tracker an Wand oder Schreibtisch und markiere heute.",
+            "Bereite heute Abend vor, was du für die Routine morgen brauchst."
+          ],
+          mid: [
+            "Halte deine Routine auch an einem energiearmen Tag — in der Minimalversion.",
+            "Plane, wie du mit dem nächsten verpassten Tag umgehst, bevor er kommt.",
+            "Wiederhole die beste Gewohnheit von gestern heute zur gleichen Zeit."
+          ],
+          high: [
+            "Verlängere deine Serie und lege bei einer Gewohnheit die Latte etwas höher.",
+            "Sieh dir die letzte Woche an und notiere, an welchem Tag es am schwersten war.",
+            "Hilf einer Freundin oder einem Freund, eine Routine zu starten, die du beherrschst."
+          ]
+        }
+      }
+    },
+
+    result: {
+      pageTitle: "NeuroForge X — Dein Geistesbauplan",
+      titleLead: "Dein",
+      titleHighlight: "Geistesbauplan",
+      subtitle: "Dies ist dein persönliches kognitives Profil, erstellt von NeuroForge X.",
+      mindType: "🧠 Geistestyp",
+      score: "📊 Kognitive Punktzahl",
+      rankProgress: "📈 Rangfortschritt",
+      analysis: "🔍 Zusammenfassung der Analyse",
+      plan: "🗓️ 7-Tage-Upgrade-Plan",
+      toDashboard: "📊 Zum Dashboard",
+      retake: "🔁 Analyse wiederholen",
+      download: "⬇️ PDF-Bericht herunterladen",
+      missing: "Diese Analyse gibt es nicht mehr.",
+      toTimeline: "🧬 Wähle eine aus deiner Zeitleiste",
+      note: "⚠️ Dies ist ein experimenteller Prototyp. Keine medizinische oder psychologische Beratung.",
+      mindDesc: "Stärkste: {strongest} · Schwerpunkt: {weakest}",
+      rank: "🏆 Rang: {rank}",
+      toRank: "{percent} bis {rank}",
+      level: "🧬 Level {level} — {percent} bis zum nächsten Level"
+    },
+
+    dashboard: {
+      pageTitle: "NeuroForge X — Dashboard",
+      welcome: "Willkommen zurück,",
+      subtitle: "Dies ist deine NeuroForge-X-Zentrale. Verfolge deinen Geist, deinen Fortschritt und deine Entwicklung.",
+      stats: "Dashboard-Statistiken",
+      mindType: "🧠 Geistestyp",
+      mindTypeHint: "Aktuelles kognitives Profil",
+      lastScore: "📊 Letzte Punktzahl",
+      lastScoreHint: "Aus der letzten Analyse",
+      lastAnalysis: "🗓️ Letzte Analyse",
+      lastAnalysisHint: "Datum des neuesten Berichts",
+      rank: "🏆 Rang",
+      rankHint: "Deine aktuelle Stufe",
+      planProgress: "🗓️ Planfortschritt",
+      planProgressHint: "Erledigte Aufgaben in deinem aktiven 7-Tage-Plan",
+      focusSessions: "⏱️ Fokus-Sessions",
+      focusSessionsHint: "Abgeschlossene Fokus-Sessions",
+      focusTime: "⌛ Fokuszeit",
+      focusTimeHint: "Fokussiert in den letzten 7 Tagen",
+      focusToday: "{today} heute · {total} gesamt",
+      minutes: "{minutes} Min.",
+      planDone: "{done} / {total}",
+      growth: "📈 Wachstumsfortschritt",
+      rankProgress: "Rang-Fortschritt",
+      noRankYet: "Starte eine Analyse, um zu sehen, wie nah der nächste Rang ist",
+      charts: "📉 Fortschrittsdiagramme",
+      quickActions: "⚡ Schnellaktionen",
+      quickActionsLabel: "Schnellaktionen",
+      insights: "🔎 Einblicke",
+      allInsights: "🧭 Alle Einblicke in deinem Profil",
+      viewReport: "📄 Letzten Bericht ansehen",
+      newAnalysis: "🔁 Neue Analyse starten",
+      history: "🧬 Geistesverlauf ansehen",
+      download: "⬇️ PDF-Bericht herunterladen",
+      soon: "🚀 Bald siehst du hier deine gesamte Entwicklung und deine Erfolge."
+    },
+
+    checkin: {
+      metrics: { mood: "Stimmung", energy: "Energie", focus: "Fokus" },
+      title: "📝 Täglicher Check-in",
+      intro: "Ein 10-Sekunden-Puls. Hält deine Serie am Leben, ohne vollständige Analyse.",
+      mood: "🙂 Stimmung",
+      energy: "⚡ Energie",
+      focus: "🎯 Fokus",
+      note: "Notiz (optional)",
+      notePlaceholder: "Was beschäftigt dich heute?",
+      submit: "✅ Einchecken (+{xp} XP)",
+      update: "💾 Check-in aktualisieren",
+      statusDone: "✅ Heute eingecheckt — sende erneut, um zu aktualisieren.",
+      statusNone: "Heute noch kein Check-in.",
+      line: "{icon} {label}: {description}",
+      empty: "🔎 Checke zwischen einigen Analysen ein, um zu sehen, wie dein täglicher Puls mit deinen Punktzahlen zusammenhängt.",
+      correlation: {
+        strong: {
+          positive: "starker positiver Zusammenhang mit deinen Analysewerten (r = {r})",
+          negative: "starker negativer Zusammenhang mit deinen Analysewerten (r = {r})"
+        },
+        moderate: {
+          positive: "mäßiger positiver Zusammenhang mit deinen Analysewerten (r = {r})",
+          negative: "mäßiger negativer Zusammenhang mit deinen Analysewerten (r = {r})"
+        },
+        weak: {
+          positive: "schwacher positiver Zusammenhang mit deinen Analysewerten (r = {r})",
+          negative: "schwacher negativer Zusammenhang mit deinen Analysewerten (r = {r})"
+        }
+      },
+      timeline: "📝 Täglicher Check-in",
+      values: "{icon} {label} {value}"
+    },
+
+    habits: {
+      title: "✅ Gewohnheiten & Ziele",
+      empty: "Noch keine Gewohnheiten — füge unten eine hinzu oder wähle einen Vorschlag in deinem Profil.",
+      adherenceTitle: "Einhaltung nach Dimension (letzte 28 Tage)",
+      newTitle: "➕ Neue Gewohnheit oder neues Ziel",
+      fieldTitle: "Titel",
+      type: "Art",
+      typeHabit: "Gewohnheit (fortlaufend)",
+      typeGoal: "Ziel (Anzahl Wiederholungen)",
+      dimension: "Dimension",
+      repeats: "Wiederholung",
+      custom: "An gewählten Tagen",
+      days: "Tage",
+      target: "Ziel (Anzahl)",
+      add: "➕ Hinzufügen",
+      daily: "Jeden Tag",
+      weekly: "Einmal pro Woche",
+      notDue: "heute nicht fällig",
+      goalProgress: "🎯 {done}/{target}",
+      reached: "🏁 Erreicht",
+      done: "✅ Erledigt",
+      doneXP: "☐ Erledigt (+{xp} XP)",
+      archive: "🗄️ Archivieren",
+      archiveLabel: "{title} archivieren",
+      adherence: "{percent} ({done}/{expected})",
+      adherenceRow: "{icon} {label}: {value}",
+      adherenceLabel: "Einhaltung {label}",
+      nothingScheduled: "noch nichts geplant",
+      noHabits: "keine Gewohnheiten",
+      focusArea: "🎯 Schwerpunkt: {icon} {label}. Gewohnheiten, die ihn stärken:",
+      allTracked: "✅ Du verfolgst bereits jeden Vorschlag — weiter so.",
+      suggestion: "{title} ({recurrence}) ",
+      addSuggestion: "➕ Gewohnheit hinzufügen",
+      suggestions: {
+        focus_block: "25-minütiger handyfreier Fokusblock",
+        focus_key_task: "Vor dem Schlafen die wichtigste Aufgabe für morgen wählen",
+        focus_deep_work: "Eine 90-minütige Deep-Work-Session",
+        discipline_wake: "Zur gleichen Zeit aufstehen",
+        discipline_hardest: "Die schwierigste Aufgabe zuerst erledigen",
+        discipline_review: "Die Vorhaben dieser Woche überprüfen",
+        execution_ship: "Eine kleine Sache fertigstellen",
+        execution_next_actions: "Ein Projekt in nächste Schritte zerlegen",
+        execution_finish: "Abschließen, bevor etwas Neues beginnt",
+        consistency_minimum: "Zwei-Minuten-Version deiner Routine",
+        consistency_log: "Die heutige Routine in einer Zeile festhalten",
+        consistency_schedule: "Die Sessions der nächsten Woche einplanen"
+      }
+    },
+
+    focus: {
+      title: "⏱️ Fokus-Session",
+      work: "Arbeit (Min.)",
+      break: "Pause (Min.)",
+      tag: "Tag",
+      tagPlaceholder: "optional, z. B. Abschlussarbeit",
+      start: "▶️ Start",
+      pause: "⏸️ Pause",
+      resume: "▶️ Fortsetzen",
+      stop: "⏹️ Beenden & erfassen",
+      skipBreak: "⏭️ Pause überspringen",
+      phases: {
+        idle: "Bereit, wenn du es bist.",
+        work: "🎯 Fokus — eine Aufgabe, keine Ablenkungen.",
+        break: "☕ Pause — geh weg vom Bildschirm."
+      },
+      paused: "{phase} (pausiert)",
+      started: {
+        one: "⏱️ Fokus-Session gestartet — {count} Minute",
+        other: "⏱️ Fokus-Session gestartet — {count} Minuten"
+      },
+      complete: "☕ Session beendet — Zeit für eine Pause",
+      breakOver: "🔔 Pause vorbei — bereit für eine weitere Runde?",
+      sinceEntry: {
+        one: "⏱️ {count} Fokus-Session ({minutes} Min.) seit der vorherigen Analyse",
+        other: "⏱️ {count} Fokus-Sessions ({minutes} Min.) seit der vorherigen Analyse"
+      }
+    },
+
+    insights: {
+      empty: "📊 Starte deine erste Analyse, um hier Einblicke zu sehen.",
+      needMore: {
+        one: "🔎 Noch {count} Analyse schaltet Trend-Einblicke frei.",
+        other: "🔎 Noch {count} Analysen schalten Trend-Einblicke frei."
+      },
+      totalDown: "📉 Deine Gesamtpunktzahl sinkt.",
+      totalUp: "📈 Deine Gesamtpunktzahl steigt.",
+      totalFlat: "➖ Deine Gesamtpunktzahl stagniert.",
+      decline: "⚠️ {dimension} lässt nach.",
+      plateau: "⏸️ {dimension} stagniert — eine neue Gewohnheit bringt wieder Bewegung hinein.",
+      improving: "💪 {dimension} verbessert sich.",
+      bottleneck: {
+        one: "🎯 {dimension} hält dich von {next} ab: Noch {count} Punkt bringt dich hin.",
+        other: "🎯 {dimension} hält dich von {next} ab: Noch {count} Punkte bringen dich hin."
+      },
+      bottleneckFar: {
+        one: "🎯 {dimension} ist deine schwächste Dimension; bis {next} fehlt {count} Punkt — steigere auch die anderen.",
+        other: "🎯 {dimension} ist deine schwächste Dimension; bis {next} fehlen {count} Punkte — steigere auch die anderen."
+      },
+      bottleneckDetail: "{percent} des Wegs bis {next} · {dimension} bei {score}/{max}",
+      topRank: "🏆 Du bist in der höchsten Stufe ({rank}) — halte deine Punktzahlen dort.",
+      streakHelps: "🔥 Längere Serien gehen mit größeren Punktgewinnen einher.",
+      streakHurts: "🔥 Deine Punktzahlen sind mit längeren Serien bisher nicht gestiegen — setze auf Qualität statt Menge.",
+      trendDetail: {
+        one: "Gleitender Durchschnitt {from} → {to} · {slope} pro Analyse über die letzte {count} Analyse",
+        other: "Gleitender Durchschnitt {from} → {to} · {slope} pro Analyse über die letzten {count} Analysen"
+      },
+      flatDetail: {
+        one: "Um {average} über die letzte {count} Analyse",
+        other: "Um {average} über die letzten {count} Analysen"
+      },
+      streakDetail: "Durchschnittliche Änderung {withStreak} bei einer Serie ab {days} Tagen, {withoutStreak} ohne (r = {r})",
+      correlationDetail: "Serienlänge vs. Punktänderung: r = {r}"
+    },
+
+    profile: {
+      pageTitle: "NeuroForge X — Geistesentwicklung",
+      titleLead: "Deine",
+      titleHighlight: "Geistesentwicklung",
+      subtitle: "Das ist deine kognitive Reise. Jede Analyse verbessert deinen Rang, deine Klarheit und deine Umsetzungskraft.",
+      currentRank: "🏆 Aktueller Rang",
+      nextRank: "Nächster Rang: {rank} ({percent} Fortschritt)",
+      charts: "📉 Fortschrittsdiagramme",
+      achievements: "🏅 Erfolge",
+      ledger: "📒 XP-Verlauf",
+      rebuild: "🔧 Aus dem Verlauf neu berechnen",
+      streakRules: "🧊 Serienregeln",
+      restDays: "Ruhetage (unterbrechen nie eine Serie)",
+      grace: "Kulanz nach Mitternacht (Stunden)",
+      decay: "Abbau bei Inaktivität",
+      decayFlat: "Linear (jeden Tag gleich)",
+      decayCapped: "Gedeckelt (endet bei einem Maximum)",
+      decayExponential: "Exponentiell (wächst jeden Tag)",
+      decayPerDay: "XP pro verpasstem Tag",
+      decayCap: "Obergrenze (gedeckelte Kurve)",
+      saveRules: "💾 Regeln speichern",
+      reminders: "🔔 Erinnerungen",
+      remindersIntro: "Lokale Benachrichtigungen nur von diesem Gerät. Es wird nichts gesendet.",
+      remindersEnable: "Erinnerungen aktivieren",
+      remindersCheckin: "Täglicher Check-in um",
+      remindersStreak: "Serie läuft bald ab um",
+      remindersSave: "💾 Erinnerungen speichern",
+      direction: "🧭 Wachstumsrichtung",
+      profiles: "👥 Profile",
+      profilesIntro: "Alle, die dieses Gerät nutzen, bekommen ihren eigenen Verlauf, eigene XP und Erfolge.",
+      profileName: "Name",
+      createProfile: "➕ Profil erstellen",
+      data: "💾 Deine Daten",
+      export: "Export",
+      exportProfile: "Dieses Profil",
+      exportAll: "Alle Profile",
+      exportJSON: "📤 JSON exportieren",
+      importJSON: "📥 JSON importieren",
+      mode: "Modus",
+      modeReplace: "Lokale Daten ersetzen",
+      modeMerge: "Mit lokalen Daten zusammenführen",
+      reset: "♻️ Zurücksetzen",
+      sync: "☁️ Synchronisierung (optional)",
+      syncIntro: "Halte deine Daten über deinen eigenen Server auf allen Geräten synchron. Es wird nichts gesendet, bevor du es aktivierst.",
+      syncEnable: "Synchronisierung aktivieren",
+      syncEndpoint: "Endpunkt",
+      syncToken: "Token",
+      syncTokenPlaceholder: "optional",
+      syncSave: "💾 Speichern & synchronisieren",
+      importPreview: "Importvorschau",
+      importApply: "✅ Import anwenden",
+      newAnalysis: "🚀 Neue Analyse starten",
+      backHome: "⬅ Zurück zum Start",
+      note: "⚠️ Dies ist ein Prototyp. Die Daten bleiben in diesem Browser, sofern du die Synchronisierung nicht aktivierst."
+    },
+
+    timeline: {
+      title: "🧬 Entwicklungsverlauf",
+      filters: "Verlauf filtern",
+      search: "Suche",
+      searchPlaceholder: "Notizen, Rang, Geistestyp",
+      from: "Von",
+      to: "Bis",
+      show: "Anzeigen",
+      everything: "Alles",
+      analyses: "Analysen",
+      checkins: "Check-ins",
+      rank: "Rang",
+      mindType: "Geistestyp",
+      anyRank: "Jeder Rang",
+      anyMindType: "Jeder Geistestyp",
+      sort: "Sortierung",
+      newest: "Neueste zuerst",
+      oldest: "Älteste zuerst",
+      highest: "Höchste Punktzahl",
+      lowest: "Niedrigste Punktzahl",
+      clear: "♻️ Filter zurücksetzen",
+      future: "Zukunft",
+      futureText: "🚀 Deine nächste, verbesserte Version wartet schon...",
+      entryMindType: "🧠 {mindType}",
+      entryScore: "📊 Punktzahl: {score}",
+      entryRank: "🏆 Rang: {rank}",
+      note: "📝 {note}",
+      compare: " Vergleichen",
+      export: "⬇️ Exportieren",
+      delete: "🗑️ Löschen",
+      viewReport: "📄 Bericht ansehen",
+      journal: "📓 Journal ({count})",
+      addNote: "📝 Notiz hinzufügen",
+      editNote: "📝 Notiz bearbeiten",
+      notePrompt: "Notiz zur Analyse vom {date} (max. {max} Zeichen)",
+      confirmDelete: "Analyse vom {date} löschen? Das kann nicht rückgängig gemacht werden.",
+      confirmDeleteXP: "Analyse vom {date} löschen? Die damit verdienten {xp} XP werden abgezogen. Das kann nicht rückgängig gemacht werden.",
+      noMatches: "🔍 Keine Einträge passen zu diesen Filtern.",
+      showing: {
+        one: "{shown} von {count} Eintrag angezeigt",
+        other: "{shown} von {count} Einträgen angezeigt"
+      },
+      inTotal: " ({total} insgesamt)",
+      pickAnother: " · wähle eine weitere Analyse zum Vergleichen",
+      more: "⬇️ {count} weitere anzeigen",
+      moreStatic: "⬇️ Mehr anzeigen",
+      compareTitle: "⚖️ {from} → {to}",
+      dimension: "Dimension",
+      change: "Änderung",
+      total: "📊 Gesamt",
+      compareRank: "🏆 Rang",
+      compareMindType: "🧠 Geistestyp",
+      closeCompare: "✖️ Vergleich schließen"
+    },
+
+    settings: {
+      pageTitle: "NeuroForge X — Einstellungen",
+      titleLead: "Engine-",
+      titleHighlight: "Einstellungen",
+      subtitle: "Lege fest, wie XP, Level und Ränge berechnet werden. Frühere Analysen behalten ihren Rang.",
+      language: "🌐 Sprache",
+      languageIntro: "Gilt sofort auf diesem Gerät. Datum und Zahlen richten sich ebenfalls nach der Sprache.",
+      languageLabel: "Sprache",
+      prefs: {
+        title: "🎨 Darstellung & Barrierefreiheit",
+        intro: "Gilt sofort auf diesem Gerät. „System“ folgt den Einstellungen deines Betriebssystems.",
+        theme: "Farbschema",
+        themes: { system: "System", dark: "Dunkel", light: "Hell", contrast: "Hoher Kontrast" },
+        fontScale: "Textgröße",
+        motion: "Bewegung",
+        motions: { system: "System", reduce: "Reduziert", full: "Vollständig" },
+        toastAutoDismiss: "Meldungen automatisch ausblenden",
+        toastHint: "Meldungen pausieren, solange Mauszeiger oder Tastaturfokus darauf liegen; Escape schließt die aktuelle.",
+        reset: "↩️ Standard-Darstellung wiederherstellen"
+      },
+      general: "⚙️ Allgemein",
+      toastDisplayMs: "Anzeigedauer von Meldungen (ms)",
+      inactivityPenalty: "Inaktivitätsstrafe (XP pro verpasstem Tag)",
+      baseXP: "Basis-XP pro Analyse",
+      curve: "🧬 Levelkurve",
+      curveFormulaLead: "XP für Level n = Basis × n",
+      curveFormulaPower: "Exponent",
+      curveFormulaTail: " + XP pro Level × n",
+      curveBase: "Basis",
+      curveExponent: "Exponent",
+      curvePerLevel: "XP pro Level",
+      ranks: "🏆 Rangstufen",
+      addRank: "➕ Stufe hinzufügen",
+      lore: "📜 Titel",
+      loreIntro: "Jeder Titel gilt ab seinem Level bis zum nächsten. Der erste beginnt bei Level 1.",
+      addLore: "➕ Titel hinzufügen",
+      save: "💾 Einstellungen speichern",
+      restore: "↩️ Standardwerte wiederherstellen",
+      note: "⚠️ Einstellungen werden in diesem Browser gespeichert und in JSON-Exporte aufgenommen.",
+      scaleNote: "Punktzahlen reichen von 0 bis {max}. Die Stufen müssen alle Punktzahlen der Reihe nach abdecken, ohne Lücken oder Überschneidungen.",
+      preview: "Level {level}: {xp} XP",
+      confirmReset: "Standardeinstellungen wiederherstellen?",
+      rows: {
+        name: "Rang",
+        mindType: "Geistestyp",
+        min: "Von",
+        max: "Bis",
+        minLevel: "Ab Level",
+        title: "Titel",
+        remove: "Zeile entfernen"
+      },
+      fields: {
+        toastDisplayMs: "Anzeigedauer von Meldungen (ms)",
+        inactivityPenaltyPerDay: "Inaktivitätsstrafe pro Tag",
+        onboardingBaseXP: "Basis-XP pro Analyse",
+        base: "Basis der Levelkurve",
+        exponent: "Exponent der Levelkurve",
+        perLevel: "XP pro Level der Levelkurve"
+      },
+      errors: {
+        settingsObject: "Einstellungen müssen ein Objekt sein",
+        wholeNumber: "{label} muss eine ganze Zahl von {min} bis {max} sein",
+        number: "{label} muss eine Zahl von {min} bis {max} sein",
+        required: "{label} ist erforderlich",
+        tooLong: "{label} ist länger als {max} Zeichen",
+        notObject: "{label} ist kein Objekt",
+        rankRequired: "Mindestens eine Rangstufe ist erforderlich",
+        band: "Rangstufe {n}",
+        bandName: "Name der Rangstufe {n}",
+        bandMindType: "Geistestyp der Rangstufe {n}",
+        bandId: "{label} braucht eine ID aus a–z, 0–9, „_“ oder „-“",
+        repeatsId: "{label} wiederholt die ID „{id}“",
+        repeatsName: "{label} wiederholt den Rangnamen „{name}“",
+        bandRange: "{label} braucht ganzzahlige Punktzahlen mit „Von“ ≤ „Bis“",
+        bandStart: "{label} muss bei 0 beginnen",
+        overlap: "{label} überschneidet sich mit der Stufe davor",
+        gap: "Die Punktzahlen {from}–{to} werden von keiner Stufe abgedeckt",
+        bandEnd: "{label} muss bei {max} enden",
+        loreRequired: "Mindestens ein Titel ist erforderlich",
+        lore: "Titel {n}",
+        loreLevel: "{label} braucht ein Level von mindestens 1",
+        loreStart: "{label} muss bei Level 1 beginnen",
+        loreOrder: "{label} muss nach dem Titel davor beginnen"
+      }
+    },
+
+    import: {
+      upgrading: "🔄 Export wird von Schema v{from} auf v{to} aktualisiert",
+      replace: "🗑️ {before} lokale Analysen durch {after} importierte ersetzen",
+      add: "➕ {count} neue Analysen hinzufügen ({before} → {after})",
+      settings: "⚙️ Einstellungen: durch die exportierten ersetzt",
+      focusSessions: "⏱️ Fokus-Sessions: {from} → {to}",
+      habits: "✅ Gewohnheiten & Ziele: {from} → {to}",
+      checkins: "📝 Check-ins: {from} → {to}",
+      journal: "📓 Journaleinträge: {from} → {to}",
+      journalUpdated: "📓 Aktualisierte Journaleinträge: {count}",
+      unlock: "🏅 Freischalten: {list}",
+      remove: "🔒 Entfernen: {list}",
+      xp: "✨ XP: {from} → {to}",
+      streak: "🔥 Serie: {from} → {to}",
+      lastActive: "🗓️ Zuletzt aktiv: {from} → {to}",
+      skipped: "⚠️ Übersprungen: {message}",
+      nothing: "✅ Nichts zu ändern",
+      profile: "👤 {name}",
+      profileNew: "👤 {name} (neues Profil)",
+      items: {
+        history: "Verlauf #{n}: {errors}",
+        deleted: "Analyse {id} ({date}): auf diesem Gerät gelöscht, nicht wiederhergestellt",
+        habit: "Gewohnheit #{n}: {errors}",
+        focus: "Fokus-Session #{n}: {errors}",
+        journal: "Journaleintrag #{n}: {errors}",
+        checkin: "Check-in #{n}: {errors}",
+        event: "Ereignis #{n}: {errors}",
+        settings: "Einstellungen: {errors}",
+        achievement: "Unbekannter Erfolg „{id}“",
+        lastActive: "Ungültiges lastActive",
+        xp: "Ungültige XP",
+        streak: "Ungültige Serie",
+        profile: "Profil #{n}: {errors}",
+        noData: "keine Daten"
+      }
+    },
+
+    charts: {
+      scoreEmpty: "📊 Starte eine Analyse, um den Verlauf deiner Punktzahl zu sehen.",
+      scoreTitle: "Gesamtpunktzahl im Zeitverlauf",
+      scoreDesc: {
+        one: "{count} Analyse. Letzte Punktzahl {score} von {max} ({rank}) am {date}.",
+        other: "{count} Analysen. Letzte Punktzahl {score} von {max} ({rank}) am {date}."
+      },
+      scoreCaption: "Gesamtpunktzahl pro Analyse",
+      date: "Datum",
+      score: "Punktzahl",
+      rank: "Rang",
+      radarEmpty: "🧠 Starte eine Analyse, um dein Dimensionsprofil zu sehen.",
+      radarTitle: "Neueste Punktzahlen pro Dimension",
+      radarTitleCompared: "Neueste Punktzahlen pro Dimension im Vergleich zur vorherigen Analyse",
+      radarDesc: "Von {max}: {summary}.",
+      radarValue: "{label} {value}",
+      radarValueWas: "{label} {value} (vorher {previous})",
+      radarCaption: "Punktzahlen pro Dimension",
+      dimension: "Dimension",
+      latest: "Neueste",
+      previous: "Vorherige",
+      xpEmpty: "✨ Sammle XP, um deine Wachstumskurve zu sehen.",
+      xpTitle: "XP im Zeitverlauf",
+      xpDesc: {
+        one: "{count} Tag erfasst. Aktuell {xp} XP am {date}; Höchststand {peak} XP.",
+        other: "{count} Tage erfasst. Aktuell {xp} XP am {date}; Höchststand {peak} XP."
+      },
+      xpCaption: "XP pro Tag",
+      xp: "XP",
+      checkinEmpty: "📝 Checke täglich ein, um Trends bei Stimmung, Energie und Fokus zu sehen.",
+      checkinTitle: "Tägliche Check-ins im Vergleich zu Analysen",
+      checkinDesc: "{checkins} Check-ins und {analyses} Analysen. Letzter Check-in am {date}: {values}.",
+      checkinValue: "{label} {value} von {max}",
+      checkinCaption: "Tägliche Check-ins",
+      analysisMarker: "│ Analysepunktzahl",
+      scoreOverTime: "📊 Punktzahl im Zeitverlauf",
+      radar: "🧠 Dimensionsradar",
+      xpOverTime: "✨ XP im Zeitverlauf",
+      checkinsVsAnalyses: "📝 Check-ins vs. Analysen"
+    },
+
+    report: {
+      title: "🧠 NeuroForge X — Geistesbauplan",
+      dates: "Analysedatum: {date} · Exportiert: {exported}",
+      mindType: "Geistestyp",
+      scoreRank: "Punktzahl: {score} · Rang: {rank}",
+      dimension: "Dimension",
+      score: "Punktzahl",
+      perDimension: "Punktzahlen pro Dimension",
+      rankProgress: "Rangfortschritt",
+      levelXP: "Level & XP",
+      lore: "{title} — Level {level}",
+      xpLine: "{xp} XP gesamt · {current} / {required} XP in diesem Level",
+      analysis: "Zusammenfassung der Analyse",
+      plan: "7-Tage-Upgrade-Plan",
+      journal: "Journal",
+      disclaimer: "⚠️ Experimenteller Prototyp. Keine medizinische oder psychologische Beratung.",
+      noAnalysis: "📄 Noch keine Analyse zum Exportieren — starte deine erste Analyse."
+    },
+
+    journal: {
+      pageTitle: "NeuroForge X — Journal",
+      titleLead: "Geistes-",
+      titleHighlight: "Journal",
+      subtitle: "Schreib auf, warum eine Woche so gelaufen ist, wie sie gelaufen ist. Hänge Notizen an einen Tag oder eine Analyse.",
+      write: "✍️ Schreiben",
+      day: "Tag",
+      analysis: "Analyse",
+      tags: "Schlagwörter",
+      tagsPlaceholder: "Schlaf, Deep Work",
+      markdownHint: "Markdown: **fett**, *kursiv*, `Code`, # Überschriften, - Listen, > Zitate, [Links](https://…)",
+      textPlaceholder: "Was hat geholfen? Was stand im Weg?",
+      save: "💾 Eintrag speichern",
+      update: "💾 Eintrag aktualisieren",
+      cancelEdit: "✖️ Bearbeiten abbrechen",
+      preview: "Vorschau",
+      previewEmpty: "Die Vorschau erscheint hier, während du schreibst.",
+      entries: "📓 Einträge",
+      search: "Suche",
+      searchPlaceholder: "Wörter oder #Schlagwörter",
+      note: "⚠️ Journaleinträge werden in diesem Browser gespeichert und in JSON-Exporte und gedruckte Berichte aufgenommen.",
+      justDay: "— Nur der Tag —",
+      analysisOption: "🧠 {date} · {rank} ({score})",
+      analysisMeta: " · 🧠 {mindType}, {rank}",
+      tagLabel: "Einträge mit Schlagwort {tag} anzeigen",
+      edit: "✏️ Bearbeiten",
+      delete: "🗑️ Löschen",
+      confirmDelete: "Diesen Journaleintrag vom {date} löschen?",
+      deleted: "🗑️ Journaleintrag gelöscht",
+      saved: "📓 Journaleintrag gespeichert",
+      updated: "📓 Journaleintrag aktualisiert",
+      empty: "📓 Noch keine Einträge. Schreib oben deinen ersten.",
+      count: {
+        one: "📓 {count} Eintrag",
+        other: "📓 {count} Einträge"
+      },
+      matches: "🔍 {count} von {total} Einträgen passen",
+      noMatches: "🔍 Keine Einträge passen zu deiner Suche."
+    },
+
+    cohort: {
+      pageTitle: "NeuroForge X — Gruppe",
+      titleLead: "Team-",
+      titleHighlight: "Gruppe",
+      subtitle: "Lade die JSON-Exporte deines Teams, um den Fortschritt zu vergleichen. Dateien werden nur in diesem Tab gelesen und nie gespeichert oder gesendet.",
+      members: "📥 Mitglieder",
+      addFiles: "📄 Exportdateien hinzufügen",
+      addFolder: "📁 Ordner hinzufügen",
+      clear: "♻️ Leeren",
+      leaderboard: "🏆 Bestenliste",
+      rankBy: "Sortieren nach",
+      sorts: { level: "Level", xp: "XP", streak: "Serie", averageScore: "Durchschnittliche Punktzahl" },
+      privacy: "Privatsphäre-Modus (nur Durchschnittswerte)",
+      trends: "📉 Gruppentrends",
+      radar: "🧠 Gemeinsames Dimensionsradar",
+      perMonth: "📊 Durchschnittliche Punktzahl pro Monat",
+      exportTitle: "📤 Gruppenexport",
+      exportIntro: "Bündelt Zusammenfassungen der Mitglieder ohne Rohantworten, Notizen oder Protokolle. Im Privatsphäre-Modus sind nur die Durchschnittswerte enthalten.",
+      export: "📤 Gruppe exportieren",
+      exported: "📤 Gruppe exportiert",
+      exportedAggregates: "📤 Gruppendurchschnitte exportiert",
+      summaryMembers: {
+        one: "👥 {count} Mitglied · {analyses} Analysen",
+        other: "👥 {count} Mitglieder · {analyses} Analysen"
+      },
+      summaryLevel: "🧬 Durchschnittliches Level {level} · ✨ durchschnittliche XP {xp}",
+      summaryStreak: "🔥 Durchschnittliche Serie {streak} Tage",
+      summaryScore: "📊 Durchschnittliche Punktzahl {score} / {max}",
+      summaryEmpty: "📥 Lade Exporte der Mitglieder, um die Gruppe aufzubauen.",
+      privacyOn: "🔒 Der Privatsphäre-Modus ist an: Es werden nur Gruppendurchschnitte angezeigt.",
+      boardEmpty: "🏆 Die Bestenliste erscheint, sobald Exporte geladen sind.",
+      caption: "Bestenliste der Gruppe nach {sort}",
+      columns: { member: "Mitglied", level: "Level", xp: "XP", streak: "Serie", score: "Ø Punktzahl", analyses: "Analysen" },
+      average: "Gruppendurchschnitt",
+      radarTitle: "Durchschnittliche Punktzahlen pro Dimension (neueste Analysen)",
+      aggregatesOnly: "enthält nur Durchschnittswerte (Privatsphäre-Modus)",
+      loaded: {
+        one: "📥 {count} Mitglied aus {files} Datei(en) geladen.",
+        other: "📥 {count} Mitglieder aus {files} Datei(en) geladen."
+      },
+      skipped: " ⚠️ Übersprungen: {list}",
+      noFiles: "⚠️ Keine .json-Dateien gefunden."
+    },
+
+    reminders: {
+      needsHttp: "🔕 Erinnerungen funktionieren nur, wenn die App über http(s) ausgeliefert wird.",
+      unsupported: "🔕 Dieser Browser unterstützt keine Benachrichtigungen.",
+      blocked: "🔕 Benachrichtigungen sind für diese Seite in deinen Browsereinstellungen blockiert.",
+      off: "🔕 Erinnerungen sind aus.",
+      checkinAt: "Check-in um {time}",
+      streakAt: "Serienwarnung um {time}",
+      on: "🔔 Erinnerungen an: {list}.",
+      none: "🔕 Keine Erinnerungen ausgewählt.",
+      saved: "🔔 Erinnerungen gespeichert",
+      savedOff: "🔕 Erinnerungen aus",
+      checkinTitle: "📝 Täglicher Check-in",
+      checkinBody: "Nimm dir 10 Sekunden, um Stimmung, Energie und Fokus festzuhalten.",
+      streakTitle: "🔥 Deine Serie läuft bald ab",
+      streakBody: {
+        one: "Deine Serie von {count} Tag endet um Mitternacht. Ein kurzer Check-in hält sie am Leben.",
+        other: "Deine Serie von {count} Tagen endet um Mitternacht. Ein kurzer Check-in hält sie am Leben."
+      }
+    },
+
+    sync: {
+      status: {
+        disabled: "☁️ Synchronisierung ist aus",
+        pending: "⏳ Änderungen warten auf Synchronisierung",
+        syncing: "🔄 Synchronisiere…",
+        synced: "✅ Synchronisiert",
+        offline: "📴 Offline — Änderungen werden synchronisiert, sobald du wieder verbunden bist",
+        error: "❌ Synchronisierung fehlgeschlagen"
+      },
+      at: "{status} um {time}",
+      queued: "{status} ({count} in der Warteschlange)",
+      failed: "{status} — {error}"
+    },
+
+    home: {
+      pageTitle: "NeuroForge X — Schmiede deinen Geist",
+      titleForge: "Schmiede deinen",
+      titleMind: "Geist",
+      titleShape: "Gestalte deine",
+      titleFuture: "Zukunft",
+      subtitle: "NeuroForge X ist eine kognitive Engine der nächsten Generation. Sie analysiert, wie du denkst, planst, dich konzentrierst und umsetzt — und erstellt einen persönlichen Wachstumsplan für dein Upgrade.",
+      features: "Wichtige Funktionen",
+      profiling: "🧠 Geistesprofil",
+      scoring: "📊 Kognitive Bewertung",
+      plan: "🗓️ Persönlicher Aktionsplan",
+      blueprint: "⚡ Wachstumsbauplan",
+      start: "Geistesanalyse starten",
+      startLabel: "Den Ablauf der Geistesanalyse starten",
+      note: "🚀 Experimenteller Prototyp — fortgeschrittene KI-Funktionen folgen bald."
+    }
+  }
+});
+
+/* End of de.js */
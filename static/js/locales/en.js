@@ -0,0 +1,1048 @@
+/* en.js - English messages
+   - The source catalog: every key lives here first, and other locales
+     fall back to it key by key
+   - Plural forms are objects ({ one, other }) chosen by params.count
+*/
+
+NeuroforgeI18n.addLocale("en", {
+  name: "English",
+  dir: "ltr",
+  messages: {
+    common: {
+      error: "❌ {message}",
+      score: "{total} / {max}",
+      xp: "{amount} XP",
+      cancel: "Cancel",
+      remove: "Remove {name}"
+    },
+
+    nav: {
+      main: "Main navigation",
+      logo: "NeuroForge X logo",
+      skip: "Skip to main content",
+      home: "Home",
+      dashboard: "Dashboard",
+      newAnalysis: "New Analysis",
+      results: "Results",
+      profile: "Profile",
+      journal: "Journal",
+      cohort: "Cohort",
+      settings: "Settings",
+      activeProfile: "Active profile",
+      manageProfiles: "⚙️ Manage profiles…",
+      badge: "MVP Prototype",
+      badgeTitle: "Current development stage"
+    },
+
+    footer: {
+      nav: "Footer navigation",
+      copyright: "© 2026 NeuroForge X — Cognitive Engine Prototype",
+      contact: "Contact",
+      privacy: "Privacy Policy"
+    },
+
+    weekdays: { 0: "Sun", 1: "Mon", 2: "Tue", 3: "Wed", 4: "Thu", 5: "Fri", 6: "Sat" },
+
+    questionnaire: {
+      scale: { 1: "Strongly disagree", 2: "Disagree", 3: "Neutral", 4: "Agree", 5: "Strongly agree" },
+      dimensions: { focus: "Focus", discipline: "Discipline", execution: "Execution", consistency: "Consistency" },
+      questions: {
+        focus_deep: "I can work on one task for 30 minutes without checking my phone.",
+        focus_return: "When I get distracted, I quickly get back to what I was doing.",
+        focus_drift: "My mind often drifts to unrelated thoughts while I work.",
+        discipline_commit: "I do what I planned even when I don't feel like it.",
+        discipline_routine: "I follow a fixed routine for sleep and work.",
+        discipline_impulse: "I often give in to short-term temptations.",
+        execution_finish: "I finish the projects I start.",
+        execution_start: "I start important tasks without long delays.",
+        execution_overthink: "I spend more time planning than doing.",
+        consistency_daily: "I work on my goals almost every day.",
+        consistency_recover: "After a missed day, I get back on track the next day.",
+        consistency_bursts: "My effort comes in short bursts followed by long breaks."
+      }
+    },
+
+    // Built-in rank bands by id; renamed bands show their own text
+    ranks: {
+      dreamer: { name: "Dreamer", mindType: "Unstable Dreamer" },
+      explorer: { name: "Explorer", mindType: "Growing Explorer" },
+      builder: { name: "Builder", mindType: "Strategic Builder" },
+      architect: { name: "Architect", mindType: "Focused Architect" }
+    },
+
+    // Built-in lore titles by the level they start at
+    lore: {
+      1: "🧠 Wandering Mind",
+      5: "⚔️ Mind Trainee",
+      10: "🏹 Thought Warrior",
+      20: "🏛️ Architect of Will",
+      50: "👑 Neural Overlord",
+      100: "🌌 Transcendent Entity"
+    },
+
+    achievements: {
+      titles: {
+        first_analysis: "🧠 First Awakening",
+        five_sessions: "📊 5 Analyses",
+        ten_sessions: "📊 10 Analyses",
+        twenty_five_sessions: "📊 25 Analyses",
+        three_day_streak: "🔥 3 Day Streak",
+        seven_day_streak: "🔥 7 Day Streak",
+        thirty_day_streak: "👑 Consistency Master",
+        level_5: "🧬 Level 5",
+        level_10: "🧬 Level 10",
+        level_20: "🧬 Level 20",
+        builder_rank: "🏗️ Builder Rank",
+        architect_rank: "🏛️ Architect Rank",
+        plan_started: "🗓️ 7-Day Plan Started",
+        plan_completed: "🏁 Plan Completed",
+        plans_completed_3: "🏁 3 Plans Completed",
+        plans_completed_10: "🏁 10 Plans Completed",
+        habit_10: "✅ 10 Habit Check-offs",
+        habit_50: "✅ 50 Habit Check-offs",
+        habit_200: "🏆 Habit Machine",
+        focus_session_1: "⏱️ First Focus Session",
+        focus_sessions_25: "⏱️ 25 Focus Sessions",
+        focus_sessions_100: "🧘 Deep Work Monk",
+        night_owl: "🌙 Night Owl",
+        early_bird: "🌞 Early Bird",
+        perfect_score: "💎 Flawless Mind"
+      },
+      hidden: "❔ Hidden Achievement",
+      hiddenHint: "Keep going to discover it",
+      tiers: { bronze: "bronze", silver: "silver", gold: "gold" },
+      // Progress toward the next level, by the definition's unit
+      progress: {
+        analyses: "{current}/{target} analyses",
+        days: "{current}/{target} days",
+        level: "Level {current}/{target}",
+        rank: "{current}/{target} rank",
+        tasks: "{current}/{target} tasks",
+        plans: "{current}/{target} plans",
+        "check-offs": "{current}/{target} check-offs",
+        sessions: "{current}/{target} sessions",
+        "late sessions": "{current}/{target} late sessions",
+        "early sessions": "{current}/{target} early sessions",
+        "%": "{current}% / {target}%"
+      },
+      locked: "🔒 {title}",
+      next: "Next: {tier} — {label}",
+      unlocked: "Unlocked {date}",
+      progressLabel: "{title} progress"
+    },
+
+    toast: {
+      xpGained: "✨ +{amount} XP gained",
+      decay: {
+        one: "⚠️ Inactivity penalty: -{loss} XP for {count} missed day ({curve} decay)",
+        other: "⚠️ Inactivity penalty: -{loss} XP for {count} missed days ({curve} decay)"
+      },
+      achievementUnlocked: "🏅 Achievement Unlocked: {title}",
+      freezeReward: {
+        one: "🧊 Reward: {count} streak freeze",
+        other: "🧊 Reward: {count} streak freezes"
+      },
+      freezeBought: "🧊 Streak freeze bought (-{cost} XP) — it covers one missed day",
+      freezeMax: {
+        one: "🧊 You already hold the maximum of {count} freeze",
+        other: "🧊 You already hold the maximum of {count} freezes"
+      },
+      freezeCost: "🧊 A streak freeze costs {cost} XP",
+      planCompleted: "🏁 7-day plan completed!",
+      checkinUpdated: "📝 Today's check-in updated",
+      habitAdded: "✅ Habit added: {title}",
+      goalAdded: "🎯 Goal added: {title}",
+      goalReached: "🎯 Goal reached: {title}",
+      focusTooShort: {
+        one: "⏱️ Sessions under {count} minute aren't logged",
+        other: "⏱️ Sessions under {count} minutes aren't logged"
+      },
+      analysisDeleted: "🗑️ Analysis deleted",
+      analysisDeletedXP: "🗑️ Analysis deleted (−{amount} XP)",
+      achievementsRevoked: {
+        one: "🔒 {count} achievement no longer earned",
+        other: "🔒 {count} achievements no longer earned"
+      },
+      noteSaved: "📝 Note saved",
+      noteRemoved: "📝 Note removed",
+      streakRulesSaved: "🧊 Streak rules saved — streak recomputed",
+      settingsInvalid: "❌ Settings not saved — see the problems listed",
+      settingsSaved: "⚙️ Settings saved",
+      settingsReset: "↩️ Default settings restored",
+      exported: "📤 Data exported",
+      exportedAll: "📤 All profiles exported",
+      imported: "📥 Data imported",
+      merged: "📥 Data merged",
+      importFailed: "❌ Import failed",
+      reset: "♻️ Data reset",
+      resetFailed: "❌ Reset failed",
+      profileCreated: "👤 Profile \"{name}\" created",
+      profileRenamed: "✏️ Profile renamed",
+      profileDuplicated: "📄 Created \"{name}\"",
+      profileDeleted: "🗑️ Profile deleted",
+      rebuilt: "🔧 XP, streak and achievements recomputed",
+      languageChanged: "🌐 Language: {name}"
+    },
+
+    toasts: {
+      history: "Notifications",
+      historyTitle: "🔔 Recent notifications",
+      empty: "Nothing yet in this session.",
+      clear: "Clear",
+      dismiss: "Dismiss notification",
+      unseen: "{count} new"
+    },
+
+    streak: {
+      graced: "🌙 Counted for {day} (grace window)",
+      restDays: {
+        one: "😴 {count} rest day skipped — streak kept",
+        other: "😴 {count} rest days skipped — streak kept"
+      },
+      frozen: {
+        one: "🧊 {count} streak freeze used for {days}",
+        other: "🧊 {count} streak freezes used for {days}"
+      },
+      reset: {
+        one: "💔 Streak reset: missed {count} day without enough freezes",
+        other: "💔 Streak reset: missed {count} days without enough freezes"
+      },
+      current: {
+        one: "🔥 Streak: {count} day",
+        other: "🔥 Streak: {count} days"
+      },
+      curves: { flat: "flat", capped: "capped", exponential: "exponential" },
+      freezes: {
+        one: "🧊 {count} of {max} streak freezes — each covers one missed day",
+        other: "🧊 {count} of {max} streak freezes — each covers one missed day"
+      },
+      buyFreeze: "🧊 Buy freeze ({cost} XP)"
+    },
+
+    // Reasons shown in the XP ledger (events store the key, not the text)
+    ledger: {
+      empty: "✨ Every XP gain and loss will be listed here.",
+      reasons: {
+        analysis: "Analysis (score {score})",
+        planTask: "Plan task (day {day})",
+        planCompleted: "7-day plan completed",
+        checkin: "Daily check-in",
+        habit: "Habit: {title}",
+        goalReached: "Goal reached: {title}",
+        focus: "Focus session ({minutes} min)",
+        focusTagged: "Focus session ({minutes} min, {tag})",
+        decay: {
+          one: "Inactivity penalty ({count} day)",
+          other: "Inactivity penalty ({count} days)"
+        },
+        freezePurchased: "Streak freeze purchased",
+        entryDeleted: "Analysis deleted ({date})",
+        imported: "Imported data",
+        importMerge: "Import merge",
+        importMergeXP: {
+          one: "Import merge ({count} analysis)",
+          other: "Import merge ({count} analyses)"
+        },
+        syncMerge: "Sync merge",
+        baseline: "Carried over from before the event log"
+      }
+    },
+
+    errors: {
+      profileName: "Give the profile a name",
+      profileExists: "Profile \"{id}\" already exists",
+      unknownProfile: "Unknown profile",
+      lastProfile: "The last profile can't be deleted",
+      checkinMissing: "Missing {metric} value",
+      pickDay: "Pick at least one day",
+      unknownRecurrence: "Unknown recurrence \"{type}\"",
+      habitTitle: "Give it a title",
+      habitDimension: "Pick a dimension",
+      unknownKind: "Unknown kind \"{kind}\"",
+      goalTarget: "Goals need a target of at least 1",
+      sessionTimes: "Invalid session times",
+      analysisNotFound: "Analysis not found",
+      journalEmpty: "Write something first",
+      journalTooLong: "Keep entries under {max} characters",
+      journalAnalysisGone: "That analysis no longer exists",
+      journalDate: "Pick a valid date",
+      journalNotFound: "Journal entry not found",
+      importMode: "Unknown import mode \"{mode}\"",
+      payloadObject: "Payload must be an object",
+      newerSchema: "Export was made by a newer version (schema {version})",
+      noMigration: "No migration from schema {version}",
+      noProfiles: "Export contains no profiles"
+    },
+
+    profiles: {
+      copyName: "{name} (copy)",
+      active: "👤 {name} (active)",
+      name: "👤 {name}",
+      switch: "↪️ Switch",
+      rename: "✏️ Rename",
+      renamePrompt: "New profile name",
+      duplicate: "📄 Duplicate",
+      delete: "🗑️ Delete",
+      confirmDelete: "Delete profile \"{name}\" and all its data? This cannot be undone.",
+      confirmReset: "Reset all Neuroforge data in profile \"{name}\"? This cannot be undone."
+    },
+
+    onboarding: {
+      select: "Select",
+      option: "{value} — {label}",
+      step: "Step {step} of {total} — {label}",
+      answerAll: "Please answer every question before continuing.",
+      saved: "✅ Neural Data Saved",
+      pageTitle: "NeuroForge X — Mind Analysis",
+      titleLead: "Mind",
+      titleHighlight: "Calibration",
+      subtitle: "Answer these questions honestly. There are no right or wrong answers. This will help generate your personalized cognitive blueprint.",
+      progressStart: "Step 1 — Self Assessment",
+      back: "⬅ Back",
+      next: "Next ➡",
+      submit: "Generate My Blueprint",
+      note: "🔒 Your data is not stored. This is an experimental prototype."
+    },
+
+    analysis: {
+      line: "{icon} {label} ({score}/{max}): {text}",
+      balanced: "⚖️ Your dimensions are evenly balanced — raise all four together.",
+      strongest: "💪 Strongest: {strongest}. Use it to pull up {weakest}.",
+      bottleneck: "🎯 Main bottleneck: {weakest} — this week's plan prioritises it.",
+      focus: {
+        low: "Your attention scatters easily — distractions are costing you deep work.",
+        mid: "You can focus when conditions are right, but it isn't yet on demand.",
+        high: "Deep focus is a real strength — you can hold attention on hard problems."
+      },
+      discipline: {
+        low: "You rely on motivation more than structure, so plans slip when energy drops.",
+        mid: "You keep most commitments, but tempting shortcuts still win sometimes.",
+        high: "You follow through on commitments even when you don't feel like it."
+      },
+      execution: {
+        low: "Ideas stall before they ship — starting and finishing are the bottleneck.",
+        mid: "You get things done, though momentum fades on longer projects.",
+        high: "You turn plans into results quickly and reliably."
+      },
+      consistency: {
+        low: "Your effort comes in bursts with long gaps in between.",
+        mid: "You show up most days, but breaks tend to stretch longer than planned.",
+        high: "You show up day after day — your routine compounds."
+      }
+    },
+
+    // Plan tasks by "dimension.band.n"; analyses store that key, not the text
+    plan: {
+      item: "Day {day} · {dimension}: {task}",
+      tasks: {
+        review: "Review the week: note what worked for {weakest}, and how your {strongest} helped.",
+        focus: {
+          low: [
+            "Do one 15-minute single-task block with your phone in another room.",
+            "Write down every distraction you notice today — awareness first.",
+            "Close all tabs except one for a 20-minute work sprint."
+          ],
+          mid: [
+            "Complete two 25-minute focus blocks with a 5-minute break between.",
+            "Schedule your hardest task for your peak-energy hour.",
+            "Turn off all non-essential notifications for the whole day."
+          ],
+          high: [
+            "Run a 90-minute deep work session on your most important project.",
+            "Teach someone one technique you use to stay focused.",
+            "Plan tomorrow's deep work block before you finish today."
+          ]
+        },
+        discipline: {
+          low: [
+            "Pick one tiny non-negotiable (e.g. 5 push-ups) and do it today.",
+            "Set a fixed wake-up time and hit it.",
+            "Remove one temptation from your environment before it tempts you."
+          ],
+          mid: [
+            "Write three commitments for today and tick them off by evening.",
+            "Delay one impulse purchase or distraction by 24 hours.",
+            "Follow your planned schedule for the first two hours of the day."
+          ],
+          high: [
+            "Take on one uncomfortable task you've been postponing.",
+            "Audit your routines and cut one that no longer serves you.",
+            "Stack a new habit onto an existing discipline."
+          ]
+        },
+        execution: {
+          low: [
+            "Break one stalled goal into three steps and finish the first.",
+            "Ship something small today — imperfect is fine.",
+            "Use the 2-minute rule: do any task that takes under 2 minutes now."
+          ],
+          mid: [
+            "Finish one task you started but never completed.",
+            "Set a hard deadline for today's main task and beat it.",
+            "Define 'done' before you start your next task."
+          ],
+          high: [
+            "Deliver one meaningful result ahead of schedule.",
+            "Review a recent project and write down what slowed you down.",
+            "Delegate or drop one low-value task to free up execution time."
+          ]
+        },
+        consistency: {
+          low: [
+            "Choose one daily action and do it at the same time today.",
+            "Put a visible tracker on your wall or desk and mark today.",
+            "Prepare tonight what you need for tomorrow's routine."
+          ],
+          mid: [
+            "Keep your routine going even on a low-energy day — do the minimum version.",
+            "Plan how you'll handle the next missed day before it happens.",
+            "Repeat yesterday's best habit at the same time today."
+          ],
+          high: [
+            "Extend your streak and raise the bar on one habit slightly.",
+            "Review the last week and note which day was hardest to show up.",
+            "Help a friend start a routine you've mastered."
+          ]
+        }
+      }
+    },
+
+    result: {
+      pageTitle: "NeuroForge X — Your Mind Blueprint",
+      titleLead: "Your",
+      titleHighlight: "Mind Blueprint",
+      subtitle: "This is your personalized cognitive profile generated by NeuroForge X.",
+      mindType: "🧠 Mind Type",
+      score: "📊 Cognitive Score",
+      rankProgress: "📈 Rank Progress",
+      analysis: "🔍 Analysis Summary",
+      plan: "🗓️ 7-Day Upgrade Plan",
+      toDashboard: "📊 Go to Dashboard",
+      retake: "🔁 Retake Analysis",
+      download: "⬇️ Download PDF Report",
+      missing: "This analysis doesn't exist any more.",
+      toTimeline: "🧬 Pick one from your timeline",
+      note: "⚠️ This is an experimental prototype. Not medical or psychological advice.",
+      mindDesc: "Strongest: {strongest} · Focus area: {weakest}",
+      rank: "🏆 Rank: {rank}",
+      toRank: "{percent} to {rank}",
+      level: "🧬 Level {level} — {percent} to next level"
+    },
+
+    dashboard: {
+      pageTitle: "NeuroForge X — Dashboard",
+      welcome: "Welcome back,",
+      subtitle: "This is your NeuroForge X control center. Track your mind, progress, and evolution.",
+      stats: "Dashboard Stats",
+      mindType: "🧠 Mind Type",
+      mindTypeHint: "Current cognitive profile",
+      lastScore: "📊 Last Score",
+      lastScoreHint: "From last analysis",
+      lastAnalysis: "🗓️ Last Analysis",
+      lastAnalysisHint: "Latest report date",
+      rank: "🏆 Rank",
+      rankHint: "Your current level",
+      planProgress: "🗓️ Plan Progress",
+      planProgressHint: "Tasks done in your active 7-day plan",
+      focusSessions: "⏱️ Focus Sessions",
+      focusSessionsHint: "Completed focus sessions",
+      focusTime: "⌛ Focus Time",
+      focusTimeHint: "Focused in the last 7 days",
+      focusToday: "{today} today · {total} total",
+      minutes: "{minutes} min",
+      planDone: "{done} / {total}",
+      growth: "📈 Growth Progress",
+      rankProgress: "Rank Progress",
+      noRankYet: "Run an analysis to see how close the next rank is",
+      charts: "📉 Progress Charts",
+      quickActions: "⚡ Quick Actions",
+      quickActionsLabel: "Quick actions",
+      insights: "🔎 Insights",
+      allInsights: "🧭 All insights on your profile",
+      viewReport: "📄 View Last Report",
+      newAnalysis: "🔁 Run New Analysis",
+      history: "🧬 View Mind History",
+      download: "⬇️ Download PDF Report",
+      soon: "🚀 Soon you will see your full mind evolution timeline and achievements here."
+    },
+
+    checkin: {
+      metrics: { mood: "Mood", energy: "Energy", focus: "Focus" },
+      title: "📝 Daily Check-in",
+      intro: "A 10-second pulse. Keeps your streak alive without a full analysis.",
+      mood: "🙂 Mood",
+      energy: "⚡ Energy",
+      focus: "🎯 Focus",
+      note: "Note (optional)",
+      notePlaceholder: "What's on your mind today?",
+      submit: "✅ Check in (+{xp} XP)",
+      update: "💾 Update check-in",
+      statusDone: "✅ Checked in today — submit again to update it.",
+      statusNone: "No check-in yet today.",
+      line: "{icon} {label}: {description}",
+      empty: "🔎 Check in between a few analyses to see how your daily pulse relates to your scores.",
+      correlation: {
+        strong: {
+          positive: "strong positive link with your analysis scores (r = {r})",
+          negative: "strong negative link with your analysis scores (r = {r})"
+        },
+        moderate: {
+          positive: "moderate positive link with your analysis scores (r = {r})",
+          negative: "moderate negative link with your analysis scores (r = {r})"
+        },
+        weak: {
+          positive: "weak positive link with your analysis scores (r = {r})",
+          negative: "weak negative link with your analysis scores (r = {r})"
+        }
+      },
+      timeline: "📝 Daily check-in",
+      values: "{icon} {label} {value}"
+    },
+
+    habits: {
+      title: "✅ Habits & Goals",
+      empty: "No habits yet — add one below or pick a suggestion on your profile.",
+      adherenceTitle: "Adherence by dimension (last 28 days)",
+      newTitle: "➕ New habit or goal",
+      fieldTitle: "Title",
+      type: "Type",
+      typeHabit: "Habit (ongoing)",
+      typeGoal: "Goal (target number of times)",
+      dimension: "Dimension",
+      repeats: "Repeats",
+      custom: "On chosen days",
+      days: "Days",
+      target: "Target (times)",
+      add: "➕ Add",
+      daily: "Every day",
+      weekly: "Once a week",
+      notDue: "not due today",
+      goalProgress: "🎯 {done}/{target}",
+      reached: "🏁 Reached",
+      done: "✅ Done",
+      doneXP: "☐ Done (+{xp} XP)",
+      archive: "🗄️ Archive",
+      archiveLabel: "Archive {title}",
+      adherence: "{percent} ({done}/{expected})",
+      adherenceRow: "{icon} {label}: {value}",
+      adherenceLabel: "{label} adherence",
+      nothingScheduled: "nothing scheduled yet",
+      noHabits: "no habits",
+      focusArea: "🎯 Focus area: {icon} {label}. Habits that build it:",
+      allTracked: "✅ You're already tracking every suggestion — keep going.",
+      suggestion: "{title} ({recurrence}) ",
+      addSuggestion: "➕ Add habit",
+      suggestions: {
+        focus_block: "25-minute phone-free focus block",
+        focus_key_task: "Pick tomorrow's one key task before bed",
+        focus_deep_work: "One 90-minute deep work session",
+        discipline_wake: "Wake up at the same time",
+        discipline_hardest: "Do the hardest task first",
+        discipline_review: "Review this week's commitments",
+        execution_ship: "Ship one small finished thing",
+        execution_next_actions: "Break a project into next actions",
+        execution_finish: "Finish before starting something new",
+        consistency_minimum: "Two-minute version of your routine",
+        consistency_log: "Log today's routine in one line",
+        consistency_schedule: "Schedule next week's sessions"
+      }
+    },
+
+    focus: {
+      title: "⏱️ Focus Session",
+      work: "Work (min)",
+      break: "Break (min)",
+      tag: "Tag",
+      tagPlaceholder: "optional, e.g. thesis",
+      start: "▶️ Start",
+      pause: "⏸️ Pause",
+      resume: "▶️ Resume",
+      stop: "⏹️ Stop & log",
+      skipBreak: "⏭️ Skip break",
+      phases: {
+        idle: "Ready when you are.",
+        work: "🎯 Focus — one task, no distractions.",
+        break: "☕ Break — step away from the screen."
+      },
+      paused: "{phase} (paused)",
+      started: {
+        one: "⏱️ Focus session started — {count} minute",
+        other: "⏱️ Focus session started — {count} minutes"
+      },
+      complete: "☕ Session complete — time for a break",
+      breakOver: "🔔 Break over — ready for another round?",
+      sinceEntry: {
+        one: "⏱️ {count} focus session ({minutes} min) since the previous analysis",
+        other: "⏱️ {count} focus sessions ({minutes} min) since the previous analysis"
+      }
+    },
+
+    // Trend insights (core/insights.js); slopes arrive signed ("+0.5")
+    insights: {
+      empty: "📊 Run your first analysis to see insights here.",
+      needMore: {
+        one: "🔎 {count} more analysis unlocks trend insights.",
+        other: "🔎 {count} more analyses unlock trend insights."
+      },
+      totalDown: "📉 Your total score is trending down.",
+      totalUp: "📈 Your total score is climbing.",
+      totalFlat: "➖ Your total score has levelled off.",
+      decline: "⚠️ {dimension} is declining.",
+      plateau: "⏸️ {dimension} has plateaued — a new habit can get it moving.",
+      improving: "💪 {dimension} is improving.",
+      bottleneck: {
+        one: "🎯 {dimension} is holding back {next}: {count} more point gets you there.",
+        other: "🎯 {dimension} is holding back {next}: {count} more points get you there."
+      },
+      bottleneckFar: {
+        one: "🎯 {dimension} is your weakest dimension; {next} is {count} point away — lift the others too.",
+        other: "🎯 {dimension} is your weakest dimension; {next} is {count} points away — lift the others too."
+      },
+      bottleneckDetail: "{percent} of the way to {next} · {dimension} at {score}/{max}",
+      topRank: "🏆 You're in the top band ({rank}) — keep your scores there.",
+      streakHelps: "🔥 Longer streaks go with bigger score gains.",
+      streakHurts: "🔥 Your scores haven't risen with longer streaks yet — aim for quality over count.",
+      trendDetail: {
+        one: "{from} → {to} moving average · {slope} per analysis over the last {count} analysis",
+        other: "{from} → {to} moving average · {slope} per analysis over the last {count} analyses"
+      },
+      flatDetail: {
+        one: "Around {average} over the last {count} analysis",
+        other: "Around {average} over the last {count} analyses"
+      },
+      streakDetail: "Average change {withStreak} on a streak of {days}+ days vs {withoutStreak} without (r = {r})",
+      correlationDetail: "Streak length vs score change: r = {r}"
+    },
+
+    profile: {
+      pageTitle: "NeuroForge X — Mind Evolution",
+      titleLead: "Your",
+      titleHighlight: "Mind Evolution",
+      subtitle: "This is your cognitive journey. Every analysis upgrades your rank, clarity, and execution power.",
+      currentRank: "🏆 Current Rank",
+      nextRank: "Next Rank: {rank} ({percent} progress)",
+      charts: "📉 Progress Charts",
+      achievements: "🏅 Achievements",
+      ledger: "📒 XP Ledger",
+      rebuild: "🔧 Rebuild from history",
+      streakRules: "🧊 Streak Rules",
+      restDays: "Rest days (never break a streak)",
+      grace: "Grace after midnight (hours)",
+      decay: "Inactivity decay",
+      decayFlat: "Flat (same every day)",
+      decayCapped: "Capped (stops at a maximum)",
+      decayExponential: "Exponential (grows each day)",
+      decayPerDay: "XP per missed day",
+      decayCap: "Cap (capped curve)",
+      saveRules: "💾 Save rules",
+      reminders: "🔔 Reminders",
+      remindersIntro: "Local notifications from this device only. Nothing is sent anywhere.",
+      remindersEnable: "Enable reminders",
+      remindersCheckin: "Daily check-in at",
+      remindersStreak: "Streak about to lapse at",
+      remindersSave: "💾 Save reminders",
+      direction: "🧭 Growth Direction",
+      profiles: "👥 Profiles",
+      profilesIntro: "Everyone sharing this device gets their own history, XP and achievements.",
+      profileName: "Name",
+      createProfile: "➕ Create profile",
+      data: "💾 Your Data",
+      export: "Export",
+      exportProfile: "This profile",
+      exportAll: "All profiles",
+      exportJSON: "📤 Export JSON",
+      importJSON: "📥 Import JSON",
+      mode: "Mode",
+      modeReplace: "Replace local data",
+      modeMerge: "Merge with local data",
+      reset: "♻️ Reset",
+      sync: "☁️ Sync (optional)",
+      syncIntro: "Keep your data in step across devices via your own server. Nothing is sent until you enable it.",
+      syncEnable: "Enable sync",
+      syncEndpoint: "Endpoint",
+      syncToken: "Token",
+      syncTokenPlaceholder: "optional",
+      syncSave: "💾 Save & Sync",
+      importPreview: "Import preview",
+      importApply: "✅ Apply Import",
+      newAnalysis: "🚀 Run New Analysis",
+      backHome: "⬅ Back to Home",
+      note: "⚠️ This is a prototype. Data stays in this browser unless you enable sync."
+    },
+
+    timeline: {
+      title: "🧬 Evolution Timeline",
+      filters: "Filter the timeline",
+      search: "Search",
+      searchPlaceholder: "Notes, rank, mind type",
+      from: "From",
+      to: "To",
+      show: "Show",
+      everything: "Everything",
+      analyses: "Analyses",
+      checkins: "Check-ins",
+      rank: "Rank",
+      mindType: "Mind type",
+      anyRank: "Any rank",
+      anyMindType: "Any mind type",
+      sort: "Sort",
+      newest: "Newest first",
+      oldest: "Oldest first",
+      highest: "Highest score",
+      lowest: "Lowest score",
+      clear: "♻️ Clear filters",
+      future: "Future",
+      futureText: "🚀 Your next upgraded version is waiting...",
+      entryMindType: "🧠 {mindType}",
+      entryScore: "📊 Score: {score}",
+      entryRank: "🏆 Rank: {rank}",
+      note: "📝 {note}",
+      compare: " Compare",
+      export: "⬇️ Export",
+      delete: "🗑️ Delete",
+      viewReport: "📄 View Report",
+      journal: "📓 Journal ({count})",
+      addNote: "📝 Add note",
+      editNote: "📝 Edit note",
+      notePrompt: "Note for the analysis from {date} (max {max} characters)",
+      confirmDelete: "Delete the analysis from {date}? This cannot be undone.",
+      confirmDeleteXP: "Delete the analysis from {date}? The {xp} XP it earned will be removed. This cannot be undone.",
+      noMatches: "🔍 No entries match these filters.",
+      showing: {
+        one: "Showing {shown} of {count} entry",
+        other: "Showing {shown} of {count} entries"
+      },
+      inTotal: " ({total} in total)",
+      pickAnother: " · select one more analysis to compare",
+      more: "⬇️ Show {count} more",
+      moreStatic: "⬇️ Show more",
+      compareTitle: "⚖️ {from} → {to}",
+      dimension: "Dimension",
+      change: "Change",
+      total: "📊 Total",
+      compareRank: "🏆 Rank",
+      compareMindType: "🧠 Mind type",
+      closeCompare: "✖️ Close comparison"
+    },
+
+    settings: {
+      pageTitle: "NeuroForge X — Settings",
+      titleLead: "Engine",
+      titleHighlight: "Settings",
+      subtitle: "Tune how XP, levels and ranks are scored. Past analyses keep the rank they were given.",
+      language: "🌐 Language",
+      languageIntro: "Applies right away on this device. Dates and numbers follow the language too.",
+      languageLabel: "Language",
+      prefs: {
+        title: "🎨 Appearance & accessibility",
+        intro: "Applies right away on this device. \"System\" follows your operating system settings.",
+        theme: "Theme",
+        themes: { system: "System", dark: "Dark", light: "Light", contrast: "High contrast" },
+        fontScale: "Text size",
+        motion: "Motion",
+        motions: { system: "System", reduce: "Reduced", full: "Full" },
+        toastAutoDismiss: "Hide notifications automatically",
+        toastHint: "Notifications pause while the pointer or keyboard focus is on them; Escape dismisses the current one.",
+        reset: "↩️ Restore appearance defaults"
+      },
+      general: "⚙️ General",
+      toastDisplayMs: "Toast duration (ms)",
+      inactivityPenalty: "Inactivity penalty (XP per missed day)",
+      baseXP: "Base XP per analysis",
+      curve: "🧬 Level Curve",
+      curveFormulaLead: "XP to finish level n = base × n",
+      curveFormulaPower: "exponent",
+      curveFormulaTail: " + XP per level × n",
+      curveBase: "Base",
+      curveExponent: "Exponent",
+      curvePerLevel: "XP per level",
+      ranks: "🏆 Rank Bands",
+      addRank: "➕ Add band",
+      lore: "📜 Lore Titles",
+      loreIntro: "Each title applies from its level until the next one. The first starts at level 1.",
+      addLore: "➕ Add title",
+      save: "💾 Save settings",
+      restore: "↩️ Restore defaults",
+      note: "⚠️ Settings are stored in this browser and included in JSON exports.",
+      scaleNote: "Scores run from 0 to {max}. Bands must cover every score in order, without gaps or overlaps.",
+      preview: "Level {level}: {xp} XP",
+      confirmReset: "Restore the default settings?",
+      rows: {
+        name: "Rank",
+        mindType: "Mind type",
+        min: "From",
+        max: "To",
+        minLevel: "From level",
+        title: "Title",
+        remove: "Remove row"
+      },
+      fields: {
+        toastDisplayMs: "Toast duration (ms)",
+        inactivityPenaltyPerDay: "Inactivity penalty per day",
+        onboardingBaseXP: "Base XP per analysis",
+        base: "Level curve base",
+        exponent: "Level curve exponent",
+        perLevel: "Level curve XP per level"
+      },
+      errors: {
+        settingsObject: "Settings must be an object",
+        wholeNumber: "{label} must be a whole number from {min} to {max}",
+        number: "{label} must be a number from {min} to {max}",
+        required: "{label} is required",
+        tooLong: "{label} is longer than {max} characters",
+        notObject: "{label} is not an object",
+        rankRequired: "At least one rank band is required",
+        band: "Rank band {n}",
+        bandName: "Rank band {n} name",
+        bandMindType: "Rank band {n} mind type",
+        bandId: "{label} needs an id made of a-z, 0-9, \"_\" or \"-\"",
+        repeatsId: "{label} repeats the id \"{id}\"",
+        repeatsName: "{label} repeats the rank name \"{name}\"",
+        bandRange: "{label} needs whole-number scores with \"from\" ≤ \"to\"",
+        bandStart: "{label} must start at 0",
+        overlap: "{label} overlaps the band before it",
+        gap: "Scores {from}–{to} are not covered by any band",
+        bandEnd: "{label} must end at {max}",
+        loreRequired: "At least one lore title is required",
+        lore: "Lore title {n}",
+        loreLevel: "{label} needs a level of at least 1",
+        loreStart: "{label} must start at level 1",
+        loreOrder: "{label} must start after the title before it"
+      }
+    },
+
+    import: {
+      upgrading: "🔄 Upgrading export from schema v{from} to v{to}",
+      replace: "🗑️ Replace {before} local analyses with {after} imported",
+      add: "➕ Add {count} new analyses ({before} → {after})",
+      settings: "⚙️ Settings: replaced with the exported ones",
+      focusSessions: "⏱️ Focus sessions: {from} → {to}",
+      habits: "✅ Habits & goals: {from} → {to}",
+      checkins: "📝 Check-ins: {from} → {to}",
+      journal: "📓 Journal entries: {from} → {to}",
+      journalUpdated: "📓 Journal entries updated: {count}",
+      unlock: "🏅 Unlock: {list}",
+      remove: "🔒 Remove: {list}",
+      xp: "✨ XP: {from} → {to}",
+      streak: "🔥 Streak: {from} → {to}",
+      lastActive: "🗓️ Last active: {from} → {to}",
+      skipped: "⚠️ Skipped {message}",
+      nothing: "✅ Nothing to change",
+      profile: "👤 {name}",
+      profileNew: "👤 {name} (new profile)",
+      items: {
+        history: "History #{n}: {errors}",
+        deleted: "Analysis {id} ({date}): deleted on this device, not restored",
+        habit: "Habit #{n}: {errors}",
+        focus: "Focus session #{n}: {errors}",
+        journal: "Journal entry #{n}: {errors}",
+        checkin: "Check-in #{n}: {errors}",
+        event: "Event #{n}: {errors}",
+        settings: "Settings: {errors}",
+        achievement: "Unknown achievement \"{id}\"",
+        lastActive: "Invalid lastActive",
+        xp: "Invalid xp",
+        streak: "Invalid streak",
+        profile: "Profile #{n}: {errors}",
+        noData: "no data"
+      }
+    },
+
+    charts: {
+      scoreEmpty: "📊 Run an analysis to see your score trend.",
+      scoreTitle: "Total score over time",
+      scoreDesc: {
+        one: "{count} analysis. Latest score {score} of {max} ({rank}) on {date}.",
+        other: "{count} analyses. Latest score {score} of {max} ({rank}) on {date}."
+      },
+      scoreCaption: "Total score per analysis",
+      date: "Date",
+      score: "Score",
+      rank: "Rank",
+      radarEmpty: "🧠 Run an analysis to see your dimension profile.",
+      radarTitle: "Latest dimension scores",
+      radarTitleCompared: "Latest dimension scores compared with the previous analysis",
+      radarDesc: "Out of {max}: {summary}.",
+      radarValue: "{label} {value}",
+      radarValueWas: "{label} {value} (was {previous})",
+      radarCaption: "Dimension scores",
+      dimension: "Dimension",
+      latest: "Latest",
+      previous: "Previous",
+      xpEmpty: "✨ Earn XP to see your growth curve.",
+      xpTitle: "XP over time",
+      xpDesc: {
+        one: "{count} day recorded. Currently {xp} XP as of {date}; peak {peak} XP.",
+        other: "{count} days recorded. Currently {xp} XP as of {date}; peak {peak} XP."
+      },
+      xpCaption: "XP per day",
+      xp: "XP",
+      checkinEmpty: "📝 Check in daily to see your mood, energy and focus trends.",
+      checkinTitle: "Daily check-ins compared with analyses",
+      checkinDesc: "{checkins} check-ins and {analyses} analyses. Latest check-in on {date}: {values}.",
+      checkinValue: "{label} {value} of {max}",
+      checkinCaption: "Daily check-ins",
+      analysisMarker: "│ analysis score",
+      scoreOverTime: "📊 Score Over Time",
+      radar: "🧠 Dimension Radar",
+      xpOverTime: "✨ XP Over Time",
+      checkinsVsAnalyses: "📝 Check-ins vs Analyses"
+    },
+
+    report: {
+      title: "🧠 NeuroForge X — Mind Blueprint",
+      dates: "Analysis date: {date} · Exported: {exported}",
+      mindType: "Mind Type",
+      scoreRank: "Score: {score} · Rank: {rank}",
+      dimension: "Dimension",
+      score: "Score",
+      perDimension: "Scores per Dimension",
+      rankProgress: "Rank Progress",
+      levelXP: "Level & XP",
+      lore: "{title} — Level {level}",
+      xpLine: "{xp} XP total · {current} / {required} XP into this level",
+      analysis: "Analysis Summary",
+      plan: "7-Day Upgrade Plan",
+      journal: "Journal",
+      disclaimer: "⚠️ Experimental prototype. Not medical or psychological advice.",
+      noAnalysis: "📄 No analysis to export yet — run your first analysis."
+    },
+
+    journal: {
+      pageTitle: "NeuroForge X — Journal",
+      titleLead: "Mind",
+      titleHighlight: "Journal",
+      subtitle: "Write down why a week went the way it did. Attach notes to a day or to an analysis.",
+      write: "✍️ Write",
+      day: "Day",
+      analysis: "Analysis",
+      tags: "Tags",
+      tagsPlaceholder: "sleep, deep work",
+      markdownHint: "Markdown: **bold**, *italic*, `code`, # headings, - lists, > quotes, [links](https://…)",
+      textPlaceholder: "What helped? What got in the way?",
+      save: "💾 Save entry",
+      update: "💾 Update entry",
+      cancelEdit: "✖️ Cancel edit",
+      preview: "Preview",
+      previewEmpty: "The preview appears here as you type.",
+      entries: "📓 Entries",
+      search: "Search",
+      searchPlaceholder: "Words or #tags",
+      note: "⚠️ Journal entries are stored in this browser and included in JSON exports and printed reports.",
+      justDay: "— Just the day —",
+      analysisOption: "🧠 {date} · {rank} ({score})",
+      analysisMeta: " · 🧠 {mindType}, {rank}",
+      tagLabel: "Show entries tagged {tag}",
+      edit: "✏️ Edit",
+      delete: "🗑️ Delete",
+      confirmDelete: "Delete this journal entry from {date}?",
+      deleted: "🗑️ Journal entry deleted",
+      saved: "📓 Journal entry saved",
+      updated: "📓 Journal entry updated",
+      empty: "📓 No entries yet. Write your first one above.",
+      count: {
+        one: "📓 {count} entry",
+        other: "📓 {count} entries"
+      },
+      matches: "🔍 {count} of {total} entries match",
+      noMatches: "🔍 No entries match your search."
+    },
+
+    cohort: {
+      pageTitle: "NeuroForge X — Cohort",
+      titleLead: "Team",
+      titleHighlight: "Cohort",
+      subtitle: "Load your teammates' JSON exports to compare progress. Files are read in this tab only and never stored or sent.",
+      members: "📥 Members",
+      addFiles: "📄 Add export files",
+      addFolder: "📁 Add a folder",
+      clear: "♻️ Clear",
+      leaderboard: "🏆 Leaderboard",
+      rankBy: "Rank by",
+      sorts: { level: "Level", xp: "XP", streak: "Streak", averageScore: "Average score" },
+      privacy: "Privacy mode (aggregates only)",
+      trends: "📉 Cohort Trends",
+      radar: "🧠 Combined Dimension Radar",
+      perMonth: "📊 Average Score per Month",
+      exportTitle: "📤 Cohort Export",
+      exportIntro: "Bundles member summaries without raw answers, notes or logs. In privacy mode only the averages are included.",
+      export: "📤 Export cohort",
+      exported: "📤 Cohort exported",
+      exportedAggregates: "📤 Cohort aggregates exported",
+      summaryMembers: {
+        one: "👥 {count} member · {analyses} analyses",
+        other: "👥 {count} members · {analyses} analyses"
+      },
+      summaryLevel: "🧬 Average level {level} · ✨ average XP {xp}",
+      summaryStreak: "🔥 Average streak {streak} days",
+      summaryScore: "📊 Average score {score} / {max}",
+      summaryEmpty: "📥 Load member exports to build the cohort.",
+      privacyOn: "🔒 Privacy mode is on: only cohort averages are shown.",
+      boardEmpty: "🏆 The leaderboard appears once member exports are loaded.",
+      caption: "Cohort leaderboard by {sort}",
+      columns: { member: "Member", level: "Level", xp: "XP", streak: "Streak", score: "Avg score", analyses: "Analyses" },
+      average: "Cohort average",
+      radarTitle: "Cohort average dimension scores (latest analyses)",
+      aggregatesOnly: "contains aggregates only (privacy mode)",
+      loaded: {
+        one: "📥 Loaded {count} member from {files} file(s).",
+        other: "📥 Loaded {count} members from {files} file(s)."
+      },
+      skipped: " ⚠️ Skipped {list}",
+      noFiles: "⚠️ No .json files found."
+    },
+
+    reminders: {
+      needsHttp: "🔕 Reminders need the app to be served over http(s).",
+      unsupported: "🔕 This browser doesn't support notifications.",
+      blocked: "🔕 Notifications are blocked for this site in your browser settings.",
+      off: "🔕 Reminders are off.",
+      checkinAt: "check-in at {time}",
+      streakAt: "streak warning at {time}",
+      on: "🔔 Reminders on: {list}.",
+      none: "🔕 No reminders selected.",
+      saved: "🔔 Reminders saved",
+      savedOff: "🔕 Reminders off",
+      checkinTitle: "📝 Daily check-in",
+      checkinBody: "Take 10 seconds to log your mood, energy and focus.",
+      streakTitle: "🔥 Your streak is about to lapse",
+      streakBody: {
+        one: "Your {count}-day streak ends at midnight. A quick check-in keeps it alive.",
+        other: "Your {count}-day streak ends at midnight. A quick check-in keeps it alive."
+      }
+    },
+
+    sync: {
+      status: {
+        disabled: "☁️ Sync is off",
+        pending: "⏳ Changes waiting to sync",
+        syncing: "🔄 Syncing…",
+        synced: "✅ Synced",
+        offline: "📴 Offline — changes will sync when you reconnect",
+        error: "❌ Sync failed"
+      },
+      at: "{status} at {time}",
+      queued: "{status} ({count} queued)",
+      failed: "{status} — {error}"
+    },
+
+    home: {
+      pageTitle: "NeuroForge X — Forge Your Mind",
+      titleForge: "Forge Your",
+      titleMind: "Mind",
+      titleShape: "Shape Your",
+      titleFuture: "Future",
+      subtitle: "NeuroForge X is a next-generation cognitive engine that analyzes how you think, plan, focus, and execute — then generates a personalized growth blueprint to help you upgrade your life.",
+      features: "Key features",
+      profiling: "🧠 Mind Profiling",
+      scoring: "📊 Cognitive Scoring",
+      plan: "🗓️ Personalized Action Plan",
+      blueprint: "⚡ Growth Blueprint",
+      start: "Start Mind Analysis",
+      startLabel: "Start the mind analysis process",
+      note: "🚀 Experimental prototype — advanced AI-powered features coming soon."
+    }
+  }
+});
+
+/* End of en.js */
@@ -0,0 +1,115 @@
+/* prefs.js - Display and accessibility preferences
+   - theme: "system" (follows prefers-color-scheme and prefers-contrast),
+     "dark", "light" or "contrast"
+   - fontScale: multiplies the root font size (every size in style.css is rem)
+   - motion: "system" (follows prefers-reduced-motion), "reduce" or "full"
+   - toastAutoDismiss: false keeps each toast until it is dismissed
+   - Applied to <html> as data-theme / data-motion / --font-scale. This file is
+     loaded in <head> without defer so the first paint already uses them.
+   - Remembered per browser, like the language; "neuroforge:prefs-changed" is
+     dispatched after a change, including one made in the OS settings
+*/
+
+const NeuroforgePrefs = (function () {
+  // Kept outside the "neuroforge_" prefix so profile storage never moves it
+  const STORAGE_KEY = "neuroforge.prefs";
+
+  const THEMES = ["system", "dark", "light", "contrast"];
+  const MOTIONS = ["system", "reduce", "full"];
+  const FONT_SCALES = [0.9, 1, 1.15, 1.3, 1.5];
+  const DEFAULTS = Object.freeze({ theme: "system", fontScale: 1, motion: "system", toastAutoDismiss: true });
+
+  // <meta name="theme-color"> per resolved theme (browser chrome, task switcher)
+  const THEME_COLORS = { dark: "#070b14", light: "#f4f6fb", contrast: "#000000" };
+
+  const media = (query) => (typeof window.matchMedia === "function" ? window.matchMedia(query) : null);
+  const LIGHT = media("(prefers-color-scheme: light)");
+  const MORE_CONTRAST = media("(prefers-contrast: more)");
+  const REDUCED_MOTION = media("(prefers-reduced-motion: reduce)");
+
+  // ====== STORE ======
+  function normalize(raw) {
+    const src = raw && typeof raw === "object" ? raw : {};
+    const scale = Number(src.fontScale);
+    return {
+      theme: THEMES.includes(src.theme) ? src.theme : DEFAULTS.theme,
+      fontScale: FONT_SCALES.includes(scale) ? scale : DEFAULTS.fontScale,
+      motion: MOTIONS.includes(src.motion) ? src.motion : DEFAULTS.motion,
+      toastAutoDismiss: typeof src.toastAutoDismiss === "boolean" ? src.toastAutoDismiss : DEFAULTS.toastAutoDismiss
+    };
+  }
+
+  function get() {
+    try {
+      return normalize(JSON.parse(localStorage.getItem(STORAGE_KEY)));
+    } catch (err) {
+      return normalize(null);
+    }
+  }
+
+  function set(patch) {
+    const next = normalize(Object.assign(get(), patch));
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+    } catch (err) {
+      console.warn("Could not remember the display preferences", err);
+    }
+    apply(next);
+    return next;
+  }
+
+  function reset() {
+    try {
+      localStorage.removeItem(STORAGE_KEY);
+    } catch (err) {
+      console.warn("Could not reset the display preferences", err);
+    }
+    apply(get());
+    return get();
+  }
+
+  // ====== RESOLVED VALUES ======
+  function resolveTheme(prefs = get()) {
+    if (prefs.theme !== "system") return prefs.theme;
+    if (MORE_CONTRAST && MORE_CONTRAST.matches) return "contrast";
+    return LIGHT && LIGHT.matches ? "light" : "dark";
+  }
+
+  function reducedMotion(prefs = get()) {
+    if (prefs.motion !== "system") return prefs.motion === "reduce";
+    return !!(REDUCED_MOTION && REDUCED_MOTION.matches);
+  }
+
+  // ====== DOM ======
+  function apply(prefs = get(), { notify = true } = {}) {
+    const html = document.documentElement;
+    const theme = resolveTheme(prefs);
+    html.setAttribute("data-theme", theme);
+    html.setAttribute("data-motion", reducedMotion(prefs) ? "reduce" : "full");
+    html.style.setProperty("--font-scale", String(prefs.fontScale));
+    html.style.colorScheme = theme === "light" ? "light" : "dark";
+    const meta = document.querySelector("meta[name='theme-color']");
+    if (meta) meta.setAttribute("content", THEME_COLORS[theme]);
+    if (notify) {
+      document.dispatchEvent(new CustomEvent("neuroforge:prefs-changed", { detail: Object.assign({ resolvedTheme: theme }, prefs) }));
+    }
+  }
+
+  // "system" choices follow the OS while the app is open
+  [LIGHT, MORE_CONTRAST, REDUCED_MOTION].forEach(query => {
+    if (query && typeof query.addEventListener === "function") query.addEventListener("change", () => apply());
+  });
+
+  // Before first paint; nothing listens yet
+  apply(get(), { notify: false });
+
+  return {
+    get, set, reset, resolveTheme, reducedMotion,
+    THEMES: Object.freeze(THEMES.slice()),
+    MOTIONS: Object.freeze(MOTIONS.slice()),
+    FONT_SCALES: Object.freeze(FONT_SCALES.slice()),
+    DEFAULTS
+  };
+})();
+
+/* End of prefs.js */
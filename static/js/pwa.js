@@ -0,0 +1,215 @@
+/* pwa.js - Installable app shell and local reminders
+   - Registers the service worker (sw.js) that makes the app work offline
+   - Reminder settings: daily check-in and "streak about to lapse" times
+   - Reports reminder state to the service worker, which decides when to
+     notify (Notifications API); nothing leaves the device
+   - While a page is open, wakes the worker at the next reminder time; an
+     installed app also gets periodic background sync where supported
+   - Notification texts are sent along in the active language
+*/
+
+const NeuroforgePWA = (function () {
+  const i18n = NeuroforgeI18n;
+  const SETTINGS_KEY = "neuroforge_reminders";
+  const DEFAULT_SETTINGS = {
+    enabled: false,
+    checkinEnabled: true,
+    checkinTime: "20:00",
+    streakEnabled: true,
+    streakTime: "21:00"
+  };
+  const PERIODIC_SYNC_TAG = "neuroforge-reminders";
+  // Longer timeouts are re-armed rather than trusted across sleep
+  const MAX_TIMER_MS = 60 * 60 * 1000;
+
+  let registration = null;
+  let reminderTimer = null;
+
+  const supported = () => "serviceWorker" in navigator && /^https?:$/.test(location.protocol);
+  const notificationsSupported = () => typeof Notification !== "undefined";
+
+  // ====== SETTINGS ======
+  function isTime(value) {
+    return /^([01]\d|2[0-3]):[0-5]\d$/.test(String(value));
+  }
+
+  function getSettings() {
+    let stored = {};
+    try {
+      stored = JSON.parse(Neuroforge.getStorageAdapter().getItem(SETTINGS_KEY) || "{}");
+    } catch (err) {
+      console.warn("Corrupt reminder settings", err);
+    }
+    const s = Object.assign({}, DEFAULT_SETTINGS, stored);
+    if (!isTime(s.checkinTime)) s.checkinTime = DEFAULT_SETTINGS.checkinTime;
+    if (!isTime(s.streakTime)) s.streakTime = DEFAULT_SETTINGS.streakTime;
+    return s;
+  }
+
+  function saveSettings(patch) {
+    const settings = Object.assign(getSettings(), patch);
+    Neuroforge.getStorageAdapter().setItem(SETTINGS_KEY, JSON.stringify(settings));
+    reportState();
+    return getSettings();
+  }
+
+  // ====== SERVICE WORKER ======
+  function register() {
+    if (!supported()) return Promise.resolve(null);
+    return navigator.serviceWorker.register("sw.js")
+      .then(reg => navigator.serviceWorker.ready.then(() => { registration = reg; return reg; }))
+      .catch(err => {
+        console.warn("Service worker registration failed", err);
+        return null;
+      });
+  }
+
+  function postToWorker(message) {
+    if (!registration || !registration.active) return;
+    registration.active.postMessage(message);
+  }
+
+  // The worker has no catalog, so it gets the finished texts
+  function reminderState() {
+    const checkins = Neuroforge.getCheckins();
+    const streak = Neuroforge.getStreak();
+    return {
+      settings: getSettings(),
+      lastActive: Neuroforge.getLastActive(),
+      streak,
+      lastCheckin: checkins.length ? checkins[checkins.length - 1].date : null,
+      texts: {
+        checkinTitle: i18n.t("reminders.checkinTitle"),
+        checkinBody: i18n.t("reminders.checkinBody"),
+        streakTitle: i18n.t("reminders.streakTitle"),
+        streakBody: i18n.t("reminders.streakBody", { count: streak })
+      }
+    };
+  }
+
+  function reportState() {
+    postToWorker({ type: "reminder-state", state: reminderState() });
+    scheduleNextCheck();
+  }
+
+  function registerPeriodicSync() {
+    if (!registration || !registration.periodicSync) return;
+    registration.periodicSync.register(PERIODIC_SYNC_TAG, { minInterval: 60 * 60 * 1000 })
+      .catch(() => { /* not installed or permission not granted; page timers still work */ });
+  }
+
+  // ====== SCHEDULING ======
+  function nextReminderTime(settings, now = new Date()) {
+    if (!settings.enabled) return null;
+    const times = [];
+    if (settings.checkinEnabled) times.push(settings.checkinTime);
+    if (settings.streakEnabled) times.push(settings.streakTime);
+    const candidates = times.map(t => {
+      const [h, m] = t.split(":").map(Number);
+      const d = new Date(now);
+      d.setHours(h, m, 0, 0);
+      if (d <= now) d.setDate(d.getDate() + 1);
+      return d;
+    });
+    return candidates.length ? new Date(Math.min(...candidates)) : null;
+  }
+
+  function scheduleNextCheck() {
+    clearTimeout(reminderTimer);
+    const next = nextReminderTime(getSettings());
+    if (!next) return;
+    const wait = Math.min(MAX_TIMER_MS, next - Date.now());
+    reminderTimer = setTimeout(() => {
+      postToWorker({ type: "check-reminders" });
+      scheduleNextCheck();
+    }, Math.max(1000, wait));
+  }
+
+  // ====== UI ======
+  // "21:00" -> "9:00 PM" in an English locale
+  function clockTime(hhmm) {
+    const [h, m] = hhmm.split(":").map(Number);
+    const d = new Date();
+    d.setHours(h, m, 0, 0);
+    return i18n.formatTime(d);
+  }
+
+  function statusText(settings) {
+    if (!supported()) return i18n.t("reminders.needsHttp");
+    if (!notificationsSupported()) return i18n.t("reminders.unsupported");
+    if (Notification.permission === "denied") return i18n.t("reminders.blocked");
+    if (!settings.enabled) return i18n.t("reminders.off");
+    const parts = [];
+    if (settings.checkinEnabled) parts.push(i18n.t("reminders.checkinAt", { time: clockTime(settings.checkinTime) }));
+    if (settings.streakEnabled) parts.push(i18n.t("reminders.streakAt", { time: clockTime(settings.streakTime) }));
+    return parts.length ? i18n.t("reminders.on", { list: i18n.formatList(parts) }) : i18n.t("reminders.none");
+  }
+
+  function renderStatus() {
+    const el = document.querySelector("#reminderStatus");
+    if (el) el.textContent = statusText(getSettings());
+  }
+
+  function wireReminderForm() {
+    const form = document.querySelector("#reminderForm");
+    if (!form) return;
+    const { remindersEnabled, checkinEnabled, checkinTime, streakEnabled, streakTime } = form.elements;
+    const s = getSettings();
+    remindersEnabled.checked = s.enabled && notificationsSupported() && Notification.permission === "granted";
+    checkinEnabled.checked = s.checkinEnabled;
+    checkinTime.value = s.checkinTime;
+    streakEnabled.checked = s.streakEnabled;
+    streakTime.value = s.streakTime;
+
+    form.addEventListener("submit", (e) => {
+      e.preventDefault();
+      const patch = {
+        enabled: remindersEnabled.checked,
+        checkinEnabled: checkinEnabled.checked,
+        checkinTime: isTime(checkinTime.value) ? checkinTime.value : s.checkinTime,
+        streakEnabled: streakEnabled.checked,
+        streakTime: isTime(streakTime.value) ? streakTime.value : s.streakTime
+      };
+      // Permission can only be requested from a user gesture like this one
+      const permission = patch.enabled && notificationsSupported() && Notification.permission === "default"
+        ? Notification.requestPermission()
+        : Promise.resolve(notificationsSupported() ? Notification.permission : "denied");
+      permission.then(result => {
+        if (patch.enabled && result !== "granted") {
+          patch.enabled = false;
+          remindersEnabled.checked = false;
+        }
+        saveSettings(patch);
+        if (patch.enabled) registerPeriodicSync();
+        renderStatus();
+        Neuroforge.showToast(i18n.t(patch.enabled ? "reminders.saved" : "reminders.savedOff"));
+      });
+    });
+  }
+
+  function init() {
+    register().then(reg => {
+      if (!reg) return;
+      if (getSettings().enabled) registerPeriodicSync();
+      reportState();
+    });
+  }
+
+  document.addEventListener("neuroforge:ready", init);
+  // The reminder settings sit on the profile view
+  NeuroforgeRouter.extend("profile", {
+    mount() {
+      wireReminderForm();
+      renderStatus();
+    }
+  });
+  document.addEventListener("neuroforge:state-changed", reportState);
+  document.addEventListener("neuroforge:locale-changed", () => {
+    renderStatus();
+    reportState();
+  });
+
+  return { getSettings, saveSettings, nextReminderTime };
+})();
+
+/* End of pwa.js */
@@ -0,0 +1,152 @@
+/* report.js - Printable report export (offline, no external service)
+   - Builds a print-optimised report for any history entry
+   - Uses window.print(), so "Save as PDF" in the print dialog produces the PDF
+   - Any element with data-export-report="<index>|latest" triggers it; the
+     result view points its button at the report it shows
+   - Includes the entry's note and its journal entries (Markdown rendered safely)
+   - Written in the active language
+*/
+
+const NeuroforgeReport = (function () {
+  const i18n = NeuroforgeI18n;
+  const CONTAINER_ID = "printReport";
+  const PRINTING_CLASS = "printing-report";
+
+  function el(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text != null) node.textContent = text;
+    return node;
+  }
+
+  function section(title, children) {
+    const s = el("section", "report-section");
+    s.appendChild(el("h2", null, title));
+    children.forEach(c => s.appendChild(c));
+    return s;
+  }
+
+  function list(tag, items) {
+    const l = el(tag);
+    items.forEach(text => l.appendChild(el("li", null, text)));
+    return l;
+  }
+
+  // ====== REPORT BUILDER ======
+  function buildReport(entry) {
+    const N = Neuroforge;
+    const dims = N.QUESTIONNAIRE.dimensions;
+    const scaleMax = N.QUESTIONNAIRE.scale.max;
+    const xpInfo = N.getXPIntoLevel();
+    const rankPercent = N.progressToNextRankPercent(entry.total);
+    const score = (total, max) => i18n.t("common.score", { total: Number(total) || 0, max });
+
+    const root = el("article", "print-report");
+    root.id = CONTAINER_ID;
+
+    const header = el("header", "report-header");
+    header.appendChild(el("h1", null, i18n.t("report.title")));
+    header.appendChild(el("p", "muted", i18n.t("report.dates", {
+      date: i18n.formatDate(entry.date),
+      exported: i18n.formatDate(N.toLocalISODate())
+    })));
+    root.appendChild(header);
+
+    root.appendChild(section(i18n.t("report.mindType"), [
+      el("p", "report-big", N.mindTypeLabel(entry.mindType)),
+      el("p", null, i18n.t("report.scoreRank", { score: score(entry.total, N.CONFIG.MAX_SCORE), rank: N.rankLabel(entry.rank) }))
+    ]));
+
+    const table = el("table", "report-table");
+    const head = el("tr");
+    [i18n.t("report.dimension"), i18n.t("report.score")].forEach(h => head.appendChild(el("th", null, h)));
+    table.appendChild(head);
+    dims.forEach(d => {
+      const tr = el("tr");
+      tr.appendChild(el("td", null, `${d.icon} ${N.dimensionLabel(d.id)}`));
+      tr.appendChild(el("td", null, score(entry[d.id], scaleMax)));
+      table.appendChild(tr);
+    });
+    root.appendChild(section(i18n.t("report.perDimension"), [table]));
+
+    root.appendChild(section(i18n.t("report.rankProgress"), [
+      el("p", null, i18n.t("result.toRank", {
+        percent: i18n.formatPercent(rankPercent),
+        rank: N.rankLabel(N.getNextRank(entry.rank).id)
+      }))
+    ]));
+
+    root.appendChild(section(i18n.t("report.levelXP"), [
+      el("p", null, i18n.t("report.lore", { title: N.loreLabel(xpInfo.level), level: xpInfo.level })),
+      el("p", null, i18n.t("report.xpLine", { xp: N.getXP(), current: xpInfo.current, required: xpInfo.required }))
+    ]));
+
+    root.appendChild(section(i18n.t("report.analysis"), [list("ul", N.getEntryAnalysis(entry))]));
+
+    root.appendChild(section(i18n.t("report.plan"), [
+      list("ol", (entry.plan || []).map(item => `${item.done ? "☑" : "☐"} ${i18n.t("plan.item", {
+        day: item.day,
+        dimension: N.dimensionLabel(item.dimension),
+        task: N.formatPlanTask(item)
+      })}`))
+    ]));
+
+    const journal = N.getJournalFor(entry);
+    if (entry.note || journal.length) {
+      const items = [];
+      if (entry.note) items.push(el("p", null, `📝 ${entry.note}`));
+      journal.forEach(j => {
+        const item = el("div", "report-journal");
+        const date = i18n.formatDate(j.date);
+        item.appendChild(el("p", "muted", j.tags.length ? `${date} · ${j.tags.map(t => `#${t}`).join(" ")}` : date));
+        item.appendChild(N.renderMarkdown(j.text));
+        items.push(item);
+      });
+      root.appendChild(section(i18n.t("report.journal"), items));
+    }
+
+    root.appendChild(el("p", "muted", i18n.t("report.disclaimer")));
+    return root;
+  }
+
+  // ====== PRINT ======
+  function cleanup() {
+    const existing = document.getElementById(CONTAINER_ID);
+    if (existing) existing.remove();
+    document.body.classList.remove(PRINTING_CLASS);
+  }
+
+  // index: history index, or null for the latest
+  function printReport(index = null) {
+    const entry = Neuroforge.getEntryReport(index);
+    if (!entry) {
+      Neuroforge.showToast(i18n.t("report.noAnalysis"));
+      return false;
+    }
+
+    cleanup();
+    document.body.appendChild(buildReport(entry));
+    document.body.classList.add(PRINTING_CLASS);
+    window.addEventListener("afterprint", cleanup, { once: true });
+    window.print();
+    return true;
+  }
+
+  function resolveTrigger(value) {
+    if (value === "latest") return Neuroforge.getHistory().length - 1;
+    if (value === "") return null;
+    const n = Number(value);
+    return Number.isFinite(n) ? n : null;
+  }
+
+  document.addEventListener("click", (e) => {
+    const trigger = e.target.closest && e.target.closest("[data-export-report]");
+    if (!trigger) return;
+    e.preventDefault();
+    printReport(resolveTrigger(trigger.getAttribute("data-export-report")));
+  });
+
+  return { buildReport, printReport };
+})();
+
+/* End of report.js */
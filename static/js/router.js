@@ -0,0 +1,223 @@
+/* router.js - Hash router for the single-page shell (index.html)
+   - Routes are "#/<view>/<param>...?<query>", e.g. #/dashboard or #/result/<id>;
+     an empty hash is the home view and an unknown view falls back to it
+   - register(name, { template, title, mount, update, unmount }): on mount the
+     view's <template id="view-<name>"> is cloned into <main id="app">
+   - extend(name, hooks): other scripts add panels to a view with the same hooks
+   - update runs after "neuroforge:state-changed" and "neuroforge:locale-changed";
+     unmount runs before the next view mounts and drops listeners added with
+     view.listen(), so remounting never wires a handler twice
+   - Back / forward are plain hashchange; in-view anchors (#some-id) scroll
+     without touching the route, and ?section=<id> does the same on arrival
+   - Emits "neuroforge:view-mounted" / "neuroforge:view-unmounted" with { name, params }
+*/
+
+const NeuroforgeRouter = (function () {
+  const i18n = NeuroforgeI18n;
+  const DEFAULT_VIEW = "home";
+  const OUTLET_ID = "app";
+
+  const views = new Map();
+  const extensions = new Map();
+  let current = null;
+  let started = false;
+
+  // ====== ROUTES ======
+  const isRoute = (hash) => hash === "" || hash === "#" || hash.startsWith("#/");
+
+  function decode(segment) {
+    try {
+      return decodeURIComponent(segment);
+    } catch (err) {
+      return segment;
+    }
+  }
+
+  function parse(hash = window.location.hash) {
+    const raw = hash.replace(/^#\/?/, "");
+    const at = raw.indexOf("?");
+    const path = at < 0 ? raw : raw.slice(0, at);
+    const segments = path.split("/").filter(Boolean).map(decode);
+    return {
+      name: segments[0] || DEFAULT_VIEW,
+      params: segments.slice(1),
+      query: new URLSearchParams(at < 0 ? "" : raw.slice(at + 1))
+    };
+  }
+
+  // href("result", id) -> "#/result/<id>"; a trailing object becomes the query:
+  // href("journal", { entry: id }) -> "#/journal?entry=..."
+  function href(name = DEFAULT_VIEW, ...rest) {
+    const query = rest.length && rest[rest.length - 1] && typeof rest[rest.length - 1] === "object" ? rest.pop() : null;
+    const path = name === DEFAULT_VIEW && !rest.length ? "" : [name, ...rest].map(p => encodeURIComponent(String(p))).join("/");
+    const search = query
+      ? new URLSearchParams(Object.entries(query).filter(([, v]) => v != null && v !== "")).toString()
+      : "";
+    return `#/${path}${search ? `?${search}` : ""}`;
+  }
+
+  // ====== VIEWS ======
+  function register(name, view = {}) {
+    views.set(name, { template: `view-${name}`, ...view });
+  }
+
+  function extend(name, hooks) {
+    if (!extensions.has(name)) extensions.set(name, []);
+    extensions.get(name).push(hooks);
+  }
+
+  // The view's own hooks first, then the panels other scripts added.
+  // A failing panel is logged and never takes the rest of the view down.
+  function run(hook, view, ...args) {
+    [views.get(view.name), ...(extensions.get(view.name) || [])].forEach(hooks => {
+      if (!hooks || typeof hooks[hook] !== "function") return;
+      try {
+        hooks[hook](view, ...args);
+      } catch (err) {
+        console.error(`View "${view.name}": ${hook} failed`, err);
+      }
+    });
+  }
+
+  // What every hook receives: the route, the mounted markup and helpers
+  // whose effects end with the view
+  function createView(route, root, cleanups) {
+    return {
+      name: route.name,
+      params: route.params,
+      query: route.query,
+      root,
+      listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        cleanups.push(() => target.removeEventListener(type, handler, options));
+      },
+      onUnmount(fn) {
+        cleanups.push(fn);
+      }
+    };
+  }
+
+  // ====== SHELL ======
+  function setTitle(key) {
+    const title = document.querySelector("title");
+    if (!title || !key) return;
+    // data-i18n keeps the title in step with later language changes
+    title.setAttribute("data-i18n", key);
+    if (i18n.has(key)) title.textContent = i18n.t(key);
+  }
+
+  function markNav(name) {
+    document.querySelectorAll(".nav a[href^='#/']").forEach(link => {
+      if (parse(link.getAttribute("href")).name === name) link.setAttribute("aria-current", "page");
+      else link.removeAttribute("aria-current");
+    });
+  }
+
+  function reveal(target) {
+    if (!target) return;
+    if (!target.hasAttribute("tabindex") && !/^(A|BUTTON|INPUT|SELECT|TEXTAREA)$/.test(target.tagName)) {
+      target.setAttribute("tabindex", "-1");
+    }
+    target.scrollIntoView({ block: "start" });
+    target.focus({ preventScroll: true });
+  }
+
+  // ====== MOUNT / UNMOUNT ======
+  function unmount() {
+    if (!current) return;
+    const { view, cleanups } = current;
+    current = null;
+    run("unmount", view);
+    cleanups.splice(0).forEach(fn => fn());
+    document.dispatchEvent(new CustomEvent("neuroforge:view-unmounted", { detail: { name: view.name, params: view.params } }));
+  }
+
+  function mount(route, { initial = false } = {}) {
+    const outlet = document.getElementById(OUTLET_ID);
+    if (!outlet) return;
+    const definition = views.get(route.name);
+    unmount();
+
+    outlet.innerHTML = "";
+    const template = document.getElementById(definition.template);
+    if (template) outlet.appendChild(template.content.cloneNode(true));
+    i18n.translatePage(outlet);
+    outlet.setAttribute("data-view", route.name);
+    setTitle(definition.title);
+    markNav(route.name);
+
+    const cleanups = [];
+    const view = createView(route, outlet, cleanups);
+    current = { view, cleanups };
+    run("mount", view);
+    document.dispatchEvent(new CustomEvent("neuroforge:view-mounted", { detail: { name: view.name, params: view.params } }));
+
+    // Land on the asked-for section; otherwise a navigation starts at the top
+    // with focus on the new heading, as a page load would
+    const section = route.query.get("section");
+    const target = section && document.getElementById(section);
+    if (target && outlet.contains(target)) reveal(target);
+    else if (!initial) {
+      window.scrollTo(0, 0);
+      reveal(outlet.querySelector("h1") || outlet);
+    }
+  }
+
+  function render(options) {
+    const route = parse();
+    if (!views.has(route.name)) {
+      navigate(href(DEFAULT_VIEW), { replace: true });
+      return;
+    }
+    mount(route, options);
+  }
+
+  // ====== NAVIGATION ======
+  // Pushes a history entry unless replace is set; the same route remounts,
+  // so following a link always gives a fresh view
+  function navigate(path, { replace = false } = {}) {
+    if (replace) {
+      window.history.replaceState(window.history.state, "", path);
+      render();
+    } else if (window.location.hash === path) {
+      render();
+    } else {
+      window.location.hash = path;
+    }
+  }
+
+  // Re-renders the mounted view; reason is "state", "locale" or "refresh"
+  function refresh(reason = "refresh") {
+    if (current) run("update", current.view, reason);
+  }
+
+  function start() {
+    if (started) return;
+    started = true;
+    render({ initial: true });
+  }
+
+  window.addEventListener("hashchange", () => {
+    if (started && isRoute(window.location.hash)) render();
+  });
+
+  // Plain "#id" links (skip link, in-view anchors) must not leave the view
+  document.addEventListener("click", (e) => {
+    const link = e.target.closest && e.target.closest("a[href^='#']");
+    if (!link || isRoute(link.getAttribute("href"))) return;
+    const target = document.getElementById(link.getAttribute("href").slice(1));
+    if (!target) return;
+    e.preventDefault();
+    reveal(target);
+  });
+
+  document.addEventListener("neuroforge:state-changed", () => refresh("state"));
+  document.addEventListener("neuroforge:locale-changed", () => refresh("locale"));
+
+  return {
+    register, extend, start, navigate, refresh, href, parse,
+    getCurrent: () => (current ? { name: current.view.name, params: current.view.params.slice() } : null)
+  };
+})();
+
+/* End of router.js */
@@ -0,0 +1,293 @@
+/* sync.js - Optional sync to a self-hostable REST endpoint
+   - Opt-in: nothing leaves the browser until an endpoint is configured
+   - Protocol: GET {endpoint}/state and PUT {endpoint}/state (If-Match: <rev>)
+     Any server that stores one JSON document with a revision counter works;
+     server/sync-server.js is a dependency-free reference implementation.
+   - Local changes are queued while offline and pushed when back online
+   - Merging lives in the core (core/merge.js): history, check-ins, habits and
+     focus sessions merge per entry (id + updatedAt); XP merges as a 3-way counter
+     (a first sync counts from the XP events both devices share, see xpTrail)
+   - Deleted analyses are shared as ids (deletedEntries) so a merge never restores them
+   - A reset is shared as its time (resetAt); every device then drops what it
+     recorded before it, so the next sync can't bring the old data back
+   - Emits "neuroforge:sync-status" events alongside "neuroforge:state-changed"
+*/
+
+const NeuroforgeSync = (function () {
+  const i18n = NeuroforgeI18n;
+  const { mergeStates, xpTrail } = NeuroforgeCore;
+  const KEYS = {
+    CONFIG: "neuroforge_sync_config",
+    QUEUE: "neuroforge_sync_queue",
+    BASE: "neuroforge_sync_base",
+    RESET: "neuroforge_sync_reset"
+  };
+
+  const DEBOUNCE_MS = 2000;
+  const MAX_PUSH_RETRIES = 3;
+
+  let status = "disabled";
+  let lastError = null;
+  let syncing = null;
+  let applyingRemote = false;
+  let debounceTimer = null;
+
+  // ====== STORAGE ======
+  function readJSON(key, fallback) {
+    const raw = Neuroforge.getStorageAdapter().getItem(key);
+    if (raw == null) return fallback;
+    try {
+      return JSON.parse(raw);
+    } catch (err) {
+      console.warn("Corrupt sync data:", key, err);
+      return fallback;
+    }
+  }
+
+  function writeJSON(key, value) {
+    Neuroforge.getStorageAdapter().setItem(key, JSON.stringify(value));
+  }
+
+  function getConfig() {
+    return Object.assign({ enabled: false, endpoint: "", token: "", lastSyncedAt: null, rev: null }, readJSON(KEYS.CONFIG, {}));
+  }
+
+  function saveConfig(patch) {
+    const config = Object.assign(getConfig(), patch);
+    writeJSON(KEYS.CONFIG, config);
+    return config;
+  }
+
+  const getQueue = () => readJSON(KEYS.QUEUE, []);
+
+  // ====== STATUS EVENTS ======
+  function setStatus(next, error = null) {
+    status = next;
+    lastError = error;
+    const config = getConfig();
+    document.dispatchEvent(new CustomEvent("neuroforge:sync-status", {
+      detail: { status, pending: getQueue().length, lastSyncedAt: config.lastSyncedAt, error: error && error.message }
+    }));
+  }
+
+  // ====== SNAPSHOT & MERGE ======
+  function localSnapshot() {
+    const history = Neuroforge.getHistory();
+    if (Neuroforge.ensureHistoryIds(history)) Neuroforge.saveHistory(history);
+    return {
+      history,
+      deletedEntries: Neuroforge.getDeletedEntryIds(),
+      checkins: Neuroforge.getCheckins(),
+      habits: Neuroforge.getHabits(),
+      focusSessions: Neuroforge.getFocusSessions(),
+      achievements: Neuroforge.getAchievements(),
+      xp: Neuroforge.getXP(),
+      streak: Neuroforge.getStreak(),
+      lastActive: Neuroforge.getLastActive(),
+      resetAt: readJSON(KEYS.RESET, null),
+      xpTrail: xpTrail(Neuroforge.getXPLedger())
+    };
+  }
+
+  function applyLocal(state) {
+    applyingRemote = true;
+    try {
+      // A device on an older version may still send rank names
+      Neuroforge.ensureHistoryRankIds(state.history);
+      Neuroforge.saveHistory(state.history);
+      Neuroforge.saveCheckins(state.checkins);
+      Neuroforge.saveHabits(state.habits);
+      Neuroforge.saveFocusSessions(state.focusSessions);
+      // One event for the whole merge, so the XP ledger shows "Sync merge"
+      Neuroforge.applyStateSnapshot({
+        achievements: state.achievements,
+        xp: state.xp,
+        streak: state.streak,
+        lastActive: state.lastActive,
+        reasonKey: "syncMerge"
+      }, "Sync merge");
+      document.dispatchEvent(new CustomEvent("neuroforge:state-changed"));
+    } finally {
+      applyingRemote = false;
+    }
+  }
+
+  // ====== HTTP ======
+  function stateUrl(config) {
+    return config.endpoint.replace(/\/+$/, "") + "/state";
+  }
+
+  function headers(config, extra = {}) {
+    const h = Object.assign({ "Content-Type": "application/json" }, extra);
+    if (config.token) h.Authorization = `Bearer ${config.token}`;
+    return h;
+  }
+
+  async function pull(config) {
+    const res = await fetch(stateUrl(config), { headers: headers(config) });
+    if (res.status === 404) return { state: null, rev: null };
+    if (!res.ok) throw new Error(`Pull failed: HTTP ${res.status}`);
+    const body = await res.json();
+    return { state: body.state || null, rev: body.rev == null ? null : body.rev };
+  }
+
+  async function push(config, state, rev) {
+    const res = await fetch(stateUrl(config), {
+      method: "PUT",
+      headers: headers(config, rev == null ? {} : { "If-Match": String(rev) }),
+      body: JSON.stringify({ state })
+    });
+    if (res.status === 412) return { conflict: true };
+    if (!res.ok) throw new Error(`Push failed: HTTP ${res.status}`);
+    const body = await res.json();
+    return { conflict: false, rev: body.rev };
+  }
+
+  // ====== SYNC ======
+  // Pull -> merge -> push; if someone else pushed in between (412), retry
+  // with their newer state.
+  async function runSync() {
+    const config = getConfig();
+    if (!config.enabled || !config.endpoint) {
+      setStatus("disabled");
+      return false;
+    }
+    if (typeof navigator !== "undefined" && navigator.onLine === false) {
+      setStatus("offline");
+      return false;
+    }
+
+    setStatus("syncing");
+    try {
+      let base = readJSON(KEYS.BASE, null);
+      for (let attempt = 0; attempt < MAX_PUSH_RETRIES; attempt++) {
+        const remote = await pull(config);
+        const local = localSnapshot();
+        const merged = mergeStates(local, remote.state, base);
+
+        if (JSON.stringify(merged) !== JSON.stringify(local)) applyLocal(merged);
+        // A reset made on another device now applies here too
+        if (merged.resetAt) writeJSON(KEYS.RESET, merged.resetAt);
+
+        const result = await push(config, merged, remote.rev);
+        if (result.conflict) {
+          // Local now includes this remote's changes; count only newer ones next time
+          if (remote.state) base = { xp: Number(remote.state.xp) || 0 };
+          continue;
+        }
+
+        writeJSON(KEYS.BASE, { xp: merged.xp });
+        writeJSON(KEYS.QUEUE, []);
+        saveConfig({ rev: result.rev, lastSyncedAt: new Date().toISOString() });
+        setStatus("synced");
+        return true;
+      }
+      throw new Error("Sync kept conflicting, try again later");
+    } catch (err) {
+      console.error("Sync failed", err);
+      setStatus(navigator.onLine === false ? "offline" : "error", err);
+      return false;
+    }
+  }
+
+  // Concurrent callers share the in-flight sync
+  function syncNow() {
+    if (!syncing) syncing = runSync().finally(() => { syncing = null; });
+    return syncing;
+  }
+
+  // Local change: queue it and sync shortly (or when back online)
+  function queueChange(type) {
+    if (applyingRemote || !getConfig().enabled) return;
+    const queue = getQueue();
+    queue.push({ type, at: new Date().toISOString() });
+    writeJSON(KEYS.QUEUE, queue);
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(syncNow, DEBOUNCE_MS);
+    setStatus(navigator.onLine === false ? "offline" : "pending");
+  }
+
+  function configure({ enabled, endpoint, token } = {}) {
+    const patch = {};
+    if (enabled !== undefined) patch.enabled = !!enabled;
+    if (endpoint !== undefined) patch.endpoint = String(endpoint).trim();
+    if (token !== undefined) patch.token = String(token);
+    const config = saveConfig(patch);
+    if (config.enabled && config.endpoint) syncNow();
+    else setStatus("disabled");
+    return config;
+  }
+
+  // ====== UI ======
+  let lastDetail = null;
+
+  function renderStatus(detail) {
+    lastDetail = detail;
+    const el = document.querySelector("#syncStatus");
+    if (!el) return;
+    let text = i18n.t(`sync.status.${detail.status}`, { default: detail.status });
+    if (detail.status === "synced" && detail.lastSyncedAt) {
+      text = i18n.t("sync.at", { status: text, time: i18n.formatTime(detail.lastSyncedAt) });
+    }
+    if (detail.pending && detail.status !== "synced") text = i18n.t("sync.queued", { status: text, count: detail.pending });
+    if (detail.error) text = i18n.t("sync.failed", { status: text, error: detail.error });
+    el.textContent = text;
+  }
+
+  function wireSyncPanel() {
+    const form = document.querySelector("#syncForm");
+    if (!form) return;
+    const { syncEnabled, syncEndpoint, syncToken } = form.elements;
+    const config = getConfig();
+    syncEnabled.checked = config.enabled;
+    syncEndpoint.value = config.endpoint;
+    syncToken.value = config.token;
+
+    form.addEventListener("submit", (e) => {
+      e.preventDefault();
+      configure({
+        enabled: syncEnabled.checked,
+        endpoint: syncEndpoint.value,
+        token: syncToken.value
+      });
+    });
+  }
+
+  function init() {
+    const config = getConfig();
+    if (config.enabled && config.endpoint) syncNow();
+    else setStatus("disabled");
+  }
+
+  // Once this profile has synced, the server and other devices hold data from
+  // before the reset; the marker makes every merge drop it. The last common
+  // XP value describes the old data too.
+  document.addEventListener("neuroforge:data-reset", (e) => {
+    if (!getConfig().lastSyncedAt) return;
+    writeJSON(KEYS.RESET, e.detail.at);
+    Neuroforge.getStorageAdapter().removeItem(KEYS.BASE);
+  });
+
+  document.addEventListener("neuroforge:sync-status", (e) => renderStatus(e.detail));
+  document.addEventListener("neuroforge:locale-changed", () => { if (lastDetail) renderStatus(lastDetail); });
+  document.addEventListener("neuroforge:state-changed", () => queueChange("state-changed"));
+  document.addEventListener("neuroforge:ready", init);
+  // The settings panel sits on the profile view
+  NeuroforgeRouter.extend("profile", {
+    mount() {
+      wireSyncPanel();
+      if (lastDetail) renderStatus(lastDetail);
+    }
+  });
+  window.addEventListener("online", () => { if (getConfig().enabled) syncNow(); });
+  window.addEventListener("offline", () => { if (getConfig().enabled) setStatus("offline"); });
+
+  return {
+    configure, syncNow, getConfig,
+    getStatus: () => ({ status, pending: getQueue().length, error: lastError && lastError.message }),
+    // exposed for testing
+    mergeStates
+  };
+})();
+
+/* End of sync.js */
@@ -0,0 +1,219 @@
+/* sw.js - Service worker: offline shell + reminder notifications
+   - Precaches every page and static/ asset, then serves them
+     stale-while-revalidate so the app runs fully offline
+   - Google Fonts are cached on first use; offline without a cached copy the
+     stylesheet resolves empty and the system font is used
+   - Reminders: pages post their state ("reminder-state"); this worker alone
+     decides when a check-in / streak reminder is due, so two open tabs never
+     notify twice. Checks run when a page asks and on periodic background sync.
+*/
+
+// Bump CACHE_VERSION whenever a precached file changes or is added.
+const CACHE_VERSION = "v16";
+const SHELL_CACHE = `neuroforge-shell-${CACHE_VERSION}`;
+const FONT_CACHE = "neuroforge-fonts";
+const META_CACHE = "neuroforge-meta";
+const REMINDER_STATE_URL = "reminder-state.json";
+
+const PRECACHE = [
+  "./",
+  "index.html",
+  "cohort.html",
+  "journal.html",
+  "dashboard.html",
+  "onboarding.html",
+  "result.html",
+  "profile.html",
+  "settings.html",
+  "manifest.webmanifest",
+  "static/css/style.css",
+  "static/img/icon.svg",
+  "static/js/app.js",
+  "static/js/charts.js",
+  "static/js/cohort.js",
+  "static/js/core/achievements.js",
+  "static/js/core/config.js",
+  "static/js/core/engine.js",
+  "static/js/core/events.js",
+  "static/js/core/index.js",
+  "static/js/core/insights.js",
+  "static/js/core/merge.js",
+  "static/js/core/scoring.js",
+  "static/js/core/streak.js",
+  "static/js/core/time.js",
+  "static/js/focus.js",
+  "static/js/i18n.js",
+  "static/js/journal.js",
+  "static/js/locales/ar.js",
+  "static/js/locales/de.js",
+  "static/js/locales/en.js",
+  "static/js/prefs.js",
+  "static/js/pwa.js",
+  "static/js/report.js",
+  "static/js/router.js",
+  "static/js/sync.js"
+];
+
+const FONT_HOSTS = ["fonts.googleapis.com", "fonts.gstatic.com"];
+
+// ====== INSTALL / ACTIVATE ======
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(PRECACHE)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith("neuroforge-shell-") && key !== SHELL_CACHE)
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// ====== FETCH ======
+function isShellRequest(url) {
+  if (url.origin !== self.location.origin) return false;
+  const scope = new URL(self.registration.scope).pathname;
+  const path = url.pathname.startsWith(scope) ? url.pathname.slice(scope.length) : url.pathname;
+  // Only app files: a sync endpoint on the same origin must never be cached
+  return path === "" || path.endsWith(".html") || path.startsWith("static/") || path === "manifest.webmanifest";
+}
+
+function staleWhileRevalidate(request) {
+  return caches.open(SHELL_CACHE).then(cache => cache.match(request, { ignoreSearch: true }).then(cached => {
+    const network = fetch(request)
+      .then(response => {
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+      })
+      .catch(() => cached || (request.mode === "navigate" ? cache.match("index.html") : undefined))
+      .then(response => response || Response.error());
+    return cached || network;
+  }));
+}
+
+function fontRequest(request) {
+  return caches.open(FONT_CACHE).then(cache => cache.match(request).then(cached => cached || fetch(request)
+    .then(response => {
+      if (response.ok || response.type === "opaque") cache.put(request, response.clone());
+      return response;
+    })
+    .catch(() => (request.url.includes("fonts.googleapis.com")
+      ? new Response("", { headers: { "Content-Type": "text/css" } })
+      : Response.error()))));
+}
+
+self.addEventListener("fetch", (event) => {
+  if (event.request.method !== "GET") return;
+  const url = new URL(event.request.url);
+  if (FONT_HOSTS.includes(url.hostname)) event.respondWith(fontRequest(event.request));
+  else if (isShellRequest(url)) event.respondWith(staleWhileRevalidate(event.request));
+});
+
+// ====== REMINDERS ======
+function toLocalISODate(date) {
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, "0");
+  const d = String(date.getDate()).padStart(2, "0");
+  return `${y}-${m}-${d}`;
+}
+
+function timeToday(hhmm, now) {
+  const [h, m] = String(hhmm || "").split(":").map(Number);
+  const d = new Date(now);
+  d.setHours(h || 0, m || 0, 0, 0);
+  return d;
+}
+
+function readReminderState() {
+  return caches.open(META_CACHE)
+    .then(cache => cache.match(REMINDER_STATE_URL))
+    .then(res => (res ? res.json() : null))
+    .catch(() => null);
+}
+
+function writeReminderState(state) {
+  return caches.open(META_CACHE).then(cache => cache.put(
+    REMINDER_STATE_URL,
+    new Response(JSON.stringify(state), { headers: { "Content-Type": "application/json" } })
+  ));
+}
+
+// Which reminders are due now, given the latest state a page reported.
+// Pages send the texts in their language; older pages didn't, hence English.
+function dueReminders(state, now) {
+  const today = toLocalISODate(now);
+  const yesterday = new Date(now);
+  yesterday.setDate(yesterday.getDate() - 1);
+  const settings = state.settings || {};
+  const notified = state.notified || {};
+  const texts = state.texts || {};
+  const due = [];
+
+  if (settings.enabled && settings.checkinEnabled && notified.checkin !== today &&
+      state.lastCheckin !== today && now >= timeToday(settings.checkinTime, now)) {
+    due.push({
+      kind: "checkin",
+      title: texts.checkinTitle || "📝 Daily check-in",
+      body: texts.checkinBody || "Take 10 seconds to log your mood, energy and focus."
+    });
+  }
+  // Only a streak that was alive yesterday and hasn't been extended today can lapse
+  if (settings.enabled && settings.streakEnabled && notified.streak !== today && state.streak > 0 &&
+      state.lastActive === toLocalISODate(yesterday) && now >= timeToday(settings.streakTime, now)) {
+    due.push({
+      kind: "streak",
+      title: texts.streakTitle || "🔥 Your streak is about to lapse",
+      body: texts.streakBody || `Your ${state.streak}-day streak ends at midnight. A quick check-in keeps it alive.`
+    });
+  }
+  return due;
+}
+
+function checkReminders() {
+  return readReminderState().then(state => {
+    if (!state || Notification.permission !== "granted") return;
+    const now = new Date();
+    const due = dueReminders(state, now);
+    if (!due.length) return;
+    state.notified = state.notified || {};
+    due.forEach(r => { state.notified[r.kind] = toLocalISODate(now); });
+    return writeReminderState(state).then(() => Promise.all(due.map(r =>
+      self.registration.showNotification(r.title, {
+        body: r.body,
+        tag: `neuroforge-${r.kind}`,
+        icon: "static/img/icon.svg",
+        data: { url: "index.html#/dashboard" }
+      })
+    )));
+  });
+}
+
+self.addEventListener("message", (event) => {
+  const msg = event.data || {};
+  if (msg.type === "reminder-state") {
+    // Keep our own "already notified" bookkeeping across page updates
+    event.waitUntil(readReminderState()
+      .then(prev => writeReminderState(Object.assign({}, msg.state, { notified: (prev && prev.notified) || {} })))
+      .then(checkReminders));
+  } else if (msg.type === "check-reminders") {
+    event.waitUntil(checkReminders());
+  }
+});
+
+self.addEventListener("periodicsync", (event) => {
+  if (event.tag === "neuroforge-reminders") event.waitUntil(checkReminders());
+});
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const target = new URL((event.notification.data && event.notification.data.url) || "index.html#/dashboard", self.registration.scope).href;
+  event.waitUntil(self.clients.matchAll({ type: "window", includeUncontrolled: true }).then(clients => {
+    const existing = clients.find(c => c.url === target) || clients[0];
+    if (existing) return existing.focus().then(c => (c && c.url !== target && "navigate" in c ? c.navigate(target) : c));
+    return self.clients.openWindow(target);
+  }));
+});
+
+/* End of sw.js */
@@ -0,0 +1,323 @@
+// Weeks of simulated use against the headless engine: a manual clock and an
+// in-memory store replace the browser, so every run is deterministic.
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  DEFAULT_CONFIG, KEYS, createEngine, createManualClock, createMemoryStorage, toLocalISODate
+} from "../static/js/core/index.js";
+
+const originalTZ = process.env.TZ;
+// US zone: 2026-03-08 and 2026-11-01 are DST changes; 2026-03-01 is a Sunday
+before(() => { process.env.TZ = "America/New_York"; });
+after(() => {
+  if (originalTZ === undefined) delete process.env.TZ;
+  else process.env.TZ = originalTZ;
+});
+
+function setup({ start = new Date(2026, 2, 2, 10), policy } = {}) {
+  const clock = createManualClock(start);
+  const storage = createMemoryStorage();
+  const engine = createEngine({ storage, clock });
+  const notices = [];
+  engine.subscribe(n => notices.push(n));
+  engine.ensureEventLog();
+  if (policy) engine.setStreakPolicy(policy);
+  return { clock, storage, engine, notices };
+}
+
+// One analysis, the way the onboarding page records it
+function submitAnalysis({ engine, storage }, total = 12) {
+  const at = engine.now().toISOString();
+  const history = JSON.parse(storage.getItem(KEYS.HISTORY) || "[]");
+  const entry = { id: `h_${history.length}`, date: engine.today(), createdAt: at, total };
+  history.push(entry);
+  storage.setItem(KEYS.HISTORY, JSON.stringify(history));
+  engine.appendEvent("analysis-submitted", { entryId: entry.id, total });
+  engine.updateStreak("analysis");
+  engine.grantXP(engine.analysisXP(total, engine.getStreak()), `Analysis (score ${total})`, { entryId: entry.id });
+  engine.processAchievementEvent({ type: "analysis-submitted", at });
+  return entry;
+}
+
+function activeDays(env, days, { skip = [] } = {}) {
+  for (let i = 0; i < days; i++) {
+    if (!skip.includes(env.engine.today())) env.engine.updateStreak("habit");
+    env.clock.advanceDays(1);
+  }
+}
+
+describe("streaks over several weeks", () => {
+  test("daily activity builds the streak and unlocks tiers with freeze rewards", () => {
+    const env = setup();
+    activeDays(env, 8);
+    env.engine.processAchievementEvent();
+    assert.equal(env.engine.getStreak(), 8);
+    assert.deepEqual(env.engine.getAchievements(), ["three_day_streak", "seven_day_streak"]);
+    assert.equal(env.engine.getStreakFreezes(), 1);
+    const unlocked = env.notices.filter(n => n.type === "achievement-unlocked");
+    assert.deepEqual(unlocked.map(n => [n.id, n.freezes]), [["three_day_streak", 0], ["seven_day_streak", 1]]);
+  });
+
+  test("a freeze covers one missed day, a second gap resets the streak", () => {
+    const env = setup();
+    activeDays(env, 7);
+    env.engine.processAchievementEvent();
+    assert.equal(env.engine.getStreakFreezes(), 1);
+
+    env.clock.advanceDays(1); // miss one day
+    const covered = env.engine.updateStreak();
+    assert.equal(covered.outcome, "extended");
+    assert.equal(covered.frozenDays.length, 1);
+    assert.equal(env.engine.getStreak(), 8);
+    assert.equal(env.engine.getStreakFreezes(), 0);
+
+    env.clock.advanceDays(3); // miss two days, no freezes left
+    const reset = env.engine.updateStreak();
+    assert.equal(reset.outcome, "reset");
+    assert.equal(reset.missedDays.length, 2);
+    assert.equal(env.engine.getStreak(), 1);
+  });
+
+  test("rest days neither break nor extend the streak", () => {
+    const env = setup({ policy: { restDays: [0, 6] } });
+    const weekday = () => ![0, 6].includes(env.clock.now().getDay());
+    for (let i = 0; i < 21; i++) {
+      if (weekday()) env.engine.updateStreak();
+      env.clock.advanceDays(1);
+    }
+    assert.equal(env.engine.getStreak(), 15);
+    const decays = env.engine.getEvents().filter(e => e.type === "decay-applied");
+    assert.ok(decays.every(e => e.days === 0 && e.amount === 0));
+  });
+
+  test("the grace window counts early-morning activity for the day before", () => {
+    const env = setup({ policy: { graceHours: 3 } });
+    env.engine.updateStreak();
+    env.clock.set(new Date(2026, 2, 4, 1, 30)); // 01:30, two days later
+    const change = env.engine.updateStreak();
+    assert.equal(change.day, "2026-03-03");
+    assert.equal(change.graced, true);
+    assert.equal(env.engine.getStreak(), 2);
+  });
+
+  test("late-evening activity keeps the streak across both DST changes", () => {
+    const spring = setup({ start: new Date(2026, 2, 5, 23, 30) });
+    activeDays(spring, 6);
+    assert.equal(spring.engine.getStreak(), 6);
+    assert.equal(spring.engine.getLastActive(), "2026-03-10");
+
+    const fall = setup({ start: new Date(2026, 9, 29, 0, 15) });
+    activeDays(fall, 6);
+    assert.equal(fall.engine.getStreak(), 6);
+    assert.equal(fall.engine.getLastActive(), "2026-11-03");
+  });
+});
+
+describe("inactivity decay", () => {
+  test("each missed day is charged once, however often the page loads", () => {
+    const env = setup();
+    env.engine.grantXP(500, "Seed");
+    env.engine.updateStreak();
+    env.clock.advanceDays(3);
+    assert.equal(env.engine.applyDailyXPDecay(), 10); // two missed days x 5
+    assert.equal(env.engine.applyDailyXPDecay(), 0);
+    env.clock.advance(6 * 60 * 60 * 1000);
+    assert.equal(env.engine.applyDailyXPDecay(), 0);
+    env.clock.advanceDays(1);
+    assert.equal(env.engine.applyDailyXPDecay(), 5);
+    assert.equal(env.engine.getXP(), 485);
+  });
+
+  test("a capped curve stops charging at the cap across several loads", () => {
+    const env = setup({ policy: { decay: { curve: "capped", cap: 12 } } });
+    env.engine.grantXP(100, "Seed");
+    env.engine.updateStreak();
+    for (let i = 0; i < 6; i++) {
+      env.clock.advanceDays(1);
+      env.engine.applyDailyXPDecay();
+    }
+    assert.equal(env.engine.getXP(), 88);
+    const change = env.engine.updateStreak();
+    assert.equal(change.outcome, "reset");
+  });
+
+  test("the exponential curve grows with the gap and notifies the page", () => {
+    const env = setup({ policy: { decay: { curve: "exponential", growth: 2 } } });
+    env.engine.grantXP(1000, "Seed");
+    env.engine.updateStreak();
+    env.clock.advanceDays(4); // three missed days: 5 + 10 + 20
+    env.engine.applyDailyXPDecay();
+    assert.equal(env.engine.getXP(), 965);
+    const notice = env.notices.filter(n => n.type === "decay-applied").pop();
+    assert.deepEqual(notice, { type: "decay-applied", loss: 35, missed: 3, curve: "exponential" });
+  });
+
+  test("XP never drops below zero", () => {
+    const env = setup();
+    env.engine.grantXP(7, "Seed");
+    env.engine.updateStreak();
+    env.clock.advanceDays(30);
+    env.engine.applyDailyXPDecay();
+    assert.equal(env.engine.getXP(), 0);
+  });
+});
+
+describe("analyses, levels and achievements", () => {
+  test("six weeks of weekly analyses and daily habits", () => {
+    const env = setup();
+    for (let week = 0; week < 6; week++) {
+      submitAnalysis(env, 10 + week);
+      for (let day = 1; day < 7; day++) {
+        env.clock.advanceDays(1);
+        env.engine.updateStreak("habit");
+      }
+      env.clock.advanceDays(1);
+    }
+    env.engine.processAchievementEvent();
+
+    assert.equal(env.engine.getStreak(), 42);
+    const ids = env.engine.getAchievements();
+    ["first_analysis", "five_sessions", "three_day_streak", "seven_day_streak", "thirty_day_streak", "builder_rank"]
+      .forEach(id => assert.ok(ids.includes(id), id));
+    assert.ok(!ids.includes("architect_rank"));
+    assert.ok(!ids.includes("perfect_score"));
+    // seven_day_streak (1) + thirty_day_streak (2), capped at MAX_STREAK_FREEZES
+    assert.equal(env.engine.getStreakFreezes(), 3);
+    assert.equal(env.engine.getLevel(), env.engine.computeLevelFromXP(env.engine.getXP()).level);
+
+    const progress = env.engine.getAchievementProgress().find(p => p.key === "analyses");
+    assert.equal(progress.label, "6/10 analyses");
+    assert.equal(progress.tier, "bronze");
+  });
+
+  test("night owl and early bird use the local hour of the event", () => {
+    const env = setup({ start: new Date(2026, 2, 2, 2, 0) });
+    submitAnalysis(env);
+    env.clock.set(new Date(2026, 2, 2, 7, 0));
+    submitAnalysis(env);
+    const ids = env.engine.getAchievements();
+    assert.ok(ids.includes("night_owl"));
+    assert.ok(ids.includes("early_bird"));
+  });
+
+  test("counters come from the log and drop deleted analyses", () => {
+    const env = setup({ start: new Date(2026, 2, 2, 2, 0) });
+    const late = submitAnalysis(env);
+    env.clock.set(new Date(2026, 2, 2, 7, 0));
+    const early = submitAnalysis(env);
+    env.engine.appendEvent("plan-task-completed", { entryId: early.id, day: 1 });
+    assert.deepEqual(env.engine.deriveState(env.engine.getEvents()).counters, { night_owl: 1, early_bird: 2 });
+    assert.equal(env.engine.getAchievementMeta().counters, undefined);
+
+    const history = JSON.parse(env.storage.getItem(KEYS.HISTORY)).filter(e => e.id !== late.id);
+    env.storage.setItem(KEYS.HISTORY, JSON.stringify(history));
+    env.engine.appendEvent("entry-deleted", { entryId: late.id, entryDate: late.date, amount: 0 });
+    assert.deepEqual(env.engine.revokeStaleAchievements(), ["night_owl"]);
+    assert.deepEqual(env.engine.rebuildState().achievements.filter(id => id === "night_owl" || id === "early_bird"), ["early_bird"]);
+  });
+
+  test("a counter tier the log can't account for is kept", () => {
+    const env = setup();
+    submitAnalysis(env);
+    env.engine.unlockAchievement("night_owl");
+    env.engine.revokeStaleAchievements();
+    assert.ok(env.engine.getAchievements().includes("night_owl"));
+  });
+
+  test("stale achievements are revoked when analyses disappear", () => {
+    const env = setup();
+    for (let i = 0; i < 5; i++) {
+      submitAnalysis(env, 20);
+      env.clock.advanceDays(1);
+    }
+    assert.ok(env.engine.getAchievements().includes("five_sessions"));
+    assert.ok(env.engine.getAchievements().includes("perfect_score"));
+    const history = JSON.parse(env.storage.getItem(KEYS.HISTORY)).map(e => ({ ...e, total: 10 })).slice(1);
+    env.storage.setItem(KEYS.HISTORY, JSON.stringify(history));
+    assert.deepEqual(env.engine.revokeStaleAchievements().sort(), ["architect_rank", "builder_rank", "five_sessions", "perfect_score"]);
+    assert.ok(env.engine.getAchievements().includes("three_day_streak"));
+  });
+});
+
+describe("the event log", () => {
+  test("rebuilding from the log reproduces every projection", () => {
+    const env = setup({ policy: { restDays: [0], graceHours: 2 } });
+    for (let i = 0; i < 20; i++) {
+      if (i % 6 !== 5) submitAnalysis(env, 8 + (i % 10));
+      env.clock.advanceDays(1);
+      env.engine.applyDailyXPDecay();
+    }
+    const projected = {
+      xp: env.engine.getXP(),
+      streak: env.engine.getStreak(),
+      lastActive: env.engine.getLastActive(),
+      achievements: env.engine.getAchievements(),
+      xpLog: env.engine.getXPLog()
+    };
+    const rebuilt = env.engine.rebuildState();
+    assert.deepEqual(
+      { xp: rebuilt.xp, streak: rebuilt.streak, lastActive: rebuilt.lastActive, achievements: rebuilt.achievements, xpLog: rebuilt.xpLog },
+      projected
+    );
+    assert.deepEqual(env.engine.deriveState(env.engine.getEvents()), rebuilt);
+    const ledger = env.engine.getXPLedger();
+    assert.equal(ledger[ledger.length - 1].balance, projected.xp);
+  });
+
+  test("a new streak policy applies retroactively", () => {
+    const env = setup();
+    activeDays(env, 12, { skip: ["2026-03-07", "2026-03-08"] }); // a weekend off
+    assert.equal(env.engine.getStreak(), 5);
+    env.engine.setStreakPolicy({ restDays: [0, 6] });
+    assert.equal(env.engine.getStreak(), 12 - 2);
+  });
+
+  test("data from before the event log becomes one baseline event", () => {
+    const storage = createMemoryStorage({ [KEYS.XP]: "420", [KEYS.STREAK]: "4", [KEYS.LAST_ACTIVE]: "2026-03-01" });
+    const clock = createManualClock(new Date(2026, 2, 2, 9));
+    const engine = createEngine({ storage, clock });
+    engine.ensureEventLog();
+    const events = engine.getEvents();
+    assert.equal(events.length, 1);
+    assert.equal(events[0].type, "state-set");
+    engine.updateStreak();
+    assert.equal(engine.getStreak(), 5);
+    assert.equal(engine.getXP(), 420);
+  });
+
+  test("events are stamped by the injected clock", () => {
+    const env = setup({ start: new Date(2026, 10, 1, 1, 30) }); // inside the repeated hour
+    const event = env.engine.appendEvent("checkin-submitted", { checkinId: "c_1" });
+    assert.equal(event.at, env.clock.now().toISOString());
+    assert.equal(event.date, "2026-11-01");
+    assert.equal(toLocalISODate(env.engine.now()), env.engine.today());
+  });
+});
+
+describe("streak freezes", () => {
+  test("buying needs XP and respects the maximum", () => {
+    const env = setup();
+    assert.deepEqual(env.engine.buyStreakFreeze(), { ok: false, reason: "not-enough-xp" });
+    env.engine.grantXP(1000, "Seed");
+    for (let i = 0; i < 3; i++) assert.equal(env.engine.buyStreakFreeze().ok, true);
+    assert.deepEqual(env.engine.buyStreakFreeze(), { ok: false, reason: "max-freezes" });
+    assert.equal(env.engine.getXP(), 700);
+    assert.equal(env.engine.getStreakFreezes(), 3);
+  });
+});
+
+describe("tuning", () => {
+  test("the engine reads tuning objects by reference", () => {
+    const config = { ...DEFAULT_CONFIG };
+    const levelCurve = { base: 100, exponent: 1.4, perLevel: 50 };
+    const engine = createEngine({ clock: createManualClock(new Date(2026, 2, 2, 9)), config, levelCurve });
+    engine.grantXP(400, "Seed");
+    const before = engine.getLevel();
+    levelCurve.base = 1000;
+    assert.ok(engine.getLevel() < before);
+    config.ONBOARDING_BASE_XP = 0;
+    assert.equal(engine.analysisXP(10, 0), 50);
+  });
+});
+
@@ -0,0 +1,110 @@
+// Trend insights: statistics, trend status, the next-rank bottleneck and the
+// streak link, on hand-built histories.
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  computeInsights, correlation, createEvent, deriveState, dimensionTrends, linearSlope,
+  movingAverage, rankBottleneck, streakAt, streakScoreLink
+} from "../static/js/core/index.js";
+
+// One analysis per day from 2026-03-01; scores per dimension
+const entry = (day, focus, discipline, execution, consistency) => ({
+  date: `2026-03-${String(day).padStart(2, "0")}`,
+  focus, discipline, execution, consistency,
+  total: focus + discipline + execution + consistency
+});
+
+describe("statistics", () => {
+  test("moving average trails and starts with partial windows", () => {
+    assert.deepEqual(movingAverage([3, 3, 6, 6], 2), [3, 3, 4.5, 6]);
+  });
+
+  test("slope is the least-squares change per step", () => {
+    assert.equal(linearSlope([1, 2, 3, 4]), 1);
+    assert.equal(linearSlope([5, 4, 3]), -1);
+    assert.equal(linearSlope([2]), null);
+  });
+
+  test("correlation needs three points and some spread", () => {
+    assert.equal(correlation([1, 2], [1, 2]), null);
+    assert.equal(correlation([1, 2, 3], [2, 2, 2]), null);
+    assert.equal(correlation([1, 2, 3], [3, 2, 1]), -1);
+  });
+});
+
+describe("trends", () => {
+  test("a falling dimension declines while a flat one plateaus", () => {
+    const history = [1, 2, 3, 4, 5].map((d, i) => entry(d, 5 - i, 3, 3, 3));
+    const trends = Object.fromEntries(dimensionTrends(history).map(t => [t.dimension, t]));
+    assert.equal(trends.focus.status, "declining");
+    assert.equal(trends.focus.slope, -1);
+    assert.equal(trends.discipline.status, "plateau");
+  });
+
+  test("flat at the top of the scale is not a plateau", () => {
+    const history = [1, 2, 3].map(d => entry(d, 5, 5, 5, 5));
+    assert.ok(dimensionTrends(history).every(t => t.status === "maxed"));
+  });
+
+  test("too few analyses give no trend", () => {
+    assert.equal(dimensionTrends([entry(1, 2, 2, 2, 2), entry(2, 4, 4, 4, 4)])[0].status, "new");
+  });
+});
+
+describe("next rank", () => {
+  test("the weakest dimension holds back the next band", () => {
+    // Explorer covers 10-12 and Builder starts at 13: a total of 11 is 2 short
+    const b = rankBottleneck(entry(1, 4, 3, 3, 1));
+    assert.equal(b.rank, "explorer");
+    assert.equal(b.next, "builder");
+    assert.equal(b.dimension, "consistency");
+    assert.equal(b.points, 2);
+    assert.equal(b.withinReach, true);
+  });
+
+  test("no bottleneck in the top band", () => {
+    assert.equal(rankBottleneck(entry(1, 5, 5, 5, 5)), null);
+  });
+});
+
+describe("streaks and scores", () => {
+  test("the event log records the streak per active day", () => {
+    const events = [1, 2, 3, 5].map(d => createEvent("streak-activity", { source: "checkin" }, new Date(2026, 2, d, 12)));
+    const { streakLog } = deriveState(events);
+    assert.deepEqual(streakLog.map(p => p.streak), [1, 2, 3, 1]);
+    assert.equal(streakAt(streakLog, "2026-03-04"), 3);
+    assert.equal(streakAt(streakLog, "2026-02-28"), 0);
+  });
+
+  test("score changes are compared with and without a streak", () => {
+    const history = [entry(1, 2, 2, 2, 2), entry(2, 2, 2, 2, 3), entry(3, 3, 3, 3, 3), entry(4, 3, 3, 3, 2)];
+    const log = [{ date: "2026-03-02", streak: 1 }, { date: "2026-03-03", streak: 5 }, { date: "2026-03-04", streak: 1 }];
+    const link = streakScoreLink(history, log);
+    assert.deepEqual(link.rows.map(r => [r.streak, r.change]), [[1, 1], [5, 3], [1, -1]]);
+    assert.equal(link.withStreak, 3);
+    assert.equal(link.withoutStreak, 0);
+    assert.ok(link.correlation > 0.3);
+  });
+});
+
+describe("ranked insights", () => {
+  test("warnings come first and every insight carries a message key", () => {
+    const history = [1, 2, 3, 4, 5].map((d, i) => entry(d, 5 - i, 3, 3, 3));
+    const insights = computeInsights(history);
+    assert.equal(insights[0].key, "insights.totalDown");
+    assert.ok(insights.some(i => i.id === "decline:focus"));
+    assert.ok(insights.some(i => i.kind === "bottleneck" && i.params.dimension === "focus"));
+    insights.slice(1).forEach((item, i) => assert.ok(item.weight <= insights[i].weight));
+    insights.forEach(item => assert.match(item.key, /^insights\./));
+  });
+
+  test("a single analysis asks for more and still names the bottleneck", () => {
+    const kinds = computeInsights([entry(1, 3, 2, 3, 3)]).map(i => i.kind);
+    assert.deepEqual(kinds.sort(), ["bottleneck", "needMore"]);
+  });
+
+  test("no history, no insights", () => {
+    assert.deepEqual(computeInsights([]), []);
+  });
+});
@@ -0,0 +1,195 @@
+// Sync and import merges: per-entry merges, deleted analyses and resets, on
+// hand-built device states.
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  KEYS, QUESTIONNAIRE, createEngine, createEvent, createManualClock, createMemoryStorage,
+  deletedEntryIds, historyEntryId, mergeImportedHistory, mergeStates, mergeXP, validateHistoryEntry, xpTrail
+} from "../static/js/core/index.js";
+
+const RESET_AT = "2026-03-10T12:00:00.000Z";
+
+// One analysis per day, created at noon UTC
+const entry = (day, total = 12) => {
+  const createdAt = `2026-03-${String(day).padStart(2, "0")}T12:00:00.000Z`;
+  return { id: `h_${day}`, date: createdAt.slice(0, 10), createdAt, total };
+};
+
+function deviceState(fields = {}) {
+  return {
+    history: [], deletedEntries: [], checkins: [], habits: [], focusSessions: [],
+    achievements: [], xp: 0, streak: 0, lastActive: null, resetAt: null,
+    ...fields
+  };
+}
+
+// Everything both devices held before the reset
+const beforeReset = () => deviceState({
+  history: [entry(1), entry(2)],
+  checkins: [{ id: "c_1", date: "2026-03-02", createdAt: "2026-03-02T08:00:00.000Z" }],
+  habits: [{ id: "hb_1", createdAt: "2026-03-01T09:00:00.000Z", completions: ["2026-03-02"] }],
+  focusSessions: [{ id: "f_1", endedAt: "2026-03-02T10:00:00.000Z", minutes: 25 }],
+  achievements: ["first_analysis"],
+  xp: 140,
+  streak: 2,
+  lastActive: "2026-03-02"
+});
+
+describe("per-entry merges", () => {
+  test("XP applies both deltas since the last sync", () => {
+    assert.equal(mergeXP(150, 170, 140), 180);
+    assert.equal(mergeXP(150, 170, null), 170);
+  });
+
+  test("an analysis deleted on one device stays deleted", () => {
+    const local = deviceState({ history: [entry(1)], deletedEntries: ["h_2"] });
+    const remote = deviceState({ history: [entry(1), entry(2)] });
+    assert.deepEqual(mergeStates(local, remote, null).history.map(e => e.id), ["h_1"]);
+  });
+});
+
+describe("first sync without a base", () => {
+  function device(storage = createMemoryStorage()) {
+    const engine = createEngine({ storage, clock: createManualClock(new Date(2026, 2, 2, 10)) });
+    engine.ensureEventLog();
+    return { storage, engine, snapshot: () => deviceState({ xp: engine.getXP(), xpTrail: xpTrail(engine.getXPLedger()) }) };
+  }
+
+  test("XP both devices earned before their first sync adds up", () => {
+    const phone = device();
+    const laptop = device();
+    phone.engine.grantXP(60, "Analysis");
+    laptop.engine.grantXP(25, "Analysis");
+    laptop.engine.grantXP(15, "Plan task");
+    assert.equal(mergeStates(phone.snapshot(), laptop.snapshot(), null).xp, 100);
+    assert.equal(mergeStates(laptop.snapshot(), phone.snapshot(), null).xp, 100);
+  });
+
+  test("XP from a shared export counts once", () => {
+    const phone = device();
+    phone.engine.grantXP(50, "Analysis");
+    const copy = createMemoryStorage();
+    copy.setItem(KEYS.EVENTS, phone.storage.getItem(KEYS.EVENTS));
+    const laptop = device(copy);
+    phone.engine.grantXP(10, "Plan task");
+    laptop.engine.grantXP(20, "Analysis");
+    assert.equal(mergeStates(laptop.snapshot(), phone.snapshot(), null).xp, 80);
+  });
+
+  test("a server state without a trail counts from zero", () => {
+    const local = deviceState({ xp: 30, xpTrail: [["e_a", 30]] });
+    const remote = deviceState({ xp: 45 });
+    delete remote.xpTrail;
+    assert.equal(mergeStates(local, remote, null).xp, 75);
+  });
+});
+
+describe("reset followed by sync", () => {
+  test("the device that reset keeps its empty state", () => {
+    const local = deviceState({ resetAt: RESET_AT });
+    const merged = mergeStates(local, beforeReset(), { xp: 140 });
+    assert.deepEqual(merged.history, []);
+    assert.deepEqual(merged.checkins, []);
+    assert.deepEqual(merged.habits, []);
+    assert.deepEqual(merged.focusSessions, []);
+    assert.deepEqual(merged.achievements, []);
+    assert.equal(merged.xp, 0);
+    assert.equal(merged.streak, 0);
+    assert.equal(merged.resetAt, RESET_AT);
+  });
+
+  test("another device drops what it recorded before the reset", () => {
+    const other = beforeReset();
+    other.history.push(entry(11));
+    other.xp = 190;
+    const server = deviceState({ history: [entry(12)], xp: 50, streak: 1, lastActive: "2026-03-12", resetAt: RESET_AT });
+    const merged = mergeStates(other, server, { xp: 140 });
+    assert.deepEqual(merged.history.map(e => e.id), ["h_11", "h_12"]);
+    assert.deepEqual(merged.achievements, []);
+    assert.equal(merged.xp, 50);
+    assert.equal(merged.lastActive, "2026-03-12");
+    assert.equal(merged.resetAt, RESET_AT);
+  });
+
+  test("the later of two resets wins", () => {
+    const local = deviceState({ history: [entry(11)], resetAt: RESET_AT, xp: 30 });
+    const remote = deviceState({ history: [entry(12)], resetAt: "2026-03-11T20:00:00.000Z", xp: 20 });
+    const merged = mergeStates(local, remote, null);
+    assert.deepEqual(merged.history.map(e => e.id), ["h_12"]);
+    assert.equal(merged.xp, 20);
+    assert.equal(merged.resetAt, "2026-03-11T20:00:00.000Z");
+  });
+});
+
+describe("delete then merge import", () => {
+  const deleteEvent = (e) => createEvent("entry-deleted", { entryId: e.id, entryDate: e.date, amount: 0 }, new Date(RESET_AT));
+
+  test("a deleted analysis in the backup is dropped, not restored", () => {
+    const kept = entry(1);
+    const removed = entry(2);
+    const deleted = deletedEntryIds([deleteEvent(removed)]);
+    const merged = mergeImportedHistory([kept], [entry(1), entry(2), entry(3)], deleted);
+    assert.deepEqual(merged.added.map(e => e.id), ["h_3"]);
+    assert.deepEqual(merged.dropped.map(e => e.id), ["h_2"]);
+    assert.deepEqual(merged.history.map(e => e.id), ["h_1", "h_3"]);
+  });
+
+  test("backup entries without ids are matched by their derived id", () => {
+    const legacy = entry(2);
+    delete legacy.id;
+    const deleted = deletedEntryIds([deleteEvent({ ...legacy, id: historyEntryId(legacy) })]);
+    const merged = mergeImportedHistory([], [legacy], deleted);
+    assert.deepEqual(merged.added, []);
+    assert.equal(merged.dropped.length, 1);
+  });
+});
+
+describe("importing a malformed plan", () => {
+  // A complete analysis (scores 3 across the board) with the given plan
+  const analysis = (day, plan) => {
+    const scored = { ...entry(day), plan };
+    QUESTIONNAIRE.dimensions.forEach(d => { scored[d.id] = 3; });
+    return scored;
+  };
+  const task = (day, fields = {}) => ({ day, dimension: QUESTIONNAIRE.dimensions[0].id, taskKey: "review", ...fields });
+
+  function bootWith(history) {
+    const storage = createMemoryStorage();
+    storage.setItem(KEYS.HISTORY, JSON.stringify(history));
+    const engine = createEngine({ storage, clock: createManualClock(new Date(2026, 2, 12, 10)) });
+    engine.ensureEventLog();
+    return engine;
+  }
+
+  test("bad plans, ids, ranks and mind types are rejected", () => {
+    assert.deepEqual(validateHistoryEntry(analysis(1, [task(1), task(2, { done: true, completedAt: "2026-03-02T09:00:00.000Z" })])), []);
+    assert.deepEqual(validateHistoryEntry(analysis(1, undefined)), []);
+    assert.deepEqual(validateHistoryEntry(analysis(1, [null])), ["plan item 1 not an object"]);
+    assert.deepEqual(validateHistoryEntry(analysis(1, "soon")), ["invalid plan"]);
+    assert.deepEqual(validateHistoryEntry(analysis(1, [task(8), task(2, { dimension: "luck" })])), [
+      "plan item 1 invalid day", 'plan item 2 unknown dimension "luck"'
+    ]);
+    assert.deepEqual(validateHistoryEntry(analysis(1, [task(1, { done: "yes", completedAt: "later" })])), [
+      "plan item 1 invalid done", "plan item 1 invalid completedAt"
+    ]);
+    assert.deepEqual(validateHistoryEntry({ ...analysis(1), id: 7, rank: {}, mindType: [] }), [
+      "invalid id", "invalid rank", "invalid mindType"
+    ]);
+  });
+
+  test("the achievement fold runs after the import", () => {
+    const payload = [analysis(1, [null]), analysis(2, [task(1, { done: true })])];
+    const imported = payload.filter(e => !validateHistoryEntry(e).length);
+    assert.deepEqual(imported.map(e => e.id), ["h_2"]);
+    const engine = bootWith(imported);
+    assert.doesNotThrow(() => engine.processAchievementEvent({ type: "init" }));
+    assert.ok(engine.getAchievements().includes("first_analysis"));
+  });
+
+  test("a damaged plan already in storage doesn't stop boot", () => {
+    const engine = bootWith([analysis(1, [null, task(1, { done: true })])]);
+    assert.doesNotThrow(() => engine.processAchievementEvent({ type: "init" }));
+    assert.ok(engine.getAchievements().includes("first_analysis"));
+  });
+});
@@ -0,0 +1,95 @@
+// Questionnaire scoring, the level curve and rank bands.
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  DEFAULT_LEVEL_CURVE, DEFAULT_RANK_THRESHOLDS, QUESTIONNAIRE,
+  analysisXP, computeLevelFromXP, findRankThreshold, getLoreTitle, getNextRank, getNextRankName,
+  progressToNextRankPercent, questionnaireMaxScore, scoreQuestionnaire, xpForLevel
+} from "../static/js/core/scoring.js";
+
+const answerAll = (value) => Object.fromEntries(QUESTIONNAIRE.questions.map(q => [q.id, value]));
+
+describe("questionnaire", () => {
+  test("reverse-scored items are flipped", () => {
+    const best = Object.fromEntries(QUESTIONNAIRE.questions.map(q => [q.id, q.reverse ? 1 : 5]));
+    const scores = scoreQuestionnaire(best);
+    const total = Object.values(scores).reduce((a, b) => a + b, 0);
+    assert.equal(total, questionnaireMaxScore());
+  });
+
+  test("neutral answers score the middle of the scale", () => {
+    assert.deepEqual(scoreQuestionnaire(answerAll(3)), { focus: 3, discipline: 3, execution: 3, consistency: 3 });
+  });
+
+  test("unanswered dimensions score 0", () => {
+    assert.equal(scoreQuestionnaire({}).focus, 0);
+  });
+});
+
+describe("levels", () => {
+  test("xpForLevel follows base * n^exponent + perLevel * n", () => {
+    assert.equal(xpForLevel(1), 150);
+    assert.equal(xpForLevel(2), Math.floor(100 * Math.pow(2, 1.4) + 100));
+    assert.equal(xpForLevel(3, { base: 10, exponent: 1, perLevel: 0 }), 30);
+  });
+
+  test("computeLevelFromXP at and around level boundaries", () => {
+    assert.deepEqual(computeLevelFromXP(0), { level: 1, current: 0, required: 150 });
+    assert.deepEqual(computeLevelFromXP(149), { level: 1, current: 149, required: 150 });
+    assert.equal(computeLevelFromXP(150).level, 2);
+    assert.equal(computeLevelFromXP(150).current, 0);
+    assert.equal(computeLevelFromXP(-50).level, 1);
+    assert.equal(computeLevelFromXP(150.9).current, 0);
+  });
+
+  test("the XP for reaching a level is the sum of the levels below it", () => {
+    let total = 0;
+    for (let level = 1; level < 30; level++) {
+      assert.equal(computeLevelFromXP(total).level, level);
+      assert.equal(computeLevelFromXP(total - 1 < 0 ? 0 : total - 1).level, Math.max(1, level - 1));
+      total += xpForLevel(level, DEFAULT_LEVEL_CURVE);
+    }
+  });
+
+  test("a steeper curve needs more XP", () => {
+    const steep = { base: 200, exponent: 1.6, perLevel: 50 };
+    assert.ok(computeLevelFromXP(5000, steep).level < computeLevelFromXP(5000).level);
+  });
+
+  test("analysis XP adds score and streak bonuses", () => {
+    assert.equal(analysisXP(12, 3, 50), 50 + 60 + 30);
+  });
+});
+
+describe("ranks and lore", () => {
+  test("bands cover 0..MAX_SCORE in order", () => {
+    const max = questionnaireMaxScore();
+    assert.equal(DEFAULT_RANK_THRESHOLDS[0].min, 0);
+    assert.equal(DEFAULT_RANK_THRESHOLDS[DEFAULT_RANK_THRESHOLDS.length - 1].max, max);
+    DEFAULT_RANK_THRESHOLDS.slice(1).forEach((r, i) => assert.equal(r.min, DEFAULT_RANK_THRESHOLDS[i].max + 1));
+  });
+
+  test("rank lookup, next rank and progress", () => {
+    assert.equal(findRankThreshold(0).name, "Dreamer");
+    assert.equal(findRankThreshold(20).name, "Architect");
+    assert.equal(getNextRankName("Dreamer"), "Explorer");
+    assert.equal(getNextRankName("Architect"), "Architect");
+    assert.equal(progressToNextRankPercent(20), 100);
+    assert.equal(progressToNextRankPercent(0), 0);
+  });
+
+  test("bands carry stable ids; next rank accepts an id or a legacy name", () => {
+    assert.deepEqual(DEFAULT_RANK_THRESHOLDS.map(r => r.id), ["dreamer", "explorer", "builder", "architect"]);
+    assert.equal(findRankThreshold(14).id, "builder");
+    assert.equal(getNextRank("explorer").id, "builder");
+    assert.equal(getNextRank("Explorer").id, "builder");
+    assert.equal(getNextRank("architect").id, "architect");
+  });
+
+  test("lore titles use the last reached level", () => {
+    assert.equal(getLoreTitle(1), "🧠 Wandering Mind");
+    assert.equal(getLoreTitle(9), "⚔️ Mind Trainee");
+    assert.equal(getLoreTitle(250), "🌌 Transcendent Entity");
+  });
+});
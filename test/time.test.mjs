@@ -0,0 +1,104 @@
+// Local calendar days across DST changes, month and year boundaries.
+// process.env.TZ is switched per test; Node picks the change up immediately.
+import { afterEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  createManualClock, daysBetween, diffInDaysLocal, isValidISODate, parseLocalISODate, toLocalISODate
+} from "../static/js/core/time.js";
+
+const originalTZ = process.env.TZ;
+
+function inZone(tz, fn) {
+  process.env.TZ = tz;
+  return fn();
+}
+
+afterEach(() => {
+  if (originalTZ === undefined) delete process.env.TZ;
+  else process.env.TZ = originalTZ;
+});
+
+// [zone, last day before the change, first day after it]
+const DST_CHANGES = [
+  ["America/New_York", "2026-03-07", "2026-03-08"], // spring forward (23h day)
+  ["America/New_York", "2026-10-31", "2026-11-01"], // fall back (25h day)
+  ["Europe/Berlin", "2026-03-28", "2026-03-29"],
+  ["Europe/Berlin", "2026-10-24", "2026-10-25"],
+  ["Australia/Sydney", "2026-04-04", "2026-04-05"], // southern hemisphere
+  ["Australia/Sydney", "2026-10-03", "2026-10-04"],
+  ["Australia/Lord_Howe", "2026-04-04", "2026-04-05"] // 30-minute shift
+];
+
+describe("diffInDaysLocal across DST", () => {
+  DST_CHANGES.forEach(([tz, before, after]) => {
+    test(`${tz} ${before} -> ${after}`, () => inZone(tz, () => {
+      assert.equal(diffInDaysLocal(before, after), 1);
+      assert.equal(diffInDaysLocal(after, before), -1);
+      assert.equal(daysBetween(before, after).length, 0);
+    }));
+  });
+
+  test("a week spanning the change is seven days", () => inZone("America/New_York", () => {
+    assert.equal(diffInDaysLocal("2026-03-05", "2026-03-12"), 7);
+    assert.equal(diffInDaysLocal("2026-10-29", "2026-11-05"), 7);
+    assert.deepEqual(daysBetween("2026-03-06", "2026-03-10"), ["2026-03-07", "2026-03-08", "2026-03-09"]);
+  }));
+
+  test("a whole year is 365 days in every zone", () => {
+    ["UTC", "America/New_York", "Europe/Berlin", "Australia/Sydney", "Pacific/Kiritimati"].forEach(tz => inZone(tz, () => {
+      assert.equal(diffInDaysLocal("2026-01-01", "2027-01-01"), 365, tz);
+    }));
+  });
+});
+
+describe("diffInDaysLocal across month and year boundaries", () => {
+  test("month ends", () => inZone("Europe/Berlin", () => {
+    assert.equal(diffInDaysLocal("2026-01-31", "2026-02-01"), 1);
+    assert.equal(diffInDaysLocal("2026-02-28", "2026-03-01"), 1);
+    assert.equal(diffInDaysLocal("2026-04-30", "2026-05-01"), 1);
+    assert.equal(diffInDaysLocal("2026-01-15", "2026-02-15"), 31);
+  }));
+
+  test("leap years", () => inZone("America/New_York", () => {
+    assert.equal(diffInDaysLocal("2028-02-28", "2028-03-01"), 2);
+    assert.equal(diffInDaysLocal("2100-02-28", "2100-03-01"), 1);
+    assert.equal(diffInDaysLocal("2000-02-28", "2000-03-01"), 2);
+    assert.equal(isValidISODate("2028-02-29"), true);
+    assert.equal(isValidISODate("2026-02-29"), false);
+  }));
+
+  test("year end", () => inZone("Australia/Sydney", () => {
+    assert.equal(diffInDaysLocal("2026-12-31", "2027-01-01"), 1);
+    assert.deepEqual(daysBetween("2026-12-30", "2027-01-02"), ["2026-12-31", "2027-01-01"]);
+  }));
+
+  test("invalid input gives NaN", () => {
+    assert.ok(Number.isNaN(diffInDaysLocal("2026-03-01", "")));
+    assert.ok(Number.isNaN(diffInDaysLocal(null, "2026-03-01")));
+    assert.equal(parseLocalISODate("2026/03/01"), null);
+  });
+});
+
+describe("manual clock", () => {
+  test("advanceDays keeps the wall-clock time across DST", () => inZone("America/New_York", () => {
+    const clock = createManualClock(new Date(2026, 2, 7, 23, 30));
+    clock.advanceDays(1);
+    assert.equal(toLocalISODate(clock.now()), "2026-03-08");
+    assert.equal(clock.now().getHours(), 23);
+    assert.equal(clock.now().getMinutes(), 30);
+    clock.advanceDays(240);
+    assert.equal(toLocalISODate(clock.now()), "2026-11-03");
+    assert.equal(clock.now().getHours(), 23);
+  }));
+
+  test("advance and set", () => {
+    const clock = createManualClock("2026-03-01T10:00:00Z");
+    clock.advance(90 * 60 * 1000);
+    assert.equal(clock.now().toISOString(), "2026-03-01T11:30:00.000Z");
+    clock.set("2026-05-01T00:00:00Z");
+    assert.equal(clock.now().toISOString(), "2026-05-01T00:00:00.000Z");
+    assert.throws(() => clock.set("not a date"), /Invalid time/);
+    assert.throws(() => createManualClock("nope"), /Invalid start time/);
+  });
+});